@@ -1,11 +1,13 @@
 /**
  * Vercel Serverless Function: Get Artists Endpoint
  * GET /api/artists
+ * GET /api/mix-analysis?url=<mix url> (or ?id=<arweave tx id>) - Measured analysis of a mix for the website player
  * 
  * Returns list of available artists for video generation
  */
 
 import { initializeFirebaseAdmin, getFirestore } from '../lib/firebase-admin.js';
+import { MIX_ANALYSIS_COLLECTION, getMixId, fromStoredAnalysis, summarizeMixAnalysis } from '../worker/lib/MixAnalysis.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -31,6 +33,10 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  if (req.url.includes('/mix-analysis')) {
+    return getMixAnalysis(req, res);
+  }
+
   try {
     // Try to load from Firebase first
     let artistsData = null;
@@ -108,5 +114,36 @@ export default async function handler(req, res) {
   }
 }
 
+/**
+ * Stored mix analysis (written by worker/analyze-mixes.js)
+ * Beat grid and per-second series are left out unless ?full=true
+ */
+async function getMixAnalysis(req, res) {
+  const { url, id, full } = req.query;
+  if (!url && !id) {
+    return res.status(400).json({ success: false, error: 'url or id is required' });
+  }
 
+  try {
+    initializeFirebaseAdmin();
+    const db = getFirestore();
+    const mixId = id || getMixId(url);
+    const doc = await db.collection(MIX_ANALYSIS_COLLECTION).doc(mixId).get();
+    const mixAnalysis = doc.exists ? fromStoredAnalysis(doc.data()) : null;
+    if (!mixAnalysis) {
+      return res.status(404).json({ success: false, error: `Mix ${mixId} has not been analysed yet` });
+    }
 
+    return res.status(200).json({
+      success: true,
+      analysis: full === 'true' ? mixAnalysis : summarizeMixAnalysis(mixAnalysis)
+    });
+  } catch (error) {
+    console.error('[Artists] Mix analysis error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load mix analysis',
+      message: error.message
+    });
+  }
+}
@@ -3,7 +3,8 @@
  * DELETE /api/delete-video?folder=skyline&file=video.mp4
  */
 
-import { initializeFirebaseAdmin, getStorage } from '../lib/firebase-admin.js';
+import { initializeFirebaseAdmin, getStorage, getFirestore } from '../lib/firebase-admin.js';
+import { AssetIndex } from '../worker/lib/AssetIndex.js';
 
 export default async function handler(req, res) {
   // Set CORS headers
@@ -61,6 +62,13 @@ export default async function handler(req, res) {
 
     console.log(`[DeleteVideo] ✅ Deleted: ${filePath}`);
 
+    // Drop the clip from the footage index so renders stop picking it
+    try {
+      await new AssetIndex({ db: getFirestore(), bucket }).remove(filePath);
+    } catch (indexError) {
+      console.warn(`[DeleteVideo] ⚠️ Could not remove ${filePath} from the footage index: ${indexError.message}`);
+    }
+
     return res.status(200).json({
       success: true,
       message: 'Video deleted successfully',
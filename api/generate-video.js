@@ -6,6 +6,17 @@
  */
 
 import { initializeFirebaseAdmin, getFirestore, admin } from '../lib/firebase-admin.js';
+import { ASPECT_RATIOS, RESOLUTIONS, DEFAULT_ASPECT_RATIO, DEFAULT_RESOLUTION, isValidAspectRatio, isValidResolution } from '../worker/lib/OutputFormats.js';
+import { isValidSeed } from '../worker/lib/SeededRandom.js';
+import { validateEditDecisionList } from '../worker/lib/EditDecisionList.js';
+import { validateTransitionOptions } from '../worker/lib/Transitions.js';
+import { validateReactiveOptions } from '../worker/lib/AudioReactive.js';
+import { validateExcerptOption } from '../worker/lib/ExcerptSelector.js';
+import { validateMasteringOptions } from '../worker/lib/AudioMastering.js';
+import { validateTextStyle } from '../worker/lib/TextStyles.js';
+import { validateStillMotion } from '../worker/lib/StillMotion.js';
+import { validateFootageSelection } from '../worker/lib/FootageQuery.js';
+import { AUTO_FILTER_KEY } from '../worker/lib/VideoFilters.js';
 import { v4 as uuidv4 } from 'uuid';
 import axios from 'axios';
 
@@ -29,16 +40,211 @@ export default async function handler(req, res) {
 
   try {
     // Get parameters from request body
-    const duration = req.body.duration || 30;
+    const edl = req.body.edl || null; // Edit decision list from a previous render (videos/{id}.edl) to render verbatim
+    const duration = edl && typeof edl.duration === 'number' ? edl.duration : (req.body.duration || 30); // An EDL sets the length
     const artist = req.body.artist || 'random';
-    const videoFilter = req.body.videoFilter || null; // Optional video filter
+    const videoFilter = req.body.videoFilter || null; // Optional video filter key, or 'auto' to match the footage's colours
     const useTrax = req.body.useTrax === true; // true for tracks, false for mixes
-    const filterIntensity = req.body.filterIntensity !== undefined ? parseFloat(req.body.filterIntensity) : 0.4; // Filter intensity 0.0-1.0 (default 0.4 = 40%)
+    const filterIntensity = req.body.filterIntensity !== undefined && req.body.filterIntensity !== null
+      ? parseFloat(req.body.filterIntensity)
+      : (videoFilter === AUTO_FILTER_KEY ? null : 0.4); // Filter intensity 0.0-1.0 (default 0.4 = 40%, picked from the footage for 'auto')
     const selectedFolders = req.body.selectedFolders || []; // Array of selected folder names (normalized, without assets/ prefix)
     const enableOverlay = req.body.enableOverlay !== undefined ? req.body.enableOverlay : true; // Overlay feature toggle (default: true)
     const overlayEffect = req.body.overlayEffect || null; // Specific overlay effect name or null for random
     const topLogo = req.body.topLogo || null; // Top logo filename or null for random
     const endLogo = req.body.endLogo || null; // End logo filename or null for random
+    const template = req.body.template || null; // Composition template name (worker/templates/<name>.json) or null for default
+    const aspectRatio = req.body.aspectRatio || DEFAULT_ASPECT_RATIO; // Output aspect ratio: '1:1', '9:16', '16:9', '4:5'
+    const resolution = req.body.resolution || DEFAULT_RESOLUTION; // Short-side resolution: '720p', '1080p'
+    const requestedDeliverables = req.body.deliverables || null; // Optional renditions rendered from the same cuts
+    const priority = req.body.priority !== undefined ? req.body.priority : 0; // Queue priority (-10..10, higher runs first)
+    const transitions = req.body.transitions || null; // Transition style ('dissolve') or weighted mix ({ styles: { cut: 3, fade: 1 } })
+    const footage = req.body.footage || null; // Footage constraints: { query: 'crowd AND night', weights: { folders, tags }, include, exclude }
+    const excerpt = req.body.excerpt || null; // Mix excerpt: 'peak', 'intro', 'random' or { start } (null = peak)
+    const audioReactive = req.body.audioReactive || null; // true or { zoom, filter, overlay, logo } for visuals that follow the mix
+    const mastering = req.body.mastering !== undefined ? req.body.mastering : null; // false, true or { target, truePeak, eq } (null = -14 LUFS)
+    const captions = req.body.captions !== undefined ? req.body.captions : true; // "Now playing" captions from the mix tracklist
+    const textStyle = req.body.textStyle || null; // Text style over the template's / artist's: { font, color, stroke, shadow, box, align, animation, ... }
+    const visualSource = req.body.visualSource || 'footage'; // 'footage' (folder clips) or 'artwork' (artist photo, mix cover, related covers)
+    const stillMotion = req.body.stillMotion !== undefined ? req.body.stillMotion : null; // Still background motion: preset, { preset, intensity, direction } or false (null = Ken Burns)
+    const seed = req.body.seed !== undefined && req.body.seed !== null ? req.body.seed : null; // Render seed or null (worker picks one)
+
+    // Validate output format
+    if (!isValidAspectRatio(aspectRatio)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid aspectRatio "${aspectRatio}". Supported: ${Object.keys(ASPECT_RATIOS).join(', ')}`
+      });
+    }
+    if (!isValidResolution(resolution)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid resolution "${resolution}". Supported: ${Object.keys(RESOLUTIONS).join(', ')}`
+      });
+    }
+
+    // Validate queue priority
+    if (!Number.isInteger(priority) || priority < -10 || priority > 10) {
+      return res.status(400).json({
+        success: false,
+        error: 'priority must be an integer between -10 and 10'
+      });
+    }
+
+    // Validate render seed
+    if (seed !== null && !isValidSeed(seed)) {
+      return res.status(400).json({
+        success: false,
+        error: 'seed must be an integer or a non-empty string of at most 64 characters'
+      });
+    }
+
+    // Validate transition style / weighted mix
+    const transitionsError = validateTransitionOptions(transitions);
+    if (transitionsError) {
+      return res.status(400).json({
+        success: false,
+        error: transitionsError
+      });
+    }
+
+    // Validate mix excerpt choice
+    const excerptError = validateExcerptOption(excerpt);
+    if (excerptError) {
+      return res.status(400).json({
+        success: false,
+        error: excerptError
+      });
+    }
+
+    // Validate audio-reactive effects
+    const audioReactiveError = validateReactiveOptions(audioReactive);
+    if (audioReactiveError) {
+      return res.status(400).json({
+        success: false,
+        error: audioReactiveError
+      });
+    }
+
+    // Validate audio mastering (loudness target, true-peak ceiling, EQ preset)
+    const masteringError = validateMasteringOptions(mastering);
+    if (masteringError) {
+      return res.status(400).json({
+        success: false,
+        error: masteringError
+      });
+    }
+
+    if (typeof captions !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'captions must be true or false'
+      });
+    }
+
+    // Validate text style (font, colours, alignment, animation preset)
+    const textStyleError = validateTextStyle(textStyle);
+    if (textStyleError) {
+      return res.status(400).json({
+        success: false,
+        error: textStyleError
+      });
+    }
+
+    if (!['footage', 'artwork'].includes(visualSource)) {
+      return res.status(400).json({
+        success: false,
+        error: 'visualSource must be "footage" or "artwork"'
+      });
+    }
+
+    // Validate footage constraints (tag query, weights, must-include / never-use clips)
+    const footageError = validateFootageSelection(footage);
+    if (footageError) {
+      return res.status(400).json({
+        success: false,
+        error: footageError
+      });
+    }
+
+    // Validate still background motion (preset, intensity, direction)
+    const stillMotionError = validateStillMotion(stillMotion);
+    if (stillMotionError) {
+      return res.status(400).json({
+        success: false,
+        error: stillMotionError
+      });
+    }
+
+    // Validate edit decision list (audio, segments and layer picks come from it instead of random choices)
+    if (edl !== null) {
+      const edlError = validateEditDecisionList(edl);
+      if (edlError) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid edl: ${edlError}`
+        });
+      }
+    }
+
+    // Validate template name (resolved to a file by the worker)
+    if (template !== null && (typeof template !== 'string' || !/^[a-z0-9_-]+$/.test(template))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid template name. Template names can only contain lowercase letters, numbers, hyphens, and underscores.'
+      });
+    }
+
+    // Validate deliverables: up to 4 renditions, each with its own aspect ratio, resolution and length
+    let deliverables = null;
+    if (requestedDeliverables !== null) {
+      if (!Array.isArray(requestedDeliverables) || requestedDeliverables.length === 0 || requestedDeliverables.length > 4) {
+        return res.status(400).json({
+          success: false,
+          error: 'deliverables must be an array of 1-4 renditions'
+        });
+      }
+      deliverables = [];
+      for (const deliverable of requestedDeliverables) {
+        const deliverableAspectRatio = (deliverable && deliverable.aspectRatio) || aspectRatio;
+        const deliverableResolution = (deliverable && deliverable.resolution) || resolution;
+        const deliverableDuration = (deliverable && deliverable.duration) || duration;
+        const requestedName = (deliverable && deliverable.name) || null;
+        if (typeof deliverableAspectRatio !== 'string' || typeof deliverableResolution !== 'string' ||
+          (requestedName !== null && typeof requestedName !== 'string')) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid deliverable: aspectRatio, resolution and name must be strings'
+          });
+        }
+        const name = requestedName || `${deliverableAspectRatio.replace(':', 'x')}_${deliverableDuration}s`;
+
+        if (!isValidAspectRatio(deliverableAspectRatio) || !isValidResolution(deliverableResolution)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid deliverable "${name}": aspectRatio must be one of ${Object.keys(ASPECT_RATIOS).join(', ')} and resolution one of ${Object.keys(RESOLUTIONS).join(', ')}`
+          });
+        }
+        if (typeof deliverableDuration !== 'number' || deliverableDuration < 5 || deliverableDuration > duration) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid deliverable "${name}": duration must be between 5 and ${duration} seconds`
+          });
+        }
+        if (!/^[a-z0-9_-]+$/.test(name) || deliverables.some(d => d.name === name)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid deliverable name "${name}". Names must be unique and can only contain lowercase letters, numbers, hyphens, and underscores.`
+          });
+        }
+        deliverables.push({
+          name,
+          aspectRatio: deliverableAspectRatio,
+          resolution: deliverableResolution,
+          duration: deliverableDuration
+        });
+      }
+    }
 
     // Validate selectedFolders
     if (!Array.isArray(selectedFolders)) {
@@ -48,11 +254,12 @@ export default async function handler(req, res) {
       });
     }
 
-    // Validate at least one folder is selected
-    if (selectedFolders.length === 0) {
+    // Validate at least one folder is selected (an EDL names its own source videos, a footage query searches every folder)
+    const footageChoosesClips = footage && (footage.query || (Array.isArray(footage.include) && footage.include.length > 0));
+    if (selectedFolders.length === 0 && !edl && !footageChoosesClips) {
       return res.status(400).json({
         success: false,
-        error: 'At least one folder must be selected'
+        error: 'At least one folder must be selected (or a footage query / include list)'
       });
     }
 
@@ -125,13 +332,29 @@ export default async function handler(req, res) {
       artist,
       duration,
       videoFilter: videoFilter, // Optional video filter key
-      filterIntensity: filterIntensity, // Filter intensity 0.0-1.0
+      filterIntensity: filterIntensity, // Filter intensity 0.0-1.0, or null for an auto-picked one
       useTrax: useTrax, // Flag to use tracks instead of mixes
       selectedFolders: selectedFolders, // Array of selected folder names
       enableOverlay: enableOverlay, // Overlay feature toggle
       overlayEffect: overlayEffect, // Specific overlay effect name or null
       topLogo: topLogo, // Top logo filename or null for random
       endLogo: endLogo, // End logo filename or null for random
+      template: template, // Composition template name or null for default
+      aspectRatio: aspectRatio, // Output aspect ratio
+      resolution: resolution, // Output resolution (short side)
+      deliverables: deliverables, // Renditions [{ name, aspectRatio, resolution, duration }] or null for a single video
+      priority: priority, // Queue priority (higher runs first)
+      seed: seed, // Render seed (same seed + same inputs = same edit) or null for a random one
+      edl: edl, // Edit decision list rendered verbatim, or null for a new edit
+      transitions: transitions, // Transition style or weighted mix, or null for half cuts / half fades
+      footage: footage, // Tag query, weights and must-include / never-use clips, or null for any clip in the folders
+      audioReactive: audioReactive, // Audio-reactive effects, or null for static visuals
+      excerpt: excerpt, // Mix excerpt choice, or null for a phrase-aligned peak
+      mastering: mastering, // Audio mastering settings, false to skip, or null for -14 LUFS / -1 dBTP
+      textStyle: textStyle, // Text style over the template's and artist's, or null
+      captions: captions, // Tracklist lower-thirds and WebVTT / SRT sidecars (when the mix has a tracklist)
+      visualSource: visualSource, // Footage or artwork-driven visuals
+      stillMotion: stillMotion, // Motion for still backgrounds, false for static, or null for Ken Burns
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       completedAt: null,
       videoUrl: null,
@@ -139,7 +362,11 @@ export default async function handler(req, res) {
       metadata: {
         fileName: null,
         fileSize: null,
-        mixTitle: null
+        mixTitle: null,
+        loudness: null,
+        captions: null,
+        palette: null,
+        look: null
       }
     };
 
@@ -7,11 +7,14 @@
  * - addMix: Add a mix to an existing artist (by URL or Arweave URL)
  * - addTrack: Add a track to an existing artist (by URL or Arweave URL)
  * - updateArtist: Update artist properties
+ * - setTracklist: Set (or clear with []) a mix's tracklist - [{ start: "12:34", artist, title }] - used for
+ *   "Now playing" captions on generated videos
  */
 
 import { initializeFirebaseAdmin, getFirestore } from '../lib/firebase-admin.js';
 import { syncFirebaseToWebsiteJSON } from '../lib/WebsiteSync.js';
 import { deployWebsiteToArweave } from '../lib/WebsiteDeployer.js';
+import { validateTracklist, normalizeTracklist } from '../worker/lib/Captions.js';
 import path from 'path';
 import { createRequire } from 'module';
 
@@ -36,7 +39,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { action, artistName, mixUrl, mixTitle, mixDateYear, mixDuration, mixImageFilename, isTrack, artistGenre } = req.body;
+    const { action, artistName, mixUrl, mixTitle, mixDateYear, mixDuration, mixImageFilename, isTrack, artistGenre, tracklist } = req.body;
 
     if (!action || !artistName) {
       return res.status(400).json({
@@ -45,6 +48,16 @@ export default async function handler(req, res) {
       });
     }
 
+    if (tracklist !== undefined && tracklist !== null) {
+      const tracklistError = validateTracklist(tracklist);
+      if (tracklistError) {
+        return res.status(400).json({
+          success: false,
+          error: tracklistError
+        });
+      }
+    }
+
     // Initialize Firebase
     initializeFirebaseAdmin();
     const db = getFirestore();
@@ -65,6 +78,7 @@ export default async function handler(req, res) {
           mixDateYear: mixDateYear || new Date().getFullYear().toString(),
           mixDuration: mixDuration || '0:00',
           mixImageFilename: mixImageFilename || '',
+          tracklist: tracklist ? normalizeTracklist(tracklist) : null,
           isTrack: false
         });
         break;
@@ -92,10 +106,20 @@ export default async function handler(req, res) {
         });
         break;
 
+      case 'setTracklist':
+        if (!mixUrl || !Array.isArray(tracklist)) {
+          return res.status(400).json({
+            success: false,
+            error: 'mixUrl and a tracklist array are required for setTracklist action'
+          });
+        }
+        result = await setMixTracklist(db, artistName, mixUrl, normalizeTracklist(tracklist));
+        break;
+
       default:
         return res.status(400).json({
           success: false,
-          error: `Unknown action: ${action}. Supported: addMix, addTrack, updateArtist`
+          error: `Unknown action: ${action}. Supported: addMix, addTrack, updateArtist, setTracklist`
         });
     }
 
@@ -164,6 +188,9 @@ async function addMixToArtist(db, artistName, mixData) {
       mixDuration: mixData.mixDuration,
       mixImageFilename: mixData.mixImageFilename || ''
     };
+    if (mixData.tracklist && mixData.tracklist.length > 0) {
+      mixEntry.tracklist = mixData.tracklist;
+    }
 
     if (mixData.isTrack) {
       // Add as track
@@ -282,3 +309,41 @@ async function updateArtist(db, artistName, updates) {
   }
 }
 
+/**
+ * Set or clear the tracklist of one of an artist's mixes (found by its Arweave URL)
+ */
+async function setMixTracklist(db, artistName, mixUrl, tracklist) {
+  try {
+    const artistsRef = db.collection('system').doc('artists');
+    const artistsDoc = await artistsRef.get();
+
+    let artistsData = [];
+    if (artistsDoc.exists) {
+      artistsData = artistsDoc.data().artists || [];
+    }
+
+    const artist = artistsData.find(a => a.artistName === artistName);
+    if (!artist) {
+      throw new Error(`Artist "${artistName}" not found`);
+    }
+    const mix = (artist.mixes || []).find(m => m.mixArweaveURL === mixUrl);
+    if (!mix) {
+      throw new Error(`Mix "${mixUrl}" not found for ${artistName}`);
+    }
+
+    if (tracklist.length > 0) {
+      mix.tracklist = tracklist;
+    } else {
+      delete mix.tracklist;
+    }
+
+    await artistsRef.set({ artists: artistsData }, { merge: false });
+    console.log(`[Manage Artists] ✅ ${tracklist.length > 0 ? `Set ${tracklist.length}-track tracklist` : 'Cleared tracklist'} for "${mix.mixTitle}" (${artistName})`);
+
+    return { updated: true, artistName: artistName, mixTitle: mix.mixTitle, tracks: tracklist.length };
+
+  } catch (error) {
+    console.error('[Manage Artists] Error setting tracklist:', error.message);
+    throw error;
+  }
+}
@@ -1,13 +1,34 @@
 /**
  * Vercel Serverless Function: Optimize Video Endpoint
  * POST /api/upload-video
- * 
+ *
  * Optimizes a video that's already uploaded to Firebase Storage
  * Client uploads directly to Firebase Storage, then calls this to optimize
+ *
+ * Resumable uploads (routed here in vercel.json, see worker/lib/UploadSessions.js):
+ * POST /api/upload-sessions - Opens a resumable upload session for a clip
+ * GET /api/upload-sessions/:sessionId - Session status and the bytes Storage has committed
+ * POST /api/upload-sessions/:sessionId/complete - Verifies the upload, optimizes it into its folder and indexes it
+ * DELETE /api/upload-sessions/:sessionId - Cancels the upload
  */
 
-import { initializeFirebaseAdmin, getStorage } from '../lib/firebase-admin.js';
+import { initializeFirebaseAdmin, getStorage, getFirestore } from '../lib/firebase-admin.js';
 import { VideoOptimizer } from '../worker/lib/VideoOptimizer.js';
+import { AssetIndex, validateAssetTags } from '../worker/lib/AssetIndex.js';
+import {
+  UPLOAD_SESSION_COLLECTION,
+  UPLOAD_CHUNK_SIZE,
+  UPLOAD_SESSION_TTL_MS,
+  validateUploadSessionRequest,
+  validateChunkHashes,
+  isProcessingStale,
+  getUploadFolderPath,
+  getStagingPath,
+  hashFileChunks,
+  findChunkMismatch,
+  queryUploadedBytes,
+  cancelResumableUpload
+} from '../worker/lib/UploadSessions.js';
 import fs from 'fs-extra';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
@@ -17,7 +38,7 @@ export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Credentials', true);
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
   // Handle OPTIONS preflight
@@ -26,20 +47,29 @@ export default async function handler(req, res) {
     return;
   }
 
+  // Resumable uploads: /api/upload-sessions[/:sessionId[/complete]]
+  const sessionMatch = req.url.match(/\/upload-sessions(?:\/([^/?]+))?(\/complete)?/);
+  if (sessionMatch) {
+    return handleUploadSession(req, res, sessionMatch[1] || null, Boolean(sessionMatch[2]));
+  }
+
   // Only allow POST
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   let tempFilePath = null;
-  let optimizedFilePath = null;
 
   try {
-    const { videoUrl, orientation = 'auto', folder = 'user-uploads' } = req.body;
+    const { videoUrl, orientation = 'auto', folder = 'user-uploads', tags = null } = req.body;
 
     if (!videoUrl) {
       return res.status(400).json({ error: 'videoUrl is required' });
     }
+    const tagsError = validateAssetTags(tags);
+    if (tagsError) {
+      return res.status(400).json({ success: false, error: tagsError });
+    }
 
     console.log(`[upload-video] Optimizing video from: ${videoUrl}`);
     console.log(`[upload-video] Orientation: ${orientation}, Folder: ${folder}`);
@@ -71,8 +101,53 @@ export default async function handler(req, res) {
 
     console.log(`[upload-video] Downloaded to: ${tempFilePath}`);
 
+    const data = await optimizeIntoFolder(bucket, tempFilePath, {
+      folder,
+      orientation,
+      tags,
+      metadata: { originalUrl: videoUrl }
+    });
+
+    // Clean up temp files
+    await fs.remove(tempFilePath);
+
+    // Return success response
+    return res.status(200).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('[upload-video] Error:', error);
+
+    // Clean up temp files on error
+    if (tempFilePath) {
+      try {
+        await fs.remove(tempFilePath);
+      } catch (e) {
+        console.warn('[upload-video] Failed to cleanup temp file:', e.message);
+      }
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Video optimization failed'
+    });
+  }
+}
+
+/**
+ * Optimize a downloaded clip, upload it into a folder and add it to the footage index
+ * @param {string} localPath - Downloaded original (removed by the caller)
+ * @param {Object} options - { folder (Storage folder), orientation, tags, metadata (extra custom metadata) }
+ * @returns {Promise<Object>} Response data: url, fileName, storagePath, dimensions, sizes and the index record
+ */
+async function optimizeIntoFolder(bucket, localPath, { folder, orientation, tags, metadata = {} }) {
+  const optimizer = new VideoOptimizer();
+  let optimizedFilePath = null;
+
+  try {
     // Optimize video
-    const optimizer = new VideoOptimizer();
     const optimizationOptions = {
       maxWidth: 720,
       maxHeight: 720,
@@ -82,7 +157,7 @@ export default async function handler(req, res) {
     };
 
     console.log(`[upload-video] Optimizing video...`);
-    const optimizationResult = await optimizer.optimizeVideo(tempFilePath, optimizationOptions);
+    const optimizationResult = await optimizer.optimizeVideo(localPath, optimizationOptions);
     optimizedFilePath = optimizationResult.outputPath;
 
     console.log(`[upload-video] Optimization complete:`);
@@ -103,7 +178,7 @@ export default async function handler(req, res) {
       metadata: {
         contentType: 'video/mp4',
         metadata: {
-          originalUrl: videoUrl,
+          ...metadata,
           originalSize: optimizationResult.originalSize.toString(),
           optimizedSize: optimizationResult.optimizedSize.toString(),
           dimensions: `${optimizationResult.dimensions.width}x${optimizationResult.dimensions.height}`,
@@ -125,53 +200,292 @@ export default async function handler(req, res) {
 
     console.log(`[upload-video] ✅ Optimization complete: ${publicUrl.substring(0, 100)}...`);
 
-    // Clean up temp files
-    await optimizer.cleanup(tempFilePath);
-    await optimizer.cleanup(optimizedFilePath);
+    // Footage index: measured from the optimized file while it is still here - a failure leaves the clip
+    // for node worker/index-assets.js instead of failing the upload
+    let asset = null;
+    try {
+      asset = await new AssetIndex({ db: getFirestore(), bucket }).indexFile(storagePath, { localPath: optimizedFilePath, tags: tags || [] });
+    } catch (indexError) {
+      console.warn(`[upload-video] ⚠️ Could not index ${storagePath}: ${indexError.message}`);
+    }
 
-    // Return success response
-    return res.status(200).json({
-      success: true,
-      data: {
-        url: publicUrl,
-        fileName: fileName,
-        storagePath: storagePath,
-        dimensions: optimizationResult.dimensions,
-        originalSize: optimizationResult.originalSize,
-        optimizedSize: optimizationResult.optimizedSize,
-        compressionRatio: optimizationResult.compressionRatio
-      }
-    });
+    return {
+      url: publicUrl,
+      fileName: fileName,
+      storagePath: storagePath,
+      dimensions: optimizationResult.dimensions,
+      originalSize: optimizationResult.originalSize,
+      optimizedSize: optimizationResult.optimizedSize,
+      compressionRatio: optimizationResult.compressionRatio,
+      asset // Footage index record, null when indexing failed
+    };
+  } finally {
+    if (optimizedFilePath) {
+      await optimizer.cleanup(optimizedFilePath);
+    }
+  }
+}
 
-  } catch (error) {
-    console.error('[upload-video] Error:', error);
+/**
+ * Route an upload session request
+ */
+async function handleUploadSession(req, res, sessionId, complete) {
+  try {
+    initializeFirebaseAdmin();
 
-    // Clean up temp files on error
-    if (tempFilePath) {
-      try {
-        await fs.remove(tempFilePath);
-      } catch (e) {
-        console.warn('[upload-video] Failed to cleanup temp file:', e.message);
+    if (!sessionId) {
+      if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
       }
+      return await startUploadSession(req, res);
     }
-    if (optimizedFilePath) {
-      try {
-        await fs.remove(optimizedFilePath);
-      } catch (e) {
-        console.warn('[upload-video] Failed to cleanup optimized file:', e.message);
-      }
+
+    const sessionRef = getFirestore().collection(UPLOAD_SESSION_COLLECTION).doc(sessionId);
+    if (complete && req.method === 'POST') {
+      return await completeUploadSession(req, res, sessionRef);
+    }
+    if (!complete && req.method === 'GET') {
+      return await getUploadSession(res, sessionRef);
+    }
+    if (!complete && req.method === 'DELETE') {
+      return await cancelUploadSession(res, sessionRef);
     }
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
 
+  } catch (error) {
+    console.error('[upload-video] Upload session error:', error);
     return res.status(500).json({
       success: false,
-      error: error.message || 'Video optimization failed'
+      error: error.message || 'Upload session failed'
+    });
+  }
+}
+
+/**
+ * POST /api/upload-sessions { fileName, size, contentType, folder, orientation, tags }
+ * Opens a Storage resumable upload for a staging object; the browser PUTs the file to uploadUrl in chunkSize chunks
+ */
+async function startUploadSession(req, res) {
+  const body = req.body || {};
+  const validationError = validateUploadSessionRequest(body);
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  const { fileName, size, folder, orientation = 'auto', tags = null } = body;
+  const contentType = body.contentType || 'video/mp4';
+  const sessionId = uuidv4();
+  const stagingPath = getStagingPath(sessionId, fileName);
+
+  // origin: Storage answers the browser's chunk PUTs with CORS headers for the dashboard's origin
+  const [uploadUrl] = await getStorage().bucket().file(stagingPath).createResumableUpload({
+    origin: req.headers.origin || undefined,
+    metadata: {
+      contentType,
+      metadata: { uploadSession: sessionId, originalName: fileName }
+    }
+  });
+
+  const session = {
+    sessionId,
+    status: 'uploading',
+    fileName,
+    size,
+    contentType,
+    folder: getUploadFolderPath(folder),
+    orientation,
+    tags: tags || [],
+    stagingPath,
+    uploadUrl,
+    chunkSize: UPLOAD_CHUNK_SIZE,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS).toISOString()
+  };
+  await getFirestore().collection(UPLOAD_SESSION_COLLECTION).doc(sessionId).set(session);
+  console.log(`[upload-video] 📤 Upload session ${sessionId}: ${fileName} (${(size / 1024 / 1024).toFixed(2)}MB) → ${session.folder}`);
+
+  return res.status(201).json({
+    success: true,
+    data: { sessionId, uploadUrl, chunkSize: UPLOAD_CHUNK_SIZE, expiresAt: session.expiresAt }
+  });
+}
+
+/**
+ * GET /api/upload-sessions/:sessionId
+ * uploadedBytes is where the browser resumes from (asked from Storage while the upload is running)
+ */
+async function getUploadSession(res, sessionRef) {
+  const doc = await sessionRef.get();
+  if (!doc.exists) {
+    return res.status(404).json({ success: false, error: 'Upload session not found' });
+  }
+
+  const session = doc.data();
+  let status = session.status;
+  let uploadedBytes = status === 'complete' ? session.size : null;
+  if (status === 'uploading') {
+    uploadedBytes = await queryUploadedBytes(session.uploadUrl, session.size);
+    if (uploadedBytes === null) {
+      status = 'expired';
+      await sessionRef.update({ status, updatedAt: new Date().toISOString() });
+    }
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      sessionId: session.sessionId,
+      status,
+      fileName: session.fileName,
+      size: session.size,
+      folder: session.folder,
+      chunkSize: session.chunkSize,
+      uploadUrl: status === 'uploading' ? session.uploadUrl : null,
+      uploadedBytes,
+      storagePath: session.storagePath || null,
+      error: session.error || null,
+      expiresAt: session.expiresAt
+    }
+  });
+}
+
+/**
+ * POST /api/upload-sessions/:sessionId/complete { chunkHashes }
+ * Checks the staged object against the file's size and per-chunk SHA-256 hashes, then optimizes it into the
+ * session's folder and indexes it. An upload that doesn't match is discarded (status 'failed'); any other failure
+ * leaves the staged object so completing can be retried
+ */
+async function completeUploadSession(req, res, sessionRef) {
+  const { chunkHashes } = req.body || {};
+  const db = getFirestore();
+
+  // Claim the session so a repeated request doesn't optimize the clip twice
+  const claim = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(sessionRef);
+    if (!doc.exists) {
+      return { code: 404, body: { success: false, error: 'Upload session not found' } };
+    }
+    const session = doc.data();
+    // A stale 'processing' session was killed mid-way (function time limit) - take it over
+    if (session.status !== 'uploading' && !isProcessingStale(session)) {
+      return { code: 409, body: { success: false, error: `Upload session is ${session.status}` } };
+    }
+    const hashesError = validateChunkHashes(chunkHashes, session.size, session.chunkSize);
+    if (hashesError) {
+      return { code: 400, body: { success: false, error: hashesError } };
+    }
+    const now = new Date().toISOString();
+    transaction.update(sessionRef, { status: 'processing', processingStartedAt: now, updatedAt: now });
+    return { session };
+  });
+  if (!claim.session) {
+    return res.status(claim.code).json(claim.body);
+  }
+
+  const session = claim.session;
+  const stagedFile = getStorage().bucket().file(session.stagingPath);
+  let tempFilePath = null;
+
+  // The upload doesn't match the file: discard it, the browser starts a new session
+  const rejectUpload = async (reason) => {
+    console.warn(`[upload-video] ⚠️ Upload session ${session.sessionId} failed its integrity check: ${reason}`);
+    await stagedFile.delete({ ignoreNotFound: true }).catch(() => {});
+    await sessionRef.update({ status: 'failed', error: reason, updatedAt: new Date().toISOString() });
+    return res.status(422).json({ success: false, error: `Upload failed its integrity check: ${reason}` });
+  };
+
+  try {
+    const [exists] = await stagedFile.exists();
+    if (!exists) {
+      // Storage only creates the object once the last chunk is in
+      const uploadedBytes = await queryUploadedBytes(session.uploadUrl, session.size);
+      await sessionRef.update({ status: 'uploading', updatedAt: new Date().toISOString() });
+      return res.status(409).json({
+        success: false,
+        error: `Upload is not finished (${uploadedBytes || 0} of ${session.size} bytes)`,
+        uploadedBytes
+      });
+    }
+
+    const [metadata] = await stagedFile.getMetadata();
+    if (Number(metadata.size) !== session.size) {
+      return await rejectUpload(`the staged upload is ${metadata.size} bytes, the file is ${session.size}`);
+    }
+
+    const tempDir = path.join(process.cwd(), 'temp-uploads');
+    await fs.ensureDir(tempDir);
+    tempFilePath = path.join(tempDir, `upload_${session.sessionId}${path.extname(session.stagingPath)}`);
+    await stagedFile.download({ destination: tempFilePath });
+
+    const mismatch = findChunkMismatch(chunkHashes, await hashFileChunks(tempFilePath, session.chunkSize));
+    if (mismatch) {
+      return await rejectUpload(mismatch);
+    }
+    console.log(`[upload-video] ✅ Upload session ${session.sessionId} verified (${chunkHashes.length} chunks)`);
+
+    const data = await optimizeIntoFolder(stagedFile.bucket, tempFilePath, {
+      folder: session.folder,
+      orientation: session.orientation,
+      tags: session.tags,
+      metadata: { originalName: session.fileName, uploadSession: session.sessionId }
+    });
+
+    await stagedFile.delete({ ignoreNotFound: true })
+      .catch(error => console.warn(`[upload-video] ⚠️ Could not remove ${session.stagingPath}: ${error.message}`));
+    await sessionRef.update({
+      status: 'complete',
+      storagePath: data.storagePath,
+      error: null,
+      completedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: { sessionId: session.sessionId, ...data }
     });
+
+  } catch (error) {
+    // The staged upload is kept - completing again retries the optimization
+    await sessionRef.update({ status: 'uploading', error: error.message, updatedAt: new Date().toISOString() })
+      .catch(() => {});
+    throw error;
+  } finally {
+    if (tempFilePath) {
+      await fs.remove(tempFilePath).catch(() => {});
+    }
   }
 }
 
-// Note: This endpoint optimizes videos that are already uploaded to Firebase Storage
+/**
+ * DELETE /api/upload-sessions/:sessionId
+ * Cancels the Storage upload and removes whatever was staged
+ */
+async function cancelUploadSession(res, sessionRef) {
+  const doc = await sessionRef.get();
+  if (!doc.exists) {
+    return res.status(404).json({ success: false, error: 'Upload session not found' });
+  }
+
+  const session = doc.data();
+  if (session.status === 'complete' || (session.status === 'processing' && !isProcessingStale(session))) {
+    return res.status(409).json({ success: false, error: `Upload session is ${session.status} and cannot be cancelled` });
+  }
+
+  if (session.status === 'uploading') {
+    await cancelResumableUpload(session.uploadUrl).catch(() => {});
+  }
+  await getStorage().bucket().file(session.stagingPath).delete({ ignoreNotFound: true });
+  await sessionRef.update({ status: 'cancelled', updatedAt: new Date().toISOString() });
+  console.log(`[upload-video] 🛑 Upload session ${session.sessionId} cancelled`);
+
+  return res.status(200).json({ success: true, data: { sessionId: session.sessionId, status: 'cancelled' } });
+}
+
+// Note: POST /api/upload-video optimizes videos that are already uploaded to Firebase Storage
 // The client should:
 // 1. Upload directly to Firebase Storage (bypasses Vercel's 10MB limit)
 // 2. Call this endpoint with the Firebase Storage URL to optimize
 // 3. Use the optimized URL returned
-
+// The dashboard uploads footage through /api/upload-sessions instead, which also resumes dropped uploads
@@ -1,21 +1,90 @@
 /**
  * API endpoint to get videos from Firebase Storage folders
  * Returns folder structure with video counts and file lists
+ *
+ * Video folders are read from the footage index (Firestore `assets`, see worker/lib/AssetIndex.js) once it has been
+ * built; until then the bucket is listed. POST registers a clip the website uploaded straight to Storage so the
+ * worker measures it.
  */
 
-import { initializeFirebaseAdmin, getStorage } from '../lib/firebase-admin.js';
+import { initializeFirebaseAdmin, getStorage, getFirestore } from '../lib/firebase-admin.js';
+import { AssetIndex, validateAssetTags, isVideoFile, getAssetFolder } from '../worker/lib/AssetIndex.js';
+
+/**
+ * Folders left out of the folder browser: image folders, mixes and the Baiee mix folders (except the retro /
+ * noise / grit overlay folders)
+ */
+function isHiddenFolder(folderName) {
+  const folderNameLower = folderName.toLowerCase();
+  // Exclude image folders
+  if (folderName === 'logos' || folderName === 'paper_backgrounds') {
+    return true;
+  }
+  // Exclude top-level mixes folder
+  if (folderName === 'mixes') {
+    return true;
+  }
+  // Exclude exact matches for mixes/Baiee (but allow retro_dust, noise, grit, etc.)
+  if (folderNameLower === 'mixes/baiee' || folderNameLower === 'mixes/bai-ee') {
+    return true;
+  }
+  // Exclude any folder path that contains /baiee but not retro/noise/grit
+  if (folderNameLower.includes('/baiee') || folderNameLower.includes('/bai-ee')) {
+    // Allow if it also contains retro, noise, or grit (these are valid folders)
+    if (!folderNameLower.includes('retro') && !folderNameLower.includes('noise') && !folderNameLower.includes('grit')) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * POST /api/video-folders { storagePath, tags } - add a clip uploaded straight to Storage to the footage index
+ * Stored as pending with its Storage facts; the worker measures it (duration, resolution, brightness, motion)
+ */
+async function registerUpload(req, res, assetIndex) {
+  const { storagePath, tags = null } = req.body || {};
+  if (typeof storagePath !== 'string' || !isVideoFile(storagePath) || !getAssetFolder(storagePath) || storagePath.includes('..')) {
+    return res.status(400).json({
+      success: false,
+      error: 'storagePath must be the Storage path of a video inside a folder (e.g. "skyline/clip.mp4")'
+    });
+  }
+  const tagsError = validateAssetTags(tags);
+  if (tagsError) {
+    return res.status(400).json({
+      success: false,
+      error: tagsError
+    });
+  }
+
+  const [exists] = await assetIndex.bucket.file(storagePath).exists();
+  if (!exists) {
+    return res.status(404).json({
+      success: false,
+      error: `File not found in Storage: ${storagePath}`
+    });
+  }
+
+  const asset = await assetIndex.register(storagePath, { tags: tags || [] });
+  console.log(`[VideoFolders] 🗂️ Registered ${storagePath} in the footage index (${asset.status})`);
+  return res.status(200).json({
+    success: true,
+    asset
+  });
+}
 
 export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
-  if (req.method !== 'GET') {
+  if (req.method !== 'GET' && req.method !== 'POST') {
     return res.status(405).json({ success: false, error: 'Method not allowed' });
   }
 
@@ -24,8 +93,15 @@ export default async function handler(req, res) {
     initializeFirebaseAdmin();
     const storage = getStorage();
     const bucket = storage.bucket();
+    const assetIndex = new AssetIndex({ db: getFirestore(), bucket });
+
+    if (req.method === 'POST') {
+      return await registerUpload(req, res, assetIndex);
+    }
 
     const { folder } = req.query;
+    // Footage index once a full sync has built it - until then (or when Firestore can't be read) the bucket is listed
+    const useIndex = await assetIndex.isSynced().catch(() => false);
 
     // Dynamically discover folders by listing all files in the bucket
     // This allows new folders created by users to be automatically included
@@ -61,38 +137,15 @@ export default async function handler(req, res) {
       // Convert to array and filter out image-only folders and exact matches for mixes/Baiee
       // (but keep them for internal use)
       // Allow retro_dust, noise, grit folders even if they're in mixes/
-      return Array.from(folderSet).filter(folderName => {
-        const folderNameLower = folderName.toLowerCase();
-        // Exclude image folders
-        if (folderName === 'logos' || folderName === 'paper_backgrounds') {
-          return false;
-        }
-        // Exclude top-level mixes folder
-        if (folderName === 'mixes') {
-          return false;
-        }
-        // Exclude exact matches for mixes/Baiee (but allow retro_dust, noise, grit, etc.)
-        if (folderNameLower === 'mixes/baiee' || folderNameLower === 'mixes/bai-ee') {
-          return false;
-        }
-        // Exclude any folder path that contains /baiee but not retro/noise/grit
-        if (folderNameLower.includes('/baiee') || folderNameLower.includes('/bai-ee')) {
-          // Allow if it also contains retro, noise, or grit (these are valid folders)
-          if (!folderNameLower.includes('retro') && !folderNameLower.includes('noise') && !folderNameLower.includes('grit')) {
-            return false;
-          }
-        }
-        return true;
-      });
+      return Array.from(folderSet).filter(folderName => !isHiddenFolder(folderName));
     }
 
     // Get list of available folders (dynamically discovered)
-    const discoveredFolders = await discoverFolders();
+    const discoveredFolders = useIndex ? [] : await discoverFolders();
 
     if (folder) {
       // Get files from a specific folder (videos or images)
       const folderPath = folder.endsWith('/') ? folder : `${folder}/`;
-      const [files] = await bucket.getFiles({ prefix: folderPath });
 
       // Filter for video and image files based on folder type
       const videoExtensions = ['.mp4', '.mov', '.m4v', '.avi', '.mkv', '.webm'];
@@ -102,11 +155,19 @@ export default async function handler(req, res) {
       const isImageFolder = folder === 'logos' || folder === 'paper_backgrounds';
       const allowedExtensions = isImageFolder ? imageExtensions : videoExtensions;
       
-      const filteredFiles = files.filter(file => {
-        const fileName = file.name.toLowerCase();
-        return allowedExtensions.some(ext => fileName.endsWith(ext)) && 
-               !fileName.endsWith('.keep');
-      });
+      let filteredFiles;
+      if (useIndex && !isImageFolder) {
+        // Indexed clips carry their record (duration, resolution, brightness, motion, tags)
+        const assets = await assetIndex.list({ folders: [folder] });
+        filteredFiles = assets.map(asset => Object.assign(bucket.file(asset.storagePath), { asset }));
+      } else {
+        const [files] = await bucket.getFiles({ prefix: folderPath });
+        filteredFiles = files.filter(file => {
+          const fileName = file.name.toLowerCase();
+          return allowedExtensions.some(ext => fileName.endsWith(ext)) && 
+                 !fileName.endsWith('.keep');
+        });
+      }
 
       // Generate URLs for each file (try public first, then signed URL)
       const videos = await Promise.all(
@@ -127,6 +188,27 @@ export default async function handler(req, res) {
             console.warn(`[VideoFolders] Could not generate signed URL for ${file.name}, using public URL`);
           }
           
+          if (file.asset) {
+            const { asset } = file;
+            return {
+              name: fileName,
+              fullPath: file.name,
+              size: asset.size || 0,
+              contentType: asset.contentType || 'video/mp4',
+              updated: asset.updated,
+              publicUrl: publicUrl,
+              duration: asset.duration,
+              width: asset.width,
+              height: asset.height,
+              fps: asset.fps,
+              codec: asset.codec,
+              orientation: asset.orientation,
+              brightness: asset.brightness,
+              motion: asset.motion,
+              tags: asset.tags,
+              indexStatus: asset.status
+            };
+          }
           return {
             name: fileName,
             fullPath: file.name,
@@ -144,6 +226,21 @@ export default async function handler(req, res) {
         videos: videos,
         count: videos.length
       });
+    } else if (useIndex) {
+      // Clip counts per folder straight from the index
+      const folderStats = (await assetIndex.listFolders())
+        .filter(({ name }) => !isHiddenFolder(name))
+        .map(({ name, count }) => ({
+          name,
+          count,
+          displayName: name.replace('assets/', '').replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+          type: 'video'
+        }));
+
+      return res.status(200).json({
+        success: true,
+        folders: folderStats
+      });
     } else {
       // Get folder counts for all discovered folders
       const folderStats = await Promise.all(
@@ -2,17 +2,22 @@
  * Vercel Serverless Function: Videos Endpoint
  * GET /api/videos - Returns list of all completed videos
  * GET /api/video-status/:jobId - Returns status of a specific video job
+ * POST /api/video-jobs/:jobId/cancel - Cancels a pending or processing job
+ * POST /api/video-jobs/:jobId/priority - Changes the queue priority of a pending job
  * 
- * Handles both video listing and individual video status
+ * Handles video listing, individual video status and job control
  */
 
-import { initializeFirebaseAdmin, getFirestore } from '../lib/firebase-admin.js';
+import { initializeFirebaseAdmin, getFirestore, admin } from '../lib/firebase-admin.js';
+
+const MIN_PRIORITY = -10;
+const MAX_PRIORITY = 10;
 
 export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Credentials', true);
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
   // Handle OPTIONS preflight
@@ -27,6 +32,18 @@ export default async function handler(req, res) {
     return;
   }
 
+  // Job control: /api/video-jobs/:jobId/(cancel|priority)
+  const jobControlMatch = req.url.match(/\/video-jobs\/([^/?]+)\/(cancel|priority)/);
+  if (jobControlMatch) {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+    const controlJobId = decodeURIComponent(jobControlMatch[1]);
+    return jobControlMatch[2] === 'cancel'
+      ? await handleCancelJob(req, res, controlJobId)
+      : await handleJobPriority(req, res, controlJobId);
+  }
+
   // Only allow GET
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
@@ -94,7 +111,9 @@ export default async function handler(req, res) {
         mixTitle: data.metadata?.mixTitle || null,
         duration: data.duration || 30,
         fileSize: data.metadata?.fileSize || null,
+        aspectRatio: data.aspectRatio || data.metadata?.aspectRatio || '1:1',
         videoUrl: videoUrl,
+        renditions: data.renditions || null, // Extra deliverables (square post, story, teaser...) or null
         status: status,
         createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt || new Date().toISOString(),
         completedAt: data.completedAt?.toDate?.()?.toISOString() || data.completedAt || null
@@ -125,6 +144,7 @@ export default async function handler(req, res) {
           mixTitle: data.mixTitle,
           fileSize: data.fileSize,
           videoUrl: data.videoUrl,
+          renditions: data.renditions || null,
           status: data.status || 'completed'
         };
         videosCollectionData.set(jobId, videoData);
@@ -160,7 +180,9 @@ export default async function handler(req, res) {
               mixTitle: videosData.mixTitle || video.mixTitle || null,
               duration: video.duration || 30,
               fileSize: videosData.fileSize || video.fileSize || null,
+              aspectRatio: video.aspectRatio,
               videoUrl: videosData.videoUrl || video.videoUrl || null,
+              renditions: videosData.renditions || video.renditions,
               status: videosData.status || video.status || 'completed',
               createdAt: video.createdAt,
               completedAt: video.completedAt
@@ -256,6 +278,13 @@ async function handleVideoStatus(req, res, jobId) {
     
     console.log(`[Video Status] Job ${jobId} status: ${status}, videoUrl: ${videoUrl ? 'exists' : 'null'}`);
 
+    // The edit decision list is stored on the videos document once the render completes
+    let edl = null;
+    if (status === 'completed') {
+      const videoDoc = await db.collection('videos').doc(jobId).get();
+      edl = videoDoc.exists ? videoDoc.data().edl || null : null;
+    }
+
     // Return job status
     return res.status(200).json({
       success: true,
@@ -264,6 +293,13 @@ async function handleVideoStatus(req, res, jobId) {
       artist: jobData.artist,
       duration: jobData.duration,
       videoUrl: videoUrl,
+      renditions: jobData.renditions || null,
+      priority: jobData.priority || 0,
+      cancelRequested: jobData.cancelRequested === true,
+      progress: jobData.progress || null,
+      seed: jobData.seed ?? null,
+      renderChoices: jobData.renderChoices || null,
+      edl,
       error: jobData.error || null,
       createdAt: jobData.createdAt?.toDate?.()?.toISOString() || jobData.createdAt,
       completedAt: jobData.completedAt?.toDate?.()?.toISOString() || jobData.completedAt,
@@ -280,3 +316,100 @@ async function handleVideoStatus(req, res, jobId) {
   }
 }
 
+/**
+ * Cancel a video job
+ * Pending jobs are cancelled immediately; processing jobs get cancelRequested and the worker
+ * kills its ffmpeg processes, cleans up and sets status 'cancelled'
+ */
+async function handleCancelJob(req, res, jobId) {
+  try {
+    initializeFirebaseAdmin();
+    const db = getFirestore();
+    const jobRef = db.collection('videoJobs').doc(jobId);
+    const reason = (req.body && typeof req.body.reason === 'string' && req.body.reason.trim()) || 'Cancelled by user';
+
+    const result = await db.runTransaction(async (transaction) => {
+      const jobDoc = await transaction.get(jobRef);
+      if (!jobDoc.exists) {
+        return { code: 404, body: { success: false, error: 'Job not found', message: `No job found with ID: ${jobId}` } };
+      }
+
+      const jobData = jobDoc.data();
+      const status = jobData.status || jobData.metadata?.status || 'pending';
+
+      if (status === 'pending') {
+        transaction.update(jobRef, {
+          status: 'cancelled',
+          cancelRequested: true,
+          cancelReason: reason,
+          completedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { code: 200, body: { success: true, jobId, status: 'cancelled' } };
+      }
+      if (status === 'processing') {
+        transaction.update(jobRef, {
+          cancelRequested: true,
+          cancelReason: reason,
+          cancelRequestedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { code: 202, body: { success: true, jobId, status: 'processing', cancelRequested: true, message: 'Cancellation requested. The worker will stop the render shortly.' } };
+      }
+      return { code: 409, body: { success: false, error: `Job is already ${status} and cannot be cancelled` } };
+    });
+
+    console.log(`[Cancel Job] Job ${jobId}: ${result.code} ${result.body.status || result.body.error}`);
+    return res.status(result.code).json(result.body);
+
+  } catch (error) {
+    console.error('[Cancel Job] Error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to cancel job',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Change the queue priority of a pending job (higher runs first, default 0)
+ */
+async function handleJobPriority(req, res, jobId) {
+  const priority = req.body ? req.body.priority : undefined;
+  if (!Number.isInteger(priority) || priority < MIN_PRIORITY || priority > MAX_PRIORITY) {
+    return res.status(400).json({
+      success: false,
+      error: `priority must be an integer between ${MIN_PRIORITY} and ${MAX_PRIORITY}`
+    });
+  }
+
+  try {
+    initializeFirebaseAdmin();
+    const db = getFirestore();
+    const jobRef = db.collection('videoJobs').doc(jobId);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const jobDoc = await transaction.get(jobRef);
+      if (!jobDoc.exists) {
+        return { code: 404, body: { success: false, error: 'Job not found', message: `No job found with ID: ${jobId}` } };
+      }
+      const jobData = jobDoc.data();
+      const status = jobData.status || jobData.metadata?.status || 'pending';
+      if (status !== 'pending') {
+        return { code: 409, body: { success: false, error: `Only pending jobs can be reprioritized (job is ${status})` } };
+      }
+      transaction.update(jobRef, { priority });
+      return { code: 200, body: { success: true, jobId, status, priority } };
+    });
+
+    console.log(`[Job Priority] Job ${jobId}: ${result.code} priority=${priority}`);
+    return res.status(result.code).json(result.body);
+
+  } catch (error) {
+    console.error('[Job Priority] Error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update job priority',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Analyse every artist mix into the Firestore mixAnalysis collection
+ * Mixes already analysed (current version) are skipped unless --force is given. Measured durations replace
+ * the listed mixDuration strings in system/artists.
+ *
+ * Usage: node worker/analyze-mixes.js [--force] [--artist "Name"] [--url <mix url>]
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from 'dotenv';
+import { initializeFirebaseAdmin, getFirestore } from './firebase-admin.js';
+import { MixAnalysisStore, formatMixDuration } from './lib/MixAnalysis.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+config({ path: path.join(__dirname, '..', '.env') });
+config({ path: path.join(__dirname, '.env') });
+
+function getArg(name) {
+  const index = process.argv.indexOf(name);
+  return index >= 0 ? process.argv[index + 1] : null;
+}
+
+/**
+ * Artists from Firestore (system/artists), falling back to the sample data
+ * @returns {Promise<{artists: Object[], db: Object|null}>} db is set when the artists came from Firestore
+ */
+async function loadArtists() {
+  try {
+    initializeFirebaseAdmin();
+    const db = getFirestore();
+    const artistsDoc = await db.collection('system').doc('artists').get();
+    if (artistsDoc.exists && Array.isArray(artistsDoc.data().artists)) {
+      return { artists: artistsDoc.data().artists, db };
+    }
+  } catch (error) {
+    console.warn('[AnalyzeMixes] Firebase unavailable, using sample artists:', error.message);
+  }
+  const artists = await fs.readJson(path.join(__dirname, 'data', 'sample-artists.json'));
+  return { artists, db: null };
+}
+
+/**
+ * Write measured durations into system/artists - re-read in a transaction, so artists and mixes edited while the
+ * analysis ran are kept and only mixDuration changes
+ * @param {Map<string, string>} measuredDurations - Mix URL -> measured "MM:SS"
+ * @returns {Promise<number>} How many mixDuration values changed
+ */
+async function updateMixDurations(db, measuredDurations) {
+  const artistsRef = db.collection('system').doc('artists');
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(artistsRef);
+    if (!doc.exists || !Array.isArray(doc.data().artists)) return 0;
+    let changed = 0;
+    const artists = doc.data().artists.map(artist => {
+      if (!Array.isArray(artist.mixes)) return artist;
+      const mixes = artist.mixes.map(mix => {
+        const measured = measuredDurations.get(mix.mixArweaveURL);
+        if (!measured || mix.mixDuration === measured) return mix;
+        changed++;
+        return { ...mix, mixDuration: measured };
+      });
+      return { ...artist, mixes };
+    });
+    if (changed > 0) {
+      transaction.update(artistsRef, { artists });
+    }
+    return changed;
+  });
+}
+
+async function main() {
+  const force = process.argv.includes('--force');
+  const onlyArtist = getArg('--artist');
+  const onlyUrl = getArg('--url');
+
+  const { artists, db } = await loadArtists();
+  const store = new MixAnalysisStore(db ? { db } : {});
+  const mixes = artists
+    .filter(artist => !onlyArtist || artist.artistName === onlyArtist)
+    .flatMap(artist => (artist.mixes || []).map(mix => ({ artist, mix })))
+    .filter(({ mix }) => mix.mixArweaveURL && (!onlyUrl || mix.mixArweaveURL === onlyUrl));
+
+  console.log(`[AnalyzeMixes] ${mixes.length} mixes to check${force ? ' (re-analysing all)' : ''}`);
+
+  let analysed = 0;
+  let failed = 0;
+  const measuredDurations = new Map(); // Mix URL -> measured "MM:SS", for the listed durations that are off
+  for (const [index, { artist, mix }] of mixes.entries()) {
+    const label = `${index + 1}/${mixes.length} ${artist.artistName} - "${mix.mixTitle}"`;
+    try {
+      const stored = force ? null : await store.get(mix.mixArweaveURL);
+      const mixAnalysis = stored || await store.analyze(mix.mixArweaveURL);
+      if (!stored) analysed++;
+
+      const measured = formatMixDuration(mixAnalysis.duration);
+      if (mix.mixDuration !== measured) {
+        console.log(`[AnalyzeMixes] ${label}: listed ${mix.mixDuration || '?'}, measured ${measured}`);
+        measuredDurations.set(mix.mixArweaveURL, measured);
+      } else {
+        console.log(`[AnalyzeMixes] ${label}: ${stored ? 'already analysed' : 'analysed'}`);
+      }
+    } catch (error) {
+      failed++;
+      console.error(`[AnalyzeMixes] ❌ ${label}: ${error.message}`);
+    }
+  }
+
+  if (db && measuredDurations.size > 0) {
+    const durationsFixed = await updateMixDurations(db, measuredDurations);
+    console.log(`[AnalyzeMixes] ✅ Updated ${durationsFixed} mixDuration values in system/artists`);
+  }
+
+  console.log(`[AnalyzeMixes] Done: ${analysed} analysed, ${mixes.length - analysed - failed} already stored, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('[AnalyzeMixes] ❌ Failed:', error.message);
+  process.exit(1);
+});
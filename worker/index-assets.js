@@ -0,0 +1,43 @@
+/**
+ * Index every footage clip in the bucket into the Firestore assets collection
+ * Clips already indexed (current version, unchanged in Storage) are skipped unless --force is given. Records of
+ * clips that are no longer in the bucket are removed. A run over the whole bucket (no --prefix) switches renders and
+ * the folder browser from listing the bucket to the index.
+ *
+ * Usage: node worker/index-assets.js [--force] [--prefix <folder/>]
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from 'dotenv';
+import { initializeFirebaseAdmin } from './firebase-admin.js';
+import { AssetIndex } from './lib/AssetIndex.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+config({ path: path.join(__dirname, '..', '.env') });
+config({ path: path.join(__dirname, '.env') });
+
+function getArg(name) {
+  const index = process.argv.indexOf(name);
+  return index >= 0 ? process.argv[index + 1] : null;
+}
+
+async function main() {
+  const force = process.argv.includes('--force');
+  const prefix = getArg('--prefix') || '';
+
+  initializeFirebaseAdmin();
+  console.log(`[IndexAssets] Syncing ${prefix || 'the whole bucket'}${force ? ' (re-measuring all)' : ''}`);
+
+  const result = await new AssetIndex().sync({ force, prefix });
+
+  console.log(`[IndexAssets] Done: ${result.indexed} indexed, ${result.unchanged} unchanged, ${result.removed} removed, ${result.failed} failed`);
+  process.exit(result.failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('[IndexAssets] ❌ Failed:', error.message);
+  process.exit(1);
+});
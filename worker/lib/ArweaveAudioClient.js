@@ -5,6 +5,10 @@ import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import { execSync } from 'child_process';
 import ffmpegStatic from 'ffmpeg-static';
+import { trackChildProcess, throwIfJobCancelled } from './JobCancellation.js';
+import { reportFFmpegTime, parseFFmpegTimestamp } from './ProgressReporter.js';
+import { randomStream } from './SeededRandom.js';
+import { ExcerptSelector } from './ExcerptSelector.js';
 
 // Configure FFmpeg - try multiple sources
 let ffmpegConfigured = false;
@@ -49,6 +53,9 @@ class ArweaveAudioClient {
     // Ensure output directory exists
     this.outputDir = path.join(process.cwd(), 'content', 'audio');
     fs.ensureDirSync(this.outputDir);
+
+    // Picks where in a mix the clip starts (phrase-aligned peak by default)
+    this.excerptSelector = new ExcerptSelector();
   }
 
   /**
@@ -233,7 +240,7 @@ class ArweaveAudioClient {
     
     // Fallback to random artist if not found
     if (!selectedArtist) {
-      selectedArtist = this.artistsData[Math.floor(Math.random() * this.artistsData.length)];
+      selectedArtist = randomStream('audio').pick(this.artistsData);
     }
     
     // Get random mix from that artist
@@ -252,7 +259,7 @@ class ArweaveAudioClient {
       throw new Error(`Artist ${selectedArtist.artistName} has no mixes with valid Arweave URLs`);
     }
     
-    const randomMix = validMixes[Math.floor(Math.random() * validMixes.length)];
+    const randomMix = randomStream('audio').pick(validMixes);
     
     console.log(`[ArweaveAudioClient] Selected mix: ${randomMix.mixTitle} (${validMixes.length} valid mixes available)`);
     
@@ -288,7 +295,7 @@ class ArweaveAudioClient {
     
     // Fallback to random artist if not found
     if (!selectedArtist) {
-      selectedArtist = this.artistsData[Math.floor(Math.random() * this.artistsData.length)];
+      selectedArtist = randomStream('audio').pick(this.artistsData);
     }
     
     // Get random track from that artist
@@ -307,7 +314,7 @@ class ArweaveAudioClient {
       throw new Error(`Artist ${selectedArtist.artistName} has no trax with valid URLs`);
     }
     
-    const randomTrack = validTrax[Math.floor(Math.random() * validTrax.length)];
+    const randomTrack = randomStream('audio').pick(validTrax);
     
     console.log(`[ArweaveAudioClient] Selected track: ${randomTrack.trackTitle} (${validTrax.length} valid trax available)`);
     
@@ -430,6 +437,7 @@ class ArweaveAudioClient {
               if (progress.percent) {
                 console.log(`[ArweaveAudioClient] Progress: ${Math.round(progress.percent)}% done`);
               }
+              reportFFmpegTime(parseFFmpegTimestamp(progress.timemark), duration);
             })
             .on('end', () => {
               console.log(`[ArweaveAudioClient] Segment download completed: ${path.basename(outputPath)}`);
@@ -446,6 +454,7 @@ class ArweaveAudioClient {
               reject(error);
             })
             .run();
+          trackChildProcess(command); // Killed if the job is cancelled mid-download
         });
 
       } catch (error) {
@@ -459,6 +468,9 @@ class ArweaveAudioClient {
           // Ignore cleanup errors
         }
         
+        // Don't retry cancelled jobs
+        throwIfJobCancelled('audio download retry');
+
         // If this is the last attempt, throw the error
         if (attempt === maxRetries) {
           throw new Error(`Failed to download segment after ${maxRetries} attempts. Last error: ${error.message}`);
@@ -636,6 +648,7 @@ class ArweaveAudioClient {
       let lastError;
       
       for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        throwIfJobCancelled('audio selection');
         try {
           console.log(`[ArweaveAudioClient] Attempt ${attempt}/${maxAttempts} for artist/${useTrax ? 'track' : 'mix'} selection`);
           
@@ -683,6 +696,7 @@ class ArweaveAudioClient {
           // For tracks (30 sec max snippets), download the full file directly
           // For mixes, parse duration and extract a segment
           let totalDurationSeconds, startTime, finalPath, fileName;
+          let excerpt = null; // How the mix start time was chosen (mixes only)
           
           if (useTrax) {
             // Tracks are already 30 sec max snippets - download full file
@@ -698,12 +712,15 @@ class ArweaveAudioClient {
             fileName = `arweave_clip_${selectedArtist.artistName.replace(/[^a-zA-Z0-9]/g, '_')}_${Date.now()}.m4a`;
             finalPath = path.join(this.outputDir, fileName);
             
-            // Calculate random start time for variety
-            const maxStartTime = Math.max(0, totalDurationSeconds - requestedDuration - 10);
-            startTime = totalDurationSeconds > requestedDuration ? 
-              Math.floor(Math.random() * maxStartTime) : 0;
+            // Choose the excerpt: phrase-aligned peak by default, intro, uniform random or a fixed start
+            excerpt = await this.excerptSelector.selectExcerpt(audioUrl, totalDurationSeconds, requestedDuration, options.excerpt);
+            startTime = excerpt.startTime;
+            if (excerpt.mixAnalysis) {
+              // Listed mixDuration strings are hand-typed and often wrong
+              totalDurationSeconds = excerpt.mixAnalysis.duration;
+            }
             
-            console.log(`[ArweaveAudioClient] Random sampling: ${requestedDuration}s from ${totalDurationSeconds}s total, starting at ${startTime}s`);
+            console.log(`[ArweaveAudioClient] Excerpt (${excerpt.mode}${excerpt.phraseAligned ? ', phrase-aligned' : ''}): ${requestedDuration}s from ${totalDurationSeconds}s total, starting at ${startTime}s`);
           }
 
           // Create metadata - always use BAI-EE for tracks
@@ -719,20 +736,7 @@ class ArweaveAudioClient {
               // For tracks, download the full file directly (it's already a 30s snippet)
               // Use axios to download directly since we don't need to segment
               console.log(`[ArweaveAudioClient] Downloading track directly from: ${audioUrl}`);
-              const response = await axios({
-                url: audioUrl,
-                method: 'GET',
-                responseType: 'stream',
-                timeout: 60000
-              });
-              
-              const writer = fs.createWriteStream(finalPath);
-              response.data.pipe(writer);
-              
-              await new Promise((resolve, reject) => {
-                writer.on('finish', resolve);
-                writer.on('error', reject);
-              });
+              await this.downloadFile(audioUrl, finalPath);
               
               console.log(`[ArweaveAudioClient] Track downloaded: ${fileName}`);
             } else {
@@ -767,6 +771,8 @@ class ArweaveAudioClient {
               trackData: useTrax ? audioSource : undefined, // Add trackData for trax
               duration: requestedDuration,
               startTime: startTime,
+              excerpt: excerpt ? excerpt.mode : null, // peak | intro | random | start
+              mixAnalysis: excerpt ? excerpt.mixAnalysis : null, // Whole-mix analysis (beat grid, key, loudness) when available
               arweaveUrl: audioUrl,
               totalDuration: totalDurationSeconds,
               fileSize: fileStats.size,
@@ -811,6 +817,96 @@ class ArweaveAudioClient {
     }
   }
 
+  /**
+   * Download a file (e.g. a 30s track) as-is
+   */
+  async downloadFile(url, outputPath) {
+    const response = await axios({
+      url,
+      method: 'GET',
+      responseType: 'stream',
+      timeout: 60000
+    });
+
+    const writer = fs.createWriteStream(outputPath);
+    response.data.pipe(writer);
+
+    await new Promise((resolve, reject) => {
+      writer.on('finish', resolve);
+      writer.on('error', reject);
+    });
+  }
+
+  /**
+   * Find a listed mix by its Arweave URL
+   * @returns {Promise<{artist: Object, mix: Object}|null>}
+   */
+  async findMixByUrl(url) {
+    await this.ensureArtistsLoaded();
+    for (const artist of this.artistsData || []) {
+      const mix = (artist.mixes || []).find(entry => entry.mixArweaveURL === url);
+      if (mix) return { artist, mix };
+    }
+    return null;
+  }
+
+  /**
+   * Generate an audio clip from a known source (EDL re-render): same URL, offset and duration, no random picks
+   * @param {Object} source - { url, offset, duration, artist, title, isTrax } from an edit decision list
+   */
+  async generateAudioClipFromSource(source, fadeInDuration = 2, fadeOutDuration = 2) {
+    const useTrax = source.isTrax === true;
+    const offset = useTrax ? 0 : (source.offset || 0);
+    const artistName = source.artist || (useTrax ? 'BAI-EE' : 'Unknown');
+    const title = source.title || 'Unknown';
+    console.log(`[ArweaveAudioClient] 🎵 Audio from EDL: ${artistName} - "${title}" (${source.duration}s from ${offset}s)`);
+
+    throwIfJobCancelled('audio');
+    const fileName = `${useTrax ? 'track' : 'arweave_clip'}_${artistName.replace(/[^a-zA-Z0-9]/g, '_')}_${Date.now()}.m4a`;
+    const finalPath = path.join(this.outputDir, fileName);
+    const metadata = {
+      artist: artistName,
+      title,
+      album: useTrax ? 'Track' : 'Mix',
+      genre: null
+    };
+
+    try {
+      if (useTrax) {
+        await this.downloadFile(source.url, finalPath);
+      } else {
+        await this.downloadSegmentDirectly(source.url, offset, source.duration, finalPath, fadeInDuration, fadeOutDuration, metadata);
+      }
+
+      const fileStats = await fs.stat(finalPath);
+      if (fileStats.size === 0) {
+        throw new Error('Generated audio file is empty');
+      }
+
+      // Listed artist / mix for branding and tracklist captions - the render doesn't depend on it
+      const listed = useTrax ? null : await this.findMixByUrl(source.url).catch(() => null);
+
+      return {
+        audioPath: finalPath,
+        fileName,
+        artist: artistName,
+        artistData: listed ? listed.artist : undefined,
+        mixTitle: useTrax ? undefined : title,
+        mixData: listed ? listed.mix : undefined,
+        trackTitle: useTrax ? title : undefined,
+        duration: source.duration,
+        startTime: offset,
+        arweaveUrl: source.url,
+        fileSize: fileStats.size,
+        metadata,
+        isTrax: useTrax
+      };
+    } catch (error) {
+      await fs.remove(finalPath).catch(() => {});
+      throw new Error(`Audio generation from EDL failed: ${error.message}`);
+    }
+  }
+
   /**
    * Generate mock audio clip for Railway environment
    */
@@ -8,7 +8,33 @@ import { ArweaveAudioClient } from './ArweaveAudioClient.js';
 import { VideoLoader } from './VideoLoader.js';
 import { VideoCompositor, CompositionConfig, LayerConfig } from './VideoCompositor.js';
 import { VideoSegmentCompositor } from './VideoSegmentCompositor.js';
-import axios from 'axios';
+import { ImageLoader } from './ImageLoader.js';
+import { ColorPalette, buildPaletteTextStyle } from './ColorPalette.js';
+import { BeatDetector } from './BeatDetector.js';
+import {
+    DEFAULT_TEMPLATE,
+    loadTemplate,
+    resolveLayerGeometry,
+    resolveLayerTiming,
+    resolveOpacity,
+    resolveTextLines,
+    resolveTextLineSpecs,
+    resolveCaptionLayout,
+    resolveFades
+} from './CompositionTemplates.js';
+import { buildCaptionCues, trimCaptionCues, formatWebVTT, formatSRT } from './Captions.js';
+import { resolveTextStyle, validateTextStyle } from './TextStyles.js';
+import { throwIfJobCancelled } from './JobCancellation.js';
+import { InvalidJobError } from './JobQueue.js';
+import { reportStage, reportSpan } from './ProgressReporter.js';
+import { randomStream, recordChoice } from './SeededRandom.js';
+import { buildEditDecisionList, validateEditDecisionList, edlToSegmentPlan } from './EditDecisionList.js';
+import { resolveReactiveOptions, buildAudioEnvelopes, findSwitchPoints } from './AudioReactive.js';
+import { clipBeatGrid } from './MixAnalysis.js';
+import { AudioMastering, resolveMasteringOptions } from './AudioMastering.js';
+import { resolveStillMotion } from './StillMotion.js';
+import { getFilter, matchVideoFilter } from './VideoFilters.js';
+import { getAssetCache } from './AssetCache.js';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
@@ -34,16 +60,19 @@ class ArweaveVideoGenerator {
         this.videoLoader = new VideoLoader();
         this.videoCompositor = new VideoCompositor();
         this.segmentCompositor = new VideoSegmentCompositor();
+        this.beatDetector = new BeatDetector(); // Audio-reactive envelopes
+        this.audioMastering = new AudioMastering(); // Loudness normalisation of the clip
+        this.imageLoader = new ImageLoader(); // Artist photo / mix cover for artwork videos
+        this.colorPalette = new ColorPalette(); // Palette of the artwork, tints overlays and text
         this.tempDir = path.join(process.cwd(), 'temp-uploads');
         this.videosDir = path.join(process.cwd(), 'outputs', 'videos');
         this.backgroundsDir = path.join(process.cwd(), 'outputs', 'backgrounds');
-        this.cacheDir = path.join(process.cwd(), 'outputs', 'image-cache');
+        this.assetCache = getAssetCache(); // Logos and overlay clips, shared with the loaders
         
         // Ensure directories exist
         fs.ensureDirSync(this.tempDir);
         fs.ensureDirSync(this.videosDir);
         fs.ensureDirSync(this.backgroundsDir);
-        fs.ensureDirSync(this.cacheDir);
     }
 
     /**
@@ -316,16 +345,17 @@ class ArweaveVideoGenerator {
 
     /**
      * Generate video with audio and proper visuals
+     * With options.edl the edit decision list is rendered verbatim: same audio offset, segment in/out points,
+     * transitions, logo and overlay clips (size, filter and template still come from the options)
      */
     async generateVideoWithAudio(options = {}, existingAudioResult = null) {
-        // Store overlay opacity from options for use in layer creation
-        this.currentOverlayOpacity = options.overlayOpacity !== undefined ? options.overlayOpacity : 0.5;
         const {
-            duration = 30,
+            duration: requestedDuration = 30,
             artist = null,
             prompt = null,
             width = 720,
             height = 720,
+            aspectRatio = null, // Aspect ratio key (e.g. '9:16') recorded in metadata - width/height drive the render
             fadeIn = 2,
             fadeOut = 2,
             videoFilter = null,
@@ -334,12 +364,47 @@ class ArweaveVideoGenerator {
             enableOverlay = true, // Overlay feature toggle (default: true)
             overlayEffect = null, // Specific overlay effect name or null for random
             topLogo = null, // Top logo filename or null for random
-            endLogo = null // End logo filename or null for random
+            endLogo = null, // End logo filename or null for random
+            template: templateName = DEFAULT_TEMPLATE, // Composition template name (worker/templates/<name>.json)
+            deliverables = null, // Optional renditions [{ name, width, height, aspectRatio, resolution, duration, videoFilter }]
+            transitions = null, // Transition style or weighted mix (see Transitions.js), null for half cuts / half fades
+            footage = null, // Tag query, weights and must-include / never-use clips for the segments (see FootageQuery.js)
+            excerpt = null, // Where the clip starts in the mix: 'peak' (default), 'intro', 'random' or { start } (see ExcerptSelector.js)
+            audioReactive = null, // true or { zoom, filter, overlay, logo } to make visuals follow the mix (see AudioReactive.js)
+            mastering = null, // null / true for -14 LUFS, false to skip, or { target, truePeak, eq } (see AudioMastering.js)
+            textStyle = null, // Text style over the template's and the artist's (font, colour, animation - see TextStyles.js)
+            captions = true, // "Now playing" lower-thirds and WebVTT / SRT sidecars from the mix tracklist, false to skip
+            visualSource = 'footage', // 'footage' (folder clips, then generated stills) or 'artwork' (artist photo, mix cover, related covers)
+            stillMotion: stillMotionOption = null, // Motion for still backgrounds: preset or { preset, intensity, direction }, false for static (see StillMotion.js)
+            autoLook = null, // { intensity } to pick the video filter from the footage's and artwork's colours (intensity null = automatic)
+            edl = null // Edit decision list to render verbatim (see EditDecisionList.js)
         } = options;
 
+        // Bad options fail here, before any download - and without retries, they'd fail the same way every time
+        if (edl) {
+            const edlError = validateEditDecisionList(edl);
+            if (edlError) {
+                throw new InvalidJobError(`Invalid EDL: ${edlError}`);
+            }
+        }
+        let template;
+        try {
+            template = loadTemplate(templateName);
+        } catch (error) {
+            throw new InvalidJobError(error.message);
+        }
+        const duration = edl ? edl.duration : requestedDuration;
+
+        // Every rendition shares the audio, segment cuts and logos - only canvas size, length and filter differ
+        const renditionSpecs = this.resolveRenditionSpecs(deliverables, { width, height, aspectRatio, duration, videoFilter });
+        const primarySpec = renditionSpecs[0];
+
         console.log(`[ArweaveVideoGenerator] Starting video generation - ${duration}s for ${artist || 'random artist'}`);
-        console.log(`[ArweaveVideoGenerator] 🎬 Using Mix Archive configuration: paper overlay + "Mix Archive" text`);
-        console.log(`[ArweaveVideoGenerator] 🎨 Filter: ${videoFilter ? 'Custom filter applied' : 'Default (B&W)'}`);
+        console.log(`[ArweaveVideoGenerator] 🎬 Using template "${template.name || templateName}"`);
+        console.log(`[ArweaveVideoGenerator] 🎨 Filter: ${autoLook ? 'Auto (matched to the footage)' : videoFilter ? 'Custom filter applied' : 'Default (B&W)'}`);
+        if (renditionSpecs.length > 1) {
+            console.log(`[ArweaveVideoGenerator] 📦 Deliverables: ${renditionSpecs.map(spec => `${spec.name} (${spec.width}x${spec.height}, ${spec.duration}s)`).join(', ')}`);
+        }
 
         try {
             let audioResult;
@@ -349,11 +414,16 @@ class ArweaveVideoGenerator {
                 console.log('[ArweaveVideoGenerator] Using provided audio clip...');
                 audioResult = existingAudioResult;
             } else {
+                throwIfJobCancelled('audio');
+                reportStage('audio');
                 console.log('[ArweaveVideoGenerator] Step 1: Generating Arweave audio clip...');
-                audioResult = await this.audioClient.generateAudioClip(duration, fadeIn, fadeOut, prompt, { 
-                    artist,
-                    useTrax: useTrax // Pass useTrax flag to audio client
-                });
+                audioResult = edl
+                    ? await this.audioClient.generateAudioClipFromSource(edl.audio, fadeIn, fadeOut)
+                    : await this.audioClient.generateAudioClip(duration, fadeIn, fadeOut, prompt, { 
+                        artist,
+                        useTrax: useTrax, // Pass useTrax flag to audio client
+                        excerpt
+                    });
                 console.log(`[ArweaveVideoGenerator] Audio generated: ${audioResult.artist} - ${audioResult.mixTitle || audioResult.trackTitle}`);
             }
 
@@ -369,21 +439,113 @@ class ArweaveVideoGenerator {
             const audioMixTitle = audioResult.mixTitle || audioResult.trackTitle || 'Unknown';
             const audioDuration = audioResult.duration;
             const audioArweaveUrl = audioResult.arweaveUrl;
+            recordChoice('audio', {
+                artist: audioArtist,
+                title: audioMixTitle,
+                arweaveUrl: audioArweaveUrl || null,
+                startTime: audioResult.startTime || 0,
+                excerpt: audioResult.excerpt || null,
+                duration: audioDuration,
+                isTrax: Boolean(audioResult.isTrax)
+            });
+
+            // Same loudness for every clip - a failed master only leaves the clip as downloaded
+            const masteringSettings = resolveMasteringOptions(mastering);
+            let loudness = audioResult.loudness || null; // Already mastered when a clip is passed in
+            if (masteringSettings && !loudness) {
+                try {
+                    loudness = await this.audioMastering.master(audioFilePath, masteringSettings);
+                    audioResult.loudness = loudness;
+                } catch (error) {
+                    throwIfJobCancelled('mastering');
+                    console.warn(`[ArweaveVideoGenerator] ⚠️ Mastering failed, using the clip as downloaded: ${error.message}`);
+                }
+            }
+
+            // Beats of the excerpt from the whole-mix analysis - spares re-detecting them on the clip
+            const beatGrid = clipBeatGrid(audioResult.mixAnalysis, audioResult.startTime || 0, audioDuration);
+
+            // "Now playing" cues for the tracks the excerpt covers (mixes with a tracklist only)
+            const captionCues = captions !== false && !audioResult.isTrax && audioResult.mixData
+                ? buildCaptionCues(audioResult.mixData.tracklist, audioResult.startTime || 0, audioDuration)
+                : [];
+            if (captionCues.length > 0) {
+                console.log(`[ArweaveVideoGenerator] 💬 Captions: ${captionCues.map(cue => `${cue.start}s ${cue.text}`).join(' | ')}`);
+            }
+
+            // Audio-reactive visuals follow envelopes of this clip - a failed analysis only switches them off
+            const reactiveOptions = resolveReactiveOptions(audioReactive);
+            let reactive = null;
+            if (reactiveOptions) {
+                try {
+                    const analysis = await this.beatDetector.analyzeOnsets(audioFilePath);
+                    reactive = { ...reactiveOptions, envelopes: buildAudioEnvelopes(analysis) };
+                    console.log(`[ArweaveVideoGenerator] 🔊 Audio-reactive envelopes: ${reactive.envelopes.frameCount} frames (${Object.keys(reactiveOptions).filter(effect => reactiveOptions[effect]).join(', ')})`);
+                } catch (error) {
+                    console.warn(`[ArweaveVideoGenerator] ⚠️ Audio analysis failed, rendering without audio-reactive visuals: ${error.message}`);
+                }
+            }
 
             // Step 2: Create 30-second video from 5-second segments
+            throwIfJobCancelled('segments');
+            reportStage('segments');
             console.log('[ArweaveVideoGenerator] Step 2: Creating video from segments...');
             let backgroundPath = null;
+            let segmentPlan = null; // Source videos + start times, re-rendered for other rendition sizes
             let useVideoBackground = false;
-            
+            let artworkPlan = null; // Artwork slides, re-rendered for other rendition sizes
+            let palette = null; // Colours of the artwork (artwork mode) or the footage (auto look)
+
+            // Artwork mode: slideshow of the artist photo, mix cover and the artist's other covers - footage if none load
+            if (visualSource === 'artwork' && !edl) {
+                const artwork = audioResult.artistData
+                    ? await this.imageLoader.loadArtwork(audioResult.artistData, audioResult.mixData || null)
+                    : [];
+                if (artwork.length > 0) {
+                    // Only an explicit stillMotion replaces the slideshow's own moves
+                    const explicitMotion = typeof stillMotionOption === 'string' || (stillMotionOption && typeof stillMotionOption === 'object');
+                    artworkPlan = this.segmentCompositor.planArtworkSlideshow(artwork, duration, {
+                        beatGrid,
+                        transitions,
+                        stillMotion: explicitMotion ? resolveStillMotion(stillMotionOption) : null
+                    });
+                    try {
+                        palette = await this.colorPalette.extract(artwork.map(image => image.path));
+                    } catch (error) {
+                        throwIfJobCancelled('palette');
+                        console.warn(`[ArweaveVideoGenerator] ⚠️ Palette extraction failed, keeping the template colours: ${error.message}`);
+                    }
+                    recordChoice('artwork', {
+                        images: artwork.map(image => ({ type: image.type, reference: image.reference })),
+                        palette: palette ? palette.colors : null
+                    });
+                } else {
+                    console.warn(`[ArweaveVideoGenerator] ⚠️ No artwork found for ${audioArtist} - falling back to footage`);
+                }
+            }
+
             // Check if we're using tracks (original music) or mixes (DJ mixes)
             // useTrax is already extracted from options at line 303
             // Both tracks and mixes now use the same unified approach with all folders
             // For tracks: use file references (on-demand download)
             // For mixes: download all videos upfront (backward compatibility)
-            if (useTrax) {
+            if (edl) {
+                // EDL: same source files, in/out points and transitions - no fallback, a missing source fails the job
+                console.log(`[ArweaveVideoGenerator] 📋 EDL mode: rendering ${edl.segments.length} segments verbatim`);
+                segmentPlan = await this.loadEditPlan(edl);
+                backgroundPath = await this.segmentCompositor.renderSegmentPlan(segmentPlan, primarySpec);
+                useVideoBackground = true;
+            } else if (artworkPlan) {
+                console.log(`[ArweaveVideoGenerator] 🖼️ ARTWORK mode: rendering ${artworkPlan.slides.length} slide(s)`);
+                backgroundPath = await this.segmentCompositor.renderArtworkSlideshow(artworkPlan, primarySpec);
+                useVideoBackground = true;
+            } else if (useTrax) {
                 // For tracks: Get video file references (metadata only, no download yet)
                 console.log(`[ArweaveVideoGenerator] 🎵 TRACKS mode: Getting video file references from selected folders: [${selectedFolders.join(', ')}]`);
                 const groupedVideos = await this.videoLoader.loadTrackVideoReferences(true, selectedFolders);
+                if (footage && footage.include) {
+                    await this.videoLoader.addClipReferences(groupedVideos, footage.include);
+                }
                 
                 // Calculate totals from all folders
                 const totalVideos = Object.values(groupedVideos).reduce((sum, arr) => sum + arr.length, 0);
@@ -407,12 +569,15 @@ class ArweaveVideoGenerator {
                         // Create 30-second video from random 5-second segments with equal distribution
                         // Videos will be downloaded on-demand in VideoSegmentCompositor
                         console.log(`[ArweaveVideoGenerator] Attempting to create video from ${totalVideos} video references...`);
-                        backgroundPath = await this.segmentCompositor.createVideoFromSegments(
+                        const segmentResult = await this.segmentCompositor.createVideoFromSegments(
                             groupedVideos, // Pass grouped structure with file references (not paths)
                             duration,
                             5, // 5-second segments
-                            audioFilePath // Pass audio path for BPM detection
+                            audioFilePath, // Pass audio path for BPM detection
+                            { width: primarySpec.width, height: primarySpec.height, returnPlan: true, transitions, beatGrid, footage } // First rendition's canvas size, transition style, mix beat grid, footage constraints
                         );
+                        backgroundPath = segmentResult && segmentResult.outputPath;
+                        segmentPlan = segmentResult && segmentResult.plan;
                         
                         // Verify the video was actually created
                         if (!backgroundPath) {
@@ -442,10 +607,14 @@ class ArweaveVideoGenerator {
             } else {
                 // For mixes: Load video REFERENCES from selected folders (on-demand download, not all upfront)
                 // Use normalized folder names (without assets/ prefix) - VideoLoader will map to correct Firebase paths
-                const defaultFolders = selectedFolders.length > 0 ? selectedFolders : ['skyline', 'chicago-skyline-videos'];
+                // A footage query picks from every folder when none is selected
+                const defaultFolders = selectedFolders.length > 0 || (footage && footage.query) ? selectedFolders : ['skyline', 'chicago-skyline-videos'];
                 console.log(`[ArweaveVideoGenerator] 🎬 MIXES mode: Loading video references from selected folders: [${defaultFolders.join(', ')}]`);
                 console.log(`[ArweaveVideoGenerator] 📋 Original selectedFolders parameter: [${selectedFolders.join(', ')}]`);
                 const groupedVideos = await this.videoLoader.loadTrackVideoReferences(true, defaultFolders);
+                if (footage && footage.include) {
+                    await this.videoLoader.addClipReferences(groupedVideos, footage.include);
+                }
                 
                 // Calculate totals from all folders
                 const totalVideos = Object.values(groupedVideos).reduce((sum, arr) => sum + arr.length, 0);
@@ -471,12 +640,15 @@ class ArweaveVideoGenerator {
                     try {
                         // Create 30-second video from random 5-second segments with transitions and beat sync
                         console.log(`[ArweaveVideoGenerator] Attempting to create video from ${totalVideos} videos...`);
-                        backgroundPath = await this.segmentCompositor.createVideoFromSegments(
+                        const segmentResult = await this.segmentCompositor.createVideoFromSegments(
                             groupedVideos, // Pass grouped structure
                             duration,
                             5, // 5-second segments
-                            audioFilePath // Pass audio path for BPM detection
+                            audioFilePath, // Pass audio path for BPM detection
+                            { width: primarySpec.width, height: primarySpec.height, returnPlan: true, transitions, beatGrid, footage } // First rendition's canvas size, transition style, mix beat grid, footage constraints
                         );
+                        backgroundPath = segmentResult && segmentResult.outputPath;
+                        segmentPlan = segmentResult && segmentResult.plan;
                         
                         // Verify the video was actually created
                         if (!backgroundPath) {
@@ -509,6 +681,9 @@ class ArweaveVideoGenerator {
                 }
             }
             
+            // A cancelled job must not fall through to a fallback background
+            throwIfJobCancelled('background');
+
             // Fallback to DALL-E background if video segments not available (background only, NOT overlays)
             if (!backgroundPath && process.env.OPENAI_API_KEY) {
                 console.log('[ArweaveVideoGenerator] Generating DALL-E background (fallback only, no overlays)...');
@@ -517,513 +692,631 @@ class ArweaveVideoGenerator {
                     const { DALLEImageGenerator } = await import('./DALLEImageGenerator.js');
                     this.dalleGenerator = new DALLEImageGenerator();
                 }
-                backgroundPath = await this.dalleGenerator.generateBackgroundImage(audioArtist, prompt, width, height);
+                backgroundPath = await this.dalleGenerator.generateBackgroundImage(audioArtist, prompt, primarySpec.width, primarySpec.height);
             }
             
             // Final fallback to simple background generation
             if (!backgroundPath) {
                 console.log('[ArweaveVideoGenerator] Using fallback background generation...');
-                backgroundPath = await this.generateBackgroundImage(audioArtist, prompt, width, height);
+                backgroundPath = await this.generateBackgroundImage(audioArtist, prompt, primarySpec.width, primarySpec.height);
             }
 
-            // Step 3: Load serial_logo.png from Firebase Storage and add to center
-            console.log('[ArweaveVideoGenerator] Step 3: Loading serial_logo.png from Firebase...');
-            const layers = [];
-            let serialLogoCachePath = null; // Declare outside try block for cleanup
-            
-            try {
-                // Load serial_logo.png from Firebase Storage
-                const { getStorage } = await import('../firebase-admin.js');
-                const storage = getStorage();
-                const bucket = storage.bucket();
-                const logoStoragePath = 'logos/serial_logo.png';
-                const publicUrl = `https://storage.googleapis.com/${bucket.name}/${logoStoragePath}`;
-                
-                console.log(`[ArweaveVideoGenerator] Downloading serial_logo.png from Firebase...`);
-                
-                // Download and cache logo
-                serialLogoCachePath = path.join(this.cacheDir, `serial_logo_${Date.now()}.png`);
-                const response = await axios({
-                    url: publicUrl,
-                    method: 'GET',
-                    responseType: 'stream'
-                });
-                
-                const writer = fs.createWriteStream(serialLogoCachePath);
-                response.data.pipe(writer);
-                
-                await new Promise((resolve, reject) => {
-                    writer.on('finish', resolve);
-                    writer.on('error', reject);
-                });
-                
-                console.log(`[ArweaveVideoGenerator] ✅ Serial logo cached`);
-                
-                // Add serial logo at 100% width, centered vertically and horizontally
-                // The logo will be scaled to 100% width, maintaining aspect ratio
-                const logoWidth = width; // 100% width
-                const logoHeight = height; // Full height (will maintain aspect ratio via FFmpeg scale filter)
-                const logoX = 0; // Start at left edge (100% width fills entire canvas)
-                const logoY = Math.round((height - logoHeight) / 2); // Center vertically (will be adjusted by aspect ratio)
-                
-                layers.push(new LayerConfig(
-                    'image',
-                    serialLogoCachePath,
-                    { x: logoX, y: logoY },
-                    { width: logoWidth, height: logoHeight },
-                    1.0, // Full opacity
-                    10, // z-index (above video background)
-                    1.0 // scale
-                ));
-                
-                console.log(`[ArweaveVideoGenerator] Serial logo: ${logoWidth}x${logoHeight} (100% width), centered`);
-            } catch (error) {
-                console.warn(`[ArweaveVideoGenerator] ⚠️ Failed to load serial_logo.png:`, error.message);
-                serialLogoCachePath = null; // Clear if failed
-                // Continue without logo if it fails
+            // Still backgrounds move (Ken Burns by default) - footage is left as cut
+            const stillMotion = useVideoBackground ? null : resolveStillMotion(stillMotionOption);
+            if (stillMotion) {
+                console.log(`[ArweaveVideoGenerator] 🎞️ Still background motion: ${stillMotion.preset}${stillMotion.direction ? ` (${stillMotion.direction})` : ''}, intensity ${stillMotion.intensity}`);
             }
 
-            // Step 4: Add second logo at 40% down from top, appearing at 22 seconds (after fade starts, won't fade out)
-            console.log('[ArweaveVideoGenerator] Step 4: Loading second logo for 22s overlay from Firebase...');
-            const secondLogoStartTime = 22; // 22 seconds into video (same time fade starts, but logo won't fade)
-            let secondLogoCachePath = null; // Declare outside try block for cleanup
-            
-            try {
-                secondLogoCachePath = path.join(this.cacheDir, `second_logo_${Date.now()}.png`);
-                
-                // Load logos from Firebase Storage (excluding serial_logo.png)
-                const { getStorage } = await import('../firebase-admin.js');
-                const storage = getStorage();
-                const bucket = storage.bucket();
-                
-                console.log(`[ArweaveVideoGenerator] 📥 Loading logos from Firebase Storage (logos/ folder)...`);
-                const [logoFiles] = await bucket.getFiles({ prefix: 'logos/' });
-                const validLogos = logoFiles.filter(file => {
-                    const fileName = path.basename(file.name);
-                    // Exclude SVG files - FFmpeg cannot handle them directly
-                    return (fileName.endsWith('.png') || fileName.endsWith('.jpg')) &&
-                           fileName !== 'serial_logo.png' &&
-                           !fileName.endsWith('.keep');
-                });
-                
-                if (validLogos.length > 0) {
-                    // Use selected logo or pick random
-                    let selectedLogo;
-                    if (topLogo) {
-                        // Find the selected logo by filename
-                        selectedLogo = validLogos.find(logo => path.basename(logo.name) === topLogo);
-                        if (!selectedLogo) {
-                            console.warn(`[ArweaveVideoGenerator] ⚠️ Selected top logo "${topLogo}" not found, using random`);
-                            selectedLogo = validLogos[Math.floor(Math.random() * validLogos.length)];
+            // Auto look: analyse the cut background and the artist's artwork, then pick the filter preset that suits
+            // them - the same colours style the text and tint the logos and overlays
+            let look = null;
+            if (autoLook) {
+                throwIfJobCancelled('look');
+                try {
+                    const artwork = artworkPlan || !audioResult.artistData
+                        ? []
+                        : await this.imageLoader.loadArtwork(audioResult.artistData, audioResult.mixData || null, 2);
+                    const analysis = await this.colorPalette.analyze([backgroundPath, ...artwork.map(image => image.path)]);
+                    look = matchVideoFilter(analysis, { intensity: typeof autoLook.intensity === 'number' ? autoLook.intensity : null });
+                    if (look) {
+                        for (const spec of renditionSpecs) {
+                            spec.videoFilter = getFilter(look.key, look.intensity, spec.width, spec.height).filter;
                         }
-                    } else {
-                        // Random selection (default)
-                        selectedLogo = validLogos[Math.floor(Math.random() * validLogos.length)];
+                        palette = palette || analysis.palette;
+                        look.luminance = analysis.luminance;
+                        console.log(`[ArweaveVideoGenerator] 🎨 Auto look: ${look.name} at ${Math.round(look.intensity * 100)}%`);
+                        recordChoice('look', { key: look.key, intensity: look.intensity });
                     }
-                    
-                    const logoFileName = path.basename(selectedLogo.name);
-                    const publicUrl = `https://storage.googleapis.com/${bucket.name}/${selectedLogo.name}`;
-                    
-                    console.log(`[ArweaveVideoGenerator] Selected second logo: ${logoFileName}${topLogo ? ' (user selected)' : ' (random)'}`);
-                    
-                    // Download and cache logo
-                    const response = await axios({
-                        url: publicUrl,
-                        method: 'GET',
-                        responseType: 'stream'
-                    });
-                    
-                    const writer = fs.createWriteStream(secondLogoCachePath);
-                    response.data.pipe(writer);
-                    
-                    await new Promise((resolve, reject) => {
-                        writer.on('finish', resolve);
-                        writer.on('error', reject);
-                    });
-                    
-                    // Second logo: 30% width, maintain aspect ratio, centered horizontally
-                    const logoWidth = Math.round(width * 0.30); // 30% width
-                    const logoHeight = Math.round(logoWidth * 1.0); // Will be adjusted by aspect ratio
-                    // Center horizontally
-                    const logoX = Math.round((width - logoWidth) / 2); // Center horizontally
-                    // Position at 40% down from top
-                    const logoY = Math.round(height * 0.4); // 40% down from top
-                    
-                    console.log(`[ArweaveVideoGenerator] ✅ Second logo downloaded: ${logoFileName}`);
-                    console.log(`[ArweaveVideoGenerator] Second logo size: ${logoWidth}x${logoHeight}, position: (${logoX}, ${logoY})`);
-                    console.log(`[ArweaveVideoGenerator] Second logo appears at: ${secondLogoStartTime}s (after fade starts, won't fade out)`);
-                    console.log(`[ArweaveVideoGenerator] Second logo z-index: 20 (above serial logo at 10)`);
-                    
-                    // Add second logo as timed overlay layer (appears at 22s, stays until end, won't fade)
-                    // Mark this layer to be added AFTER the fade filter so it doesn't fade out
-                    const secondLogoLayer = new LayerConfig(
-                        'image',
-                        secondLogoCachePath,
-                        { x: logoX, y: logoY },
-                        { width: logoWidth, height: logoHeight },
-                        1.0, // Full opacity
-                        20, // z-index (above serial logo at 10, below text)
-                        1.0, // scale
-                        null, // no font path
-                        secondLogoStartTime, // start at 22 seconds
-                        duration - secondLogoStartTime // duration until end (8 seconds)
-                    );
-                    secondLogoLayer.addAfterFade = true; // Mark to add after fade filter
-                    layers.push(secondLogoLayer);
-                } else {
-                    console.warn(`[ArweaveVideoGenerator] ⚠️ No valid logos found for second logo overlay`);
+                } catch (error) {
+                    throwIfJobCancelled('look');
+                    console.warn(`[ArweaveVideoGenerator] ⚠️ Colour analysis failed, using the default look: ${error.message}`);
                 }
-            } catch (error) {
-                console.warn(`[ArweaveVideoGenerator] ⚠️ Failed to load second logo from Firebase:`, error.message);
-                // Continue without logo if it fails
             }
 
-            // Step 5: Add white text overlay (Artist, Mix Title, UndergroundExistence.info) at bottom corner
-            console.log('[ArweaveVideoGenerator] Step 5: Adding artist/mix title text overlay...');
-            const textStartTime = 10; // Fade in at 10 seconds
-            const textWidthPercent = 0.15; // 15% of screen width
-            const textWidth = Math.round(width * textWidthPercent);
-            const textFontSize = Math.round(height * 0.03); // Small font (3% of height)
-            
-            // Position at bottom left corner
-            // With reduced line spacing (0.75x instead of 1.5x), text takes less vertical space
-            // Adjust Y position to move text up: reduce the height calculation since lines are closer together
-            const textX = 10; // Small margin from left edge
-            // Move text up significantly: 3 lines with 0.75x spacing need more clearance from bottom
-            // Using 3.5x font size + 30px margin to ensure all 3 lines are fully visible
-            const textY = height - (textFontSize * 3.5) - 30; // Moved up significantly: 3.5x font size + 30px margin
-            
-            // Build text content: Artist (line break) Mix Title (line break) UndergroundExistence.info
-            // Sanitize text to replace placeholder characters and ensure clean display
-            const sanitizedArtist = this.sanitizeTextForDisplay(audioArtist);
-            const sanitizedMixTitle = this.sanitizeTextForDisplay(audioMixTitle);
-            const textContent = `${sanitizedArtist}\n${sanitizedMixTitle}\nUndergroundExistence.info`;
-            
-            // Use system Arial/sans-serif (no custom font for this small text)
-            // FFmpeg will use default font if no fontfile specified
-            console.log(`[ArweaveVideoGenerator] Text content: ${textContent.replace(/\n/g, ' | ')}`);
-            console.log(`[ArweaveVideoGenerator] Text position: (${textX}, ${textY}), size: ${textWidth}x${textFontSize * 4}`);
-            console.log(`[ArweaveVideoGenerator] Text fades in at: ${textStartTime}s`);
-            console.log(`[ArweaveVideoGenerator] Text z-index: 400 (HIGHEST - above everything)`);
-            
-            // Add text layer with white color, small font, fade-in at 10 seconds
-            // Note: drawtext doesn't support fontcolor directly in enable expression, so we'll use white text
-            // We'll need to modify VideoCompositor to support white text color
-            // Text should end when fade starts (so it fades out with video)
-            // Fade starts at duration - 8 seconds (22s for 30s video)
-            const fadeStartTime = duration - 8;
-            const textEndTime = fadeStartTime; // Text ends when fade starts
-            const textDuration = textEndTime - textStartTime; // Duration from start to fade
-            
-            const textLayer = new LayerConfig(
-                'text',
-                textContent,
-                { x: textX, y: textY },
-                { width: textWidth, height: textFontSize * 4 }, // Height for 3 lines
-                1.0, // Full opacity (fade handled by enable expression)
-                400, // HIGHEST z-index (above everything including logos)
-                1.0, // scale
-                null, // No custom font - use system Arial/sans-serif
-                textStartTime, // start at 10 seconds
-                textDuration // duration until fade starts (12 seconds for 30s video: 10s to 22s)
-            );
-            // Text layer should fade out with everything else (processed before fade)
-            textLayer.addAfterFade = false;
-            // Store text color in layer config (we'll need to add this to LayerConfig)
-            textLayer.textColor = '0xFFFFFF'; // White text
-            textLayer.fontSize = textFontSize; // Store font size
-            layers.push(textLayer);
-
-            // Step 5.5: Add random video overlays from ONE selected folder, switching every 10 seconds
-            // Only add overlay if enableOverlay is true
-            if (enableOverlay) {
-                console.log('[ArweaveVideoGenerator] Step 5.5: Loading overlay videos from ONE random folder, switching every 10 seconds...');
-                const overlayVideoCachePaths = [];
-                
-                try {
-                const { getStorage } = await import('../firebase-admin.js');
-                const storage = getStorage();
-                const bucket = storage.bucket();
-                
-                // Define which asset folders are for overlay videos (not background videos)
-                // These folders contain videos specifically for overlay effects
-                const OVERLAY_ASSET_FOLDERS = ['assets/analog_film', 'assets/gritt', 'assets/noise', 'assets/retro_dust'];
-                const videoExtensions = ['.mp4', '.mov', '.m4v', '.avi', '.mkv', '.webm'];
-                
-                console.log(`[ArweaveVideoGenerator] 📥 Available overlay asset folders: ${OVERLAY_ASSET_FOLDERS.join(', ')}`);
-                
-                // Select ONE random folder for this video
-                const selectedFolderPath = OVERLAY_ASSET_FOLDERS[Math.floor(Math.random() * OVERLAY_ASSET_FOLDERS.length)];
-                console.log(`[ArweaveVideoGenerator] 🎲 Selected overlay folder: ${selectedFolderPath}`);
-                
-                // Load all videos from the selected folder
-                const [files] = await bucket.getFiles({ prefix: `${selectedFolderPath}/` });
-                const folderVideos = files.filter(file => {
-                    const fileName = file.name.toLowerCase();
-                    return videoExtensions.some(ext => fileName.endsWith(ext)) && !fileName.endsWith('.keep');
+            // Step 3: Resolve template assets (logos, overlay videos) once - every rendition uses the same picks
+            throwIfJobCancelled('template assets');
+            if (segmentPlan) {
+                recordChoice('segments', {
+                    bpm: segmentPlan.bpm || null,
+                    cuts: segmentPlan.segments.map(segment => ({
+                        video: path.basename(segment.videoPath),
+                        folder: segment.sourceFolder,
+                        startTime: segment.startTime,
+                        duration: segment.duration
+                    })),
+                    transitions: segmentPlan.transitions
                 });
-                
-                if (folderVideos.length === 0) {
-                    console.warn(`[ArweaveVideoGenerator] ⚠️  No overlay videos found in ${selectedFolderPath}. Run upload-overlay-videos.js to upload videos.`);
-                } else {
-                    console.log(`[ArweaveVideoGenerator] Found ${folderVideos.length} videos in ${selectedFolderPath}`);
-                    
-                    // Calculate number of 10-second segments needed
-                    const segmentDuration = 10; // 10 seconds per overlay
-                    const numSegments = Math.ceil(duration / segmentDuration);
-                    console.log(`[ArweaveVideoGenerator] Creating ${numSegments} overlay segments (${segmentDuration}s each) for ${duration}s video`);
-                    
-                    // Download videos and create overlay layers for each segment
-                    const usedVideoIndices = new Set(); // Track which videos we've used to avoid immediate repeats
-                    
-                    for (let segmentIndex = 0; segmentIndex < numSegments; segmentIndex++) {
-                        const segmentStartTime = segmentIndex * segmentDuration;
-                        const segmentEndTime = Math.min(segmentStartTime + segmentDuration, duration);
-                        const actualSegmentDuration = segmentEndTime - segmentStartTime;
-                        
-                        // Select a random video from the folder (avoid immediate repeats)
-                        let videoIndex;
-                        let attempts = 0;
-                        do {
-                            videoIndex = Math.floor(Math.random() * folderVideos.length);
-                            attempts++;
-                            // If we've used all videos, reset the set
-                            if (usedVideoIndices.size >= folderVideos.length) {
-                                usedVideoIndices.clear();
-                            }
-                        } while (usedVideoIndices.has(videoIndex) && attempts < 10);
-                        
-                        usedVideoIndices.add(videoIndex);
-                        const selectedVideo = folderVideos[videoIndex];
-                        const videoFileName = path.basename(selectedVideo.name);
-                        
-                        console.log(`[ArweaveVideoGenerator] Segment ${segmentIndex + 1}/${numSegments}: ${videoFileName} (${segmentStartTime}s - ${segmentEndTime}s)`);
-                        
-                        // Download and cache video
-                        const overlayVideoCachePath = path.join(this.cacheDir, `overlay_video_${Date.now()}_${segmentIndex}.mp4`);
-                        await selectedVideo.download({ destination: overlayVideoCachePath });
-                        overlayVideoCachePaths.push(overlayVideoCachePath);
-                        
-                        // Video overlay: full canvas size, overlay blend mode, z-index 250
-                        const overlayVideoWidth = width;
-                        const overlayVideoHeight = height;
-                        const overlayVideoX = 0;
-                        const overlayVideoY = 0;
-                        
-                        // Add video overlay layer with timing (10 seconds per segment)
-                        // Opacity can be controlled via options.overlayOpacity (default 0.5 for less distraction)
-                        const overlayOpacity = this.currentOverlayOpacity !== undefined ? this.currentOverlayOpacity : 0.5;
-                        const overlayVideoLayer = new LayerConfig(
-                            'video',
-                            overlayVideoCachePath,
-                            { x: overlayVideoX, y: overlayVideoY },
-                            { width: overlayVideoWidth, height: overlayVideoHeight },
-                            overlayOpacity, // Configurable opacity (default 0.5 for less distraction)
-                            250, // z-index (above images at 10/20, below text at 400 and end logo at 300)
-                            1.0, // scale
-                            null, // no font path
-                            segmentStartTime, // start at segment start time
-                            actualSegmentDuration // duration of this segment
-                        );
-                        overlayVideoLayer.addAfterFade = false; // Fade out with everything else
-                        overlayVideoLayer.blendMode = 'overlay'; // Use overlay blend mode
-                        layers.push(overlayVideoLayer);
-                    }
-                    
-                    console.log(`[ArweaveVideoGenerator] ✅ Created ${numSegments} overlay segments from ${selectedFolderPath}`);
-                    console.log(`[ArweaveVideoGenerator] Overlay videos will switch every ${segmentDuration} seconds`);
+            }
+            console.log(`[ArweaveVideoGenerator] Step 3: Preparing template "${template.name || templateName}" (${template.layers.length} layer definitions)...`);
+            const layerToggles = { enableOverlay };
+            const enabledLayers = template.layers.filter(layerDef => {
+                // Optional layers are switched by a job option (e.g. enableOverlay)
+                if (!layerDef.toggle) return true;
+                const toggleValue = layerDef.toggle in layerToggles ? layerToggles[layerDef.toggle] : options[layerDef.toggle];
+                if (!toggleValue) {
+                    console.log(`[ArweaveVideoGenerator] Template layer "${layerDef.id || layerDef.source.kind}" disabled by ${layerDef.toggle} - skipping`);
                 }
+                return Boolean(toggleValue);
+            });
+            const templateAssets = new Map();
+            const layerChoices = {}; // Logo / overlay picks per layer, written back to the job
+            for (const layerDef of enabledLayers) {
+                try {
+                    const layerId = layerDef.id || layerDef.source.kind;
+                    const fixedChoice = edl && edl.layers ? edl.layers[layerId] || null : null;
+                    const asset = await this.resolveTemplateAsset(layerDef, renditionSpecs, options, fixedChoice);
+                    templateAssets.set(layerDef, asset);
+                    if (asset.choice) {
+                        layerChoices[layerId] = asset.choice;
+                    }
                 } catch (error) {
-                    console.warn(`[ArweaveVideoGenerator] ⚠️ Failed to load overlay videos from assets/:`, error.message);
-                    // Continue without overlay videos if it fails
+                    console.warn(`[ArweaveVideoGenerator] ⚠️ Failed to prepare template layer "${layerDef.id || layerDef.source.kind}":`, error.message);
+                    // Continue without this layer if it fails
                 }
-            } else {
-                console.log('[ArweaveVideoGenerator] Step 5.5: Overlay feature disabled - skipping overlay videos');
             }
+            recordChoice('layers', layerChoices);
+            // Sanitize text to replace placeholder characters and ensure clean display
+            const textValues = {
+                artist: this.sanitizeTextForDisplay(audioArtist),
+                mixTitle: this.sanitizeTextForDisplay(audioMixTitle)
+            };
+            // Artist branding (artist data `textStyle`) restyles the template's text, the job's textStyle goes on top
+            let artistTextStyle = audioResult.artistData ? audioResult.artistData.textStyle || null : null;
+            const artistStyleError = artistTextStyle ? validateTextStyle(artistTextStyle) : null;
+            if (artistStyleError) {
+                console.warn(`[ArweaveVideoGenerator] ⚠️ Ignoring ${audioArtist}'s textStyle: ${artistStyleError}`);
+                artistTextStyle = null;
+            }
+            // Artwork / footage palette colours the text unless the artist's or the job's style says otherwise
+            const textStyles = [palette ? buildPaletteTextStyle(palette) : null, artistTextStyle, textStyle].filter(Boolean);
+            const fades = resolveFades(template);
+            reportStage('composite');
 
-            // Step 6: Add random logo overlay at 25 seconds (5 seconds before end)
-            console.log('[ArweaveVideoGenerator] Step 6: Loading random logo for end overlay from Firebase...');
-            const logoStartTime = duration - 5; // 25 seconds for 30s video
-            let logoCachePath = null; // Declare outside try block for cleanup
-            
+            // Step 4: Compose each rendition with its own canvas size, length and filter
+            const renditions = [];
+            const backgroundPaths = new Set([backgroundPath]);
+            const tempVideoPaths = [];
             try {
-                logoCachePath = path.join(this.cacheDir, `logo_${Date.now()}.png`);
-                
-                // Load logos from Firebase Storage
-                const { getStorage } = await import('../firebase-admin.js');
-                const storage = getStorage();
-                const bucket = storage.bucket();
-                
-                // Get all logos from Firebase Storage (excluding serial_logo.png)
-                console.log(`[ArweaveVideoGenerator] 📥 Loading logos from Firebase Storage (logos/ folder)...`);
-                const [logoFiles] = await bucket.getFiles({ prefix: 'logos/' });
-                const validLogos = logoFiles.filter(file => {
-                    const fileName = path.basename(file.name);
-                    // Exclude SVG files - FFmpeg cannot handle them directly
-                    return (fileName.endsWith('.png') || fileName.endsWith('.jpg')) &&
-                           fileName !== 'serial_logo.png' &&
-                           !fileName.endsWith('.keep');
-                });
-                
-                if (validLogos.length > 0) {
-                    // Use selected logo or pick random
-                    let selectedLogo;
-                    if (endLogo) {
-                        // Find the selected logo by filename
-                        selectedLogo = validLogos.find(logo => path.basename(logo.name) === endLogo);
-                        if (!selectedLogo) {
-                            console.warn(`[ArweaveVideoGenerator] ⚠️ Selected end logo "${endLogo}" not found, using random`);
-                            selectedLogo = validLogos[Math.floor(Math.random() * validLogos.length)];
+                for (const [index, spec] of renditionSpecs.entries()) {
+                    throwIfJobCancelled('composite');
+                    const renditionLabel = renditionSpecs.length > 1 ? `Rendition ${index + 1}/${renditionSpecs.length} (${spec.name})` : null;
+                    reportSpan(index / renditionSpecs.length, (index + 1) / renditionSpecs.length, renditionLabel);
+                    console.log(`[ArweaveVideoGenerator] Step 4: Composing ${renditionSpecs.length > 1 ? `rendition "${spec.name}" ` : 'final video '}(${spec.width}x${spec.height}, ${spec.duration}s)...`);
+
+                    // Same cuts at another size: re-render the segment plan; image backgrounds are scaled by the compositor
+                    let renditionBackground = backgroundPath;
+                    if (segmentPlan && (spec.width !== primarySpec.width || spec.height !== primarySpec.height)) {
+                        // Re-cutting takes the first half of this rendition's share of the stage
+                        reportSpan(index / renditionSpecs.length, (index + 0.5) / renditionSpecs.length);
+                        renditionBackground = await this.segmentCompositor.renderSegmentPlan(segmentPlan, spec);
+                        backgroundPaths.add(renditionBackground);
+                        reportSpan((index + 0.5) / renditionSpecs.length, (index + 1) / renditionSpecs.length);
+                    } else if (artworkPlan && (spec.width !== primarySpec.width || spec.height !== primarySpec.height)) {
+                        // Same slides framed for this canvas
+                        reportSpan(index / renditionSpecs.length, (index + 0.5) / renditionSpecs.length);
+                        renditionBackground = await this.segmentCompositor.renderArtworkSlideshow(artworkPlan, spec);
+                        backgroundPaths.add(renditionBackground);
+                        reportSpan((index + 0.5) / renditionSpecs.length, (index + 1) / renditionSpecs.length);
+                    }
+
+                    const templateContext = { width: spec.width, height: spec.height, duration: spec.duration, options, textValues, textStyles, reactive, palette };
+                    const layers = [];
+                    for (const [layerDef, asset] of templateAssets) {
+                        const layerId = layerDef.id || layerDef.source.kind;
+                        const templateLayers = this.buildTemplateLayers(layerDef, templateContext, asset);
+                        layers.push(...templateLayers);
+                        if (templateLayers.length > 0) {
+                            console.log(`[ArweaveVideoGenerator] ✅ Template layer "${layerId}": ${templateLayers.length} layer(s), z-index ${layerDef.zIndex}${layerDef.afterFade ? ' (after fade)' : ''}`);
                         }
-                    } else {
-                        // Random selection (default)
-                        selectedLogo = validLogos[Math.floor(Math.random() * validLogos.length)];
                     }
-                    
-                    const logoFileName = path.basename(selectedLogo.name);
-                    const publicUrl = `https://storage.googleapis.com/${bucket.name}/${selectedLogo.name}`;
-                    
-                    console.log(`[ArweaveVideoGenerator] Selected logo: ${logoFileName}${endLogo ? ' (user selected)' : ' (random)'}`);
-                    
-                    // Download and cache logo
-                    const response = await axios({
-                        url: publicUrl,
-                        method: 'GET',
-                        responseType: 'stream'
-                    });
-                    
-                    const writer = fs.createWriteStream(logoCachePath);
-                    response.data.pipe(writer);
-                    
-                    await new Promise((resolve, reject) => {
-                        writer.on('finish', resolve);
-                        writer.on('error', reject);
-                    });
-                    
-                    // Calculate logo size: 35% of width, maintain aspect ratio
-                    const logoWidth = Math.round(width * 0.35);
-                    const logoHeight = Math.round(logoWidth * 1.0); // Will be adjusted by aspect ratio
-                    
-                    // Center position (horizontally and vertically) - use canvas center
-                    // FFmpeg overlay uses top-left corner, so center = (width - logoWidth) / 2
-                    const logoX = Math.round((width - logoWidth) / 2);
-                    const logoY = Math.round((height - logoHeight) / 2);
-                    
-                    console.log(`[ArweaveVideoGenerator] ✅ Logo downloaded: ${logoFileName}`);
-                    console.log(`[ArweaveVideoGenerator] Logo size: ${logoWidth}x${logoHeight}, position: (${logoX}, ${logoY})`);
-                    console.log(`[ArweaveVideoGenerator] Logo appears at: ${logoStartTime}s (5 seconds before end)`);
-                    console.log(`[ArweaveVideoGenerator] Logo z-index: 300 (HIGHEST - above text and serial logo)`);
-                    
-                    // Add logo as timed overlay layer (appears at 25s, stays until end)
-                    // Use z-index 300 to ensure it's processed LAST and appears on top of everything
-                    layers.push(new LayerConfig(
-                        'image',
-                        logoCachePath,
-                        { x: logoX, y: logoY },
-                        { width: logoWidth, height: logoHeight },
-                        1.0, // Full opacity
-                        300, // HIGHEST z-index (above everything including text at 100)
-                        1.0, // scale
-                        null, // no font path
-                        logoStartTime, // start at 25 seconds
-                        duration - logoStartTime // duration until end (5 seconds)
-                    ));
-                } else {
-                    console.warn(`[ArweaveVideoGenerator] ⚠️ No valid logos found in Firebase Storage (excluding serial_logo.png)`);
-                }
-            } catch (error) {
-                console.warn(`[ArweaveVideoGenerator] ⚠️ Failed to load logo from Firebase:`, error.message);
-                // Continue without logo if it fails
-            }
 
-            // Step 6: Compose final video with all layers
-            console.log('[ArweaveVideoGenerator] Step 6: Composing final video with layers...');
-            
-            // Generate temp video path
-            const tempVideoPath = path.join(this.tempDir, `${audioArtist.replace(/[^a-zA-Z0-9]/g, '_')}_video_${Date.now()}.mp4`);
-            
-            // Generate permanent video path
-            const permanentVideoPath = path.join(this.videosDir, `${audioArtist.replace(/[^a-zA-Z0-9]/g, '_')}_video_${Date.now()}.mp4`);
+                    const renditionCues = trimCaptionCues(captionCues, spec.duration);
+                    layers.push(...this.buildCaptionLayers(renditionCues, resolveCaptionLayout(template), templateContext));
 
-            // Create composition config with filter
-            console.log(`[ArweaveVideoGenerator] 🎨 Video filter received: ${videoFilter ? `"${videoFilter.substring(0, 100)}..."` : 'null (will use default B&W)'}`);
-            console.log(`[ArweaveVideoGenerator] 📊 Layers count: ${layers.length} (serial_logo + second_logo + artist_text${logoCachePath ? ' + end_logo' : ''})`);
-            
-            const compositionConfig = new CompositionConfig(
-                backgroundPath,
-                audioFilePath,
-                layers,
-                tempVideoPath,
-                duration,
-                width,
-                height,
-                videoFilter // Pass the filter to CompositionConfig
-            );
-            
-            console.log(`[ArweaveVideoGenerator] ✅ CompositionConfig created with filter: ${compositionConfig.videoFilter ? 'YES' : 'NO'}`);
+                    // Generate temp and permanent video paths (rendition name keeps multiple outputs apart)
+                    const baseName = `${audioArtist.replace(/[^a-zA-Z0-9]/g, '_')}_video_${Date.now()}${renditionSpecs.length > 1 ? `_${spec.name}` : ''}`;
+                    const tempVideoPath = path.join(this.tempDir, `${baseName}.mp4`);
+                    const permanentVideoPath = path.join(this.videosDir, `${baseName}.mp4`);
+                    tempVideoPaths.push(tempVideoPath);
 
-            // Use VideoCompositor to create video with all layers
-            await this.videoCompositor.composeVideo(compositionConfig);
+                    // Create composition config with filter
+                    console.log(`[ArweaveVideoGenerator] 🎨 Video filter received: ${spec.videoFilter ? `"${spec.videoFilter.substring(0, 100)}..."` : 'null (will use default B&W)'}`);
+                    console.log(`[ArweaveVideoGenerator] 📊 Layers count: ${layers.length} (template: ${template.name || templateName})`);
 
-            // Copy to permanent location
-            await fs.copy(tempVideoPath, permanentVideoPath);
-            
-            // Get file size
-            const stats = await fs.stat(permanentVideoPath);
-            const fileSizeMB = (stats.size / (1024 * 1024)).toFixed(2);
+                    const compositionConfig = new CompositionConfig(
+                        renditionBackground,
+                        audioFilePath,
+                        layers,
+                        tempVideoPath,
+                        spec.duration,
+                        spec.width,
+                        spec.height,
+                        spec.videoFilter // Pass the filter to CompositionConfig
+                    );
+                    compositionConfig.videoFade = fades.video;
+                    compositionConfig.audioFade = fades.audio;
+                    if (reactive) {
+                        compositionConfig.reactive = { envelopes: reactive.envelopes, zoom: reactive.zoom, filter: reactive.filter };
+                    }
+                    if (stillMotion) {
+                        compositionConfig.stillMotion = { ...stillMotion, beatGrid, foreground: null };
+                    }
+                    if (artworkPlan) {
+                        compositionConfig.monochrome = false; // The artwork's colours are the look
+                    }
 
-            console.log(`[ArweaveVideoGenerator] ✅ Video generated: ${path.basename(permanentVideoPath)} (${fileSizeMB}MB)`);
+                    console.log(`[ArweaveVideoGenerator] ✅ CompositionConfig created with filter: ${compositionConfig.videoFilter ? 'YES' : 'NO'}`);
 
-            // Cleanup temp files
-            try {
-                if (backgroundPath && await fs.pathExists(backgroundPath)) {
-                await fs.remove(backgroundPath);
-                }
-                if (tempVideoPath && await fs.pathExists(tempVideoPath)) {
-                await fs.remove(tempVideoPath);
-                }
-                // Cleanup serial logo cache
-                if (serialLogoCachePath && await fs.pathExists(serialLogoCachePath)) {
-                    await fs.remove(serialLogoCachePath);
+                    // Use VideoCompositor to create video with all layers
+                    await this.videoCompositor.composeVideo(compositionConfig);
+
+                    // Copy to permanent location
+                    await fs.copy(tempVideoPath, permanentVideoPath);
+
+                    // Get file size
+                    const stats = await fs.stat(permanentVideoPath);
+                    const fileSizeMB = (stats.size / (1024 * 1024)).toFixed(2);
+
+                    console.log(`[ArweaveVideoGenerator] ✅ Video generated: ${path.basename(permanentVideoPath)} (${fileSizeMB}MB)`);
+
+                    // Caption sidecars next to the video (uploaded with it)
+                    let captionFiles = null;
+                    if (renditionCues.length > 0) {
+                        captionFiles = {
+                            cueCount: renditionCues.length,
+                            vttPath: path.join(this.videosDir, `${baseName}.vtt`),
+                            srtPath: path.join(this.videosDir, `${baseName}.srt`)
+                        };
+                        await fs.writeFile(captionFiles.vttPath, formatWebVTT(renditionCues), 'utf8');
+                        await fs.writeFile(captionFiles.srtPath, formatSRT(renditionCues), 'utf8');
+                    }
+
+                    renditions.push({
+                        name: spec.name,
+                        videoPath: permanentVideoPath,
+                        videoUrl: `/outputs/videos/${path.basename(permanentVideoPath)}`,
+                        fileName: path.basename(permanentVideoPath),
+                        width: spec.width,
+                        height: spec.height,
+                        aspectRatio: spec.aspectRatio || `${spec.width}:${spec.height}`,
+                        resolution: spec.resolution || null,
+                        duration: spec.duration,
+                        fileSize: `${fileSizeMB}MB`,
+                        captions: captionFiles // { cueCount, vttPath, srtPath } or null without a tracklist
+                    });
                 }
-                // Cleanup end logo cache
-                if (logoCachePath && await fs.pathExists(logoCachePath)) {
-                    await fs.remove(logoCachePath);
+            } catch (error) {
+                // Don't leave finished renditions behind when a later one fails or the job is cancelled
+                for (const rendition of renditions) {
+                    await fs.remove(rendition.videoPath).catch(() => {});
+                    if (rendition.captions) {
+                        await fs.remove(rendition.captions.vttPath).catch(() => {});
+                        await fs.remove(rendition.captions.srtPath).catch(() => {});
+                    }
                 }
-                // Cleanup second logo cache
-                if (secondLogoCachePath && await fs.pathExists(secondLogoCachePath)) {
-                    await fs.remove(secondLogoCachePath);
+                throw error;
+            } finally {
+                // Cleanup temp files
+                try {
+                    for (const tempPath of [...backgroundPaths, ...tempVideoPaths]) {
+                        if (tempPath && await fs.pathExists(tempPath)) {
+                            await fs.remove(tempPath);
+                        }
+                    }
+                } catch (cleanupError) {
+                    console.warn('[ArweaveVideoGenerator] Cleanup warning:', cleanupError.message);
                 }
-            } catch (cleanupError) {
-                console.warn('[ArweaveVideoGenerator] Cleanup warning:', cleanupError.message);
             }
 
+            // Full edit of this render (stored on the videos document, can be submitted again as `edl`)
+            const editDecisionList = buildEditDecisionList({
+                duration,
+                template: templateName,
+                audio: {
+                    url: audioArweaveUrl,
+                    offset: audioResult.startTime || 0,
+                    duration: audioDuration,
+                    artist: audioArtist,
+                    title: audioMixTitle,
+                    isTrax: audioResult.isTrax
+                },
+                segmentPlan,
+                layers: layerChoices
+            });
+
+            const primary = renditions[0];
             return {
                 success: true,
-                videoPath: permanentVideoPath,
-                videoUrl: `/outputs/videos/${path.basename(permanentVideoPath)}`,
-                fileName: path.basename(permanentVideoPath),
+                videoPath: primary.videoPath,
+                videoUrl: primary.videoUrl,
+                fileName: primary.fileName,
                 artist: audioArtist,
                 mixTitle: audioMixTitle,
                 duration: audioDuration,
-                fileSize: `${fileSizeMB}MB`,
+                fileSize: primary.fileSize,
                 arweaveUrl: audioArweaveUrl,
+                renditions,
+                edl: editDecisionList,
+                loudness, // Measured before / after mastering, null when not mastered
+                captions: captionCues, // "Now playing" cues in clip time ([] without a tracklist)
+                palette, // Artwork / footage colours { colors, dominant, accent, light, dark } (artwork mode or auto look), otherwise null
+                look, // Auto-picked filter { key, name, intensity, distance, luminance }, null unless autoLook
                 metadata: {
                     artist: audioArtist,
                     genre: audioResult.genre || 'Electronic',
                     duration: audioDuration,
-                    width: width,
-                    height: height,
-                    backgroundType: 'chicago_skyline'
+                    width: primary.width,
+                    height: primary.height,
+                    aspectRatio: primary.aspectRatio,
+                    backgroundType: 'chicago_skyline',
+                    visualSource: artworkPlan ? 'artwork' : 'footage',
+                    stillMotion, // Motion applied to a still background ({ preset, intensity, direction }), null for footage
+                    look: look ? look.key : null,
+                    template: template.name || templateName
                 }
             };
 
         } catch (error) {
             console.error('[ArweaveVideoGenerator] Error generating video with audio:', error);
+            // Keep InvalidJobError as it is, so the queue dead-letters the job instead of retrying it
+            if (error.retryable === false) throw error;
             throw new Error(`Video generation failed: ${error.message}`);
         }
     }
 
+    /**
+     * Download the source videos of an EDL and turn it into a segment plan for renderSegmentPlan
+     * Sources are Firebase Storage paths (checked by validateEditDecisionList, cached by the asset cache) - never
+     * local files, so a submitted EDL can't pull arbitrary worker files into a render. A source missing from Storage
+     * fails every attempt the same way (InvalidJobError); download errors are retried
+     */
+    async loadEditPlan(edl) {
+        const { getStorage } = await import('../firebase-admin.js');
+        const bucket = getStorage().bucket();
+        const videoPaths = [];
+        for (const [index, segment] of edl.segments.entries()) {
+            throwIfJobCancelled('segments');
+            try {
+                videoPaths.push(await this.assetCache.getStorageFile(bucket.file(segment.source)));
+            } catch (error) {
+                if (error.code === 404) {
+                    throw new InvalidJobError(`EDL segment ${index + 1}: source video not found: ${segment.source}`);
+                }
+                throw error;
+            }
+        }
+        return edlToSegmentPlan(edl, videoPaths);
+    }
+
+    /**
+     * Normalize the deliverables option into rendition specs (first entry is the primary video)
+     * Without deliverables the job renders a single video from the top-level size, duration and filter
+     */
+    resolveRenditionSpecs(deliverables, defaults) {
+        const specs = Array.isArray(deliverables) && deliverables.length > 0 ? deliverables : [{ name: 'main' }];
+        return specs.map((spec, index) => ({
+            name: spec.name || (index === 0 ? 'main' : `rendition_${index + 1}`),
+            width: spec.width || defaults.width,
+            height: spec.height || defaults.height,
+            aspectRatio: spec.aspectRatio || defaults.aspectRatio,
+            resolution: spec.resolution || null,
+            // Renditions are cut from the job's audio and segments, so they can't run longer than the job
+            duration: Math.min(spec.duration || defaults.duration, defaults.duration),
+            videoFilter: spec.videoFilter !== undefined ? spec.videoFilter : defaults.videoFilter
+        }));
+    }
+
+    /**
+     * Download the Firebase Storage assets one template layer needs
+     * Resolved once per job so every rendition uses the same logo and overlay clips
+     * @param {Object|null} fixedChoice - Pick recorded in an EDL for this layer ({ logo } or { folder, videos })
+     * @returns {Promise<Object>} - { path } for images, { clips } for overlay folders, {} for text and visualizers,
+     *   plus { choice } describing a random pick (logo, overlay folder and clips)
+     */
+    async resolveTemplateAsset(layerDef, renditionSpecs, options, fixedChoice = null) {
+        switch (layerDef.source.kind) {
+            case 'text':
+            case 'audio':
+                return {};
+
+            case 'storage':
+                return { path: await this.downloadStorageAsset(layerDef.source.path) };
+
+            case 'logo': {
+                const requestedLogo = layerDef.source.option ? options[layerDef.source.option] : null;
+                // An EDL pins the exact logo; a logo requested on the job still wins
+                const logoPath = fixedChoice && fixedChoice.logo && !requestedLogo
+                    ? fixedChoice.logo
+                    : await this.selectLogo(requestedLogo);
+                if (!logoPath) {
+                    console.warn(`[ArweaveVideoGenerator] ⚠️ No valid logos found in Firebase Storage (excluding serial_logo.png)`);
+                    return { path: null };
+                }
+                return {
+                    path: await this.downloadStorageAsset(logoPath),
+                    choice: { logo: logoPath }
+                };
+            }
+
+            case 'overlayFolder': {
+                // Enough clips for the longest overlay window across renditions
+                const switchEvery = layerDef.source.switchEvery || 10;
+                const clipsNeeded = Math.max(...renditionSpecs.map(spec => {
+                    const timing = resolveLayerTiming(layerDef, spec.duration);
+                    const windowDuration = timing.duration !== null ? timing.duration : spec.duration - (timing.startTime || 0);
+                    return Math.ceil(windowDuration / switchEvery);
+                }));
+                const overlay = await this.downloadOverlayClips(layerDef.source, clipsNeeded, fixedChoice);
+                return {
+                    clips: overlay.clips,
+                    choice: { folder: overlay.folder, videos: overlay.videos }
+                };
+            }
+
+            default:
+                throw new Error(`Unsupported template source kind: ${layerDef.source.kind}`);
+        }
+    }
+
+    /**
+     * Build LayerConfig objects for one composition template layer at one rendition's size and length
+     * @param {Object} asset - Downloaded asset from resolveTemplateAsset
+     */
+    buildTemplateLayers(layerDef, context, asset = {}) {
+        const { width, height, duration, options, textValues, textStyles = [], reactive = null, palette = null } = context;
+        const { position, size, fontSize } = resolveLayerGeometry(layerDef, width, height);
+        const timing = resolveLayerTiming(layerDef, duration);
+        const opacity = resolveOpacity(layerDef, options);
+
+        // Short renditions (e.g. a 15s teaser) can push a layer's window off the end of the video
+        if (timing.startTime !== null && (timing.startTime >= duration || timing.duration <= 0)) {
+            console.log(`[ArweaveVideoGenerator] Template layer "${layerDef.id || layerDef.source.kind}" falls outside ${duration}s - skipping`);
+            return [];
+        }
+
+        const createLayer = (source, startTime, layerDuration) => {
+            const layer = new LayerConfig(
+                layerDef.type,
+                source,
+                { ...position },
+                { ...size },
+                opacity,
+                layerDef.zIndex,
+                1.0, // scale
+                layerDef.fontPath || null,
+                startTime,
+                layerDuration
+            );
+            layer.addAfterFade = layerDef.afterFade === true; // After-fade layers don't fade out
+            if (layerDef.blendMode) layer.blendMode = layerDef.blendMode;
+            if (layerDef.textColor) layer.textColor = layerDef.textColor;
+            if (fontSize) layer.fontSize = fontSize;
+            // Audio-reactive: video layers pulse their opacity, image layers (logos) their scale
+            const reaction = reactive && layerDef.react !== false
+                ? (layerDef.type === 'video' ? reactive.overlay : layerDef.type === 'image' ? reactive.logo : null)
+                : null;
+            if (reaction) {
+                layer.react = { param: layerDef.type === 'video' ? 'opacity' : 'scale', ...reaction };
+            }
+            // Palette: overlay clips and logos pulled towards the accent colour
+            if (palette && (layerDef.type === 'video' || layerDef.type === 'image')) {
+                layer.tint = palette.accent;
+            }
+            return layer;
+        };
+
+        switch (layerDef.source.kind) {
+            case 'text': {
+                const textContent = resolveTextLines(layerDef.source.lines, textValues);
+                console.log(`[ArweaveVideoGenerator] Text content: ${textContent.replace(/\n/g, ' | ')}`);
+                const layer = createLayer(textContent, timing.startTime, timing.duration);
+                // Styled drawtext when anything asks for it (template style, branding, per-line timing / size)
+                const perLine = layerDef.source.lines.some(line => typeof line !== 'string');
+                if (layerDef.style || textStyles.length > 0 || perLine) {
+                    layer.textStyle = resolveTextStyle({ color: layerDef.textColor }, layerDef.style, ...textStyles);
+                    layer.textLines = resolveTextLineSpecs(layerDef.source.lines, textValues, duration);
+                }
+                return [layer];
+            }
+
+            case 'storage':
+            case 'logo':
+                return asset.path ? [createLayer(asset.path, timing.startTime, timing.duration)] : [];
+
+            case 'audio': {
+                // Visualizers draw the composition's audio - no file of their own
+                const layer = createLayer(null, timing.startTime, timing.duration);
+                const { style, color, bars, innerRadius } = layerDef.source;
+                layer.visualizer = { style, color: palette ? palette.accent : color, bars, innerRadius };
+                return [layer];
+            }
+
+            case 'overlayFolder': {
+                // Switch overlay clips every N seconds across the layer's window
+                // (audio-reactive renders switch on the strongest onset near each N seconds instead)
+                const clips = asset.clips || [];
+                if (clips.length === 0) return [];
+                const windowStart = timing.startTime !== null ? timing.startTime : 0;
+                const windowEnd = timing.duration !== null ? windowStart + timing.duration : duration;
+                const switchEvery = layerDef.source.switchEvery || 10;
+                const switchPoints = [];
+                if (reactive && layerDef.react !== false) {
+                    switchPoints.push(...findSwitchPoints(reactive.envelopes, windowStart, windowEnd, { minGap: switchEvery / 2, maxGap: switchEvery * 1.5 }));
+                } else {
+                    for (let point = windowStart + switchEvery; point < windowEnd; point += switchEvery) {
+                        switchPoints.push(point);
+                    }
+                }
+                const boundaries = [windowStart, ...switchPoints, windowEnd];
+                const layers = [];
+                for (let index = 0; index < boundaries.length - 1; index++) {
+                    layers.push(createLayer(clips[index % clips.length], boundaries[index], boundaries[index + 1] - boundaries[index]));
+                }
+                return layers;
+            }
+
+            default:
+                throw new Error(`Unsupported template source kind: ${layerDef.source.kind}`);
+        }
+    }
+
+    /**
+     * "Now playing" lower-third text layers, one per caption cue
+     * @param {Object[]} cues - Caption cues for this rendition (clip time)
+     * @param {Object} layout - resolveCaptionLayout() result
+     */
+    buildCaptionLayers(cues, layout, context) {
+        const { width, height, textStyles = [] } = context;
+        const { position, size, fontSize } = resolveLayerGeometry(layout, width, height);
+        const style = resolveTextStyle(layout.style, ...textStyles);
+        return cues.map(cue => {
+            const layer = new LayerConfig('text', cue.text, { ...position }, { ...size }, 1.0, layout.zIndex, 1.0, null, cue.start, Math.min(layout.hold, cue.end - cue.start));
+            layer.fontSize = fontSize;
+            layer.textStyle = style;
+            return layer;
+        });
+    }
+
+    /**
+     * Pick a logo from Firebase Storage logos/ (excluding serial_logo.png)
+     * Uses the requested filename when it exists, otherwise a random logo
+     * @returns {Promise<string|null>} - Storage path of the selected logo
+     */
+    async selectLogo(requestedLogo = null) {
+        const { getStorage } = await import('../firebase-admin.js');
+        const bucket = getStorage().bucket();
+
+        console.log(`[ArweaveVideoGenerator] 📥 Loading logos from Firebase Storage (logos/ folder)...`);
+        const [logoFiles] = await bucket.getFiles({ prefix: 'logos/' });
+        const validLogos = logoFiles.filter(file => {
+            const fileName = path.basename(file.name);
+            // Exclude SVG files - FFmpeg cannot handle them directly
+            return (fileName.endsWith('.png') || fileName.endsWith('.jpg')) &&
+                   fileName !== 'serial_logo.png' &&
+                   !fileName.endsWith('.keep');
+        });
+
+        if (validLogos.length === 0) {
+            return null;
+        }
+
+        let selectedLogo = requestedLogo ? validLogos.find(logo => path.basename(logo.name) === requestedLogo) : null;
+        if (requestedLogo && !selectedLogo) {
+            console.warn(`[ArweaveVideoGenerator] ⚠️ Selected logo "${requestedLogo}" not found, using random`);
+        }
+        const userSelected = Boolean(selectedLogo);
+        if (!selectedLogo) {
+            selectedLogo = randomStream('logos').pick(validLogos);
+        }
+
+        console.log(`[ArweaveVideoGenerator] Selected logo: ${path.basename(selectedLogo.name)}${userSelected ? ' (user selected)' : ' (random)'}`);
+        return selectedLogo.name;
+    }
+
+    /**
+     * Local copy of a Firebase Storage file (logo, template image) from the shared asset cache
+     * @returns {Promise<string>} - Path in the cache (shared across jobs - not removed after composition)
+     */
+    async downloadStorageAsset(storagePath) {
+        const { getStorage } = await import('../firebase-admin.js');
+        const cachePath = await this.assetCache.getStorageFile(getStorage().bucket().file(storagePath));
+        console.log(`[ArweaveVideoGenerator] ✅ ${path.basename(storagePath)} ready`);
+        return cachePath;
+    }
+
+    /**
+     * Download overlay clips from ONE random folder (one clip per switch window, avoiding immediate repeats)
+     * With a fixed choice from an EDL, the recorded clips are downloaded in the recorded order instead
+     * @returns {Promise<{clips: string[], folder: string, videos: string[]}>} - Local cache paths in playback order,
+     *   the selected folder and the storage path of each clip
+     */
+    async downloadOverlayClips(source, clipsNeeded, fixedChoice = null) {
+        const { getStorage } = await import('../firebase-admin.js');
+        const bucket = getStorage().bucket();
+        const videoExtensions = ['.mp4', '.mov', '.m4v', '.avi', '.mkv', '.webm'];
+
+        if (fixedChoice && Array.isArray(fixedChoice.videos) && fixedChoice.videos.length > 0) {
+            console.log(`[ArweaveVideoGenerator] 📋 Overlay clips from EDL: ${fixedChoice.videos.length} clips from ${fixedChoice.folder}`);
+            const clips = [];
+            const videos = [];
+            for (let segmentIndex = 0; segmentIndex < clipsNeeded; segmentIndex++) {
+                const storagePath = fixedChoice.videos[segmentIndex % fixedChoice.videos.length];
+                clips.push(await this.assetCache.getStorageFile(bucket.file(storagePath)));
+                videos.push(storagePath);
+            }
+            return { clips, folder: fixedChoice.folder || null, videos };
+        }
+
+        console.log(`[ArweaveVideoGenerator] 📥 Available overlay asset folders: ${source.folders.join(', ')}`);
+
+        // Select ONE random folder for this video
+        const selectedFolderPath = randomStream('overlays').pick(source.folders);
+        console.log(`[ArweaveVideoGenerator] 🎲 Selected overlay folder: ${selectedFolderPath}`);
+
+        // Load all videos from the selected folder
+        const [files] = await bucket.getFiles({ prefix: `${selectedFolderPath}/` });
+        const folderVideos = files.filter(file => {
+            const fileName = file.name.toLowerCase();
+            return videoExtensions.some(ext => fileName.endsWith(ext)) && !fileName.endsWith('.keep');
+        });
+
+        if (folderVideos.length === 0) {
+            console.warn(`[ArweaveVideoGenerator] ⚠️  No overlay videos found in ${selectedFolderPath}. Run upload-overlay-videos.js to upload videos.`);
+            return { clips: [], folder: selectedFolderPath, videos: [] };
+        }
+
+        console.log(`[ArweaveVideoGenerator] Found ${folderVideos.length} videos in ${selectedFolderPath}, downloading ${clipsNeeded} overlay segments (${source.switchEvery || 10}s each)`);
+
+        const clips = [];
+        const videos = [];
+        const usedVideoIndices = new Set(); // Track which videos we've used to avoid immediate repeats
+
+        for (let segmentIndex = 0; segmentIndex < clipsNeeded; segmentIndex++) {
+            // Select a random video from the folder (avoid immediate repeats)
+            let videoIndex;
+            let attempts = 0;
+            do {
+                videoIndex = randomStream('overlays').int(folderVideos.length);
+                attempts++;
+                // If we've used all videos, reset the set
+                if (usedVideoIndices.size >= folderVideos.length) {
+                    usedVideoIndices.clear();
+                }
+            } while (usedVideoIndices.has(videoIndex) && attempts < 10);
+
+            usedVideoIndices.add(videoIndex);
+            const selectedVideo = folderVideos[videoIndex];
+
+            console.log(`[ArweaveVideoGenerator] Overlay segment ${segmentIndex + 1}/${clipsNeeded}: ${path.basename(selectedVideo.name)}`);
+
+            // Download, unless an earlier render already cached the clip
+            clips.push(await this.assetCache.getStorageFile(selectedVideo));
+            videos.push(selectedVideo.name);
+        }
+
+        return { clips, folder: selectedFolderPath, videos };
+    }
+
     /**
      * Create video from background and audio components
      */
@@ -0,0 +1,318 @@
+/**
+ * Asset Cache
+ * One on-disk cache for everything the worker downloads - footage clips, logos, overlay clips, artwork images - so a
+ * long-running worker reuses what it already has and doesn't fill the disk
+ *
+ * Entries are content-addressed: Storage files by their MD5 (`md5-<hex>` - a re-upload under the same name is a new
+ * entry, the same clip under two names is one), URLs by a hash of the URL (Arweave content never changes).
+ * Downloads are checked before they enter the cache (Storage MD5 and size, HTTP Content-Length, not empty) and hits
+ * are checked against the size they were stored with - a damaged entry is dropped and downloaded again.
+ *
+ * Past the size limit (ASSET_CACHE_MAX_MB, default 5 GB) the least recently used entries are removed, except entries
+ * used in the last hour: they may still be inputs of a running render. Last use is the file's mtime, so the order
+ * survives worker restarts. Everything goes through getAssetCache(), which shares one cache (and its stats) per process.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import axios from 'axios';
+
+export const DEFAULT_CACHE_MAX_MB = 5 * 1024;
+
+const IN_USE_MS = 60 * 60 * 1000; // Entries used this recently are never evicted
+const PARTIAL_SUFFIX = '.partial'; // Downloads in progress (removed on startup if a worker died mid-download)
+const DOWNLOAD_TIMEOUT_MS = 60000;
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm',
+  'audio/mp4': '.m4a',
+  'audio/mpeg': '.mp3'
+};
+const KNOWN_EXTENSIONS = new Set([...Object.values(CONTENT_TYPE_EXTENSIONS), '.jpeg', '.m4v', '.avi', '.mkv']);
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Human-readable size for logs
+ */
+export function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Cache key of a Storage object: its MD5, or name + generation for objects without one (composite uploads)
+ */
+export function getStorageCacheKey(name, metadata = {}) {
+  if (metadata.md5Hash) {
+    return `md5-${Buffer.from(metadata.md5Hash, 'base64').toString('hex')}`;
+  }
+  return `gs-${sha256(`${name}#${metadata.generation || ''}`).slice(0, 32)}`;
+}
+
+/**
+ * Cache key of a URL
+ */
+export function getURLCacheKey(url) {
+  return `url-${sha256(url).slice(0, 32)}`;
+}
+
+/**
+ * File extension for a cached URL: from its path when it has a known one, else from the Content-Type
+ */
+function getURLExtension(url, contentType = '') {
+  let ext = '';
+  try {
+    ext = path.extname(new URL(url).pathname).toLowerCase();
+  } catch (error) {
+    ext = '';
+  }
+  if (KNOWN_EXTENSIONS.has(ext)) return ext;
+  return CONTENT_TYPE_EXTENSIONS[contentType.split(';')[0].trim().toLowerCase()] || '';
+}
+
+/**
+ * MD5 of a file, base64 like Storage's md5Hash
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('md5');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('base64');
+}
+
+export class AssetCache {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(process.cwd(), 'outputs', 'asset-cache');
+    const maxMB = options.maxMB || parseInt(process.env.ASSET_CACHE_MAX_MB, 10) || DEFAULT_CACHE_MAX_MB;
+    this.maxBytes = maxMB * 1024 * 1024;
+    this.loading = null; // Promise of the entries map: key -> { path, size, lastUsed }, read from disk on first use
+    this.downloads = new Map(); // key -> Promise<path> of a download in progress (concurrent jobs share it)
+    this.stats = { hits: 0, misses: 0, downloadedBytes: 0, evictions: 0, evictedBytes: 0, integrityFailures: 0 };
+  }
+
+  /**
+   * Entries on disk, read once per process (callers arriving during the scan share it)
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = this.scan().catch((error) => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Index the cache directory, removing downloads a previous worker left unfinished
+   */
+  async scan() {
+    await fs.ensureDir(this.dir);
+    const entries = new Map();
+    for (const name of await fs.readdir(this.dir)) {
+      const filePath = path.join(this.dir, name);
+      if (name.endsWith(PARTIAL_SUFFIX)) {
+        await fs.remove(filePath).catch(() => {});
+        continue;
+      }
+      const stat = await fs.stat(filePath).catch(() => null);
+      if (stat && stat.isFile()) {
+        entries.set(path.parse(name).name, { path: filePath, size: stat.size, lastUsed: stat.mtimeMs });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Local path of a cached entry (marked as just used), or null when it isn't cached or is damaged
+   * @param {number|null} expectedSize - Size the source says the entry has
+   */
+  async lookup(key, expectedSize = null) {
+    const entries = await this.load();
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    const stat = await fs.stat(entry.path).catch(() => null);
+    if (!stat || stat.size === 0 || stat.size !== entry.size || (expectedSize !== null && stat.size !== expectedSize)) {
+      console.warn(`[AssetCache] ⚠️ Dropping damaged entry ${path.basename(entry.path)}`);
+      this.stats.integrityFailures++;
+      entries.delete(key);
+      await fs.remove(entry.path).catch(() => {});
+      return null;
+    }
+
+    const now = new Date();
+    await fs.utimes(entry.path, now, now).catch(() => {});
+    entry.lastUsed = now.getTime();
+    return entry.path;
+  }
+
+  /**
+   * Local path of an entry, downloading it on a miss
+   * @param {string} key - Content address
+   * @param {Object} options - { download(destination) → optional extension, ext (used when download returns none),
+   *   size (expected bytes), verify(filePath) (throws when the download is damaged), label (for logs) }
+   * @returns {Promise<string>} Path inside the cache - shared, callers must not move or delete it
+   */
+  async get(key, { download, ext = '', size = null, verify = null, label = key }) {
+    const cached = await this.lookup(key, size);
+    if (cached) {
+      this.stats.hits++;
+      return cached;
+    }
+    if (this.downloads.has(key)) {
+      this.stats.hits++;
+      return this.downloads.get(key);
+    }
+
+    this.stats.misses++;
+    const stored = this.store(key, { download, ext, size, verify, label }).finally(() => {
+      this.downloads.delete(key);
+    });
+    this.downloads.set(key, stored);
+    return stored;
+  }
+
+  async store(key, { download, ext, size, verify, label }) {
+    const entries = await this.load();
+    const partialPath = path.join(this.dir, `${key}${PARTIAL_SUFFIX}`);
+    let filePath;
+    let bytes;
+    try {
+      const downloadedExt = await download(partialPath);
+      bytes = (await fs.stat(partialPath)).size;
+      if (bytes === 0 || (size !== null && bytes !== size)) {
+        throw new Error(`download is ${bytes} bytes${size !== null ? `, expected ${size}` : ''}`);
+      }
+      if (verify) await verify(partialPath);
+      filePath = path.join(this.dir, `${key}${downloadedExt || ext}`);
+      await fs.move(partialPath, filePath, { overwrite: true });
+    } catch (error) {
+      await fs.remove(partialPath).catch(() => {});
+      if (bytes !== undefined) this.stats.integrityFailures++;
+      throw new Error(`Could not cache ${label}: ${error.message}`);
+    }
+
+    entries.set(key, { path: filePath, size: bytes, lastUsed: Date.now() });
+    this.stats.downloadedBytes += bytes;
+    console.log(`[AssetCache] 📥 Cached ${label} (${formatBytes(bytes)})`);
+    await this.evict();
+    return filePath;
+  }
+
+  /**
+   * Local copy of a Firebase Storage file
+   * @param {Object} file - Storage File (metadata is fetched when the reference doesn't carry it)
+   */
+  async getStorageFile(file) {
+    let metadata = file.metadata || {};
+    if (!metadata.size) {
+      [metadata] = await file.getMetadata();
+    }
+    return this.get(getStorageCacheKey(file.name, metadata), {
+      download: async (destination) => {
+        await file.download({ destination });
+      },
+      ext: path.extname(file.name).toLowerCase(),
+      size: metadata.size ? Number(metadata.size) : null,
+      verify: metadata.md5Hash
+        ? async (filePath) => {
+          if (await hashFile(filePath) !== metadata.md5Hash) throw new Error('MD5 does not match Storage');
+        }
+        : null,
+      label: file.name
+    });
+  }
+
+  /**
+   * Local copy of a URL (Arweave, public Storage URLs)
+   * @param {Object} options - { ext: extension when neither the URL nor the Content-Type gives one }
+   */
+  async getURL(url, { ext = '' } = {}) {
+    return this.get(getURLCacheKey(url), {
+      download: async (destination) => {
+        const response = await axios({ url, method: 'GET', responseType: 'stream', timeout: DOWNLOAD_TIMEOUT_MS });
+        await pipeline(response.data, fs.createWriteStream(destination));
+        const expected = parseInt(response.headers['content-length'], 10);
+        if (expected && (await fs.stat(destination)).size !== expected) {
+          throw new Error(`truncated (expected ${expected} bytes)`);
+        }
+        return getURLExtension(url, response.headers['content-type'] || '');
+      },
+      ext,
+      label: url
+    });
+  }
+
+  /**
+   * Remove least recently used entries until the cache fits its limit (entries used in the last hour stay)
+   */
+  async evict() {
+    const entries = await this.load();
+    let total = [...entries.values()].reduce((sum, entry) => sum + entry.size, 0);
+    if (total <= this.maxBytes) return;
+
+    const cutoff = Date.now() - IN_USE_MS;
+    const candidates = [...entries.entries()]
+      .filter(([, entry]) => entry.lastUsed < cutoff)
+      .sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+    for (const [key, entry] of candidates) {
+      if (total <= this.maxBytes) break;
+      await fs.remove(entry.path).catch(() => {});
+      entries.delete(key);
+      total -= entry.size;
+      this.stats.evictions++;
+      this.stats.evictedBytes += entry.size;
+    }
+    if (total > this.maxBytes) {
+      console.warn(`[AssetCache] ⚠️ ${formatBytes(total)} cached, over the ${formatBytes(this.maxBytes)} limit - the rest was used in the last hour`);
+    }
+  }
+
+  /**
+   * Remove every entry that isn't being downloaded
+   */
+  async clear() {
+    const entries = await this.load();
+    for (const [key, entry] of entries) {
+      await fs.remove(entry.path).catch(() => {});
+      entries.delete(key);
+    }
+    console.log('[AssetCache] 🧹 Cache cleared');
+  }
+
+  /**
+   * Hit / miss counters since the worker started, plus the current size
+   */
+  async getStats() {
+    const entries = await this.load();
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : null,
+      entries: entries.size,
+      bytes: [...entries.values()].reduce((sum, entry) => sum + entry.size, 0),
+      maxBytes: this.maxBytes
+    };
+  }
+}
+
+let sharedCache = null;
+
+/**
+ * The process-wide cache every loader uses
+ */
+export function getAssetCache() {
+  if (!sharedCache) {
+    sharedCache = new AssetCache();
+  }
+  return sharedCache;
+}
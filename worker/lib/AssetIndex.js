@@ -0,0 +1,542 @@
+/**
+ * Asset Index
+ * Footage library index - one Firestore `assets` document per clip in Firebase Storage, so renders and the
+ * folder browser query the index instead of listing the bucket and guessing from file names
+ *
+ * Each clip records its folder, size and tags plus what one low-resolution FFmpeg pass measures: duration,
+ * resolution, frame rate, codec, orientation, average brightness and a motion score (mean change between frames
+ * sampled twice a second), plus the usable in/out windows from a scene / black / freeze pass (see SceneDetection).
+ * Clips are indexed:
+ *   - on upload: the website registers browser uploads with POST /api/video-folders (`status: 'pending'`, storage
+ *     facts only) and /api/upload-video indexes its optimized file straight away
+ *   - by the worker: idle polls measure pending clips (indexPending)
+ *   - by `node worker/index-assets.js`, which indexes the whole bucket and drops clips that no longer exist
+ * Clips whose measurement failed (`status: 'failed'`) are left out of renders. Callers keep listing the bucket until
+ * a full sync has finished (the `system/assetIndex` marker) - uploads alone would leave an index of a few clips.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { spawn } from 'child_process';
+import { buildSceneAnalysisFilter, parseSceneOutput, findShakySpans, buildUsableWindows } from './SceneDetection.js';
+
+export const ASSET_INDEX_VERSION = 2; // 2: usable windows
+export const ASSET_COLLECTION = 'assets';
+export const ASSET_INDEX_MARKER = { collection: 'system', doc: 'assetIndex' }; // { syncedAt, version } after a full sync
+export const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.m4v', '.avi', '.mkv', '.webm'];
+export const MAX_ASSET_TAGS = 20;
+
+const PROBE_SAMPLE_RATE = 2; // Frames per second measured for brightness / motion
+const PROBE_SAMPLE_SECONDS = 60; // Longer clips are measured on their first minute
+const PROBE_FRAME_SIZE = 32; // Pixels per side of the measured grey frames
+const FIRESTORE_IN_LIMIT = 30; // Values per `in` query
+const PENDING_BATCH_SIZE = 3;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9 _-]{0,31}$/;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Whether a Storage object name is a video clip (.keep placeholders aren't)
+ */
+export function isVideoFile(name) {
+  const lower = name.toLowerCase();
+  return VIDEO_EXTENSIONS.some(ext => lower.endsWith(ext)) && !lower.endsWith('.keep');
+}
+
+/**
+ * Firestore document ID for a Storage path (IDs can't contain "/")
+ */
+export function getAssetId(storagePath) {
+  return encodeURIComponent(storagePath);
+}
+
+/**
+ * Folder a clip belongs to, as the folder browser names it: the first two path segments for nested clips
+ * ("assets/chicago-skyline-videos"), otherwise the top-level folder
+ */
+export function getAssetFolder(storagePath) {
+  const parts = storagePath.split('/');
+  if (parts.length > 2) return `${parts[0]}/${parts[1]}`;
+  return parts.length > 1 ? parts[0] : '';
+}
+
+/**
+ * Folder name as jobs select it (case-insensitive, without the assets/ prefix)
+ */
+export function normalizeFolderName(name) {
+  if (!name) return '';
+  return name.toString().toLowerCase().trim().replace(/^assets\//, '');
+}
+
+/**
+ * Key a folder's clips are grouped under for the segment compositor (chicago-skyline-videos is "chicago")
+ */
+export function getAssetGroupKey(folder) {
+  const folderKey = normalizeFolderName(folder);
+  return folderKey === 'chicago-skyline-videos' ? 'chicago' : folderKey;
+}
+
+/**
+ * Folders that never feed renders: logos, paper backgrounds, mixes and the Baiee mix folders (the retro / noise /
+ * grit overlay folders under them do)
+ */
+export function isExcludedFolder(folder) {
+  const folderKey = normalizeFolderName(folder);
+  if (folderKey === 'logos' || folderKey === 'paper_backgrounds' || folderKey === 'mixes') return true;
+  return (folderKey.includes('baiee') || folderKey.includes('bai-ee')) &&
+    !folderKey.includes('retro') && !folderKey.includes('noise') && !folderKey.includes('grit');
+}
+
+/**
+ * Check tags sent with an upload
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateAssetTags(tags) {
+  if (tags === null || tags === undefined) return null;
+  if (!Array.isArray(tags) || tags.length > MAX_ASSET_TAGS) {
+    return `tags must be an array of at most ${MAX_ASSET_TAGS} strings`;
+  }
+  for (const tag of tags) {
+    if (typeof tag !== 'string' || !TAG_PATTERN.test(tag.trim().toLowerCase())) {
+      return 'tags must be 1-32 characters of letters, numbers, spaces, hyphens or underscores';
+    }
+  }
+  return null;
+}
+
+/**
+ * Tags as stored: trimmed, lower case, unique
+ */
+export function normalizeAssetTags(tags) {
+  return Array.isArray(tags) ? [...new Set(tags.map(tag => tag.trim().toLowerCase()))] : [];
+}
+
+/**
+ * 'landscape', 'portrait' or 'square' for a frame size
+ */
+export function getOrientation(width, height) {
+  if (!width || !height) return null;
+  return width > height ? 'landscape' : width === height ? 'square' : 'portrait';
+}
+
+/**
+ * Stream facts from FFmpeg's input banner
+ * @param {string} output - stderr of `ffmpeg -i <file>`
+ * @returns {{duration: number|null, width: number|null, height: number|null, fps: number|null, codec: string|null, rotation: number}}
+ *   Width and height as displayed (swapped for clips recorded rotated by 90°)
+ */
+export function parseProbeOutput(output) {
+  const durationMatch = /Duration:\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(output);
+  const streamMatch = /Stream #\d+:\d+[^\n]*?: Video: ([a-z0-9_]+)[^\n]*?, (\d{2,5})x(\d{2,5})[^\n]*/i.exec(output);
+  const fpsMatch = streamMatch ? /([\d.]+) fps/.exec(streamMatch[0]) : null;
+  const rotationMatch = /rotation of (-?[\d.]+) degrees/.exec(output) || /rotate\s*:\s*(-?\d+)/.exec(output);
+
+  const rotation = rotationMatch ? Math.round(parseFloat(rotationMatch[1])) : 0;
+  const quarterTurn = Math.abs(rotation) % 180 === 90;
+  const codedWidth = streamMatch ? parseInt(streamMatch[2], 10) : null;
+  const codedHeight = streamMatch ? parseInt(streamMatch[3], 10) : null;
+  return {
+    duration: durationMatch
+      ? round(parseInt(durationMatch[1], 10) * 3600 + parseInt(durationMatch[2], 10) * 60 + parseFloat(durationMatch[3]))
+      : null,
+    width: quarterTurn ? codedHeight : codedWidth,
+    height: quarterTurn ? codedWidth : codedHeight,
+    fps: fpsMatch ? round(parseFloat(fpsMatch[1])) : null,
+    codec: streamMatch ? streamMatch[1].toLowerCase() : null,
+    rotation
+  };
+}
+
+/**
+ * Average brightness and motion of sampled grey frames
+ * @param {Buffer} pixels - Consecutive gray frames of frameSize x frameSize
+ * @returns {{brightness: number|null, motion: number|null}} 0-1; motion is the mean absolute change between
+ *   neighbouring samples (null with fewer than two)
+ */
+export function measureFrames(pixels, frameSize = PROBE_FRAME_SIZE) {
+  const frameLength = frameSize * frameSize;
+  const frames = Math.floor(pixels.length / frameLength);
+  if (frames === 0) return { brightness: null, motion: null };
+
+  let total = 0;
+  let change = 0;
+  for (let offset = 0; offset < frames * frameLength; offset++) {
+    total += pixels[offset];
+    if (offset >= frameLength) {
+      change += Math.abs(pixels[offset] - pixels[offset - frameLength]);
+    }
+  }
+  return {
+    brightness: round(total / (frames * frameLength * 255)),
+    motion: frames > 1 ? round(change / ((frames - 1) * frameLength * 255)) : null
+  };
+}
+
+/**
+ * Descriptive tags from the measurements (kept next to the uploader's tags)
+ */
+export function describeAsset({ orientation, brightness, motion }) {
+  const tags = [];
+  if (orientation) tags.push(orientation);
+  if (brightness !== null && brightness !== undefined) {
+    if (brightness < 0.25) tags.push('dark');
+    else if (brightness > 0.6) tags.push('bright');
+  }
+  if (motion !== null && motion !== undefined) {
+    if (motion < 0.02) tags.push('static');
+    else if (motion > 0.08) tags.push('high-motion');
+  }
+  return tags;
+}
+
+/**
+ * Index document for a clip
+ * @param {string} storagePath - Storage object name
+ * @param {Object} facts - { size, contentType, updated, tags, probe (parseProbeOutput + measureFrames), scenes
+ *   ({ cuts, windows, usableRatio } - null when the scene pass didn't run), status }
+ */
+export function buildAssetRecord(storagePath, { size = null, contentType = null, updated = null, tags = [], probe = null, scenes = null, status = 'pending' } = {}) {
+  const folder = getAssetFolder(storagePath);
+  const measured = probe || {};
+  const orientation = getOrientation(measured.width, measured.height);
+  const brightness = measured.brightness !== undefined ? measured.brightness : null;
+  const motion = measured.motion !== undefined ? measured.motion : null;
+  return {
+    id: getAssetId(storagePath),
+    storagePath,
+    name: path.basename(storagePath),
+    folder,
+    folderKey: normalizeFolderName(folder),
+    type: 'video',
+    size: size !== null ? Number(size) : null,
+    contentType,
+    updated,
+    duration: measured.duration || null,
+    width: measured.width || null,
+    height: measured.height || null,
+    fps: measured.fps || null,
+    codec: measured.codec || null,
+    orientation,
+    brightness,
+    motion,
+    sceneCuts: scenes ? scenes.cuts.length : null,
+    windows: scenes ? scenes.windows : null, // [{ start, end }] usable stretches (null = anywhere)
+    usableRatio: scenes ? scenes.usableRatio : null,
+    tags: [...new Set([...normalizeAssetTags(tags), ...describeAsset({ orientation, brightness, motion })])],
+    uploaderTags: normalizeAssetTags(tags),
+    status,
+    version: ASSET_INDEX_VERSION,
+    indexedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Reads, measures and writes clip records in the `assets` collection
+ */
+export class AssetIndex {
+  constructor(options = {}) {
+    this.db = options.db || null; // Firestore, connected on first use
+    this.bucket = options.bucket || null; // Storage bucket, connected on first use
+    this.ffmpegPath = null; // Resolved on first measurement (keeps ffmpeg-static out of API imports)
+    this.tempDir = options.tempDir || path.join(process.cwd(), 'temp-uploads'); // Clips downloaded for measuring
+  }
+
+  async getDb() {
+    if (!this.db) {
+      const { initializeFirebaseAdmin, getFirestore } = await import('../firebase-admin.js');
+      initializeFirebaseAdmin();
+      this.db = getFirestore();
+    }
+    return this.db;
+  }
+
+  async getBucket() {
+    if (!this.bucket) {
+      const { initializeFirebaseAdmin, getStorage } = await import('../firebase-admin.js');
+      initializeFirebaseAdmin();
+      this.bucket = getStorage().bucket();
+    }
+    return this.bucket;
+  }
+
+  async getFFmpegPath() {
+    if (!this.ffmpegPath) {
+      // Same selection as BeatDetector / AudioMastering
+      const { default: ffmpegStatic } = await import('ffmpeg-static');
+      this.ffmpegPath = process.env.GITHUB_ACTIONS !== 'true' && ffmpegStatic ? ffmpegStatic : 'ffmpeg';
+    }
+    return this.ffmpegPath;
+  }
+
+  async collection() {
+    return (await this.getDb()).collection(ASSET_COLLECTION);
+  }
+
+  /**
+   * Stored record of a clip, or null when it isn't indexed
+   */
+  async get(storagePath) {
+    const doc = await (await this.collection()).doc(getAssetId(storagePath)).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async save(record) {
+    await (await this.collection()).doc(record.id).set(record);
+    return record;
+  }
+
+  async remove(storagePath) {
+    await (await this.collection()).doc(getAssetId(storagePath)).delete();
+  }
+
+  async markerRef() {
+    return (await this.getDb()).collection(ASSET_INDEX_MARKER.collection).doc(ASSET_INDEX_MARKER.doc);
+  }
+
+  /**
+   * Whether a full sync has indexed the whole bucket (callers list the bucket until one has)
+   */
+  async isSynced() {
+    const doc = await (await this.markerRef()).get();
+    return doc.exists && Boolean(doc.data().syncedAt);
+  }
+
+  /**
+   * Record a clip from its Storage metadata only - measured later by indexPending()
+   * Keeps the measurements of a clip that is already indexed
+   */
+  async register(storagePath, { tags = [] } = {}) {
+    const bucket = await this.getBucket();
+    const [metadata] = await bucket.file(storagePath).getMetadata();
+    const existing = await this.get(storagePath);
+    if (existing && existing.status === 'indexed') {
+      const uploaderTags = normalizeAssetTags(tags);
+      return this.save({ ...existing, uploaderTags, tags: [...new Set([...uploaderTags, ...describeAsset(existing)])] });
+    }
+    return this.save(buildAssetRecord(storagePath, {
+      size: metadata.size,
+      contentType: metadata.contentType || null,
+      updated: metadata.updated || metadata.timeCreated || null,
+      tags
+    }));
+  }
+
+  /**
+   * Measure a local clip with one FFmpeg pass: stream facts from the banner, brightness / motion from grey
+   * thumbnails of the first minute
+   */
+  async probe(localPath) {
+    const ffmpegPath = await this.getFFmpegPath();
+    const args = [
+      '-hide_banner', '-nostats', '-i', localPath, '-t', String(PROBE_SAMPLE_SECONDS), '-an',
+      '-vf', `fps=${PROBE_SAMPLE_RATE},scale=${PROBE_FRAME_SIZE}:${PROBE_FRAME_SIZE}:flags=area,format=gray`,
+      '-f', 'rawvideo', '-pix_fmt', 'gray', '-'
+    ];
+    return new Promise((resolve, reject) => {
+      const ffmpegProcess = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      const chunks = [];
+      let stderr = '';
+      ffmpegProcess.stdout.on('data', (data) => {
+        chunks.push(data);
+      });
+      ffmpegProcess.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+      ffmpegProcess.on('close', (code) => {
+        const streams = parseProbeOutput(stderr);
+        if (code !== 0 || !streams.width) {
+          reject(new Error(`FFmpeg probe failed with exit code ${code}: ${stderr.split('\n').slice(-3).join(' ')}`));
+          return;
+        }
+        const pixels = Buffer.concat(chunks);
+        resolve({ ...streams, ...measureFrames(pixels), shaky: findShakySpans(pixels, PROBE_FRAME_SIZE, PROBE_SAMPLE_RATE) });
+      });
+      ffmpegProcess.on('error', (error) => {
+        reject(new Error(`FFmpeg error: ${error.message}`));
+      });
+    });
+  }
+
+  /**
+   * Scene cuts, black and frozen spans over the whole clip, turned into usable windows with the shaky spans the
+   * probe found
+   * @param {string} localPath - Downloaded clip
+   * @param {Object} probe - probe() result
+   * @returns {Promise<{cuts: number[], windows: Object[], usableRatio: number}>}
+   */
+  async detectScenes(localPath, probe) {
+    const ffmpegPath = await this.getFFmpegPath();
+    const args = ['-hide_banner', '-nostats', '-i', localPath, '-an', '-vf', buildSceneAnalysisFilter(), '-f', 'null', '-'];
+    return new Promise((resolve, reject) => {
+      const ffmpegProcess = spawn(ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+      let stderr = '';
+      ffmpegProcess.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+      ffmpegProcess.on('close', (code) => {
+        if (code !== 0) {
+          reject(new Error(`FFmpeg scene detection failed with exit code ${code}: ${stderr.split('\n').slice(-3).join(' ')}`));
+          return;
+        }
+        const { cuts, black, frozen } = parseSceneOutput(stderr, probe.duration);
+        resolve({ cuts, ...buildUsableWindows({ duration: probe.duration, cuts, black, frozen, shaky: probe.shaky }) });
+      });
+      ffmpegProcess.on('error', (error) => {
+        reject(new Error(`FFmpeg error: ${error.message}`));
+      });
+    });
+  }
+
+  /**
+   * Measure a clip and store its full record
+   * @param {string} storagePath - Storage object name
+   * @param {Object} options - { localPath (skips the download), tags (defaults to the stored uploader tags) }
+   * @returns {Promise<Object|null>} The stored record (`status: 'failed'` when the clip couldn't be measured),
+   *   null when the clip is no longer in Storage (its record is dropped)
+   */
+  async indexFile(storagePath, { localPath = null, tags = null } = {}) {
+    const bucket = await this.getBucket();
+    const file = bucket.file(storagePath);
+    const existing = tags === null ? await this.get(storagePath) : null;
+    const uploaderTags = tags !== null ? tags : (existing ? existing.uploaderTags || [] : []);
+
+    let probePath = localPath;
+    let downloaded = false;
+    const facts = { tags: uploaderTags };
+    try {
+      const [metadata] = await file.getMetadata();
+      facts.size = metadata.size;
+      facts.contentType = metadata.contentType || null;
+      facts.updated = metadata.updated || metadata.timeCreated || null;
+      if (!probePath) {
+        await fs.ensureDir(this.tempDir);
+        probePath = path.join(this.tempDir, `asset_${Date.now()}_${path.basename(storagePath).replace(/[^a-zA-Z0-9._-]/g, '_')}`);
+        await file.download({ destination: probePath });
+        downloaded = true;
+      }
+      const probe = await this.probe(probePath);
+      // Without windows segments are picked anywhere in the clip, as before the index
+      const scenes = await this.detectScenes(probePath, probe).catch((error) => {
+        console.warn(`[AssetIndex] ⚠️ Scene detection failed for ${storagePath}: ${error.message}`);
+        return null;
+      });
+      const record = await this.save(buildAssetRecord(storagePath, { ...facts, probe, scenes, status: 'indexed' }));
+      console.log(`[AssetIndex] ✅ Indexed ${storagePath}: ${record.width}x${record.height} ${record.codec}, ${record.duration}s, brightness ${record.brightness}, motion ${record.motion}` +
+        (scenes ? `, ${scenes.cuts.length} cuts, ${scenes.windows.length} usable windows (${Math.round(scenes.usableRatio * 100)}%)` : ''));
+      return record;
+    } catch (error) {
+      if (error.code === 404) {
+        // Deleted since it was registered - nothing left to render
+        console.warn(`[AssetIndex] ⚠️ ${storagePath} is no longer in Storage, dropping its record`);
+        await this.remove(storagePath);
+        return null;
+      }
+      console.warn(`[AssetIndex] ⚠️ Could not measure ${storagePath}: ${error.message}`);
+      return this.save({ ...buildAssetRecord(storagePath, { ...facts, status: 'failed' }), error: error.message });
+    } finally {
+      if (downloaded) {
+        await fs.remove(probePath).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Measure clips registered on upload
+   * @returns {Promise<number>} How many were indexed
+   */
+  async indexPending(limit = PENDING_BATCH_SIZE) {
+    const snapshot = await (await this.collection()).where('status', '==', 'pending').limit(limit).get();
+    let indexed = 0;
+    for (const doc of snapshot.docs) {
+      const { storagePath } = doc.data();
+      try {
+        if (await this.indexFile(storagePath)) indexed++;
+      } catch (error) {
+        // Firestore errors only (a bad clip is marked failed) - the next poll retries it
+        console.warn(`[AssetIndex] ⚠️ Could not index ${storagePath}: ${error.message}`);
+      }
+    }
+    return indexed;
+  }
+
+  /**
+   * Clips available to renders
+   * @param {Object} options - { folders: folder names as jobs select them (empty = every folder) }
+   * @returns {Promise<Object[]>} Records of measured and pending clips outside the excluded folders
+   */
+  async list({ folders = [] } = {}) {
+    const collection = await this.collection();
+    const folderKeys = [...new Set(folders.map(normalizeFolderName))];
+    const snapshots = [];
+    if (folderKeys.length === 0) {
+      snapshots.push(await collection.where('type', '==', 'video').get());
+    } else {
+      for (let index = 0; index < folderKeys.length; index += FIRESTORE_IN_LIMIT) {
+        snapshots.push(await collection.where('folderKey', 'in', folderKeys.slice(index, index + FIRESTORE_IN_LIMIT)).get());
+      }
+    }
+    return snapshots
+      .flatMap(snapshot => snapshot.docs.map(doc => doc.data()))
+      .filter(record => record.status !== 'failed' && !isExcludedFolder(record.folder));
+  }
+
+  /**
+   * Clip counts per folder
+   * @returns {Promise<Object[]>} [{ name, count }] sorted by name
+   */
+  async listFolders() {
+    const snapshot = await (await this.collection()).select('folder', 'status').get();
+    const counts = new Map();
+    for (const doc of snapshot.docs) {
+      const { folder, status } = doc.data();
+      if (status === 'failed') continue;
+      counts.set(folder, (counts.get(folder) || 0) + 1);
+    }
+    return [...counts.entries()]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Bring the index in line with the bucket: index new and outdated clips, drop records of deleted ones
+   * A sync of the whole bucket (no prefix) writes the marker that switches renders and the folder browser to the index
+   * @param {Object} options - { force: re-measure every clip, prefix: only this part of the bucket }
+   * @returns {Promise<{indexed: number, failed: number, removed: number, unchanged: number}>}
+   */
+  async sync({ force = false, prefix = '' } = {}) {
+    const bucket = await this.getBucket();
+    const collection = await this.collection();
+    const [files] = await bucket.getFiles(prefix ? { prefix } : {});
+    const clips = files.filter(file => isVideoFile(file.name) && getAssetFolder(file.name));
+    const stored = new Map((await collection.get()).docs.map(doc => [doc.data().storagePath, doc.data()]));
+
+    const result = { indexed: 0, failed: 0, removed: 0, unchanged: 0 };
+    for (const [index, file] of clips.entries()) {
+      const existing = stored.get(file.name);
+      const updated = file.metadata.updated || file.metadata.timeCreated || null;
+      if (!force && existing && existing.status === 'indexed' && existing.version === ASSET_INDEX_VERSION && existing.updated === updated) {
+        result.unchanged++;
+        continue;
+      }
+      console.log(`[AssetIndex] ${index + 1}/${clips.length} ${file.name}`);
+      const record = await this.indexFile(file.name);
+      if (!record) {
+        result.removed++; // Deleted while syncing
+        continue;
+      }
+      result[record.status === 'indexed' ? 'indexed' : 'failed']++;
+    }
+
+    const present = new Set(clips.map(file => file.name));
+    for (const storagePath of stored.keys()) {
+      if (storagePath.startsWith(prefix) && !present.has(storagePath)) {
+        await this.remove(storagePath);
+        result.removed++;
+      }
+    }
+    if (!prefix) {
+      await (await this.markerRef()).set({ syncedAt: new Date().toISOString(), version: ASSET_INDEX_VERSION, ...result });
+    }
+    return result;
+  }
+}
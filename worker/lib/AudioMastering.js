@@ -0,0 +1,236 @@
+/**
+ * Audio Mastering
+ * Post-processing for generated clips so every video plays at the same loudness whatever the artist or mix
+ *
+ * Chain: optional EQ preset (high-pass / low-shelf) -> two-pass EBU R128 loudnorm to the target -> true-peak
+ * limiter (4x oversampled, so inter-sample peaks are caught too). The first pass only measures; the second
+ * applies the measured values with linear gain, so the mix's own dynamics are kept.
+ *
+ * Jobs set `mastering`: omitted / true for the social default (-14 LUFS, -1 dBTP), false to keep the clip as
+ * downloaded, or { target, truePeak, eq } where target is in LUFS or a named target ('social', 'broadcast', 'club').
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs-extra';
+import { trackChildProcess } from './JobCancellation.js';
+
+export const LOUDNESS_TARGETS = {
+  social: -14, // Streaming / social platforms
+  broadcast: -23, // EBU R128 broadcast
+  club: -9 // Loud, for short promo clips
+};
+
+export const DEFAULT_MASTERING = { target: LOUDNESS_TARGETS.social, truePeak: -1, eq: null };
+
+/**
+ * EQ presets applied before loudness normalisation
+ *   rumble: high-pass only (sub rumble, DC offset, vinyl noise)
+ *   warm:   high-pass and a gentle low-shelf boost for thin recordings
+ *   tight:  higher high-pass and a low-shelf cut for boomy room recordings
+ */
+export const MASTERING_EQ_PRESETS = {
+  rumble: { highpass: 30, lowShelf: null },
+  warm: { highpass: 30, lowShelf: { frequency: 120, gain: 2 } },
+  tight: { highpass: 40, lowShelf: { frequency: 150, gain: -2.5 } }
+};
+
+const TARGET_RANGE = { min: -30, max: -5 };
+const TRUE_PEAK_RANGE = { min: -9, max: 0 };
+const LOUDNESS_RANGE = 11; // LRA target - only used if loudnorm has to fall back to dynamic mode
+const LIMITER_SAMPLE_RATE = 176400; // 4x 44.1kHz
+
+/**
+ * Check the job's `mastering` option
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateMasteringOptions(option) {
+  if (option === null || option === undefined || typeof option === 'boolean') return null;
+  if (typeof option !== 'object' || Array.isArray(option)) {
+    return 'mastering must be true, false or { target, truePeak, eq }';
+  }
+  const { target, truePeak, eq } = option;
+  if (target !== undefined) {
+    const validNumber = typeof target === 'number' && target >= TARGET_RANGE.min && target <= TARGET_RANGE.max;
+    if (!validNumber && !Object.prototype.hasOwnProperty.call(LOUDNESS_TARGETS, target)) {
+      return `mastering.target must be between ${TARGET_RANGE.min} and ${TARGET_RANGE.max} LUFS or one of: ${Object.keys(LOUDNESS_TARGETS).join(', ')}`;
+    }
+  }
+  if (truePeak !== undefined && (typeof truePeak !== 'number' || truePeak < TRUE_PEAK_RANGE.min || truePeak > TRUE_PEAK_RANGE.max)) {
+    return `mastering.truePeak must be between ${TRUE_PEAK_RANGE.min} and ${TRUE_PEAK_RANGE.max} dBTP`;
+  }
+  if (eq !== undefined && eq !== null && !Object.prototype.hasOwnProperty.call(MASTERING_EQ_PRESETS, eq)) {
+    return `mastering.eq must be one of: ${Object.keys(MASTERING_EQ_PRESETS).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Normalise the job's `mastering` option
+ * @returns {{target: number, truePeak: number, eq: string|null}|null} null when mastering is off
+ */
+export function resolveMasteringOptions(option = null) {
+  if (option === false) return null;
+  if (option === null || option === undefined || option === true) return { ...DEFAULT_MASTERING };
+  const target = typeof option.target === 'string' ? LOUDNESS_TARGETS[option.target] : option.target;
+  return {
+    target: typeof target === 'number' ? target : DEFAULT_MASTERING.target,
+    truePeak: typeof option.truePeak === 'number' ? option.truePeak : DEFAULT_MASTERING.truePeak,
+    eq: option.eq || null
+  };
+}
+
+/**
+ * EQ stages for a preset (empty without one)
+ */
+export function buildEqFilters(eq) {
+  const preset = eq ? MASTERING_EQ_PRESETS[eq] : null;
+  if (!preset) return [];
+  const filters = [];
+  if (preset.highpass) filters.push(`highpass=f=${preset.highpass}:poles=2`);
+  if (preset.lowShelf) filters.push(`lowshelf=f=${preset.lowShelf.frequency}:g=${preset.lowShelf.gain}`);
+  return filters;
+}
+
+/**
+ * loudnorm stage - measuring (first pass) or applying measured values (second pass)
+ * @param {Object} settings - resolveMasteringOptions() result
+ * @param {Object|null} measured - First pass loudnorm stats (input_i, input_tp, input_lra, input_thresh, target_offset)
+ */
+export function buildLoudnormFilter(settings, measured = null) {
+  const base = `loudnorm=I=${settings.target}:TP=${settings.truePeak}:LRA=${LOUDNESS_RANGE}`;
+  if (!measured) return `${base}:print_format=json`;
+  return `${base}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}:measured_LRA=${measured.input_lra}` +
+    `:measured_thresh=${measured.input_thresh}:offset=${measured.target_offset}:linear=true:print_format=json`;
+}
+
+/**
+ * True-peak limiter: oversampled so the ceiling holds between samples, back to 44.1kHz after
+ */
+export function buildLimiterFilter(truePeak) {
+  const ceiling = Math.pow(10, truePeak / 20).toFixed(4);
+  return `aresample=${LIMITER_SAMPLE_RATE},alimiter=limit=${ceiling}:attack=1:release=50:level=0,aresample=44100`;
+}
+
+/**
+ * Read the JSON stats loudnorm prints at the end of a run
+ * @returns {Object|null} Raw stats (string values) or null when not found
+ */
+export function parseLoudnormStats(log) {
+  const start = log.lastIndexOf('"input_i"');
+  if (start < 0) return null;
+  const open = log.lastIndexOf('{', start);
+  const close = log.indexOf('}', start);
+  if (open < 0 || close < 0) return null;
+  try {
+    return JSON.parse(log.slice(open, close + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+const toNumber = value => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Runs the mastering chain on local audio files
+ */
+export class AudioMastering {
+  constructor() {
+    this.ffmpegPath = null; // Resolved on first use (keeps ffmpeg-static out of API imports)
+  }
+
+  async getFFmpegPath() {
+    if (!this.ffmpegPath) {
+      // Same selection as BeatDetector / VideoSegmentCompositor
+      const { default: ffmpegStatic } = await import('ffmpeg-static');
+      this.ffmpegPath = process.env.GITHUB_ACTIONS !== 'true' && ffmpegStatic ? ffmpegStatic : 'ffmpeg';
+    }
+    return this.ffmpegPath;
+  }
+
+  /**
+   * Run FFmpeg and return its log (loudnorm prints its stats at info level)
+   */
+  async runFFmpeg(args) {
+    const ffmpegPath = await this.getFFmpegPath();
+    return new Promise((resolve, reject) => {
+      const ffmpegProcess = trackChildProcess(spawn(ffmpegPath, ['-hide_banner', '-nostats', ...args], { stdio: ['ignore', 'ignore', 'pipe'] }));
+      let stderr = '';
+      ffmpegProcess.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+      ffmpegProcess.on('close', (code) => {
+        if (code === 0) {
+          resolve(stderr);
+        } else {
+          reject(new Error(`FFmpeg mastering failed with exit code ${code}: ${stderr.split('\n').slice(-3).join(' ')}`));
+        }
+      });
+      ffmpegProcess.on('error', (error) => {
+        reject(new Error(`FFmpeg error: ${error.message}`));
+      });
+    });
+  }
+
+  /**
+   * Measure a file's loudness with loudnorm's analysis (optionally after EQ stages)
+   * @returns {Promise<Object>} Raw loudnorm stats
+   */
+  async measure(audioPath, settings, eqFilters = []) {
+    const log = await this.runFFmpeg(['-i', audioPath, '-vn', '-af', [...eqFilters, buildLoudnormFilter(settings)].join(','), '-f', 'null', '-']);
+    const stats = parseLoudnormStats(log);
+    if (!stats) {
+      throw new Error('loudnorm measurement not found in FFmpeg output');
+    }
+    return stats;
+  }
+
+  /**
+   * Master an audio clip in place
+   * @param {string} audioPath - Local audio file (replaced with the mastered version)
+   * @param {Object} settings - resolveMasteringOptions() result
+   * @returns {Promise<Object>} Measured loudness: { target, truePeakLimit, eq, input, output } where input / output
+   *          are { integrated (LUFS), truePeak (dBTP), range (LU) }; output is null when the clip was left untouched
+   */
+  async master(audioPath, settings) {
+    const eqFilters = buildEqFilters(settings.eq);
+    const summarize = stats => ({
+      integrated: toNumber(stats.input_i),
+      truePeak: toNumber(stats.input_tp),
+      range: toNumber(stats.input_lra)
+    });
+
+    // Pass 1: measure (after EQ, which changes the loudness too)
+    const measured = await this.measure(audioPath, settings, eqFilters);
+    const input = summarize(measured);
+    const result = { target: settings.target, truePeakLimit: settings.truePeak, eq: settings.eq, input, output: null };
+
+    // Silence (-inf LUFS) can't be normalised
+    if (input.integrated === null || toNumber(measured.input_thresh) === null) {
+      console.warn('[AudioMastering] ⚠️ Clip is silent, leaving it unmastered');
+      return result;
+    }
+
+    // Pass 2: apply with the measured values, then limit
+    const masteredPath = audioPath.replace(/(\.[^./]+)?$/, '_mastered$1');
+    const filters = [...eqFilters, buildLoudnormFilter(settings, measured), buildLimiterFilter(settings.truePeak)];
+    try {
+      await this.runFFmpeg([
+        '-i', audioPath, '-vn', '-map', '0:a', '-map_metadata', '0',
+        '-af', filters.join(','),
+        '-c:a', 'aac', '-b:a', '128k', '-ac', '2', '-ar', '44100', '-y', masteredPath
+      ]);
+      // What actually ends up in the video (after the limiter and AAC encode)
+      result.output = summarize(await this.measure(masteredPath, settings));
+      await fs.move(masteredPath, audioPath, { overwrite: true });
+    } catch (error) {
+      await fs.remove(masteredPath).catch(() => {});
+      throw error;
+    }
+
+    console.log(`[AudioMastering] 🎚️ Mastered${settings.eq ? ` (${settings.eq} EQ)` : ''}: ${input.integrated} LUFS / ${input.truePeak} dBTP -> ${result.output.integrated} LUFS / ${result.output.truePeak} dBTP (target ${settings.target} LUFS)`);
+    return result;
+  }
+}
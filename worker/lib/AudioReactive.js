@@ -0,0 +1,300 @@
+/**
+ * Audio Reactive
+ * Per-frame envelopes of the mix (loudness, bass / mid / high band energy, onsets) and the ffmpeg commands
+ * that make the visuals follow them: zoom pulses on the background, filter intensity, overlay opacity, logo scale
+ *
+ * Envelopes are built from BeatDetector.analyzeOnsets() output, resampled to the video frame rate, normalised
+ * to 0-1 against the clip's own range and smoothed with a fast attack / slower release - a kick pumps, a
+ * breakdown settles, nothing flickers frame to frame.
+ *
+ * VideoCompositor names the filters that react (crop@react_zoom, eq@react_filter, blend@react_v0...) and feeds
+ * them a sendcmd file written by buildReactiveCommands().
+ *
+ * Jobs switch it on with `"audioReactive": true` or tune each effect
+ * (`"audioReactive": { "zoom": { "source": "bass", "amount": 0.08 }, "filter": false }`).
+ */
+
+export const REACTIVE_FPS = 30;
+
+export const REACTIVE_SOURCES = ['loudness', 'bass', 'mid', 'high', 'onsets'];
+
+/**
+ * Effects with their default envelope and amount (used by `"audioReactive": true`)
+ *   zoom:    background punches in by up to `amount` (0.05 = 5%)
+ *   filter:  the video filter's eq swings by +/- `amount` around its intensity
+ *   overlay: overlay layer opacity drops by up to `amount` when the envelope is low
+ *   logo:    logo layers grow by up to `amount`
+ */
+export const REACTIVE_EFFECTS = {
+  zoom: { source: 'bass', amount: 0.05, maxAmount: 0.3 },
+  filter: { source: 'loudness', amount: 0.5, maxAmount: 1 },
+  overlay: { source: 'mid', amount: 0.7, maxAmount: 1 },
+  logo: { source: 'onsets', amount: 0.12, maxAmount: 0.5 }
+};
+
+// Envelope follower times in seconds (attack, release) and the percentiles mapped to 0 and 1
+const ENVELOPE_SHAPES = {
+  loudness: { attack: 0.02, release: 0.3, low: 0.1, high: 0.95 },
+  bass: { attack: 0.01, release: 0.15, low: 0.1, high: 0.95 },
+  mid: { attack: 0.02, release: 0.2, low: 0.1, high: 0.95 },
+  high: { attack: 0.01, release: 0.1, low: 0.1, high: 0.95 },
+  // Only the peaks count as onsets
+  onsets: { attack: 0, release: 0.12, low: 0.5, high: 0.98 }
+};
+
+// Added when the video filter has no eq stage of its own (e.g. the default black and white)
+const FILTER_PULSE = { contrast: 0.25, brightness: 0.04, saturation: 0.25 };
+
+const round = value => Math.round(value * 1000) / 1000;
+const even = value => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * Normalise the job's `audioReactive` option into { zoom, filter, overlay, logo } ({ source, amount } or null)
+ * @param {boolean|Object|null} option - true for the defaults, or per-effect { source, amount } / false
+ * @returns {Object|null} null when audio-reactive visuals are off
+ */
+export function resolveReactiveOptions(option = null) {
+  if (!option) return null;
+  const resolved = {};
+  for (const [effect, defaults] of Object.entries(REACTIVE_EFFECTS)) {
+    const value = option === true ? true : option[effect];
+    if (value === false) {
+      resolved[effect] = null;
+    } else if (value === undefined || value === true) {
+      resolved[effect] = { source: defaults.source, amount: defaults.amount };
+    } else {
+      resolved[effect] = {
+        source: value.source || defaults.source,
+        amount: typeof value.amount === 'number' ? value.amount : defaults.amount
+      };
+    }
+  }
+  return Object.values(resolved).some(Boolean) ? resolved : null;
+}
+
+/**
+ * Check the job's `audioReactive` option
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateReactiveOptions(option) {
+  if (option === null || option === undefined || typeof option === 'boolean') return null;
+  if (typeof option !== 'object' || Array.isArray(option)) {
+    return 'audioReactive must be a boolean or { zoom, filter, overlay, logo }';
+  }
+  for (const [effect, value] of Object.entries(option)) {
+    const definition = REACTIVE_EFFECTS[effect];
+    if (!definition) {
+      return `Unknown audioReactive effect "${effect}". Supported: ${Object.keys(REACTIVE_EFFECTS).join(', ')}`;
+    }
+    if (typeof value === 'boolean') continue;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return `audioReactive.${effect} must be a boolean or { source, amount }`;
+    }
+    if (value.source !== undefined && !REACTIVE_SOURCES.includes(value.source)) {
+      return `audioReactive.${effect}.source must be one of: ${REACTIVE_SOURCES.join(', ')}`;
+    }
+    if (value.amount !== undefined && (typeof value.amount !== 'number' || value.amount < 0 || value.amount > definition.maxAmount)) {
+      return `audioReactive.${effect}.amount must be between 0 and ${definition.maxAmount}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Value at a fraction (0-1) of the sorted values
+ */
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+/**
+ * Resample analysis frames (one per hop) to video frames
+ * @param {Function} reduce - Combines the hops inside one video frame ('mean' for energy, 'max' for onsets)
+ */
+function resampleToFrames(values, analysis, fps, frameCount, reduce) {
+  const { frameRate, timeOffset } = analysis;
+  const frames = new Float64Array(frameCount);
+  for (let frame = 0; frame < frameCount; frame++) {
+    const first = Math.max(0, Math.ceil((frame / fps - timeOffset) * frameRate));
+    const last = Math.min(values.length - 1, Math.ceil(((frame + 1) / fps - timeOffset) * frameRate) - 1);
+    if (last < first) {
+      // Frame shorter than a hop (or past the last hop) - nearest hop
+      frames[frame] = values[Math.min(values.length - 1, first)] || 0;
+      continue;
+    }
+    let result = reduce === 'max' ? -Infinity : 0;
+    for (let hop = first; hop <= last; hop++) {
+      result = reduce === 'max' ? Math.max(result, values[hop]) : result + values[hop];
+    }
+    frames[frame] = reduce === 'max' ? result : result / (last - first + 1);
+  }
+  return frames;
+}
+
+/**
+ * Map values to 0-1 between two percentiles of the clip, then smooth with an attack / release follower
+ */
+function shapeEnvelope(values, fps, shape) {
+  const sorted = Float64Array.from(values).sort();
+  const low = percentile(sorted, shape.low);
+  const high = percentile(sorted, shape.high);
+  const range = high - low;
+  const coefficient = seconds => (seconds > 0 ? 1 - Math.exp(-1 / (fps * seconds)) : 1);
+  const attack = coefficient(shape.attack);
+  const release = coefficient(shape.release);
+
+  const envelope = new Array(values.length);
+  let level = 0;
+  for (let i = 0; i < values.length; i++) {
+    const target = range > 0 ? Math.min(1, Math.max(0, (values[i] - low) / range)) : 0;
+    level += (target - level) * (target > level ? attack : release);
+    envelope[i] = round(level);
+  }
+  return envelope;
+}
+
+/**
+ * Build per-frame envelopes from an onset analysis
+ * @param {Object} analysis - BeatDetector.analyzeOnsets() / OnsetAnalyzer.finish() result
+ * @param {Object} options - { fps }
+ * @returns {{fps: number, duration: number, frameCount: number, loudness: number[], bass: number[], mid: number[], high: number[], onsets: number[]}}
+ */
+export function buildAudioEnvelopes(analysis, { fps = REACTIVE_FPS } = {}) {
+  const frameCount = Math.max(1, Math.ceil(analysis.duration * fps));
+  // Loudness in dB so a breakdown reads as quiet rather than "slightly less loud"
+  const decibels = Array.from(analysis.rms, rms => 20 * Math.log10(rms + 1e-6));
+  const raw = {
+    loudness: resampleToFrames(decibels, analysis, fps, frameCount, 'mean'),
+    bass: resampleToFrames(analysis.bass, analysis, fps, frameCount, 'mean'),
+    mid: resampleToFrames(analysis.mid, analysis, fps, frameCount, 'mean'),
+    high: resampleToFrames(analysis.high, analysis, fps, frameCount, 'mean'),
+    onsets: resampleToFrames(analysis.flux, analysis, fps, frameCount, 'max')
+  };
+
+  const envelopes = { fps, duration: analysis.duration, frameCount };
+  for (const source of REACTIVE_SOURCES) {
+    envelopes[source] = shapeEnvelope(raw[source], fps, ENVELOPE_SHAPES[source]);
+  }
+  return envelopes;
+}
+
+/**
+ * Envelope value (0-1) at a time in seconds
+ */
+export function envelopeAt(envelopes, source, time) {
+  const values = envelopes[source] || [];
+  const frame = Math.min(values.length - 1, Math.max(0, Math.floor(time * envelopes.fps)));
+  return values[frame] || 0;
+}
+
+/**
+ * Switch points for clips that used to change on a fixed timer: the strongest onset between
+ * minGap and maxGap seconds after the previous switch (drops and kicks after a breakdown win)
+ * @returns {number[]} Switch times in seconds, between start and end (exclusive)
+ */
+export function findSwitchPoints(envelopes, start, end, { source = 'onsets', minGap = 5, maxGap = 15 } = {}) {
+  const values = envelopes[source] || [];
+  const points = [];
+  let current = start;
+  while (end - current > minGap * 1.5) {
+    const first = Math.ceil((current + minGap) * envelopes.fps);
+    const last = Math.min(values.length - 1, Math.floor(Math.min(current + maxGap, end - minGap / 2) * envelopes.fps));
+    if (last < first) break;
+    let best = first;
+    for (let frame = first + 1; frame <= last; frame++) {
+      if (values[frame] > values[best]) best = frame;
+    }
+    // Near the end only switch on a clear hit - otherwise let the last clip run out
+    if (end - current <= maxGap && values[best] < 0.5) break;
+    current = round(best / envelopes.fps);
+    points.push(current);
+  }
+  return points;
+}
+
+/**
+ * Crop that zooms into the centre of a width x height picture (scaled back up afterwards),
+ * used for background zoom pulses and logo scale
+ * @param {string} target - Filter instance, e.g. 'crop@react_zoom'
+ * @param {Object} reaction - { source, amount }
+ */
+export function createZoomBinding(target, width, height, reaction) {
+  return {
+    target,
+    reaction,
+    epsilon: 1,
+    params: value => {
+      const factor = 1 + reaction.amount * value;
+      return { w: even(width / factor), h: even(height / factor) };
+    }
+  };
+}
+
+/**
+ * Opacity that dips by up to `amount` when the envelope is low
+ * @param {string} target - Filter instance, e.g. 'blend@react_v0'
+ * @param {string} param - Opacity option of that filter ('all_opacity' for blend, 'aa' for colorchannelmixer)
+ * @param {number} opacity - Layer opacity at full envelope
+ */
+export function createOpacityBinding(target, param, opacity, reaction) {
+  return {
+    target,
+    reaction,
+    epsilon: 0.01,
+    params: value => ({ [param]: opacity * (1 - reaction.amount + reaction.amount * value) })
+  };
+}
+
+/**
+ * eq contrast / brightness / saturation following the envelope
+ * @param {string} target - Filter instance, e.g. 'eq@react_filter'
+ * @param {Object|null} presetParams - The filter's own eq values (VideoFilters.parseEqParams), or null when
+ *   a neutral eq stage was added for it
+ * @param {Object} neutral - eq values that leave the picture unchanged (VideoFilters.EQ_NEUTRAL)
+ */
+export function createFilterBinding(target, presetParams, neutral, reaction) {
+  return {
+    target,
+    reaction,
+    epsilon: 0.005,
+    params: value => {
+      const result = {};
+      for (const [param, neutralValue] of Object.entries(neutral)) {
+        // A preset's eq swings around its intensity; an added eq only pulses up from neutral
+        result[param] = presetParams
+          ? neutralValue + (presetParams[param] - neutralValue) * (1 + reaction.amount * (2 * value - 1))
+          : neutralValue + FILTER_PULSE[param] * reaction.amount * value;
+      }
+      return result;
+    }
+  };
+}
+
+/**
+ * sendcmd file contents: one line per video frame where a reacting filter changes
+ * @param {Object} envelopes - buildAudioEnvelopes() result
+ * @param {Object[]} bindings - create*Binding() results
+ * @param {number} duration - Output length in seconds
+ */
+export function buildReactiveCommands(envelopes, bindings, duration) {
+  const lastSent = bindings.map(() => ({}));
+  const frameCount = Math.min(envelopes.frameCount, Math.ceil(duration * envelopes.fps));
+  const lines = [];
+  for (let frame = 0; frame < frameCount; frame++) {
+    const commands = [];
+    bindings.forEach((binding, index) => {
+      const value = envelopes[binding.reaction.source][frame] || 0;
+      for (const [param, target] of Object.entries(binding.params(value))) {
+        const previous = lastSent[index][param];
+        if (previous !== undefined && Math.abs(previous - target) < binding.epsilon) continue;
+        lastSent[index][param] = target;
+        commands.push(`${binding.target} ${param} ${Number.isInteger(target) ? target : target.toFixed(3)}`);
+      }
+    });
+    if (commands.length > 0) {
+      lines.push(`${(frame / envelopes.fps).toFixed(3)} ${commands.join(', ')};`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
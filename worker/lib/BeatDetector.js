@@ -0,0 +1,487 @@
+/**
+ * Beat Detector
+ * Onset-based tempo and beat-grid detection for continuous DJ mixes
+ * Decodes mono PCM through FFmpeg, builds a spectral-flux onset envelope in JS,
+ * estimates tempo by autocorrelation and tracks real beat timestamps with dynamic programming
+ */
+
+import ffmpegStatic from 'ffmpeg-static';
+import { spawn } from 'child_process';
+import { trackChildProcess } from './JobCancellation.js';
+
+// Configure FFmpeg path (same selection as VideoSegmentCompositor)
+let ffmpegPath = 'ffmpeg';
+if (process.env.GITHUB_ACTIONS !== 'true' && ffmpegStatic) {
+  ffmpegPath = ffmpegStatic;
+}
+
+export const DEFAULT_SAMPLE_RATE = 22050;
+const FRAME_SIZE = 1024; // ~46ms analysis window at 22.05kHz
+const HOP_SIZE = 256; // ~11.6ms between onset frames
+const MIN_BPM = 60;
+const MAX_BPM = 180;
+const PRIOR_BPM = 120; // Tempo prior centre (resolves half/double tempo ambiguity)
+const LOW_BAND_HZ = 150; // Kick drum band used for downbeat phase
+const MID_BAND_HZ = 2000; // Upper edge of the mid band (vocals, synths) - above it is the high band (hats, cymbals)
+const BAND_COUNT = 24; // Log-spaced bands so hundreds of hi-hat bins don't outweigh the kick
+const MIN_BAND_HZ = 30;
+const BEATS_PER_BAR = 4;
+const TIGHTNESS = 100; // Beat tracker penalty for deviating from the tempo period
+
+/**
+ * In-place iterative radix-2 FFT
+ */
+export function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const angle = -2 * Math.PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+}
+
+/**
+ * Streaming spectral-flux analyzer
+ * Push PCM chunks as they are decoded; only one frame of samples is kept in memory
+ */
+export class OnsetAnalyzer {
+  constructor(sampleRate = DEFAULT_SAMPLE_RATE, frameSize = FRAME_SIZE, hopSize = HOP_SIZE) {
+    this.sampleRate = sampleRate;
+    this.frameSize = frameSize;
+    this.hopSize = hopSize;
+    this.window = new Float32Array(frameSize).map((_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / frameSize));
+    this.bandEdges = OnsetAnalyzer.buildBandEdges(sampleRate, frameSize);
+    this.lowBands = this.bandEdges.filter(edge => edge * sampleRate / frameSize <= LOW_BAND_HZ).length - 1;
+    this.midBands = this.bandEdges.filter(edge => edge * sampleRate / frameSize <= MID_BAND_HZ).length - 1;
+    this.pending = new Float32Array(0);
+    this.prevMagnitudes = null;
+    this.flux = [];
+    this.lowFlux = [];
+    this.rms = [];
+    this.bass = [];
+    this.mid = [];
+    this.high = [];
+    this.totalSamples = 0;
+  }
+
+  /**
+   * FFT bin edges for log-spaced bands between MIN_BAND_HZ and Nyquist (each band at least one bin)
+   */
+  static buildBandEdges(sampleRate, frameSize) {
+    const nyquistBin = frameSize / 2;
+    const minBin = Math.max(1, Math.round(MIN_BAND_HZ * frameSize / sampleRate));
+    const ratio = Math.pow(nyquistBin / minBin, 1 / BAND_COUNT);
+    const edges = [minBin];
+    for (let band = 1; band <= BAND_COUNT; band++) {
+      const edge = Math.min(nyquistBin, Math.round(minBin * Math.pow(ratio, band)));
+      edges.push(Math.max(edge, edges[edges.length - 1] + 1));
+    }
+    return edges.filter(edge => edge <= nyquistBin);
+  }
+
+  push(samples) {
+    this.totalSamples += samples.length;
+    const buffer = new Float32Array(this.pending.length + samples.length);
+    buffer.set(this.pending, 0);
+    buffer.set(samples, this.pending.length);
+
+    let offset = 0;
+    while (offset + this.frameSize <= buffer.length) {
+      this.processFrame(buffer, offset);
+      offset += this.hopSize;
+    }
+    this.pending = buffer.slice(offset);
+  }
+
+  processFrame(buffer, offset) {
+    const re = new Float64Array(this.frameSize);
+    const im = new Float64Array(this.frameSize);
+    let energy = 0;
+    for (let i = 0; i < this.frameSize; i++) {
+      const sample = buffer[offset + i];
+      energy += sample * sample;
+      re[i] = sample * this.window[i];
+    }
+    fft(re, im);
+
+    const bandCount = this.bandEdges.length - 1;
+    const magnitudes = new Float32Array(bandCount);
+    for (let band = 0; band < bandCount; band++) {
+      let sum = 0;
+      for (let k = this.bandEdges[band]; k < this.bandEdges[band + 1]; k++) {
+        sum += Math.hypot(re[k], im[k]);
+      }
+      // Log compression evens out loud and quiet bands
+      magnitudes[band] = Math.log1p(100 * sum / (this.bandEdges[band + 1] - this.bandEdges[band]));
+    }
+
+    let flux = 0;
+    let lowFlux = 0;
+    if (this.prevMagnitudes) {
+      for (let band = 0; band < bandCount; band++) {
+        const diff = magnitudes[band] - this.prevMagnitudes[band];
+        if (diff > 0) {
+          flux += diff;
+          if (band < this.lowBands) lowFlux += diff;
+        }
+      }
+    }
+    this.prevMagnitudes = magnitudes;
+    this.flux.push(flux);
+    this.lowFlux.push(lowFlux);
+    this.rms.push(Math.sqrt(energy / this.frameSize));
+
+    // Mean log magnitude per band group (bass < 150Hz, mid < 2kHz, high above) for audio-reactive visuals
+    const bandMean = (from, to) => {
+      if (to <= from) return 0;
+      let sum = 0;
+      for (let band = from; band < to; band++) sum += magnitudes[band];
+      return sum / (to - from);
+    };
+    this.bass.push(bandMean(0, this.lowBands));
+    this.mid.push(bandMean(this.lowBands, this.midBands));
+    this.high.push(bandMean(this.midBands, bandCount));
+  }
+
+  /**
+   * @returns {{flux: Float32Array, lowFlux: Float32Array, rms: Float32Array, bass: Float32Array, mid: Float32Array, high: Float32Array,
+   *           frameRate: number, timeOffset: number, duration: number}}
+   */
+  finish() {
+    return {
+      flux: Float32Array.from(this.flux),
+      lowFlux: Float32Array.from(this.lowFlux),
+      rms: Float32Array.from(this.rms),
+      bass: Float32Array.from(this.bass),
+      mid: Float32Array.from(this.mid),
+      high: Float32Array.from(this.high),
+      frameRate: this.sampleRate / this.hopSize,
+      // Frames are not centre-padded, so frame k is centred half a window later
+      timeOffset: this.frameSize / 2 / this.sampleRate,
+      duration: this.totalSamples / this.sampleRate
+    };
+  }
+}
+
+/**
+ * Remove the local mean (0.5s window), half-wave rectify and normalise to unit standard deviation
+ */
+export function normalizeEnvelope(values, frameRate) {
+  const n = values.length;
+  const radius = Math.max(1, Math.round(frameRate * 0.25));
+  const prefix = new Float64Array(n + 1);
+  for (let i = 0; i < n; i++) prefix[i + 1] = prefix[i] + values[i];
+
+  const envelope = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    const lo = Math.max(0, i - radius);
+    const hi = Math.min(n, i + radius + 1);
+    const localMean = (prefix[hi] - prefix[lo]) / (hi - lo);
+    envelope[i] = Math.max(0, values[i] - localMean);
+  }
+
+  let sumSq = 0;
+  for (let i = 0; i < n; i++) sumSq += envelope[i] * envelope[i];
+  const std = Math.sqrt(sumSq / Math.max(1, n));
+  if (std > 0) {
+    for (let i = 0; i < n; i++) envelope[i] /= std;
+  }
+  return envelope;
+}
+
+/**
+ * Estimate the beat period from the onset envelope autocorrelation
+ * @returns {{period: number, bpm: number, confidence: number}|null} - Period in frames
+ */
+export function estimateTempo(envelope, frameRate, minBPM = MIN_BPM, maxBPM = MAX_BPM) {
+  const n = envelope.length;
+  const minLag = Math.max(1, Math.floor(60 * frameRate / maxBPM));
+  const maxLag = Math.min(n - 1, Math.ceil(60 * frameRate / minBPM));
+  if (maxLag <= minLag + 2) return null;
+
+  const autocorrelation = (lag) => {
+    let sum = 0;
+    for (let t = lag; t < n; t++) sum += envelope[t] * envelope[t - lag];
+    return sum / (n - lag);
+  };
+
+  const acf0 = autocorrelation(0);
+  if (acf0 <= 0) return null;
+
+  const weighted = [];
+  const raw = [];
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const value = autocorrelation(lag);
+    const bpm = 60 * frameRate / lag;
+    const octaves = Math.log2(bpm / PRIOR_BPM);
+    raw.push(value);
+    weighted.push(value * Math.exp(-0.5 * octaves * octaves));
+  }
+
+  let bestIndex = 0;
+  for (let i = 1; i < weighted.length; i++) {
+    if (weighted[i] > weighted[bestIndex]) bestIndex = i;
+  }
+
+  // Parabolic interpolation for sub-frame period resolution
+  let period = minLag + bestIndex;
+  if (bestIndex > 0 && bestIndex < weighted.length - 1) {
+    const a = weighted[bestIndex - 1];
+    const b = weighted[bestIndex];
+    const c = weighted[bestIndex + 1];
+    const denominator = a - 2 * b + c;
+    if (denominator !== 0) {
+      period += Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denominator));
+    }
+  }
+
+  // Confidence: how far the winning lag stands above the average lag, relative to zero-lag energy
+  const meanRaw = raw.reduce((sum, v) => sum + v, 0) / raw.length;
+  const confidence = Math.max(0, Math.min(1, (raw[bestIndex] - meanRaw) / (acf0 - meanRaw || 1)));
+
+  return { period, bpm: 60 * frameRate / period, confidence };
+}
+
+/**
+ * Dynamic-programming beat tracker (Ellis 2007)
+ * Picks onset-strong frames spaced close to the tempo period
+ * @returns {number[]} - Beat frame indexes in ascending order
+ */
+export function trackBeats(envelope, period, tightness = TIGHTNESS) {
+  const n = envelope.length;
+  if (n === 0 || !(period > 0)) return [];
+
+  const score = new Float64Array(n);
+  const backlink = new Int32Array(n).fill(-1);
+  const minGap = Math.max(1, Math.round(period / 2));
+  const maxGap = Math.round(period * 2);
+
+  for (let t = 0; t < n; t++) {
+    let bestScore = -Infinity;
+    let bestPrev = -1;
+    for (let prev = Math.max(0, t - maxGap); prev <= t - minGap; prev++) {
+      const deviation = Math.log((t - prev) / period);
+      const candidate = score[prev] - tightness * deviation * deviation;
+      if (candidate > bestScore) {
+        bestScore = candidate;
+        bestPrev = prev;
+      }
+    }
+    score[t] = envelope[t] + (bestPrev >= 0 ? Math.max(0, bestScore) : 0);
+    backlink[t] = bestPrev >= 0 && bestScore > 0 ? bestPrev : -1;
+  }
+
+  // Start backtracking from the best-scoring frame within the final period
+  let last = Math.max(0, n - Math.ceil(period));
+  for (let t = last + 1; t < n; t++) {
+    if (score[t] > score[last]) last = t;
+  }
+
+  const beats = [];
+  for (let t = last; t >= 0; t = backlink[t]) {
+    beats.push(t);
+  }
+  return beats.reverse();
+}
+
+/**
+ * Pick the bar phase whose beats carry the most low-band (kick) energy
+ */
+export function findDownbeatPhase(beatFrames, lowEnvelope, beatsPerBar = BEATS_PER_BAR) {
+  if (beatFrames.length < beatsPerBar * 2) return 0;
+  const strength = new Array(beatsPerBar).fill(0);
+  const counts = new Array(beatsPerBar).fill(0);
+  beatFrames.forEach((frame, index) => {
+    // Take the peak within ±2 frames so small tracking offsets don't hide the kick
+    let peak = 0;
+    for (let t = Math.max(0, frame - 2); t <= Math.min(lowEnvelope.length - 1, frame + 2); t++) {
+      peak = Math.max(peak, lowEnvelope[t]);
+    }
+    strength[index % beatsPerBar] += peak;
+    counts[index % beatsPerBar]++;
+  });
+  let bestPhase = 0;
+  for (let phase = 1; phase < beatsPerBar; phase++) {
+    if (strength[phase] / counts[phase] > strength[bestPhase] / counts[bestPhase]) bestPhase = phase;
+  }
+  return bestPhase;
+}
+
+/**
+ * Run tempo, beat and downbeat detection on an onset analysis
+ * @param {Object} analysis - Output of OnsetAnalyzer.finish()
+ * @returns {{bpm: number, confidence: number, beats: number[], downbeats: number[], duration: number}|null}
+ */
+export function detectBeatsFromAnalysis(analysis, options = {}) {
+  const { minBPM = MIN_BPM, maxBPM = MAX_BPM, beatsPerBar = BEATS_PER_BAR } = options;
+  const { frameRate, timeOffset, duration } = analysis;
+  const envelope = normalizeEnvelope(analysis.flux, frameRate);
+  const lowEnvelope = normalizeEnvelope(analysis.lowFlux, frameRate);
+
+  const tempo = estimateTempo(envelope, frameRate, minBPM, maxBPM);
+  if (!tempo) return null;
+
+  const beatFrames = trackBeats(envelope, tempo.period);
+  if (beatFrames.length < 2) return null;
+
+  const toTime = (frame) => Math.round((frame / frameRate + timeOffset) * 1000) / 1000;
+  const beats = beatFrames.map(toTime);
+
+  // Refine tempo from the tracked beats (least-squares slope of beat time vs beat index)
+  let bpm = tempo.bpm;
+  if (beats.length >= 4) {
+    const count = beats.length;
+    const meanIndex = (count - 1) / 2;
+    const meanTime = beats.reduce((sum, t) => sum + t, 0) / count;
+    let numerator = 0;
+    let denominator = 0;
+    beats.forEach((t, i) => {
+      numerator += (i - meanIndex) * (t - meanTime);
+      denominator += (i - meanIndex) * (i - meanIndex);
+    });
+    const refined = 60 / (numerator / denominator);
+    if (refined >= minBPM && refined <= maxBPM) bpm = refined;
+  }
+
+  const phase = findDownbeatPhase(beatFrames, lowEnvelope, beatsPerBar);
+  const downbeats = beats.filter((_, index) => index % beatsPerBar === phase);
+
+  return {
+    bpm: Math.round(bpm * 10) / 10,
+    confidence: Math.round(tempo.confidence * 1000) / 1000,
+    beats,
+    downbeats,
+    duration
+  };
+}
+
+/**
+ * Detect beats from raw mono samples (useful when PCM is already in memory)
+ */
+export function detectBeatsFromSamples(samples, sampleRate = DEFAULT_SAMPLE_RATE, options = {}) {
+  const analyzer = new OnsetAnalyzer(sampleRate);
+  analyzer.push(samples);
+  return detectBeatsFromAnalysis(analyzer.finish(), options);
+}
+
+/**
+ * Read the ebur128 filter's summary from FFmpeg's log
+ * @returns {{integrated: number, range: number, truePeak: number|null}|null} LUFS, LU and dBTP (null when not found)
+ */
+export function parseLoudnessSummary(log) {
+  const summary = log.slice(log.lastIndexOf('Summary:'));
+  const integrated = summary.match(/I:\s+(-?[\d.]+) LUFS/);
+  if (!integrated) return null;
+  const range = summary.match(/LRA:\s+(-?[\d.]+) LU/);
+  const truePeak = summary.match(/Peak:\s+(-?[\d.]+|-inf) dBFS/);
+  return {
+    integrated: parseFloat(integrated[1]),
+    range: range ? parseFloat(range[1]) : null,
+    truePeak: truePeak && truePeak[1] !== '-inf' ? parseFloat(truePeak[1]) : null
+  };
+}
+
+export class BeatDetector {
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || DEFAULT_SAMPLE_RATE;
+    // Larger frames / hops trade timing precision for speed (e.g. scanning a whole mix)
+    this.frameSize = options.frameSize || FRAME_SIZE;
+    this.hopSize = options.hopSize || HOP_SIZE;
+    this.minBPM = options.minBPM || MIN_BPM;
+    this.maxBPM = options.maxBPM || MAX_BPM;
+  }
+
+  /**
+   * Decode audio to mono float PCM with FFmpeg and stream it into an OnsetAnalyzer
+   * @param {string} audioPath - Path or URL of the audio file
+   * @param {Object} options - { offset, duration } in seconds to analyse part of the file,
+   *                           onSamples: also receives every decoded chunk (other analyzers share the one decode),
+   *                           measureLoudness: run EBU R128 on the source audio in the same pass
+   * @returns {Promise<Object>} - OnsetAnalyzer.finish() result, plus loudness ({ integrated, range, truePeak }) when measured
+   */
+  async analyzeOnsets(audioPath, options = {}) {
+    const { offset = 0, duration = null, onSamples = null, measureLoudness = false } = options;
+    // The loudness summary is logged at info level (per-frame lines stay at verbose)
+    const args = measureLoudness ? ['-v', 'info', '-nostats', '-hide_banner'] : ['-v', 'error'];
+    if (offset > 0) args.push('-ss', offset.toString());
+    args.push('-i', audioPath);
+    if (duration) args.push('-t', duration.toString());
+    if (measureLoudness) args.push('-af', 'ebur128=peak=true:framelog=verbose');
+    args.push('-ac', '1', '-ar', this.sampleRate.toString(), '-f', 'f32le', '-');
+
+    const analyzer = new OnsetAnalyzer(this.sampleRate, this.frameSize, this.hopSize);
+    let stderr = '';
+
+    await new Promise((resolve, reject) => {
+      const ffmpegProcess = trackChildProcess(spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] }));
+      let leftover = Buffer.alloc(0);
+
+      ffmpegProcess.stdout.on('data', (chunk) => {
+        // Chunks can split a float - carry the remainder into the next chunk
+        const data = leftover.length > 0 ? Buffer.concat([leftover, chunk]) : chunk;
+        const usable = data.length - (data.length % 4);
+        leftover = data.subarray(usable);
+        const aligned = Buffer.from(data.subarray(0, usable)); // Copy to get a 4-byte aligned offset
+        const samples = new Float32Array(aligned.buffer, aligned.byteOffset, usable / 4);
+        analyzer.push(samples);
+        if (onSamples) onSamples(samples);
+      });
+
+      ffmpegProcess.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      ffmpegProcess.on('close', (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`FFmpeg PCM decode failed with exit code ${code}: ${stderr.split('\n').slice(-3).join(' ')}`));
+        }
+      });
+
+      ffmpegProcess.on('error', (error) => {
+        reject(new Error(`FFmpeg error: ${error.message}`));
+      });
+    });
+
+    const analysis = analyzer.finish();
+    if (measureLoudness) {
+      analysis.loudness = parseLoudnessSummary(stderr);
+    }
+    return analysis;
+  }
+
+  /**
+   * Detect tempo, confidence, beat and downbeat timestamps for an audio file
+   * @param {string} audioPath - Path to audio file
+   * @param {Object} options - { offset, duration } in seconds
+   * @returns {Promise<{bpm: number, confidence: number, beats: number[], downbeats: number[], duration: number}|null>}
+   *          null when the audio has no usable rhythmic content
+   */
+  async detect(audioPath, options = {}) {
+    const analysis = await this.analyzeOnsets(audioPath, options);
+    return detectBeatsFromAnalysis(analysis, { minBPM: this.minBPM, maxBPM: this.maxBPM });
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Captions
+ * "Now playing" captions from a mix's tracklist - lower-thirds timed to the rendered excerpt, plus WebVTT / SRT
+ * sidecar files uploaded next to the MP4
+ *
+ * Mixes carry an optional `tracklist` in the artists JSON (edited with /api/manage-artists setTracklist):
+ *   [{ "start": "12:34", "artist": "Artist", "title": "Track" }, ...]
+ * `start` is "M:SS", "H:MM:SS" or seconds into the mix; a track runs until the next one starts.
+ */
+
+export const NOW_PLAYING_PREFIX = 'Now playing: ';
+export const MAX_TRACKLIST_ENTRIES = 500;
+
+const MIN_CUE_DURATION = 2; // Shorter overlaps with the excerpt (a track ending as the clip starts) are skipped
+
+/**
+ * Seconds from a tracklist timestamp ("M:SS", "H:MM:SS" or a number) - fields after the first run 0-59
+ * @returns {number|null} null when it can't be read
+ */
+export function parseTracklistTime(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+  if (typeof value !== 'string' || !/^\d+(?::[0-5]?\d){0,2}(?:\.\d+)?$/.test(value.trim())) return null;
+  return value.trim().split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Check a tracklist before it is saved
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateTracklist(tracklist) {
+  if (!Array.isArray(tracklist)) {
+    return 'tracklist must be an array of { start, artist, title }';
+  }
+  if (tracklist.length > MAX_TRACKLIST_ENTRIES) {
+    return `tracklist can have at most ${MAX_TRACKLIST_ENTRIES} entries`;
+  }
+  for (const [index, entry] of tracklist.entries()) {
+    if (!entry || typeof entry !== 'object') {
+      return `tracklist[${index}] must be an object`;
+    }
+    if (parseTracklistTime(entry.start) === null) {
+      return `tracklist[${index}].start must be "M:SS", "H:MM:SS" or seconds`;
+    }
+    if (typeof entry.title !== 'string' || !entry.title.trim()) {
+      return `tracklist[${index}].title is required`;
+    }
+    if (entry.artist !== undefined && entry.artist !== null && typeof entry.artist !== 'string') {
+      return `tracklist[${index}].artist must be a string`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Tracklist as stored: trimmed fields, start in seconds, sorted by start
+ */
+export function normalizeTracklist(tracklist) {
+  return tracklist
+    .map(entry => ({
+      start: parseTracklistTime(entry.start),
+      artist: typeof entry.artist === 'string' ? entry.artist.trim() : '',
+      title: entry.title.trim()
+    }))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Caption text for a tracklist entry
+ */
+export function formatNowPlaying(entry) {
+  return `${NOW_PLAYING_PREFIX}${entry.artist ? `${entry.artist} – ` : ''}${entry.title}`;
+}
+
+/**
+ * Caption cues for the part of the mix a clip covers, in clip time
+ * @param {Object[]} tracklist - Mix tracklist (any stored form)
+ * @param {number} excerptStart - Where the clip starts in the mix (seconds)
+ * @param {number} duration - Clip length (seconds)
+ * @returns {Object[]} [{ start, end, artist, title, text }] - the track already playing at the start comes first
+ */
+export function buildCaptionCues(tracklist, excerptStart, duration) {
+  if (!Array.isArray(tracklist) || tracklist.length === 0 || validateTracklist(tracklist)) return [];
+  const entries = normalizeTracklist(tracklist);
+  const excerptEnd = excerptStart + duration;
+  const cues = [];
+
+  entries.forEach((entry, index) => {
+    const trackEnd = index + 1 < entries.length ? entries[index + 1].start : Infinity;
+    const start = Math.max(entry.start, excerptStart);
+    const end = Math.min(trackEnd, excerptEnd);
+    if (end - start < MIN_CUE_DURATION) return;
+    cues.push({
+      start: Math.round((start - excerptStart) * 100) / 100,
+      end: Math.round((end - excerptStart) * 100) / 100,
+      artist: entry.artist,
+      title: entry.title,
+      text: formatNowPlaying(entry)
+    });
+  });
+
+  return cues;
+}
+
+/**
+ * Cues cut to a shorter rendition
+ */
+export function trimCaptionCues(cues, duration) {
+  return cues
+    .filter(cue => cue.start < duration && Math.min(cue.end, duration) - cue.start >= MIN_CUE_DURATION)
+    .map(cue => ({ ...cue, end: Math.min(cue.end, duration) }));
+}
+
+/**
+ * HH:MM:SS.mmm (WebVTT) or HH:MM:SS,mmm (SRT)
+ */
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Cue text as WebVTT markup: &, < and > would otherwise open entities or tags (or end a cue on "-->")
+ */
+function escapeWebVTT(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * WebVTT sidecar for a set of cues
+ */
+export function formatWebVTT(cues) {
+  const blocks = cues.map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${escapeWebVTT(cue.text)}`);
+  return `WEBVTT\n\n${blocks.join('\n\n')}${blocks.length > 0 ? '\n' : ''}`;
+}
+
+/**
+ * SRT sidecar for a set of cues
+ */
+export function formatSRT(cues) {
+  return cues.map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`).join('\n');
+}
@@ -0,0 +1,318 @@
+/**
+ * Color Palette
+ * Colours picked from artwork (artist photo, mix cover) and footage so overlays, text and visualizers match the
+ * artist, plus the luminance / saturation / warmth figures auto look matching reads (VideoFilters matchVideoFilter)
+ *
+ * Each image is shrunk by FFmpeg to a thumbnail of raw RGB pixels, and median cut splits the pixels into boxes of
+ * similar colours; box averages weighted by their share of the pixels make the palette. Videos contribute a frame
+every few seconds. Roles for the renderer:
+ *   dominant: the most common colour
+ *   accent:   the most vivid colour that isn't near-black or near-white (tints overlays, colours visualizers)
+ *   light:    the lightest colour, lifted towards white until it reads as text
+ *   dark:     the darkest colour, pushed towards black for strokes and boxes
+ */
+
+import { spawn } from 'child_process';
+import { trackChildProcess } from './JobCancellation.js';
+
+export const DEFAULT_PALETTE_SIZE = 6;
+
+const THUMBNAIL_SIZE = 48; // Pixels per side - plenty for a palette, quick to decode
+const VIDEO_SAMPLE_INTERVAL = 3; // Seconds between sampled frames of a video
+const MAX_VIDEO_SAMPLES = 12;
+const VIDEO_EXTENSIONS = /\.(mp4|mov|m4v|webm|mkv)$/i;
+export const HISTOGRAM_BINS = 16;
+const MIN_LIGHT_LUMINANCE = 0.78;
+const MAX_DARK_LUMINANCE = 0.15;
+const ACCENT_LUMINANCE = { min: 0.2, max: 0.85 };
+const DEFAULT_TINT_AMOUNT = 0.6;
+
+const luminance = ({ r, g, b }) => (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+
+const saturation = ({ r, g, b }) => {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 2;
+  if (max === min) return 0;
+  return (max - min) / (255 - Math.abs(2 * lightness - 255));
+};
+
+const mix = (color, target, amount) => ({
+  r: Math.round(color.r + (target - color.r) * amount),
+  g: Math.round(color.g + (target - color.g) * amount),
+  b: Math.round(color.b + (target - color.b) * amount)
+});
+
+/**
+ * FFmpeg colour (0xRRGGBB) for an { r, g, b } colour
+ */
+export function toHexColor({ r, g, b }) {
+  return `0x${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+}
+
+/**
+ * { r, g, b } for a "0xRRGGBB" / "#RRGGBB" colour
+ */
+export function parseHexColor(color) {
+  const value = parseInt(color.replace(/^(?:#|0x)/, ''), 16);
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+/**
+ * Median cut over raw RGB pixels
+ * @param {Buffer} pixels - rgb24 pixel data
+ * @param {number} count - Number of colours
+ * @returns {Object[]} [{ r, g, b, weight }] sorted by weight (share of the pixels), most common first
+ */
+export function extractPalette(pixels, count = DEFAULT_PALETTE_SIZE) {
+  const all = [];
+  for (let offset = 0; offset + 2 < pixels.length; offset += 3) {
+    all.push([pixels[offset], pixels[offset + 1], pixels[offset + 2]]);
+  }
+  if (all.length === 0) return [];
+
+  const range = (box, channel) => {
+    let min = 255;
+    let max = 0;
+    for (const pixel of box) {
+      if (pixel[channel] < min) min = pixel[channel];
+      if (pixel[channel] > max) max = pixel[channel];
+    }
+    return max - min;
+  };
+
+  const boxes = [all];
+  while (boxes.length < count) {
+    // Split the box with the widest spread of colour, weighted by how many pixels it holds
+    let target = -1;
+    let targetScore = 0;
+    let targetChannel = 0;
+    boxes.forEach((box, index) => {
+      if (box.length < 2) return;
+      const ranges = [0, 1, 2].map(channel => range(box, channel));
+      const channel = ranges.indexOf(Math.max(...ranges));
+      const score = ranges[channel] * box.length;
+      if (score > targetScore) {
+        target = index;
+        targetScore = score;
+        targetChannel = channel;
+      }
+    });
+    if (target < 0) break; // Every box holds a single colour
+
+    const box = boxes[target].sort((a, b) => a[targetChannel] - b[targetChannel]);
+    const middle = Math.floor(box.length / 2);
+    boxes.splice(target, 1, box.slice(0, middle), box.slice(middle));
+  }
+
+  // Boxes split inside a run of one colour average to the same colour - merge them
+  const colors = new Map();
+  for (const box of boxes) {
+    const sum = box.reduce((total, pixel) => [total[0] + pixel[0], total[1] + pixel[1], total[2] + pixel[2]], [0, 0, 0]);
+    const color = { r: Math.round(sum[0] / box.length), g: Math.round(sum[1] / box.length), b: Math.round(sum[2] / box.length), pixels: box.length };
+    const key = toHexColor(color);
+    if (colors.has(key)) {
+      colors.get(key).pixels += box.length;
+    } else {
+      colors.set(key, color);
+    }
+  }
+
+  return [...colors.values()]
+    .map(({ r, g, b, pixels }) => ({ r, g, b, weight: Math.round((pixels / all.length) * 1000) / 1000 }))
+    .sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Renderer roles from a palette
+ * @param {Object[]} colors - extractPalette() result
+ * @returns {{colors: string[], dominant: string, accent: string, light: string, dark: string}|null} 0xRRGGBB colours
+ */
+export function buildPaletteRoles(colors) {
+  if (!colors || colors.length === 0) return null;
+
+  const dominant = colors[0];
+  const candidates = colors.filter(color => luminance(color) >= ACCENT_LUMINANCE.min && luminance(color) <= ACCENT_LUMINANCE.max);
+  const accent = candidates.length > 0
+    ? candidates.reduce((best, color) => (saturation(color) * Math.sqrt(color.weight) > saturation(best) * Math.sqrt(best.weight) ? color : best))
+    : dominant;
+
+  let light = colors.reduce((best, color) => (luminance(color) > luminance(best) ? color : best));
+  for (let step = 0; step < 10 && luminance(light) < MIN_LIGHT_LUMINANCE; step++) {
+    light = mix(light, 255, 0.25);
+  }
+  let dark = colors.reduce((best, color) => (luminance(color) < luminance(best) ? color : best));
+  for (let step = 0; step < 10 && luminance(dark) > MAX_DARK_LUMINANCE; step++) {
+    dark = mix(dark, 0, 0.25);
+  }
+
+  return {
+    colors: colors.map(toHexColor),
+    dominant: toHexColor(dominant),
+    accent: toHexColor(accent),
+    light: toHexColor(light),
+    dark: toHexColor(dark)
+  };
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Luminance histogram and colour figures of raw RGB pixels
+ * @param {Buffer} pixels - rgb24 pixel data
+ * @returns {Object|null} { histogram (HISTOGRAM_BINS shares of the pixels, darkest first), mean, contrast (standard
+ *   deviation), shadows (share below 0.2), highlights (share above 0.8) } for luminance 0-1, plus saturation
+ *   (mean, 0-1) and warmth (mean red minus blue, -1 to 1); null without pixels
+ */
+export function analyzePixels(pixels) {
+  const count = Math.floor(pixels.length / 3);
+  if (count === 0) return null;
+
+  const histogram = new Array(HISTOGRAM_BINS).fill(0);
+  let sum = 0;
+  let sumSquares = 0;
+  let shadows = 0;
+  let highlights = 0;
+  let saturationSum = 0;
+  let warmthSum = 0;
+  for (let offset = 0; offset + 2 < pixels.length; offset += 3) {
+    const color = { r: pixels[offset], g: pixels[offset + 1], b: pixels[offset + 2] };
+    const value = luminance(color);
+    histogram[Math.min(HISTOGRAM_BINS - 1, Math.floor(value * HISTOGRAM_BINS))]++;
+    sum += value;
+    sumSquares += value * value;
+    if (value < 0.2) shadows++;
+    if (value > 0.8) highlights++;
+    saturationSum += saturation(color);
+    warmthSum += (color.r - color.b) / 255;
+  }
+
+  const mean = sum / count;
+  return {
+    luminance: {
+      histogram: histogram.map(bin => round(bin / count)),
+      mean: round(mean),
+      contrast: round(Math.sqrt(Math.max(0, sumSquares / count - mean * mean))),
+      shadows: round(shadows / count),
+      highlights: round(highlights / count)
+    },
+    saturation: round(saturationSum / count),
+    warmth: round(warmthSum / count)
+  };
+}
+
+/**
+ * Text style that draws template text in the palette's colours (below the artist's and the job's textStyle)
+ */
+export function buildPaletteTextStyle(palette) {
+  return { color: palette.light, stroke: { color: palette.dark } };
+}
+
+/**
+ * colorchannelmixer stage pulling a layer's colours towards a tint - white becomes the tint, black stays black
+ * @param {string} color - 0xRRGGBB / #RRGGBB
+ * @param {number} amount - 0 (untouched) to 1 (fully tinted)
+ */
+export function buildTintFilter(color, amount = DEFAULT_TINT_AMOUNT) {
+  const tint = parseHexColor(color);
+  const gain = channel => Math.round((1 - amount + amount * (channel / 255)) * 1000) / 1000;
+  return `colorchannelmixer=rr=${gain(tint.r)}:gg=${gain(tint.g)}:bb=${gain(tint.b)}`;
+}
+
+/**
+ * Extracts palettes and colour analysis from image and video files
+ */
+export class ColorPalette {
+  constructor() {
+    this.ffmpegPath = null; // Resolved on first use (keeps ffmpeg-static out of API imports)
+  }
+
+  async getFFmpegPath() {
+    if (!this.ffmpegPath) {
+      // Same selection as BeatDetector / AudioMastering
+      const { default: ffmpegStatic } = await import('ffmpeg-static');
+      this.ffmpegPath = process.env.GITHUB_ACTIONS !== 'true' && ffmpegStatic ? ffmpegStatic : 'ffmpeg';
+    }
+    return this.ffmpegPath;
+  }
+
+  /**
+   * Raw RGB pixels of an image shrunk to a thumbnail - for a video, thumbnails of a frame every few seconds
+   * @returns {Promise<Buffer>}
+   */
+  async readThumbnail(filePath) {
+    const ffmpegPath = await this.getFFmpegPath();
+    const isVideo = VIDEO_EXTENSIONS.test(filePath);
+    const scale = `scale=${THUMBNAIL_SIZE}:${THUMBNAIL_SIZE}:flags=area`;
+    const args = [
+      '-hide_banner', '-nostats', '-i', filePath, '-frames:v', String(isVideo ? MAX_VIDEO_SAMPLES : 1),
+      '-vf', isVideo ? `fps=1/${VIDEO_SAMPLE_INTERVAL},${scale}` : scale, '-f', 'rawvideo', '-pix_fmt', 'rgb24', '-'
+    ];
+    return new Promise((resolve, reject) => {
+      const ffmpegProcess = trackChildProcess(spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] }));
+      const chunks = [];
+      let stderr = '';
+      ffmpegProcess.stdout.on('data', (data) => {
+        chunks.push(data);
+      });
+      ffmpegProcess.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+      ffmpegProcess.on('close', (code) => {
+        if (code === 0) {
+          resolve(Buffer.concat(chunks));
+        } else {
+          reject(new Error(`FFmpeg thumbnail failed with exit code ${code}: ${stderr.split('\n').slice(-3).join(' ')}`));
+        }
+      });
+      ffmpegProcess.on('error', (error) => {
+        reject(new Error(`FFmpeg error: ${error.message}`));
+      });
+    });
+  }
+
+  /**
+   * Pooled thumbnail pixels of several files
+   * @returns {Promise<{pixels: Buffer, read: number}>} Pixels and how many files could be read
+   */
+  async readPixels(filePaths) {
+    const thumbnails = [];
+    for (const filePath of filePaths) {
+      try {
+        thumbnails.push(await this.readThumbnail(filePath));
+      } catch (error) {
+        console.warn(`[ColorPalette] ⚠️ Could not read ${filePath}: ${error.message}`);
+      }
+    }
+    return { pixels: Buffer.concat(thumbnails), read: thumbnails.length };
+  }
+
+  /**
+   * Palette roles across one or more images (pixels pooled, so larger shares of colour win across all of them)
+   * @param {string[]} imagePaths - Local image files; unreadable ones are skipped
+   * @returns {Promise<Object|null>} buildPaletteRoles() result, null when no image could be read
+   */
+  async extract(imagePaths, count = DEFAULT_PALETTE_SIZE) {
+    const { pixels, read } = await this.readPixels(imagePaths);
+    const palette = buildPaletteRoles(extractPalette(pixels, count));
+    if (palette) {
+      console.log(`[ColorPalette] 🎨 Palette from ${read} image(s): ${palette.colors.join(' ')} (accent ${palette.accent}, light ${palette.light}, dark ${palette.dark})`);
+    }
+    return palette;
+  }
+
+  /**
+   * Palette roles plus luminance histogram, saturation and warmth across footage and artwork (pixels pooled - a
+   * video's sampled frames outweigh a single image)
+   * @param {string[]} filePaths - Local video and image files; unreadable ones are skipped
+   * @returns {Promise<Object|null>} { palette, ...analyzePixels() }, null when nothing could be read
+   */
+  async analyze(filePaths, count = DEFAULT_PALETTE_SIZE) {
+    const { pixels, read } = await this.readPixels(filePaths);
+    const analysis = analyzePixels(pixels);
+    if (!analysis) return null;
+    const result = { palette: buildPaletteRoles(extractPalette(pixels, count)), ...analysis };
+    console.log(`[ColorPalette] 📊 Analysed ${read} file(s): luminance ${result.luminance.mean} ± ${result.luminance.contrast}, saturation ${result.saturation}, warmth ${result.warmth}, accent ${result.palette.accent}`);
+    return result;
+  }
+}
@@ -0,0 +1,356 @@
+/**
+ * Composition Templates
+ * Declarative JSON layouts for ArweaveVideoGenerator (layers, positions, timings, z-order, fades)
+ * Templates live in worker/templates/<name>.json - add a file there to ship a new look
+ *
+ * Geometry values:
+ *   - number: fraction of the canvas (x/width relative to W, y/height relative to H)
+ *   - string: arithmetic expression in pixels using W, H (canvas), w, h (layer size), fontSize,
+ *             min(a, b) and max(a, b), e.g. "H - fontSize*3.5 - 30", "w" (height equal to width), "min(W, H)"
+ *   - "center": shorthand for centering on that axis
+ * Timing values:
+ *   - number: seconds from the start of the video
+ *   - { "fromEnd": n }: n seconds before the end of the video
+ * Audio-reactive jobs pulse video layers' opacity and image layers' scale - "react": false keeps a layer still
+ * Visualizer layers draw the clip's audio: "source": { "kind": "audio", "style": "waveform" | "bars" | "circle",
+ * "color", "bars", "innerRadius" } with an optional "blendMode" of screen, addition or lighten (see Visualizers.js)
+ * Text layers take a "style" (font, colour, stroke, shadow, box, alignment, animation - see TextStyles.js); their
+ * lines are strings or { "text", "start", "end", "scale" } for per-line timing and size
+ * "captions" places the tracklist "Now playing" lower-thirds: { position, size, fontSize, style, hold, zIndex }
+ * (see Captions.js and DEFAULT_CAPTIONS)
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { validateVisualizer, VISUALIZER_BLEND_MODES } from './Visualizers.js';
+import { validateTextStyle } from './TextStyles.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+export const DEFAULT_TEMPLATE = 'mix_archive';
+
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9_-]+$/;
+const LAYER_TYPES = ['image', 'video', 'text', 'visualizer'];
+const SOURCE_KINDS = ['storage', 'logo', 'overlayFolder', 'text', 'audio'];
+
+// "Now playing" lower-thirds - templates override any of these with a "captions" block
+export const DEFAULT_CAPTIONS = {
+  position: { x: 0.04, y: 0.05 },
+  size: { width: 0.92, height: 'fontSize*1.6' },
+  fontSize: 0.028,
+  hold: 6, // Seconds each caption stays up (less when the track ends sooner)
+  zIndex: 450,
+  style: { animation: 'slide-in', stroke: false, box: { color: '0x000000@0.55', padding: 10 } }
+};
+
+const templateCache = new Map();
+
+/**
+ * Check that a template name is safe to resolve to a file
+ */
+export function isValidTemplateName(name) {
+  return typeof name === 'string' && TEMPLATE_NAME_PATTERN.test(name);
+}
+
+/**
+ * List template names available in worker/templates
+ */
+export function listTemplates() {
+  if (!fs.existsSync(TEMPLATES_DIR)) return [];
+  return fs.readdirSync(TEMPLATES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+/**
+ * Load and validate a template by name (cached after first load)
+ * @param {string} name - Template name (file name without .json), defaults to mix_archive
+ * @returns {Object} - Parsed template
+ */
+export function loadTemplate(name = DEFAULT_TEMPLATE) {
+  const templateName = name || DEFAULT_TEMPLATE;
+  if (!isValidTemplateName(templateName)) {
+    throw new Error(`Invalid template name "${templateName}". Use lowercase letters, numbers, hyphens and underscores.`);
+  }
+  if (templateCache.has(templateName)) {
+    return templateCache.get(templateName);
+  }
+
+  const templatePath = path.join(TEMPLATES_DIR, `${templateName}.json`);
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`Template "${templateName}" not found. Available: ${listTemplates().join(', ') || 'none'}`);
+  }
+
+  const template = validateTemplate(fs.readJsonSync(templatePath), templateName);
+  templateCache.set(templateName, template);
+  return template;
+}
+
+/**
+ * Validate template structure, throwing a descriptive error on the first problem
+ */
+export function validateTemplate(template, name = 'template') {
+  if (!template || typeof template !== 'object') {
+    throw new Error(`Template "${name}" must be a JSON object`);
+  }
+  if (!Array.isArray(template.layers)) {
+    throw new Error(`Template "${name}" must define a "layers" array`);
+  }
+
+  if (template.captions !== undefined) {
+    const captions = template.captions;
+    if (!captions || typeof captions !== 'object') {
+      throw new Error(`Template "${name}" captions must be an object`);
+    }
+    if (captions.hold !== undefined && (typeof captions.hold !== 'number' || captions.hold <= 0)) {
+      throw new Error(`Template "${name}" captions.hold must be a positive number of seconds`);
+    }
+    const captionStyleError = captions.style !== undefined ? validateTextStyle(captions.style) : null;
+    if (captionStyleError) {
+      throw new Error(`Template "${name}" captions: ${captionStyleError.replace(/^textStyle/, 'style')}`);
+    }
+  }
+
+  template.layers.forEach((layer, index) => {
+    const label = `Template "${name}" layer ${layer && layer.id ? `"${layer.id}"` : index}`;
+    if (!layer || !LAYER_TYPES.includes(layer.type)) {
+      throw new Error(`${label}: type must be one of ${LAYER_TYPES.join(', ')}`);
+    }
+    if (!layer.source || !SOURCE_KINDS.includes(layer.source.kind)) {
+      throw new Error(`${label}: source.kind must be one of ${SOURCE_KINDS.join(', ')}`);
+    }
+    if (layer.source.kind === 'storage' && !layer.source.path) {
+      throw new Error(`${label}: storage source requires a "path"`);
+    }
+    if (layer.source.kind === 'overlayFolder' && (!Array.isArray(layer.source.folders) || layer.source.folders.length === 0)) {
+      throw new Error(`${label}: overlayFolder source requires a non-empty "folders" array`);
+    }
+    if (layer.source.kind === 'text' && !Array.isArray(layer.source.lines)) {
+      throw new Error(`${label}: text source requires a "lines" array`);
+    }
+    if (layer.source.kind === 'text' && !layer.source.lines.every(line => typeof line === 'string' || (line && typeof line.text === 'string'))) {
+      throw new Error(`${label}: text lines must be strings or { "text", "start", "end", "scale" }`);
+    }
+    const styleError = layer.style !== undefined ? validateTextStyle(layer.style) : null;
+    if (styleError) {
+      throw new Error(`${label}: ${styleError.replace(/^textStyle/, 'style')}`);
+    }
+    if ((layer.type === 'visualizer') !== (layer.source.kind === 'audio')) {
+      throw new Error(`${label}: visualizer layers (and only they) use an audio source`);
+    }
+    if (layer.type === 'visualizer') {
+      const visualizerError = validateVisualizer(layer.source);
+      if (visualizerError) {
+        throw new Error(`${label}: ${visualizerError}`);
+      }
+      if (layer.blendMode !== undefined && !VISUALIZER_BLEND_MODES.includes(layer.blendMode)) {
+        throw new Error(`${label}: visualizer blendMode must be one of ${VISUALIZER_BLEND_MODES.join(', ')}`);
+      }
+    }
+    if (typeof layer.zIndex !== 'number') {
+      throw new Error(`${label}: zIndex must be a number`);
+    }
+    if (layer.react !== undefined && typeof layer.react !== 'boolean') {
+      throw new Error(`${label}: react must be true or false`);
+    }
+  });
+
+  return template;
+}
+
+const EXPRESSION_FUNCTIONS = {
+  min: Math.min,
+  max: Math.max
+};
+
+/**
+ * Evaluate a small arithmetic expression (+ - * /, parentheses, min/max) against named variables
+ * Only numbers, known variable names and known functions are accepted - nothing is passed to eval()
+ */
+export function evaluateExpression(expression, variables = {}) {
+  const tokens = String(expression).match(/\d+(?:\.\d+)?|[A-Za-z_]+|[()+\-*/,]/g) || [];
+  if (tokens.join('') !== String(expression).replace(/\s+/g, '')) {
+    throw new Error(`Unsupported characters in expression "${expression}"`);
+  }
+  let pos = 0;
+
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (token === undefined) throw new Error(`Unexpected end of expression "${expression}"`);
+    if (token === '(') {
+      const value = parseSum();
+      if (tokens[pos++] !== ')') throw new Error(`Missing ")" in expression "${expression}"`);
+      return value;
+    }
+    if (token === '-') return -parsePrimary();
+    if (/^\d/.test(token)) return parseFloat(token);
+    if (tokens[pos] === '(' && Object.prototype.hasOwnProperty.call(EXPRESSION_FUNCTIONS, token)) {
+      pos++;
+      const args = [parseSum()];
+      while (tokens[pos] === ',') {
+        pos++;
+        args.push(parseSum());
+      }
+      if (tokens[pos++] !== ')') throw new Error(`Missing ")" in expression "${expression}"`);
+      return EXPRESSION_FUNCTIONS[token](...args);
+    }
+    if (Object.prototype.hasOwnProperty.call(variables, token)) return variables[token];
+    throw new Error(`Unknown variable "${token}" in expression "${expression}"`);
+  };
+
+  const parseProduct = () => {
+    let value = parsePrimary();
+    while (tokens[pos] === '*' || tokens[pos] === '/') {
+      const op = tokens[pos++];
+      const right = parsePrimary();
+      value = op === '*' ? value * right : value / right;
+    }
+    return value;
+  };
+
+  const parseSum = () => {
+    let value = parseProduct();
+    while (tokens[pos] === '+' || tokens[pos] === '-') {
+      const op = tokens[pos++];
+      const right = parseProduct();
+      value = op === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+
+  const result = parseSum();
+  if (pos !== tokens.length) {
+    throw new Error(`Unexpected "${tokens[pos]}" in expression "${expression}"`);
+  }
+  return result;
+}
+
+/**
+ * Resolve a single geometry value to pixels
+ * @param {number|string} value - Fraction, expression or "center"
+ * @param {number} axisSize - Canvas size on this axis (used for fractions)
+ * @param {Object} variables - Expression variables (W, H, w, h, fontSize)
+ * @param {number} centerValue - Pixel value to use for "center"
+ */
+function resolveDimension(value, axisSize, variables, centerValue = 0) {
+  if (value === undefined || value === null) return 0;
+  if (value === 'center') return centerValue;
+  if (typeof value === 'number') return value * axisSize;
+  return evaluateExpression(value, variables);
+}
+
+/**
+ * Resolve template layer geometry for a canvas size
+ * @returns {{position: {x, y}, size: {width, height}, fontSize: number|null}}
+ */
+export function resolveLayerGeometry(layer, width, height) {
+  const fontSize = typeof layer.fontSize === 'number' ? Math.round(layer.fontSize * height) : null;
+  const variables = { W: width, H: height, fontSize: fontSize || 0 };
+  const sizeDef = layer.size || { width: 1, height: 1 };
+
+  const w = Math.round(resolveDimension(sizeDef.width, width, variables));
+  const h = Math.round(resolveDimension(sizeDef.height, height, { ...variables, w }));
+  const positionDef = layer.position || { x: 0, y: 0 };
+  const positionVars = { ...variables, w, h };
+
+  return {
+    position: {
+      x: Math.round(resolveDimension(positionDef.x, width, positionVars, (width - w) / 2)),
+      y: Math.round(resolveDimension(positionDef.y, height, positionVars, (height - h) / 2))
+    },
+    size: { width: w, height: h },
+    fontSize
+  };
+}
+
+/**
+ * Resolve a timing value (seconds or { fromEnd }) against the video duration
+ */
+export function resolveTime(value, duration) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'object' && typeof value.fromEnd === 'number') return duration - value.fromEnd;
+  throw new Error(`Invalid time value: ${JSON.stringify(value)}`);
+}
+
+/**
+ * Resolve layer start time and duration (end defaults to the end of the video)
+ * @returns {{startTime: number|null, duration: number|null}}
+ */
+export function resolveLayerTiming(layer, duration) {
+  const startTime = resolveTime(layer.start, duration);
+  const endTime = resolveTime(layer.end, duration);
+  if (startTime === null && endTime === null) {
+    return { startTime: null, duration: null };
+  }
+  const start = startTime === null ? 0 : startTime;
+  const end = endTime === null ? duration : endTime;
+  return { startTime: start, duration: end - start };
+}
+
+/**
+ * Resolve layer opacity - either a number or { option, default } read from job options
+ */
+export function resolveOpacity(layer, options = {}) {
+  const opacity = layer.opacity;
+  if (opacity === undefined || opacity === null) return 1.0;
+  if (typeof opacity === 'number') return opacity;
+  if (typeof opacity === 'object' && opacity.option) {
+    const value = options[opacity.option];
+    return value !== undefined && value !== null ? value : (opacity.default !== undefined ? opacity.default : 1.0);
+  }
+  throw new Error(`Invalid opacity value: ${JSON.stringify(opacity)}`);
+}
+
+/**
+ * Fill {placeholders} in text lines and join them with line breaks
+ */
+export function resolveTextLines(lines, values = {}) {
+  return lines
+    .map(line => (typeof line === 'string' ? line : line.text).replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined && values[key] !== null ? values[key] : '')))
+    .join('\n');
+}
+
+/**
+ * Resolve text lines with their own timing and size for styled text layers
+ * @returns {Object[]} [{ text, startTime, endTime, scale }] - times in seconds, null to follow the layer
+ */
+export function resolveTextLineSpecs(lines, values = {}, duration) {
+  return lines.map(line => {
+    const spec = typeof line === 'string' ? { text: line } : line;
+    return {
+      text: resolveTextLines([spec.text], values),
+      startTime: resolveTime(spec.start, duration),
+      endTime: resolveTime(spec.end, duration),
+      scale: typeof spec.scale === 'number' ? spec.scale : 1
+    };
+  });
+}
+
+/**
+ * Caption lower-third layout for a template (DEFAULT_CAPTIONS with the template's "captions" over it)
+ */
+export function resolveCaptionLayout(template) {
+  const captions = (template && template.captions) || {};
+  return {
+    ...DEFAULT_CAPTIONS,
+    ...captions,
+    style: { ...DEFAULT_CAPTIONS.style, ...(captions.style || {}) }
+  };
+}
+
+/**
+ * Resolve composition-level fade windows ({ fromEnd, duration }) with the legacy defaults
+ */
+export function resolveFades(template) {
+  const fades = (template && template.fades) || {};
+  return {
+    video: { fromEnd: 8, duration: 3, ...(fades.video || {}) },
+    audio: { fromEnd: 3, duration: 3, ...(fades.audio || {}) }
+  };
+}
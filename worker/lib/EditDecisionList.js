@@ -0,0 +1,156 @@
+/**
+ * Edit Decision List (EDL)
+ * The full edit of a render as JSON: audio source and offset, every segment's source file, in/out point and
+ * transition, beat grid and the logo / overlay picks of each template layer
+ *
+ * Saved on the videos/{jobId} document after a render. A job submitted with `edl` renders it verbatim
+ * (see ArweaveVideoGenerator.generateVideoWithAudio), so one segment can be tweaked or the filter swapped
+ * without losing the rest of the cut.
+ */
+
+import { isValidTransition, MAX_TRANSITION_DURATION, TRANSITIONS } from './Transitions.js';
+import { isVideoFile, getAssetFolder } from './AssetIndex.js';
+
+export const EDL_VERSION = 1;
+
+export const EDL_LIMITS = {
+  minDuration: 5,
+  maxDuration: 300,
+  maxSegments: 120
+};
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Build an EDL from a finished render
+ * @param {Object} render - { duration, template, audio, segmentPlan, layers }
+ *   audio: { url, offset, duration, artist, title, isTrax }
+ *   segmentPlan: plan returned by VideoSegmentCompositor.createVideoFromSegments / renderSegmentPlan input
+ *   layers: { [layerId]: { logo } | { folder, videos } }
+ * @returns {Object|null} EDL, or null when the render didn't use video segments (image background)
+ */
+export function buildEditDecisionList({ duration, template = null, audio, segmentPlan, layers = {} }) {
+  if (!segmentPlan || !segmentPlan.segments || segmentPlan.segments.length === 0) {
+    return null;
+  }
+
+  return {
+    version: EDL_VERSION,
+    duration,
+    template,
+    audio: {
+      url: audio.url,
+      offset: audio.offset || 0,
+      duration: audio.duration || duration,
+      artist: audio.artist || null,
+      title: audio.title || null,
+      isTrax: Boolean(audio.isTrax)
+    },
+    bpm: segmentPlan.bpm || null,
+    beats: (segmentPlan.beatPositions || []).map(round),
+    segments: segmentPlan.segments.map((segment, index) => ({
+      source: segment.source || segment.videoPath,
+      folder: segment.sourceFolder || null,
+      in: round(segment.startTime),
+      out: round(segment.startTime + segment.duration),
+      // Transition into the next segment (null after the last one)
+      transition: index < segmentPlan.segments.length - 1
+        ? {
+          type: (segmentPlan.transitions[index] && segmentPlan.transitions[index].type) || 'cut',
+          duration: round((segmentPlan.transitions[index] && segmentPlan.transitions[index].duration) || 0),
+          beatAligned: !segmentPlan.transitions[index] || segmentPlan.transitions[index].beatAligned !== false
+        }
+        : null
+    })),
+    layers
+  };
+}
+
+/**
+ * Check an EDL (e.g. one submitted with a job)
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateEditDecisionList(edl) {
+  if (!edl || typeof edl !== 'object' || Array.isArray(edl)) {
+    return 'edl must be an object';
+  }
+  if (edl.version !== EDL_VERSION) {
+    return `edl.version must be ${EDL_VERSION}`;
+  }
+  if (typeof edl.duration !== 'number' || edl.duration < EDL_LIMITS.minDuration || edl.duration > EDL_LIMITS.maxDuration) {
+    return `edl.duration must be between ${EDL_LIMITS.minDuration} and ${EDL_LIMITS.maxDuration} seconds`;
+  }
+
+  const audio = edl.audio;
+  if (!audio || typeof audio.url !== 'string' || !/^https?:\/\//.test(audio.url)) {
+    return 'edl.audio.url must be an http(s) URL';
+  }
+  if (audio.offset !== undefined && (typeof audio.offset !== 'number' || audio.offset < 0)) {
+    return 'edl.audio.offset must be a number >= 0';
+  }
+
+  if (!Array.isArray(edl.segments) || edl.segments.length === 0 || edl.segments.length > EDL_LIMITS.maxSegments) {
+    return `edl.segments must be an array of 1-${EDL_LIMITS.maxSegments} segments`;
+  }
+  let total = 0;
+  for (const [index, segment] of edl.segments.entries()) {
+    const label = `edl.segments[${index}]`;
+    // Storage paths only: a local path would let a job render any file the worker can read
+    if (!segment || typeof segment.source !== 'string' || segment.source.startsWith('/') || segment.source.includes('\\') ||
+      segment.source.split('/').includes('..') || !isVideoFile(segment.source) || !getAssetFolder(segment.source)) {
+      return `${label}.source must be the storage path of a video inside a folder (e.g. "skyline/clip.mp4")`;
+    }
+    if (typeof segment.in !== 'number' || typeof segment.out !== 'number' || segment.in < 0 || segment.out <= segment.in) {
+      return `${label} needs numeric in/out points with out > in >= 0`;
+    }
+    const transition = segment.transition;
+    if (transition) {
+      if (!isValidTransition(transition.type)) {
+        return `${label}.transition.type must be one of: ${Object.keys(TRANSITIONS).join(', ')}`;
+      }
+      if (typeof transition.duration !== 'number' || transition.duration < 0 || transition.duration > MAX_TRANSITION_DURATION) {
+        return `${label}.transition.duration must be between 0 and ${MAX_TRANSITION_DURATION} seconds`;
+      }
+    }
+    total += segment.out - segment.in;
+  }
+  if (total < edl.duration - 0.05) {
+    return `edl.segments cover ${round(total)}s but edl.duration is ${edl.duration}s`;
+  }
+
+  if (edl.beats !== undefined && (!Array.isArray(edl.beats) || edl.beats.some(beat => typeof beat !== 'number'))) {
+    return 'edl.beats must be an array of numbers';
+  }
+  if (edl.layers !== undefined && (typeof edl.layers !== 'object' || edl.layers === null || Array.isArray(edl.layers))) {
+    return 'edl.layers must be an object keyed by template layer id';
+  }
+  return null;
+}
+
+/**
+ * Turn an EDL into the segment plan VideoSegmentCompositor.renderSegmentPlan expects
+ * @param {Object} edl - Validated EDL
+ * @param {string[]} videoPaths - Local path of each segment's source (same order as edl.segments)
+ */
+export function edlToSegmentPlan(edl, videoPaths) {
+  const segments = edl.segments.map((segment, index) => ({
+    videoPath: videoPaths[index],
+    source: segment.source,
+    sourceFolder: segment.folder || null,
+    startTime: segment.in,
+    duration: round(segment.out - segment.in)
+  }));
+
+  return {
+    targetDuration: edl.duration,
+    segments,
+    // One transition per boundary - a missing transition is a hard cut
+    transitions: edl.segments.slice(0, -1).map(segment => ({
+      type: segment.transition ? segment.transition.type : 'cut',
+      duration: segment.transition && segment.transition.type !== 'cut' ? segment.transition.duration : 0,
+      beatAligned: !segment.transition || segment.transition.beatAligned !== false
+    })),
+    beatPositions: edl.beats || [],
+    bpm: edl.bpm || null
+  };
+}
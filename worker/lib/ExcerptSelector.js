@@ -0,0 +1,223 @@
+/**
+ * Excerpt Selector
+ * Chooses where in a DJ mix the clip starts - a uniform random offset often lands on a mixing transition
+ * or a quiet intro
+ *
+ * Works from the mix's stored analysis (see MixAnalysis.js): a per-second energy profile and a beat / downbeat
+ * grid of the whole mix. Phrase boundaries are the downbeats every 8 bars, in the bar phase where the energy
+ * changes most (tracks dropping in and out). Candidate excerpts start on a phrase boundary and are scored on
+ * the peak they contain.
+ *
+ * Jobs choose with `excerpt`: 'peak' (default), 'intro', 'random' (uniform offset) or { start } in seconds.
+ */
+
+import { randomStream } from './SeededRandom.js';
+
+export const EXCERPT_MODES = ['peak', 'intro', 'random'];
+export const DEFAULT_EXCERPT = 'peak';
+
+const BARS_PER_PHRASE = 8;
+const EDGE_MARGIN = 10; // Seconds kept clear of the end of the mix (and of the start for 'peak')
+const TOP_CANDIDATES = 5; // 'peak' picks among the best few so one mix doesn't always give the same clip
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Check the job's `excerpt` option
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateExcerptOption(excerpt) {
+  if (excerpt === null || excerpt === undefined) return null;
+  if (typeof excerpt === 'string') {
+    return EXCERPT_MODES.includes(excerpt) ? null : `excerpt must be one of: ${EXCERPT_MODES.join(', ')} or { start }`;
+  }
+  if (typeof excerpt !== 'object' || Array.isArray(excerpt) || typeof excerpt.start !== 'number' || excerpt.start < 0) {
+    return 'excerpt must be one of: peak, intro, random or { start } with start >= 0 seconds';
+  }
+  return null;
+}
+
+/**
+ * Mean of values[from, to) (clamped to the array)
+ */
+function mean(values, from, to) {
+  const start = Math.max(0, Math.floor(from));
+  const end = Math.min(values.length, Math.ceil(to));
+  if (end <= start) return 0;
+  let sum = 0;
+  for (let i = start; i < end; i++) sum += values[i];
+  return sum / (end - start);
+}
+
+/**
+ * Map values to 0-1 between the 5th and 95th percentile
+ */
+function normalize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const low = sorted[Math.floor(sorted.length * 0.05)] || 0;
+  const high = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] || 0;
+  const range = high - low;
+  return values.map(value => (range > 0 ? Math.min(1, Math.max(0, (value - low) / range)) : 0));
+}
+
+/**
+ * Phrase boundaries: every BARS_PER_PHRASE-th downbeat, in the phase where the energy changes most
+ * @param {number[]} downbeats - Downbeat times in seconds
+ * @param {number[]} energy - Per-second energy (0-1)
+ */
+export function findPhraseStarts(downbeats, energy, barsPerPhrase = BARS_PER_PHRASE) {
+  if (downbeats.length < barsPerPhrase * 2) return downbeats.slice();
+  const novelty = time => Math.abs(mean(energy, time, time + 8) - mean(energy, time - 8, time));
+  const strength = new Array(barsPerPhrase).fill(0);
+  const counts = new Array(barsPerPhrase).fill(0);
+  downbeats.forEach((time, index) => {
+    strength[index % barsPerPhrase] += novelty(time);
+    counts[index % barsPerPhrase]++;
+  });
+  let bestPhase = 0;
+  for (let phase = 1; phase < barsPerPhrase; phase++) {
+    if (strength[phase] / counts[phase] > strength[bestPhase] / counts[bestPhase]) bestPhase = phase;
+  }
+  return downbeats.filter((_, index) => index % barsPerPhrase === bestPhase);
+}
+
+/**
+ * Build a mix profile from a full-mix onset analysis and its beat detection result
+ * @param {Object} analysis - BeatDetector.analyzeOnsets() result
+ * @param {Object|null} beats - detectBeatsFromAnalysis() result (null when the mix has no usable rhythm)
+ */
+export function buildMixProfile(analysis, beats) {
+  const seconds = Math.floor(analysis.duration);
+  const framesPerSecond = analysis.frameRate;
+  const loudness = [];
+  const bass = [];
+  for (let second = 0; second < seconds; second++) {
+    const from = Math.floor(second * framesPerSecond);
+    const to = Math.floor((second + 1) * framesPerSecond);
+    let power = 0;
+    for (let frame = from; frame < to; frame++) power += analysis.rms[frame] * analysis.rms[frame];
+    loudness.push(round(10 * Math.log10(power / Math.max(1, to - from) + 1e-12)));
+    bass.push(round(mean(analysis.bass, from, to)));
+  }
+
+  // Kick-heavy loud sections score highest
+  const loudnessNormalized = normalize(loudness);
+  const bassNormalized = normalize(bass);
+  const energy = loudness.map((_, second) => round(0.6 * loudnessNormalized[second] + 0.4 * bassNormalized[second]));
+  const downbeats = beats ? beats.downbeats : [];
+
+  return {
+    duration: round(analysis.duration),
+    bpm: beats ? beats.bpm : null,
+    loudness,
+    energy,
+    downbeats,
+    phrases: findPhraseStarts(downbeats, energy).map(round)
+  };
+}
+
+/**
+ * Score an excerpt for 'peak': loud overall, with a peak and ideally a drop (energy jump after a breakdown)
+ */
+export function scoreExcerpt(energy, start, duration) {
+  const end = start + duration;
+  let peak = 0;
+  let drop = 0;
+  for (let time = Math.ceil(start); time < end - 2; time++) {
+    peak = Math.max(peak, mean(energy, time, time + 4));
+    drop = Math.max(drop, mean(energy, time, time + 4) - mean(energy, time - 8, time));
+  }
+  // Starting in silence (a gap between tracks) reads as a broken clip
+  const openingPenalty = mean(energy, start, start + 2) < 0.1 ? 0.3 : 0;
+  return 0.5 * peak + 0.3 * Math.max(0, drop) + 0.2 * mean(energy, start, end) - openingPenalty;
+}
+
+/**
+ * Choose the excerpt start time
+ * @param {Object|null} profile - Mix profile or analysis ({ duration, energy, phrases }), null when the mix couldn't be scanned
+ * @param {number} totalDuration - Mix length in seconds (the profile's measured length wins when available)
+ * @param {number} duration - Clip length in seconds
+ * @param {string|Object} excerpt - 'peak' | 'intro' | 'random' | { start }
+ * @returns {{startTime: number, mode: string, phraseAligned: boolean, score?: number}}
+ */
+export function chooseExcerpt(profile, totalDuration, duration, excerpt = DEFAULT_EXCERPT) {
+  const mixDuration = profile ? profile.duration : totalDuration;
+  const latestStart = Math.max(0, mixDuration - duration - EDGE_MARGIN);
+
+  if (excerpt && typeof excerpt === 'object') {
+    return { startTime: round(Math.min(excerpt.start, Math.max(0, mixDuration - duration))), mode: 'start', phraseAligned: false };
+  }
+
+  const mode = excerpt || DEFAULT_EXCERPT;
+  if (mode === 'random' || !profile) {
+    // Uniform offset (also the fallback when the mix couldn't be scanned)
+    return { startTime: mixDuration > duration ? randomStream('audio').int(latestStart) : 0, mode: 'random', phraseAligned: false };
+  }
+
+  const phrases = profile.phrases.filter(time => time <= latestStart);
+
+  if (mode === 'intro') {
+    // First phrase once the mix is audible (skips leading silence)
+    const firstAudible = profile.energy.findIndex(value => value > 0.2);
+    const start = phrases.find(time => time >= Math.max(0, firstAudible - 1));
+    return start !== undefined
+      ? { startTime: start, mode, phraseAligned: true }
+      : { startTime: Math.max(0, firstAudible), mode, phraseAligned: false };
+  }
+
+  // peak: best-scoring phrase starts, one of the top few (seeded) for variety
+  const candidates = phrases
+    .filter(time => time >= EDGE_MARGIN)
+    .map(time => ({ time, score: scoreExcerpt(profile.energy, time, duration) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, TOP_CANDIDATES);
+  if (candidates.length === 0) {
+    return { startTime: mixDuration > duration ? randomStream('audio').int(latestStart) : 0, mode: 'random', phraseAligned: false };
+  }
+  const choice = randomStream('audio').pick(candidates);
+  return { startTime: choice.time, mode, phraseAligned: true, score: round(choice.score) };
+}
+
+/**
+ * Chooses excerpts from stored mix analyses
+ */
+export class ExcerptSelector {
+  constructor(options = {}) {
+    this.mixAnalysis = options.mixAnalysis || null; // MixAnalysisStore, loaded on first use (keeps ffmpeg out of API imports)
+  }
+
+  async getMixAnalysis(url) {
+    if (!this.mixAnalysis) {
+      const { MixAnalysisStore } = await import('./MixAnalysis.js');
+      this.mixAnalysis = new MixAnalysisStore();
+    }
+    return this.mixAnalysis.get(url);
+  }
+
+  /**
+   * Choose the clip start in a mix - falls back to a uniform offset when the mix has no stored analysis
+   * (mixes are analysed by analyze-mixes.js, never per job)
+   * @param {string} url - Mix URL
+   * @param {number} totalDuration - Mix length from the artist data (seconds)
+   * @param {number} duration - Clip length (seconds)
+   * @param {string|Object} excerpt - Job's excerpt option
+   * @returns {Promise<Object>} chooseExcerpt() result, plus the mix analysis it was chosen from (null without one)
+   */
+  async selectExcerpt(url, totalDuration, duration, excerpt = DEFAULT_EXCERPT) {
+    const mode = excerpt || DEFAULT_EXCERPT;
+    let mixAnalysis = null;
+    try {
+      mixAnalysis = await this.getMixAnalysis(url);
+      if (!mixAnalysis && mode !== 'random') {
+        console.warn('[ExcerptSelector] ⚠️ Mix not analysed yet (run node worker/analyze-mixes.js), using a random excerpt');
+      }
+    } catch (error) {
+      console.warn(`[ExcerptSelector] ⚠️ Mix analysis unavailable, using ${mode === 'random' ? 'the listed length' : 'a random excerpt'}: ${error.message}`);
+    }
+    const choice = chooseExcerpt(mixAnalysis, totalDuration, duration, mode);
+    if (mixAnalysis && Math.abs(mixAnalysis.duration - totalDuration) > 5) {
+      console.log(`[ExcerptSelector] Measured mix length ${Math.round(mixAnalysis.duration)}s differs from listed ${totalDuration}s - using measured`);
+    }
+    return { ...choice, mixAnalysis };
+  }
+}
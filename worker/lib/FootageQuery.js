@@ -0,0 +1,268 @@
+/**
+ * Footage Query
+ * Tag queries, weights and must-include / never-use clips for the footage a segment background is cut from
+ *
+ * Jobs set `footage`:
+ *   {
+ *     query: 'crowd AND night NOT daylight',            // Tags from the footage index: AND / OR / NOT (upper case),
+ *                                                      // parentheses, "quoted tags"; neighbouring tags mean AND
+ *     weights: { folders: { rositas: 2 }, tags: { night: 3 } }, // Relative pick weights, multiplied (default 1)
+ *     include: ['rositas/user_upload_1.mov'],           // Clips that must appear (Storage paths), even outside the
+ *                                                      // selected folders or the query
+ *     exclude: ['skyline/shaky.mp4']                    // Clips never used
+ *   }
+ * Queries and tag weights read each clip's `asset.tags` (see AssetIndex); without the index clips have no tags, so a
+ * query is ignored rather than matching nothing.
+ */
+
+import { isVideoFile, getAssetFolder, getAssetGroupKey } from './AssetIndex.js';
+
+export const MAX_FOOTAGE_CLIPS = 50; // Entries per include / exclude list
+export const MAX_FOOTAGE_WEIGHT = 100;
+
+const MAX_QUERY_LENGTH = 500;
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Split a query into parentheses, operators and tags
+ */
+function tokenize(query) {
+  const pattern = /\s*(\(|\)|"[^"]*"|[^\s()"]+)/y;
+  const tokens = [];
+  let end = 0;
+  let match;
+  while ((match = pattern.exec(query))) {
+    tokens.push(match[1]);
+    end = pattern.lastIndex;
+  }
+  const rest = query.slice(end).trim();
+  if (rest) throw new Error(`unexpected "${rest}"`);
+  return tokens;
+}
+
+/**
+ * Parse a tag query into a tree of { type: 'tag' | 'not' | 'and' | 'or' } nodes
+ * @throws {Error} When the query isn't valid (message says where)
+ */
+export function parseTagQuery(query) {
+  const tokens = tokenize(query);
+  let position = 0;
+  const peek = () => tokens[position];
+
+  function parseOr() {
+    const operands = [parseAnd()];
+    while (peek() === 'OR') {
+      position++;
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  }
+
+  function parseAnd() {
+    const operands = [parseNot()];
+    while (peek() !== undefined && peek() !== 'OR' && peek() !== ')') {
+      if (peek() === 'AND') position++;
+      operands.push(parseNot());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  }
+
+  function parseNot() {
+    const token = tokens[position++];
+    if (token === undefined) throw new Error('query ends too early');
+    if (token === 'NOT') return { type: 'not', operand: parseNot() };
+    if (token === '(') {
+      const node = parseOr();
+      if (tokens[position++] !== ')') throw new Error('missing ")"');
+      return node;
+    }
+    if (token === ')' || OPERATORS.includes(token)) throw new Error(`unexpected "${token}"`);
+    const tag = token.replace(/^"|"$/g, '').trim().toLowerCase();
+    if (!tag) throw new Error('empty tag');
+    return { type: 'tag', tag };
+  }
+
+  const tree = parseOr();
+  if (position < tokens.length) throw new Error(`unexpected "${tokens[position]}"`);
+  return tree;
+}
+
+/**
+ * Whether a clip's tags satisfy a parsed query
+ */
+export function matchesTagQuery(node, tags) {
+  switch (node.type) {
+    case 'tag': return tags.includes(node.tag);
+    case 'not': return !matchesTagQuery(node.operand, tags);
+    case 'and': return node.operands.every(operand => matchesTagQuery(operand, tags));
+    case 'or': return node.operands.some(operand => matchesTagQuery(operand, tags));
+    default: return false;
+  }
+}
+
+/**
+ * Check a weights map ({ name: weight })
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateWeights(weights, label) {
+  if (typeof weights !== 'object' || weights === null || Array.isArray(weights)) {
+    return `${label} must map names to weights, e.g. { "night": 3 }`;
+  }
+  for (const [name, weight] of Object.entries(weights)) {
+    if (typeof weight !== 'number' || weight < 0 || weight > MAX_FOOTAGE_WEIGHT) {
+      return `${label}.${name} must be a weight between 0 and ${MAX_FOOTAGE_WEIGHT}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a list of clip Storage paths
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateClipList(clips, label) {
+  if (!Array.isArray(clips)) {
+    return `${label} must be an array of clip paths, e.g. ["rositas/clip.mov"]`;
+  }
+  if (clips.length > MAX_FOOTAGE_CLIPS) {
+    return `${label} can have at most ${MAX_FOOTAGE_CLIPS} clips`;
+  }
+  for (const clip of clips) {
+    if (typeof clip !== 'string' || clip.includes('..') || !isVideoFile(clip) || !getAssetFolder(clip)) {
+      return `${label} entries must be video paths inside a folder, got ${JSON.stringify(clip)}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check the job's `footage` option
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateFootageSelection(option) {
+  if (option === null || option === undefined) return null;
+  if (typeof option !== 'object' || Array.isArray(option)) {
+    return 'footage must be { query, weights, include, exclude }';
+  }
+  const { query, weights, include, exclude } = option;
+  if (query !== undefined && query !== null) {
+    if (typeof query !== 'string' || !query.trim() || query.length > MAX_QUERY_LENGTH) {
+      return `footage.query must be a tag query of at most ${MAX_QUERY_LENGTH} characters`;
+    }
+    try {
+      parseTagQuery(query);
+    } catch (error) {
+      return `footage.query is invalid: ${error.message}`;
+    }
+  }
+  if (weights !== undefined && weights !== null) {
+    if (typeof weights !== 'object' || Array.isArray(weights)) {
+      return 'footage.weights must be { folders, tags }';
+    }
+    for (const key of ['folders', 'tags']) {
+      const weightsError = weights[key] !== undefined ? validateWeights(weights[key], `footage.weights.${key}`) : null;
+      if (weightsError) return weightsError;
+    }
+  }
+  for (const [key, clips] of [['include', include], ['exclude', exclude]]) {
+    const clipsError = clips !== undefined && clips !== null ? validateClipList(clips, `footage.${key}`) : null;
+    if (clipsError) return clipsError;
+  }
+  const both = (include || []).filter(clip => (exclude || []).includes(clip));
+  if (both.length > 0) {
+    return `footage.include and footage.exclude both list ${both[0]}`;
+  }
+  return null;
+}
+
+/**
+ * Normalise the job's `footage` option
+ * @returns {{query: Object|null, queryText: string|null, folderWeights: Object, tagWeights: Object, include: Set,
+ *   exclude: Set}|null} null when the job doesn't constrain its footage. Folder weights are keyed like the segment
+ *   compositor's folder groups
+ */
+export function resolveFootageSelection(option = null) {
+  if (!option) return null;
+  const weights = option.weights || {};
+  const folderWeights = {};
+  for (const [folder, weight] of Object.entries(weights.folders || {})) {
+    folderWeights[getAssetGroupKey(folder)] = weight;
+  }
+  const tagWeights = {};
+  for (const [tag, weight] of Object.entries(weights.tags || {})) {
+    tagWeights[tag.trim().toLowerCase()] = weight;
+  }
+  return {
+    query: option.query ? parseTagQuery(option.query) : null,
+    queryText: option.query || null,
+    folderWeights,
+    tagWeights,
+    include: new Set(option.include || []),
+    exclude: new Set(option.exclude || [])
+  };
+}
+
+/**
+ * Storage path of a clip (File reference) or its local path
+ */
+export function getClipKey(clip) {
+  return typeof clip === 'string' ? clip : clip.name;
+}
+
+function getClipTags(clip) {
+  return typeof clip !== 'string' && clip.asset && Array.isArray(clip.asset.tags) ? clip.asset.tags : [];
+}
+
+/**
+ * Drop never-use clips and clips outside the query from grouped footage ({ folder: clips[] })
+ * Must-include clips are always kept
+ * @returns {{folderMap: Object, removed: number}}
+ */
+export function filterFootage(folderMap, selection) {
+  const clips = Object.values(folderMap).flat();
+  let query = selection.query;
+  if (query && !clips.some(clip => typeof clip !== 'string' && clip.asset)) {
+    console.warn(`[FootageQuery] ⚠️ No clip has footage index tags - ignoring query "${selection.queryText}" (run node worker/index-assets.js)`);
+    query = null;
+  }
+
+  const filtered = {};
+  let removed = 0;
+  for (const [folder, folderClips] of Object.entries(folderMap)) {
+    filtered[folder] = folderClips.filter(clip => {
+      const key = getClipKey(clip);
+      const keep = selection.include.has(key) ||
+        (!selection.exclude.has(key) && (!query || matchesTagQuery(query, getClipTags(clip))));
+      if (!keep) removed++;
+      return keep;
+    });
+  }
+  return { folderMap: filtered, removed };
+}
+
+/**
+ * Pick weight of a clip: its folder's weight times the weight of every weighted tag it has
+ */
+export function getClipWeight(clip, folder, selection) {
+  let weight = selection.folderWeights[folder] !== undefined ? selection.folderWeights[folder] : 1;
+  for (const tag of getClipTags(clip)) {
+    if (selection.tagWeights[tag] !== undefined) weight *= selection.tagWeights[tag];
+  }
+  return weight;
+}
+
+/**
+ * Weighted random pick of { video, folder } candidates (uniform when every weight is 0)
+ * @param {Object} random - SeededRandom stream
+ */
+export function pickWeightedClip(candidates, selection, random) {
+  const weights = candidates.map(candidate => getClipWeight(candidate.video, candidate.folder, selection));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) return random.pick(candidates);
+  let target = random.next() * total;
+  for (const [index, weight] of weights.entries()) {
+    target -= weight;
+    if (target < 0) return candidates[index];
+  }
+  return candidates[candidates.length - 1];
+}
@@ -1,14 +1,13 @@
 import fs from 'fs-extra';
 import path from 'path';
-import axios from 'axios';
+import { getAssetCache } from './AssetCache.js';
 
 /**
  * Image Loader Utility - Loads images from various sources
  */
 export class ImageLoader {
     constructor() {
-        this.cacheDir = path.join(process.cwd(), 'outputs', 'image-cache');
-        fs.ensureDirSync(this.cacheDir);
+        this.assetCache = getAssetCache(); // Downloaded images, shared with the other loaders
     }
 
     /**
@@ -21,8 +20,8 @@ export class ImageLoader {
         try {
             // Load artist image if available
             if (artistData.artistImageFilename) {
-                const artistImagePath = await this.resolveImagePath(artistData.artistImageFilename);
-                if (artistImagePath && await fs.pathExists(artistImagePath)) {
+                const artistImagePath = await this.loadImageReference(artistData.artistImageFilename);
+                if (artistImagePath) {
                     images.push({
                         path: artistImagePath,
                         type: 'artist',
@@ -36,8 +35,8 @@ export class ImageLoader {
 
             // Load mix image if available
             if (mixData && mixData.mixImageFilename) {
-                const mixImagePath = await this.resolveImagePath(mixData.mixImageFilename);
-                if (mixImagePath && await fs.pathExists(mixImagePath)) {
+                const mixImagePath = await this.loadImageReference(mixData.mixImageFilename);
+                if (mixImagePath) {
                     images.push({
                         path: mixImagePath,
                         type: 'mix',
@@ -55,6 +54,61 @@ export class ImageLoader {
         return images;
     }
 
+    /**
+     * Load artwork for artwork-driven videos: the mix cover, the artist photo, then covers of the artist's other
+     * mixes (each image once - mixes often reuse the artist photo as their cover)
+     * @param {Object} artistData - Artist entry from the artists JSON
+     * @param {Object|null} mixData - The mix being used (null for tracks)
+     * @param {number} limit - Maximum number of images
+     * @returns {Promise<Array<{path: string, type: string, reference: string}>>} type is 'mix', 'artist' or 'related'
+     */
+    async loadArtwork(artistData, mixData = null, limit = 6) {
+        const candidates = [];
+        if (mixData && mixData.mixImageFilename) {
+            candidates.push({ reference: mixData.mixImageFilename, type: 'mix' });
+        }
+        if (artistData && artistData.artistImageFilename) {
+            candidates.push({ reference: artistData.artistImageFilename, type: 'artist' });
+        }
+        for (const mix of (artistData && artistData.mixes) || []) {
+            if (mix.mixImageFilename && mix !== mixData) {
+                candidates.push({ reference: mix.mixImageFilename, type: 'related' });
+            }
+        }
+
+        const artwork = [];
+        const seen = new Set();
+        for (const candidate of candidates) {
+            if (artwork.length >= limit) break;
+            // Same file under a relative path and its Arweave URL counts once
+            const key = candidate.reference.replace(/^https?:\/\/[^/]+\/[^/]+\//, '');
+            if (seen.has(key)) continue;
+            seen.add(key);
+            const imagePath = await this.loadImageReference(candidate.reference);
+            if (imagePath) {
+                artwork.push({ path: imagePath, type: candidate.type, reference: candidate.reference });
+            } else {
+                console.warn(`[ImageLoader] ${candidate.type} image not found: ${candidate.reference}`);
+            }
+        }
+
+        console.log(`[ImageLoader] Loaded ${artwork.length} artwork image(s): ${artwork.map(image => image.type).join(', ') || 'none'}`);
+        return artwork;
+    }
+
+    /**
+     * Local path for an image reference from the artists JSON - a relative path or an (Arweave) URL
+     * @returns {Promise<string|null>} null when the image can't be found or downloaded
+     */
+    async loadImageReference(reference) {
+        if (/^https?:\/\//i.test(reference)) {
+            const image = await this.loadFromURL(reference);
+            return image ? image.path : null;
+        }
+        const imagePath = await this.resolveImagePath(reference);
+        return imagePath && await fs.pathExists(imagePath) ? imagePath : null;
+    }
+
     /**
      * Resolve image path from relative path in JSON
      * Tries multiple possible locations
@@ -81,55 +135,17 @@ export class ImageLoader {
 
     /**
      * Load image from URL
-     * Downloads and caches the image
+     * Downloads into the shared asset cache (or reuses the cached copy)
      */
     async loadFromURL(url) {
         try {
-            // Check cache first
-            const cacheKey = this.getCacheKey(url);
-            const cachedPath = path.join(this.cacheDir, cacheKey);
-            
-            if (await fs.pathExists(cachedPath)) {
-                console.log(`[ImageLoader] Using cached image: ${cachedPath}`);
-                return {
-                    path: cachedPath,
-                    type: 'url',
-                    source: 'cache'
-                };
-            }
-
-            // Download image
-            console.log(`[ImageLoader] Downloading image from URL: ${url}`);
-            const response = await axios.get(url, {
-                responseType: 'arraybuffer',
-                timeout: 30000
-            });
-
-            // Determine file extension from content type or URL
-            let ext = 'jpg';
-            const contentType = response.headers['content-type'];
-            if (contentType) {
-                if (contentType.includes('png')) ext = 'png';
-                else if (contentType.includes('webp')) ext = 'webp';
-                else if (contentType.includes('gif')) ext = 'gif';
-            } else {
-                // Try to get extension from URL
-                const urlExt = path.extname(new URL(url).pathname).substring(1);
-                if (urlExt && ['jpg', 'jpeg', 'png', 'webp', 'gif'].includes(urlExt.toLowerCase())) {
-                    ext = urlExt.toLowerCase();
-                }
-            }
-
-            const fileName = `${cacheKey}.${ext}`;
-            const filePath = path.join(this.cacheDir, fileName);
-            
-            await fs.writeFile(filePath, Buffer.from(response.data));
-            console.log(`[ImageLoader] ✅ Downloaded and cached image: ${filePath}`);
+            const filePath = await this.assetCache.getURL(url, { ext: '.jpg' });
+            console.log(`[ImageLoader] ✅ Image ready: ${filePath}`);
 
             return {
                 path: filePath,
                 type: 'url',
-                source: 'download'
+                source: 'cache'
             };
         } catch (error) {
             console.error(`[ImageLoader] Error loading image from URL ${url}:`, error.message);
@@ -137,22 +153,6 @@ export class ImageLoader {
         }
     }
 
-    /**
-     * Generate cache key from URL
-     */
-    getCacheKey(url) {
-        // Create a safe filename from URL
-        try {
-            const urlObj = new URL(url);
-            const pathname = urlObj.pathname.replace(/[^a-zA-Z0-9]/g, '_');
-            const hash = Buffer.from(url).toString('base64').substring(0, 16).replace(/[^a-zA-Z0-9]/g, '');
-            return `${hash}_${pathname}`;
-        } catch (error) {
-            // Fallback to simple hash
-            return Buffer.from(url).toString('base64').substring(0, 32).replace(/[^a-zA-Z0-9]/g, '');
-        }
-    }
-
     /**
      * Load random image from folder
      */
@@ -201,13 +201,9 @@ export class ImageLoader {
      */
     async downloadImage(url, outputPath) {
         try {
-            const response = await axios.get(url, {
-                responseType: 'arraybuffer',
-                timeout: 30000
-            });
-
+            const cachedPath = await this.assetCache.getURL(url, { ext: '.jpg' });
             await fs.ensureDir(path.dirname(outputPath));
-            await fs.writeFile(outputPath, Buffer.from(response.data));
+            await fs.copy(cachedPath, outputPath);
             
             console.log(`[ImageLoader] ✅ Downloaded image to: ${outputPath}`);
             return outputPath;
@@ -0,0 +1,107 @@
+/**
+ * Job Cancellation
+ * Lets the processor cancel a running render: stages check for cancellation between steps,
+ * and every ffmpeg child spawned while the job runs is killed when it is cancelled
+ *
+ * The current job's token is carried by AsyncLocalStorage, so FFmpeg helpers only need to call
+ * trackChildProcess(child) - no token has to be threaded through the pipeline
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const jobContext = new AsyncLocalStorage();
+
+/**
+ * Thrown when a cancelled job reaches a cancellation check (or its ffmpeg child is killed)
+ */
+export class JobCancelledError extends Error {
+  constructor(message = 'Job was cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+export class CancellationToken {
+  constructor() {
+    this.cancelled = false;
+    this.reason = null;
+    this.processes = new Set();
+  }
+
+  /**
+   * Mark the job cancelled and kill every running child process
+   */
+  cancel(reason = 'Cancelled by user') {
+    if (this.cancelled) return;
+    this.cancelled = true;
+    this.reason = reason;
+    for (const child of this.processes) {
+      try {
+        child.kill('SIGKILL');
+      } catch (error) {
+        console.warn(`[JobCancellation] Could not kill process: ${error.message}`);
+      }
+    }
+    this.processes.clear();
+  }
+
+  /**
+   * Throw JobCancelledError if the job has been cancelled
+   * @param {string} stage - Pipeline stage about to start (for logs)
+   */
+  throwIfCancelled(stage = null) {
+    if (this.cancelled) {
+      throw new JobCancelledError(`Job cancelled${stage ? ` before ${stage}` : ''}: ${this.reason}`);
+    }
+  }
+
+  /**
+   * Track a child process (anything with kill(), e.g. a ChildProcess or fluent-ffmpeg command)
+   * until it exits; kills it straight away if the job is already cancelled
+   */
+  track(child) {
+    if (this.cancelled) {
+      child.kill('SIGKILL');
+      return child;
+    }
+    this.processes.add(child);
+    const untrack = () => this.processes.delete(child);
+    if (typeof child.once === 'function') {
+      child.once('exit', untrack);
+      child.once('close', untrack);
+      child.once('end', untrack);
+      child.once('error', untrack);
+    }
+    return child;
+  }
+}
+
+/**
+ * Run fn with a cancellation token bound to everything it awaits
+ */
+export function runWithCancellation(token, fn) {
+  return jobContext.run(token, fn);
+}
+
+/**
+ * Token of the job running in the current async context (null outside a job)
+ */
+export function getCancellationToken() {
+  return jobContext.getStore() || null;
+}
+
+/**
+ * Register a spawned child process with the current job, if any
+ */
+export function trackChildProcess(child) {
+  const token = getCancellationToken();
+  return token ? token.track(child) : child;
+}
+
+/**
+ * Throw JobCancelledError if the current job has been cancelled (no-op outside a job)
+ */
+export function throwIfJobCancelled(stage = null) {
+  const token = getCancellationToken();
+  if (token) token.throwIfCancelled(stage);
+}
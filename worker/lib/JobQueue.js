@@ -0,0 +1,362 @@
+/**
+ * Job Queue
+ * Lease-based queue on the videoJobs collection so several workers can run side by side
+ *
+ * Lifecycle:
+ *   pending -> processing (claimed in a transaction, lease renewed by heartbeat)
+ *   processing -> completed (written by the processor)
+ *   processing -> pending (failed attempt, retried after exponential backoff via nextAttemptAt)
+ *   processing -> dead_letter (maxAttempts reached, or at once for an InvalidJobError - retrying can't fix the job)
+ *   pending -> cancelled (cancelled by the API), processing -> cancelled (cancelRequested, acknowledged by the worker)
+ * A job whose lease expires (worker crashed or was killed) is claimed again by the next poll
+ * Pending jobs are claimed by priority (higher first), then oldest first
+ */
+
+import os from 'os';
+import { admin } from '../firebase-admin.js';
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  DEAD_LETTER: 'dead_letter',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Thrown for a job whose options can never render (unknown template, invalid EDL) - fail() dead-letters it
+ * without retrying
+ */
+export class InvalidJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidJobError';
+    this.retryable = false;
+  }
+}
+
+const DEFAULT_OPTIONS = {
+  collection: 'videoJobs',
+  leaseMs: 5 * 60 * 1000, // Lease length - renewed by heartbeat while the job runs
+  heartbeatMs: 60 * 1000, // Heartbeat interval (must be well under leaseMs)
+  maxAttempts: 3, // Attempts before a job is dead-lettered (includes attempts lost to crashes)
+  backoffBaseMs: 30 * 1000, // First retry delay, doubled per attempt
+  backoffMaxMs: 15 * 60 * 1000
+};
+
+/**
+ * Retry delay for the given attempt number (1-based): base * 2^(attempt - 1), capped at max
+ */
+export function computeBackoffMs(attempt, baseMs = DEFAULT_OPTIONS.backoffBaseMs, maxMs = DEFAULT_OPTIONS.backoffMaxMs) {
+  return Math.min(maxMs, baseMs * Math.pow(2, Math.max(0, attempt - 1)));
+}
+
+function toMillis(value) {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return Number(value) || 0;
+}
+
+/**
+ * Queue order: higher priority first, then oldest first
+ */
+export function compareJobs(a, b) {
+  const priorityDiff = (b.priority || 0) - (a.priority || 0);
+  if (priorityDiff !== 0) return priorityDiff;
+  return toMillis(a.createdAt) - toMillis(b.createdAt);
+}
+
+/**
+ * Decide what a worker may do with a job document right now
+ * @returns {'claim'|'dead_letter'|'cancel'|null} - claim it, dead-letter it (expired lease, out of attempts),
+ *                                                 finish a requested cancellation (expired lease) or leave it
+ */
+export function getClaimAction(job, now, maxAttempts = DEFAULT_OPTIONS.maxAttempts) {
+  if (!job) return null;
+  const status = job.status || job.metadata?.status;
+  const attempts = job.attempts || 0;
+
+  if (status === JOB_STATUS.PENDING) {
+    if (job.cancelRequested) return 'cancel';
+    return toMillis(job.nextAttemptAt) <= now ? 'claim' : null;
+  }
+  if (status === JOB_STATUS.PROCESSING) {
+    // Jobs claimed before leases existed have no leaseExpiresAt - leave them alone
+    if (!job.leaseExpiresAt || toMillis(job.leaseExpiresAt) > now) return null;
+    if (job.cancelRequested) return 'cancel';
+    return attempts >= maxAttempts ? 'dead_letter' : 'claim';
+  }
+  return null;
+}
+
+class JobQueue {
+  /**
+   * @param {FirebaseFirestore.Firestore} db - Firestore instance
+   * @param {Object} options - See DEFAULT_OPTIONS; workerId defaults to hostname:pid
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+    this.collection = db.collection(this.options.collection);
+  }
+
+  /**
+   * Find jobs that can be claimed: pending jobs whose backoff has elapsed and processing jobs with expired leases
+   * @returns {Promise<FirebaseFirestore.QueryDocumentSnapshot[]>} - In queue order (priority, then age)
+   */
+  async findClaimable(limit = 1) {
+    const now = Date.now();
+    const queries = [
+      // Highest priority first (needs a status + priority + createdAt index); jobs created before
+      // priorities existed have no priority field and are picked up by the oldest-first query
+      ['priority', this.collection
+        .where('status', '==', JOB_STATUS.PENDING)
+        .orderBy('priority', 'desc')
+        .orderBy('createdAt', 'asc')
+        .limit(limit * 5)], // Some may still be backing off
+      ['pending', this.collection
+        .where('status', '==', JOB_STATUS.PENDING)
+        .orderBy('createdAt', 'asc')
+        .limit(limit * 5)],
+      ['expired lease', this.collection
+        .where('status', '==', JOB_STATUS.PROCESSING)
+        .where('leaseExpiresAt', '<', admin.firestore.Timestamp.fromMillis(now))
+        .limit(limit)]
+    ];
+
+    let docs = [];
+    let failedQueries = 0;
+    for (const [label, query] of queries) {
+      try {
+        const snapshot = await query.get();
+        docs.push(...snapshot.docs);
+      } catch (queryError) {
+        failedQueries++;
+        console.warn(`[JobQueue] ${label} query failed (missing index?): ${queryError.message}`);
+      }
+    }
+
+    if (failedQueries === queries.length) {
+      // If every query fails (missing indexes or status in metadata), get all and filter
+      console.warn('[JobQueue] Status queries failed, fetching all and filtering');
+      const allJobsSnapshot = await this.collection.limit(20).get();
+      docs = allJobsSnapshot.docs;
+    }
+
+    const seen = new Set();
+    return docs
+      .filter(doc => {
+        if (seen.has(doc.id)) return false;
+        seen.add(doc.id);
+        return getClaimAction(doc.data(), now, this.options.maxAttempts) !== null;
+      })
+      .sort((a, b) => compareJobs(a.data(), b.data()))
+      .slice(0, limit);
+  }
+
+  /**
+   * Claim a job in a transaction (only one worker can win)
+   * @returns {Promise<Object|null>} - Job data with the new lease, or null if another worker got it first
+   */
+  async claim(documentId) {
+    const docRef = this.collection.doc(documentId);
+
+    return this.db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(docRef);
+      if (!snapshot.exists) return null;
+
+      const job = snapshot.data();
+      const now = Date.now();
+      const action = getClaimAction(job, now, this.options.maxAttempts);
+
+      if (action === 'cancel') {
+        console.log(`[JobQueue] 🛑 Job ${documentId} was cancelled - not claiming`);
+        transaction.update(docRef, this.cancelledFields());
+        return null;
+      }
+      if (action === 'dead_letter') {
+        console.warn(`[JobQueue] ☠️ Job ${documentId} lease expired after ${job.attempts} attempt(s) - moving to dead letter`);
+        transaction.update(docRef, {
+          status: JOB_STATUS.DEAD_LETTER,
+          completedAt: admin.firestore.FieldValue.serverTimestamp(),
+          error: job.lastError || 'Worker lease expired (worker crashed or timed out)',
+          leaseOwner: admin.firestore.FieldValue.delete(),
+          leaseExpiresAt: admin.firestore.FieldValue.delete()
+        });
+        return null;
+      }
+      if (action !== 'claim') return null;
+
+      const attempts = (job.attempts || 0) + 1;
+      const leaseExpiresAt = admin.firestore.Timestamp.fromMillis(now + this.options.leaseMs);
+      transaction.update(docRef, {
+        status: JOB_STATUS.PROCESSING,
+        startedAt: admin.firestore.FieldValue.serverTimestamp(),
+        heartbeatAt: admin.firestore.FieldValue.serverTimestamp(),
+        leaseOwner: this.workerId,
+        leaseExpiresAt,
+        attempts,
+        nextAttemptAt: admin.firestore.FieldValue.delete(),
+        'metadata.status': admin.firestore.FieldValue.delete() // Remove old nested status
+      });
+
+      if (job.status === JOB_STATUS.PROCESSING) {
+        console.warn(`[JobQueue] ♻️ Re-claiming job ${documentId} from expired lease (previous owner: ${job.leaseOwner || 'unknown'})`);
+      }
+      return { ...job, status: JOB_STATUS.PROCESSING, leaseOwner: this.workerId, attempts };
+    });
+  }
+
+  /**
+   * Renew the lease every heartbeatMs while a job runs
+   * @param {Function} onLeaseLost - Called once with the new owner (or null) when another worker has re-claimed the
+   *   job after the lease expired - the job must stop, its attempt now belongs to someone else
+   * @returns {Function} - Call to stop the heartbeat
+   */
+  startHeartbeat(documentId, onLeaseLost = null) {
+    const docRef = this.collection.doc(documentId);
+    let stopped = false;
+    const interval = setInterval(async () => {
+      let owner;
+      try {
+        owner = await this.db.runTransaction(async (transaction) => {
+          const snapshot = await transaction.get(docRef);
+          const currentOwner = snapshot.exists ? snapshot.data().leaseOwner || null : null;
+          if (currentOwner !== this.workerId) return currentOwner;
+          transaction.update(docRef, {
+            heartbeatAt: admin.firestore.FieldValue.serverTimestamp(),
+            leaseExpiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + this.options.leaseMs)
+          });
+          return currentOwner;
+        });
+      } catch (error) {
+        // Firestore unreachable - the next heartbeat may still renew the lease in time
+        console.warn(`[JobQueue] ⚠️ Heartbeat failed for job ${documentId}: ${error.message}`);
+        return;
+      }
+      if (owner !== this.workerId && !stopped) {
+        stopped = true;
+        clearInterval(interval);
+        console.warn(`[JobQueue] ⚠️ Lost the lease for job ${documentId} (now owned by ${owner || 'nobody'})`);
+        if (onLeaseLost) onLeaseLost(owner);
+      }
+    }, this.options.heartbeatMs);
+
+    // Don't keep the process alive just for heartbeats
+    if (typeof interval.unref === 'function') interval.unref();
+    return () => {
+      stopped = true;
+      clearInterval(interval);
+    };
+  }
+
+  /**
+   * Call onCancel when the API requests cancellation of a running job
+   * @returns {Function} - Call to stop watching
+   */
+  watchCancellation(documentId, onCancel) {
+    return this.collection.doc(documentId).onSnapshot(snapshot => {
+      if (snapshot.exists && snapshot.data().cancelRequested) {
+        onCancel(snapshot.data().cancelReason || 'Cancelled by user');
+      }
+    }, error => {
+      console.warn(`[JobQueue] ⚠️ Cancellation watch failed for job ${documentId}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Fields that move a job to the cancelled state and drop its lease
+   */
+  cancelledFields() {
+    return {
+      status: JOB_STATUS.CANCELLED,
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      error: null,
+      leaseOwner: admin.firestore.FieldValue.delete(),
+      leaseExpiresAt: admin.firestore.FieldValue.delete(),
+      nextAttemptAt: admin.firestore.FieldValue.delete(),
+      'metadata.status': admin.firestore.FieldValue.delete()
+    };
+  }
+
+  /**
+   * Update a job only while this worker holds its lease
+   * @returns {Promise<boolean>} - false (nothing written) when another worker has re-claimed the job
+   */
+  async updateIfLeased(documentId, fields) {
+    const docRef = this.collection.doc(documentId);
+    return this.db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(docRef);
+      const owner = snapshot.exists ? snapshot.data().leaseOwner || null : null;
+      if (owner !== this.workerId) {
+        console.warn(`[JobQueue] ⚠️ Job ${documentId} is leased by ${owner || 'nobody'} - leaving it alone`);
+        return false;
+      }
+      transaction.update(docRef, fields);
+      return true;
+    });
+  }
+
+  /**
+   * Acknowledge a cancellation once the worker has stopped the job
+   * @returns {Promise<string|null>} - New job status, null when the lease was lost
+   */
+  async markCancelled(documentId) {
+    if (!(await this.updateIfLeased(documentId, this.cancelledFields()))) return null;
+    console.log(`[JobQueue] 🛑 Job ${documentId} cancelled`);
+    return JOB_STATUS.CANCELLED;
+  }
+
+  /**
+   * Release the lease of a completed job
+   */
+  async release(documentId) {
+    await this.updateIfLeased(documentId, {
+      leaseOwner: admin.firestore.FieldValue.delete(),
+      leaseExpiresAt: admin.firestore.FieldValue.delete()
+    });
+  }
+
+  /**
+   * Record a failed attempt: re-queue with exponential backoff, or dead-letter once attempts run out
+   * (or straight away when the error isn't retryable, see InvalidJobError)
+   * @returns {Promise<string|null>} - New job status, null when the lease was lost (the new owner's attempt is left alone)
+   */
+  async fail(documentId, error, attempts) {
+    const message = error && error.message ? error.message : String(error);
+    const retryable = !(error && error.retryable === false);
+
+    if (!retryable || attempts >= this.options.maxAttempts) {
+      const written = await this.updateIfLeased(documentId, {
+        status: JOB_STATUS.DEAD_LETTER,
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        error: message,
+        lastError: message,
+        leaseOwner: admin.firestore.FieldValue.delete(),
+        leaseExpiresAt: admin.firestore.FieldValue.delete(),
+        'metadata.status': admin.firestore.FieldValue.delete()
+      });
+      if (!written) return null;
+      console.error(retryable
+        ? `[JobQueue] ☠️ Job ${documentId} failed ${attempts}/${this.options.maxAttempts} attempts - moved to dead letter`
+        : `[JobQueue] ☠️ Job ${documentId} can't succeed (${message}) - moved to dead letter without retrying`);
+      return JOB_STATUS.DEAD_LETTER;
+    }
+
+    const delayMs = computeBackoffMs(attempts, this.options.backoffBaseMs, this.options.backoffMaxMs);
+    const written = await this.updateIfLeased(documentId, {
+      status: JOB_STATUS.PENDING,
+      nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + delayMs),
+      lastError: message,
+      leaseOwner: admin.firestore.FieldValue.delete(),
+      leaseExpiresAt: admin.firestore.FieldValue.delete()
+    });
+    if (!written) return null;
+    console.warn(`[JobQueue] 🔁 Job ${documentId} failed attempt ${attempts}/${this.options.maxAttempts} - retrying in ${Math.round(delayMs / 1000)}s`);
+    return JOB_STATUS.PENDING;
+  }
+}
+
+export { JobQueue };
@@ -0,0 +1,140 @@
+/**
+ * Key Detector
+ * Musical key of a mix from a long-term chroma profile matched against the Krumhansl-Kessler key profiles
+ *
+ * Fed the same mono PCM stream as the onset analysis (see BeatDetector.analyzeOnsets onSamples), one
+ * high-resolution FFT per second - a mix changes key from track to track, so the result is the dominant key
+ * with a confidence, and is reported in Camelot notation for harmonic mixing.
+ */
+
+import { fft } from './BeatDetector.js';
+
+const FFT_SIZE = 4096; // ~2.7Hz bins at 11.025kHz - resolves semitones down to ~55Hz
+const MIN_PITCH_HZ = 55; // A1
+const MAX_PITCH_HZ = 2000; // Above this harmonics blur the pitch classes
+
+export const PITCH_CLASSES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Krumhansl-Kessler probe-tone profiles, tonic first
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Camelot wheel number per tonic pitch class (C = 0)
+const CAMELOT_MAJOR = [8, 3, 10, 5, 12, 7, 2, 9, 4, 11, 6, 1];
+const CAMELOT_MINOR = [5, 12, 7, 2, 9, 4, 11, 6, 1, 8, 3, 10];
+
+/**
+ * Pearson correlation of a chroma vector with a key profile rotated to `tonic`
+ */
+function correlate(chroma, profile, tonic) {
+  const n = 12;
+  const chromaMean = chroma.reduce((sum, value) => sum + value, 0) / n;
+  const profileMean = profile.reduce((sum, value) => sum + value, 0) / n;
+  let numerator = 0;
+  let chromaVariance = 0;
+  let profileVariance = 0;
+  for (let pitch = 0; pitch < n; pitch++) {
+    const a = chroma[pitch] - chromaMean;
+    const b = profile[(pitch - tonic + n) % n] - profileMean;
+    numerator += a * b;
+    chromaVariance += a * a;
+    profileVariance += b * b;
+  }
+  const denominator = Math.sqrt(chromaVariance * profileVariance);
+  return denominator > 0 ? numerator / denominator : 0;
+}
+
+/**
+ * Best-matching key for a chroma vector
+ * @param {number[]} chroma - 12 pitch-class weights (C first)
+ * @returns {{key: string, tonic: string, mode: string, camelot: string, confidence: number}|null}
+ */
+export function estimateKey(chroma) {
+  if (!chroma || chroma.every(value => value === 0)) return null;
+  const scores = [];
+  for (let tonic = 0; tonic < 12; tonic++) {
+    scores.push({ tonic, mode: 'major', score: correlate(chroma, MAJOR_PROFILE, tonic) });
+    scores.push({ tonic, mode: 'minor', score: correlate(chroma, MINOR_PROFILE, tonic) });
+  }
+  scores.sort((a, b) => b.score - a.score);
+  const best = scores[0];
+  const camelot = best.mode === 'major' ? `${CAMELOT_MAJOR[best.tonic]}B` : `${CAMELOT_MINOR[best.tonic]}A`;
+  return {
+    key: `${PITCH_CLASSES[best.tonic]} ${best.mode}`,
+    tonic: PITCH_CLASSES[best.tonic],
+    mode: best.mode,
+    camelot,
+    // Margin over the runner-up - close to 0 when neighbouring keys fit equally well
+    confidence: Math.round(Math.max(0, best.score - scores[1].score) * 1000) / 1000
+  };
+}
+
+/**
+ * Streaming chroma accumulator - push PCM chunks, one FFT window analysed per `interval` seconds
+ */
+export class KeyAnalyzer {
+  constructor(sampleRate, interval = 1) {
+    this.sampleRate = sampleRate;
+    this.step = Math.max(FFT_SIZE, Math.round(sampleRate * interval));
+    this.window = new Float32Array(FFT_SIZE).map((_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FFT_SIZE));
+    this.buffer = new Float32Array(FFT_SIZE);
+    this.filled = 0;
+    this.skip = 0; // Samples to drop before the next window
+    this.chroma = new Array(12).fill(0);
+
+    // Pitch class of every FFT bin in range (-1 outside it)
+    this.binPitch = new Int8Array(FFT_SIZE / 2).fill(-1);
+    for (let bin = 1; bin < FFT_SIZE / 2; bin++) {
+      const frequency = bin * sampleRate / FFT_SIZE;
+      if (frequency < MIN_PITCH_HZ || frequency > MAX_PITCH_HZ) continue;
+      const midi = Math.round(69 + 12 * Math.log2(frequency / 440));
+      this.binPitch[bin] = ((midi % 12) + 12) % 12;
+    }
+  }
+
+  push(samples) {
+    let offset = 0;
+    while (offset < samples.length) {
+      if (this.skip > 0) {
+        const skipped = Math.min(this.skip, samples.length - offset);
+        this.skip -= skipped;
+        offset += skipped;
+        continue;
+      }
+      const count = Math.min(FFT_SIZE - this.filled, samples.length - offset);
+      this.buffer.set(samples.subarray(offset, offset + count), this.filled);
+      this.filled += count;
+      offset += count;
+      if (this.filled === FFT_SIZE) {
+        this.processWindow();
+        this.filled = 0;
+        this.skip = this.step - FFT_SIZE;
+      }
+    }
+  }
+
+  processWindow() {
+    const re = new Float64Array(FFT_SIZE);
+    const im = new Float64Array(FFT_SIZE);
+    for (let i = 0; i < FFT_SIZE; i++) re[i] = this.buffer[i] * this.window[i];
+    fft(re, im);
+
+    const frame = new Array(12).fill(0);
+    for (let bin = 1; bin < FFT_SIZE / 2; bin++) {
+      const pitch = this.binPitch[bin];
+      if (pitch >= 0) frame[pitch] += Math.hypot(re[bin], im[bin]);
+    }
+    // Each window counts equally, so loud passages don't decide the key alone
+    const total = frame.reduce((sum, value) => sum + value, 0);
+    if (total > 0) {
+      for (let pitch = 0; pitch < 12; pitch++) this.chroma[pitch] += frame[pitch] / total;
+    }
+  }
+
+  /**
+   * @returns {Object|null} estimateKey() result for everything pushed so far
+   */
+  finish() {
+    return estimateKey(this.chroma);
+  }
+}
@@ -0,0 +1,287 @@
+/**
+ * Mix Analysis
+ * Measured facts about a whole DJ mix, computed once and shared by every job that uses the mix
+ *
+ * One low-resolution decode of the mix (11.025kHz mono, streamed from Arweave by ffmpeg) yields its duration,
+ * integrated loudness, tempo curve, beat grid, key, waveform peaks and highlight windows. Results live in the
+ * Firestore `mixAnalysis` collection keyed by the mix's Arweave transaction ID, with a local copy for runs
+ * without Firebase. The excerpt selector, the segment compositor's beat grid and the website player read them
+ * instead of re-analysing, and the measured duration replaces the hand-typed `mixDuration` ("60:00").
+ *
+ * Populated by `node worker/analyze-mixes.js`. Jobs only read them: decoding a whole mix takes minutes, so a job
+ * whose mix isn't analysed yet falls back to a random excerpt instead.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { buildMixProfile, scoreExcerpt } from './ExcerptSelector.js';
+
+export const MIX_ANALYSIS_VERSION = 1;
+export const MIX_ANALYSIS_COLLECTION = 'mixAnalysis';
+
+const SCAN_SAMPLE_RATE = 11025;
+const SCAN_FRAME_SIZE = 512; // ~46ms windows, one per hop - enough for beats, fast enough for a two-hour mix
+const BPM_WINDOW = 30; // Seconds per tempo curve point
+const WAVEFORM_POINTS = 800;
+const HIGHLIGHT_DURATION = 30;
+const MAX_HIGHLIGHTS = 5;
+// Long numeric series are stored as comma-separated strings: as arrays, a two-hour mix's beat grid alone
+// would use up most of Firestore's 40k index entries per document
+const SERIES_FIELDS = ['beats', 'downbeats', 'energy', 'levels'];
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Document ID for a mix: its Arweave transaction ID (43 base64url characters in the URL path),
+ * or a hash of the URL for mixes hosted elsewhere
+ */
+export function getMixId(url) {
+  const match = /^https?:\/\/[^/]+\/([A-Za-z0-9_-]{43})(?:[/?#]|$)/.exec(url || '');
+  if (match) return match[1];
+  return `url-${crypto.createHash('sha1').update(url || '').digest('hex').substring(0, 24)}`;
+}
+
+/**
+ * Format seconds the way artist data lists mix lengths ("72:05")
+ */
+export function formatMixDuration(seconds) {
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Tempo over time: the mean beat interval in each window, ignoring skipped or doubled beats
+ * (single intervals are quantised to the ~46ms scan frames, their mean is not)
+ * @returns {{time: number, bpm: number}[]} Window start (seconds) and its tempo - windows with too few beats are skipped
+ */
+export function buildBpmCurve(beats, duration, window = BPM_WINDOW) {
+  const curve = [];
+  for (let start = 0; start < duration; start += window) {
+    const inWindow = beats.filter(beat => beat >= start && beat < start + window);
+    if (inWindow.length < 8) continue;
+    const intervals = inWindow.slice(1).map((beat, index) => beat - inWindow[index]);
+    const median = [...intervals].sort((a, b) => a - b)[Math.floor(intervals.length / 2)];
+    const regular = intervals.filter(interval => Math.abs(interval - median) < median * 0.25);
+    const meanInterval = regular.reduce((sum, interval) => sum + interval, 0) / regular.length;
+    if (meanInterval > 0) curve.push({ time: start, bpm: Math.round(600 / meanInterval) / 10 });
+  }
+  return curve;
+}
+
+/**
+ * Waveform peaks for a player: the loudest frame (RMS) of each of `points` buckets, scaled to 0-1
+ */
+export function buildWaveform(rms, points = WAVEFORM_POINTS) {
+  const buckets = Math.min(points, rms.length);
+  if (buckets === 0) return [];
+  const peaks = [];
+  for (let bucket = 0; bucket < buckets; bucket++) {
+    const from = Math.floor(bucket * rms.length / buckets);
+    const to = Math.max(from + 1, Math.floor((bucket + 1) * rms.length / buckets));
+    let peak = 0;
+    for (let frame = from; frame < to; frame++) peak = Math.max(peak, rms[frame]);
+    peaks.push(peak);
+  }
+  const max = Math.max(...peaks);
+  return peaks.map(peak => (max > 0 ? Math.round(peak / max * 100) / 100 : 0));
+}
+
+/**
+ * Best non-overlapping phrase-aligned windows (scored like the excerpt selector's 'peak')
+ * @returns {{start: number, end: number, score: number}[]} Best first
+ */
+export function findHighlights(energy, phrases, duration, length = HIGHLIGHT_DURATION, count = MAX_HIGHLIGHTS) {
+  const candidates = phrases
+    .filter(time => time + length <= duration)
+    .map(time => ({ start: time, end: round(time + length), score: round(scoreExcerpt(energy, time, length)) }))
+    .sort((a, b) => b.score - a.score);
+  const highlights = [];
+  for (const candidate of candidates) {
+    if (highlights.length >= count) break;
+    if (highlights.every(other => candidate.end <= other.start || candidate.start >= other.end)) {
+      highlights.push(candidate);
+    }
+  }
+  return highlights;
+}
+
+/**
+ * Assemble a mix analysis from a full-mix scan
+ * @param {Object} params
+ * @param {string} params.url - Mix URL
+ * @param {Object} params.analysis - BeatDetector.analyzeOnsets() result (with loudness when measured)
+ * @param {Object|null} params.beats - detectBeatsFromAnalysis() result (null when the mix has no usable rhythm)
+ * @param {Object|null} params.key - KeyAnalyzer.finish() result
+ */
+export function buildMixAnalysis({ url, analysis, beats, key = null }) {
+  const profile = buildMixProfile(analysis, beats);
+  return {
+    version: MIX_ANALYSIS_VERSION,
+    id: getMixId(url),
+    url,
+    duration: profile.duration,
+    loudness: analysis.loudness || null, // { integrated (LUFS), range (LU), truePeak (dBTP) }
+    bpm: profile.bpm,
+    bpmConfidence: beats ? beats.confidence : 0,
+    bpmCurve: beats ? buildBpmCurve(beats.beats, profile.duration) : [],
+    key,
+    beats: beats ? beats.beats : [],
+    downbeats: profile.downbeats,
+    phrases: profile.phrases,
+    energy: profile.energy, // Per second, 0-1
+    levels: profile.loudness, // Per second, dBFS
+    waveform: buildWaveform(analysis.rms),
+    highlights: findHighlights(profile.energy, profile.phrases, profile.duration),
+    analyzedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Stored form (Firestore / disk): long series packed into strings
+ */
+export function toStoredAnalysis(mixAnalysis) {
+  const stored = { ...mixAnalysis, series: {} };
+  for (const field of SERIES_FIELDS) {
+    stored.series[field] = (mixAnalysis[field] || []).map(round).join(',');
+    delete stored[field];
+  }
+  return stored;
+}
+
+/**
+ * Inverse of toStoredAnalysis
+ * @returns {Object|null} null when the document is from another analysis version
+ */
+export function fromStoredAnalysis(stored) {
+  if (!stored || stored.version !== MIX_ANALYSIS_VERSION) return null;
+  const { series = {}, ...mixAnalysis } = stored;
+  for (const field of SERIES_FIELDS) {
+    mixAnalysis[field] = series[field] ? series[field].split(',').map(Number) : [];
+  }
+  return mixAnalysis;
+}
+
+/**
+ * What the website player needs: everything but the per-beat and per-second series
+ */
+export function summarizeMixAnalysis(mixAnalysis) {
+  const { series, beats, downbeats, energy, levels, ...summary } = mixAnalysis;
+  return summary;
+}
+
+/**
+ * Beat grid of one excerpt, in clip time - stands in for beat detection on the downloaded clip
+ * @returns {{bpm: number, confidence: number, beats: number[], downbeats: number[], duration: number}|null}
+ *          null when the excerpt has too few analysed beats
+ */
+export function clipBeatGrid(mixAnalysis, startTime, duration) {
+  if (!mixAnalysis || !mixAnalysis.beats || mixAnalysis.beats.length === 0) return null;
+  const end = startTime + duration;
+  const toClip = beats => beats.filter(beat => beat >= startTime && beat <= end).map(beat => round(beat - startTime));
+  const beats = toClip(mixAnalysis.beats);
+  if (beats.length < 4) return null;
+  // Local tempo: the excerpt may sit in a faster or slower part of the mix than the overall BPM
+  const point = [...(mixAnalysis.bpmCurve || [])].reverse().find(entry => entry.time <= startTime);
+  return {
+    bpm: point ? point.bpm : mixAnalysis.bpm,
+    confidence: mixAnalysis.bpmConfidence || 0,
+    beats,
+    downbeats: toClip(mixAnalysis.downbeats),
+    duration
+  };
+}
+
+/**
+ * Reads and writes mix analyses: memory, then Firestore, then the local copy
+ */
+export class MixAnalysisStore {
+  constructor(options = {}) {
+    this.cacheDir = options.cacheDir || path.join(process.cwd(), 'outputs', 'mix-analysis');
+    this.db = options.db || null; // Firestore, connected on first use (false once it turned out unavailable)
+    this.memory = new Map();
+  }
+
+  async getDb() {
+    if (this.db === null) {
+      try {
+        const { initializeFirebaseAdmin, getFirestore } = await import('../firebase-admin.js');
+        initializeFirebaseAdmin();
+        this.db = getFirestore();
+      } catch (error) {
+        console.warn(`[MixAnalysis] Firestore unavailable, using local cache only: ${error.message}`);
+        this.db = false;
+      }
+    }
+    return this.db || null;
+  }
+
+  cachePath(id) {
+    return path.join(this.cacheDir, `${id}.json`);
+  }
+
+  /**
+   * Stored analysis of a mix, or null when it hasn't been analysed (with the current version)
+   */
+  async get(url) {
+    const id = getMixId(url);
+    if (this.memory.has(id)) return this.memory.get(id);
+
+    let mixAnalysis = null;
+    const db = await this.getDb();
+    if (db) {
+      try {
+        const doc = await db.collection(MIX_ANALYSIS_COLLECTION).doc(id).get();
+        if (doc.exists) mixAnalysis = fromStoredAnalysis(doc.data());
+      } catch (error) {
+        console.warn(`[MixAnalysis] Firestore read failed for ${id}: ${error.message}`);
+      }
+    }
+    if (!mixAnalysis && await fs.pathExists(this.cachePath(id))) {
+      mixAnalysis = fromStoredAnalysis(await fs.readJson(this.cachePath(id)).catch(() => null));
+    }
+
+    if (mixAnalysis) this.memory.set(id, mixAnalysis);
+    return mixAnalysis;
+  }
+
+  async save(mixAnalysis) {
+    const stored = toStoredAnalysis(mixAnalysis);
+    this.memory.set(mixAnalysis.id, mixAnalysis);
+    await fs.ensureDir(this.cacheDir);
+    await fs.writeJson(this.cachePath(mixAnalysis.id), stored);
+
+    const db = await this.getDb();
+    if (db) {
+      try {
+        await db.collection(MIX_ANALYSIS_COLLECTION).doc(mixAnalysis.id).set(stored);
+      } catch (error) {
+        console.warn(`[MixAnalysis] Firestore write failed for ${mixAnalysis.id}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Decode and analyse a whole mix (one ffmpeg pass feeds onsets, loudness and key)
+   */
+  async analyze(url) {
+    // Loaded here to keep ffmpeg out of API imports
+    const { BeatDetector, detectBeatsFromAnalysis } = await import('./BeatDetector.js');
+    const { KeyAnalyzer } = await import('./KeyDetector.js');
+    const detector = new BeatDetector({ sampleRate: SCAN_SAMPLE_RATE, frameSize: SCAN_FRAME_SIZE, hopSize: SCAN_FRAME_SIZE });
+    const keyAnalyzer = new KeyAnalyzer(SCAN_SAMPLE_RATE);
+
+    console.log(`[MixAnalysis] 🔍 Analysing mix: ${url.substring(0, 60)}...`);
+    const startedAt = Date.now();
+    const analysis = await detector.analyzeOnsets(url, {
+      measureLoudness: true,
+      onSamples: samples => keyAnalyzer.push(samples)
+    });
+    const mixAnalysis = buildMixAnalysis({ url, analysis, beats: detectBeatsFromAnalysis(analysis), key: keyAnalyzer.finish() });
+    const loudness = mixAnalysis.loudness ? `${mixAnalysis.loudness.integrated} LUFS` : '? LUFS';
+    console.log(`[MixAnalysis] ✅ Analysed in ${Math.round((Date.now() - startedAt) / 1000)}s: ${formatMixDuration(mixAnalysis.duration)}, ${mixAnalysis.bpm || '?'} BPM, ${mixAnalysis.key ? mixAnalysis.key.camelot : '?'}, ${loudness}, ${mixAnalysis.phrases.length} phrases`);
+
+    await this.save(mixAnalysis);
+    return mixAnalysis;
+  }
+}
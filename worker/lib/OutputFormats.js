@@ -0,0 +1,67 @@
+/**
+ * Output Formats
+ * Aspect ratio and resolution presets for rendered videos
+ * Square (1:1) at 720 is the original format; vertical and landscape cuts share the same pipeline
+ */
+
+export const ASPECT_RATIOS = {
+  '1:1': { name: 'Square', description: 'Instagram feed / original format', width: 1, height: 1 },
+  '9:16': { name: 'Vertical', description: 'Reels / TikTok / Shorts', width: 9, height: 16 },
+  '16:9': { name: 'Landscape', description: 'YouTube', width: 16, height: 9 },
+  '4:5': { name: 'Portrait', description: 'Instagram portrait feed', width: 4, height: 5 }
+};
+
+// Resolution = length of the short side in pixels
+export const RESOLUTIONS = {
+  '720p': 720,
+  '1080p': 1080
+};
+
+export const DEFAULT_ASPECT_RATIO = '1:1';
+export const DEFAULT_RESOLUTION = '720p';
+
+/**
+ * Round to the nearest even number (libx264 with yuv420p requires even dimensions)
+ */
+function toEven(value) {
+  return Math.max(2, Math.round(value / 2) * 2);
+}
+
+/**
+ * Check whether an aspect ratio / resolution key is supported
+ */
+export function isValidAspectRatio(aspectRatio) {
+  return Object.prototype.hasOwnProperty.call(ASPECT_RATIOS, aspectRatio);
+}
+
+export function isValidResolution(resolution) {
+  return Object.prototype.hasOwnProperty.call(RESOLUTIONS, resolution);
+}
+
+/**
+ * Resolve output canvas size from an aspect ratio and resolution
+ * @param {Object} options - { aspectRatio: '1:1'|'9:16'|'16:9'|'4:5', resolution: '720p'|'1080p' }
+ * @returns {{width: number, height: number, aspectRatio: string, resolution: string}}
+ */
+export function resolveOutputSize(options = {}) {
+  const aspectRatio = options.aspectRatio || DEFAULT_ASPECT_RATIO;
+  const resolution = options.resolution || DEFAULT_RESOLUTION;
+
+  if (!isValidAspectRatio(aspectRatio)) {
+    throw new Error(`Unsupported aspect ratio "${aspectRatio}". Supported: ${Object.keys(ASPECT_RATIOS).join(', ')}`);
+  }
+  if (!isValidResolution(resolution)) {
+    throw new Error(`Unsupported resolution "${resolution}". Supported: ${Object.keys(RESOLUTIONS).join(', ')}`);
+  }
+
+  const ratio = ASPECT_RATIOS[aspectRatio];
+  const shortSide = RESOLUTIONS[resolution];
+  const scale = shortSide / Math.min(ratio.width, ratio.height);
+
+  return {
+    width: toEven(ratio.width * scale),
+    height: toEven(ratio.height * scale),
+    aspectRatio,
+    resolution
+  };
+}
@@ -0,0 +1,236 @@
+/**
+ * Progress Reporter
+ * Tracks render progress across pipeline stages and reports it (throttled) to videoJobs/{id}.progress
+ *
+ * Stages run in order and each covers a share of the overall percent:
+ *   audio (10%) -> segments (45%) -> composite (35%) -> upload (10%)
+ * Within a stage, code sets a span (e.g. segment 3 of 6) and ffmpeg's `time=` output fills it in.
+ *
+ * Like JobCancellation, the current job's reporter is carried by AsyncLocalStorage so FFmpeg helpers
+ * only call reportFFmpegTime() - nothing has to be threaded through the pipeline
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const PROGRESS_STAGES = [
+  { name: 'audio', label: 'Preparing audio', weight: 0.10 },
+  { name: 'segments', label: 'Cutting segments', weight: 0.45 },
+  { name: 'composite', label: 'Compositing', weight: 0.35 },
+  { name: 'upload', label: 'Uploading', weight: 0.10 }
+];
+
+const progressContext = new AsyncLocalStorage();
+
+/**
+ * Parse an ffmpeg timestamp (HH:MM:SS.ms) into seconds
+ */
+export function parseFFmpegTimestamp(value) {
+  const match = /(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(value || '');
+  if (!match) return null;
+  return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+}
+
+/**
+ * Latest `time=` position (seconds) in a chunk of ffmpeg stderr, or null
+ */
+export function parseFFmpegProgressTime(stderrChunk) {
+  const matches = String(stderrChunk).match(/time=\s*(\d+:\d{2}:\d{2}(?:\.\d+)?)/g);
+  if (!matches) return null;
+  return parseFFmpegTimestamp(matches[matches.length - 1]);
+}
+
+/**
+ * Expected output length of an ffmpeg command: the last -t value (output duration), or null
+ */
+export function getFFmpegOutputDuration(args) {
+  const index = args.lastIndexOf('-t');
+  if (index < 0 || index + 1 >= args.length) return null;
+  const duration = parseFloat(args[index + 1]);
+  return Number.isFinite(duration) && duration > 0 ? duration : null;
+}
+
+class ProgressReporter {
+  /**
+   * @param {Function} onUpdate - async (progress) => void, e.g. a Firestore update
+   * @param {Object} options - { throttleMs } minimum time between updates (stage changes are always sent)
+   */
+  constructor(onUpdate, options = {}) {
+    this.onUpdate = onUpdate;
+    this.throttleMs = options.throttleMs || 3000;
+    this.startedAt = Date.now();
+    this.stageIndex = -1;
+    this.stageFraction = 0;
+    this.span = { from: 0, to: 1 };
+    this.detail = null;
+    this.lastSentAt = 0;
+    this.writing = null; // In-flight update (updates never overlap)
+    this.queued = false;
+  }
+
+  /**
+   * Start a pipeline stage (audio, segments, composite, upload)
+   */
+  stage(name, detail = null) {
+    const index = PROGRESS_STAGES.findIndex(stage => stage.name === name);
+    if (index < 0) {
+      throw new Error(`Unknown progress stage: ${name}`);
+    }
+    this.stageIndex = index;
+    this.stageFraction = 0;
+    this.span = { from: 0, to: 1 };
+    this.detail = detail;
+    this.flush(true);
+  }
+
+  /**
+   * Limit the following progress calls to part of the current stage (fractions 0-1)
+   * e.g. span(2/6, 3/6) while extracting the third of six segments
+   */
+  setSpan(from, to, detail = undefined) {
+    this.span = { from, to };
+    this.stageFraction = Math.max(this.stageFraction, from);
+    if (detail !== undefined) this.detail = detail;
+    this.flush(false);
+  }
+
+  /**
+   * Report progress within the current span (0-1)
+   */
+  progress(fraction) {
+    const clamped = Math.min(1, Math.max(0, fraction));
+    const stageFraction = this.span.from + (this.span.to - this.span.from) * clamped;
+    // Never move backwards within a stage (ffmpeg retries, fallbacks)
+    if (stageFraction <= this.stageFraction) return;
+    this.stageFraction = stageFraction;
+    this.flush(false);
+  }
+
+  /**
+   * Overall percent (0-100) from completed stages plus the current stage fraction
+   */
+  getPercent() {
+    if (this.stageIndex < 0) return 0;
+    const completed = PROGRESS_STAGES.slice(0, this.stageIndex).reduce((sum, stage) => sum + stage.weight, 0);
+    return Math.min(100, (completed + PROGRESS_STAGES[this.stageIndex].weight * this.stageFraction) * 100);
+  }
+
+  /**
+   * Snapshot written to the job document
+   */
+  getSnapshot() {
+    const stage = PROGRESS_STAGES[this.stageIndex] || { name: 'queued', label: 'Queued' };
+    const percent = this.getPercent();
+    const elapsedSeconds = (Date.now() - this.startedAt) / 1000;
+    // Linear ETA from overall progress - too noisy to show before the first few percent
+    const etaSeconds = percent >= 3 ? Math.round(elapsedSeconds * (100 - percent) / percent) : null;
+    return {
+      stage: stage.name,
+      stageLabel: stage.label,
+      detail: this.detail,
+      percent: Math.round(percent * 10) / 10,
+      stagePercent: Math.round(this.stageFraction * 1000) / 10,
+      elapsedSeconds: Math.round(elapsedSeconds),
+      etaSeconds,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Send the current snapshot (throttled unless forced); failures are logged, never thrown
+   */
+  flush(force = false) {
+    const now = Date.now();
+    if (!force && now - this.lastSentAt < this.throttleMs) return;
+    this.lastSentAt = now;
+
+    if (this.writing) {
+      // One update in flight at a time - send the newest snapshot once it finishes
+      this.queued = true;
+      return;
+    }
+    const snapshot = this.getSnapshot();
+    this.writing = Promise.resolve()
+      .then(() => this.onUpdate(snapshot))
+      .catch(error => console.warn(`[ProgressReporter] ⚠️ Progress update failed: ${error.message}`))
+      .finally(() => {
+        this.writing = null;
+        if (this.queued) {
+          this.queued = false;
+          this.flush(true);
+        }
+      });
+  }
+
+  /**
+   * Wait for in-flight updates (call before writing the final job status)
+   */
+  async drain() {
+    while (this.writing) {
+      await this.writing;
+    }
+  }
+
+  /**
+   * Final snapshot for a completed job (written together with status 'completed')
+   */
+  getCompletedSnapshot() {
+    return {
+      stage: 'done',
+      stageLabel: 'Done',
+      detail: null,
+      percent: 100,
+      stagePercent: 100,
+      elapsedSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+      etaSeconds: 0,
+      updatedAt: new Date().toISOString()
+    };
+  }
+}
+
+/**
+ * Run fn with a progress reporter bound to everything it awaits
+ */
+export function runWithProgress(reporter, fn) {
+  return progressContext.run(reporter, fn);
+}
+
+/**
+ * Reporter of the job running in the current async context (null outside a job)
+ */
+export function getProgressReporter() {
+  return progressContext.getStore() || null;
+}
+
+/**
+ * Start a pipeline stage for the current job (no-op outside a job)
+ */
+export function reportStage(name, detail = null) {
+  const reporter = getProgressReporter();
+  if (reporter) reporter.stage(name, detail);
+}
+
+/**
+ * Limit progress to part of the current stage for the current job (no-op outside a job)
+ */
+export function reportSpan(from, to, detail = undefined) {
+  const reporter = getProgressReporter();
+  if (reporter) reporter.setSpan(from, to, detail);
+}
+
+/**
+ * Report progress (0-1) within the current span for the current job (no-op outside a job)
+ */
+export function reportProgress(fraction) {
+  const reporter = getProgressReporter();
+  if (reporter) reporter.progress(fraction);
+}
+
+/**
+ * Report an ffmpeg `time=` position against the expected output duration (no-op outside a job)
+ */
+export function reportFFmpegTime(seconds, totalSeconds) {
+  if (seconds === null || !totalSeconds) return;
+  reportProgress(seconds / totalSeconds);
+}
+
+export { ProgressReporter };
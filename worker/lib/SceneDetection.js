@@ -0,0 +1,156 @@
+/**
+ * Scene Detection
+ * Usable in/out windows of a footage clip, so segment extraction doesn't start on black frames, a frozen picture,
+ * camera shake or a segment that straddles a hard scene cut
+ *
+ * One FFmpeg pass over a downscaled copy of the clip runs blackdetect, freezedetect and scene-change detection
+ * (select + showinfo); camera shake comes from the grey frames AssetIndex already samples (sustained large changes
+ * between neighbouring samples). Whatever is left between the bad spans, split at the cuts, is a usable window.
+ * Windows are stored on the clip's `assets` record (see AssetIndex).
+ */
+
+export const SCENE_THRESHOLD = 0.35; // select's scene score above which a frame starts a new shot
+export const MIN_WINDOW_DURATION = 1; // Shorter usable stretches are dropped
+export const MAX_WINDOWS = 50; // Longest windows kept per clip (Firestore document size)
+
+const ANALYSIS_WIDTH = 320;
+const BLACK_MIN_DURATION = 0.2;
+const BLACK_PIXEL_THRESHOLD = 0.1;
+const FREEZE_NOISE = '-60dB';
+const FREEZE_MIN_DURATION = 1;
+const CUT_MARGIN = 0.25; // Seconds kept clear either side of a cut (encoders smear a few frames across it)
+const SPAN_MARGIN = 0.1; // Seconds kept clear either side of black / frozen / shaky spans
+const SHAKE_THRESHOLD = 0.12; // Mean frame change (0-1) between samples that reads as a shaking camera
+const SHAKE_MIN_SAMPLES = 3; // Consecutive shaky changes needed - a single large change is a cut, not shake
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * -vf chain for the analysis pass (blackdetect / freezedetect see every frame, select keeps the shot changes)
+ */
+export function buildSceneAnalysisFilter() {
+  return `scale=${ANALYSIS_WIDTH}:-2,` +
+    `blackdetect=d=${BLACK_MIN_DURATION}:pix_th=${BLACK_PIXEL_THRESHOLD},` +
+    `freezedetect=n=${FREEZE_NOISE}:d=${FREEZE_MIN_DURATION},` +
+    `select='gt(scene,${SCENE_THRESHOLD})',showinfo`;
+}
+
+/**
+ * Cuts, black and frozen spans from the analysis pass's log
+ * @param {string} output - stderr of the pass
+ * @param {number} duration - Clip length (closes a freeze still running at the end)
+ * @returns {{cuts: number[], black: Object[], frozen: Object[]}} Spans as { start, end } in seconds
+ */
+export function parseSceneOutput(output, duration) {
+  const cuts = [...output.matchAll(/Parsed_showinfo[^\n]*?pts_time:\s*([\d.]+)/g)].map(match => round(parseFloat(match[1])));
+  const black = [...output.matchAll(/black_start:\s*([\d.]+)\s+black_end:\s*([\d.]+)/g)]
+    .map(match => ({ start: round(parseFloat(match[1])), end: round(parseFloat(match[2])) }));
+
+  const frozen = [];
+  for (const match of output.matchAll(/freezedetect\.freeze_(start|end):\s*([\d.]+)/g)) {
+    const time = round(parseFloat(match[2]));
+    if (match[1] === 'start') {
+      frozen.push({ start: time, end: duration });
+    } else if (frozen.length > 0) {
+      frozen[frozen.length - 1].end = time;
+    }
+  }
+  return { cuts, black, frozen };
+}
+
+/**
+ * Camera shake in sampled grey frames: runs of large changes between neighbouring samples
+ * @param {Buffer} pixels - Consecutive gray frames of frameSize x frameSize, sampleRate per second from 0s
+ * @returns {Object[]} [{ start, end }] in seconds
+ */
+export function findShakySpans(pixels, frameSize, sampleRate) {
+  const frameLength = frameSize * frameSize;
+  const frames = Math.floor(pixels.length / frameLength);
+  const spans = [];
+  let runStart = null;
+
+  for (let frame = 1; frame <= frames; frame++) {
+    let shaky = false;
+    if (frame < frames) {
+      let change = 0;
+      for (let offset = frame * frameLength; offset < (frame + 1) * frameLength; offset++) {
+        change += Math.abs(pixels[offset] - pixels[offset - frameLength]);
+      }
+      shaky = change / (frameLength * 255) > SHAKE_THRESHOLD;
+    }
+    if (shaky && runStart === null) {
+      runStart = frame - 1;
+    } else if (!shaky && runStart !== null) {
+      if (frame - 1 - runStart >= SHAKE_MIN_SAMPLES) {
+        spans.push({ start: round(runStart / sampleRate), end: round((frame - 1) / sampleRate) });
+      }
+      runStart = null;
+    }
+  }
+  return spans;
+}
+
+/**
+ * Usable windows of a clip: the clip minus black, frozen and shaky spans, split at scene cuts
+ * @param {Object} analysis - { duration, cuts, black, frozen, shaky }
+ * @returns {{windows: Object[], usableRatio: number}} Windows as { start, end } sorted by start; usableRatio is the
+ *   share of the clip they cover
+ */
+export function buildUsableWindows({ duration, cuts = [], black = [], frozen = [], shaky = [] }) {
+  if (!duration || duration <= 0) return { windows: [], usableRatio: 0 };
+
+  const blocked = [
+    ...[...black, ...frozen, ...shaky].map(span => ({ start: span.start - SPAN_MARGIN, end: span.end + SPAN_MARGIN })),
+    ...cuts.map(cut => ({ start: cut - CUT_MARGIN, end: cut + CUT_MARGIN }))
+  ].sort((a, b) => a.start - b.start);
+
+  let windows = [];
+  let cursor = 0;
+  for (const span of blocked) {
+    if (span.start > cursor) windows.push({ start: cursor, end: Math.min(span.start, duration) });
+    cursor = Math.max(cursor, span.end);
+    if (cursor >= duration) break;
+  }
+  if (cursor < duration) windows.push({ start: cursor, end: duration });
+
+  windows = windows
+    .filter(window => window.end - window.start >= MIN_WINDOW_DURATION)
+    .sort((a, b) => (b.end - b.start) - (a.end - a.start))
+    .slice(0, MAX_WINDOWS)
+    .sort((a, b) => a.start - b.start)
+    .map(window => ({ start: round(window.start), end: round(window.end) }));
+  const usable = windows.reduce((total, window) => total + window.end - window.start, 0);
+  return { windows, usableRatio: round(usable / duration) };
+}
+
+/**
+ * Start time for a segment inside a clip's usable windows
+ * Windows that hold the whole segment are picked with weight by how much room they leave (so long clean shots are
+ * used most); when none is long enough the segment is centred on the longest window, spilling over as little as
+ * possible.
+ * @param {Object[]} windows - Usable windows of the clip
+ * @param {number} segmentDuration - Seconds needed
+ * @param {Object} random - SeededRandom stream
+ * @returns {number|null} Start time, or null without windows (caller picks anywhere in the clip)
+ */
+export function pickWindowStart(windows, segmentDuration, random) {
+  if (!Array.isArray(windows) || windows.length === 0) return null;
+
+  const fitting = windows.filter(window => window.end - window.start >= segmentDuration);
+  if (fitting.length === 0) {
+    const longest = windows.reduce((best, window) => (window.end - window.start > best.end - best.start ? window : best));
+    return round(Math.max(0, longest.start - (segmentDuration - (longest.end - longest.start)) / 2));
+  }
+
+  const weights = fitting.map(window => window.end - window.start - segmentDuration + MIN_WINDOW_DURATION);
+  let target = random.next() * weights.reduce((total, weight) => total + weight, 0);
+  let chosen = fitting[fitting.length - 1];
+  for (const [index, weight] of weights.entries()) {
+    target -= weight;
+    if (target < 0) {
+      chosen = fitting[index];
+      break;
+    }
+  }
+  return round(chosen.start + random.next() * (chosen.end - chosen.start - segmentDuration));
+}
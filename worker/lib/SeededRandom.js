@@ -0,0 +1,145 @@
+/**
+ * Seeded Random
+ * Deterministic random decisions for renders: the same seed (and the same inputs) gives the same edit
+ *
+ * Each kind of decision draws from its own named stream (audio, segments, overlays, logos...), so an
+ * extra draw in one stage - a failed download retried, a different aspect ratio re-render - doesn't
+ * shift the choices made by the others.
+ *
+ * Like JobCancellation, the current render's generator is carried by AsyncLocalStorage: code calls
+ * randomStream('segments') and falls back to Math.random() outside a seeded render.
+ * Resolved choices are recorded with recordChoice() and written back to the job by the processor.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+const randomContext = new AsyncLocalStorage();
+
+/**
+ * Hash a string seed into a 32-bit integer (FNV-1a)
+ */
+function hashSeed(value) {
+  let hash = 0x811c9dc5;
+  const text = String(value);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Generate a new random seed (used when a job doesn't supply one, so every render can be repeated)
+ */
+export function generateSeed() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+/**
+ * Check a seed supplied on a job: a non-empty string (max 64 chars) or a safe integer
+ */
+export function isValidSeed(seed) {
+  if (typeof seed === 'number') return Number.isSafeInteger(seed);
+  return typeof seed === 'string' && seed.trim().length > 0 && seed.length <= 64;
+}
+
+/**
+ * One deterministic stream of numbers in [0, 1) (mulberry32)
+ */
+class RandomStream {
+  constructor(seed) {
+    this.state = hashSeed(seed);
+  }
+
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Integer in [0, max)
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Random element of an array (undefined if empty)
+   */
+  pick(items) {
+    return items[this.int(items.length)];
+  }
+}
+
+/**
+ * Math.random-backed stream for code running outside a seeded render
+ */
+const unseededStream = {
+  next: () => Math.random(),
+  int: max => Math.floor(Math.random() * max),
+  pick: items => items[Math.floor(Math.random() * items.length)]
+};
+
+class SeededRandom {
+  /**
+   * @param {string|number} seed - Render seed (see isValidSeed)
+   */
+  constructor(seed) {
+    this.seed = seed;
+    this.streams = new Map();
+    this.choices = {};
+  }
+
+  /**
+   * Named stream derived from the seed (created on first use, then continues where it left off)
+   */
+  stream(name) {
+    if (!this.streams.has(name)) {
+      this.streams.set(name, new RandomStream(`${this.seed}:${name}`));
+    }
+    return this.streams.get(name);
+  }
+
+  /**
+   * Record a resolved choice (e.g. the selected mix and start time) to write back to the job
+   */
+  record(key, value) {
+    this.choices[key] = value;
+  }
+}
+
+/**
+ * Run fn with a seeded random generator bound to everything it awaits
+ */
+export function runWithRandom(random, fn) {
+  return randomContext.run(random, fn);
+}
+
+/**
+ * Seeded generator of the render running in the current async context (null outside one)
+ */
+export function getSeededRandom() {
+  return randomContext.getStore() || null;
+}
+
+/**
+ * Named random stream for the current render (Math.random outside a seeded render)
+ */
+export function randomStream(name) {
+  const random = getSeededRandom();
+  return random ? random.stream(name) : unseededStream;
+}
+
+/**
+ * Record a resolved choice for the current render (no-op outside a seeded render)
+ */
+export function recordChoice(key, value) {
+  const random = getSeededRandom();
+  if (random) random.record(key, value);
+}
+
+export { SeededRandom };
@@ -0,0 +1,184 @@
+/**
+ * Still Motion
+ * Motion treatments for still-image backgrounds (generated, DALL-E or artwork) so a single image doesn't sit static
+ * for the whole clip
+ *
+ *   kenburns: slow zoom in or out, optionally drifting towards a side (zoompan)
+ *   pan:      slow travel across a slightly zoomed image (zoompan)
+ *   parallax: a blurred back layer and a sharp front layer travelling at different speeds - the front is the
+ *             `foreground` image (e.g. cover art over the artist photo) or the still itself
+ *   rotate:   slow rotation of an image large enough to keep the corners covered
+ *   pulse:    zoom kicks on the beat, from the clip's beat grid (120 BPM without one)
+ *
+ * Jobs set `stillMotion`: omitted / true for the default Ken Burns zoom, false for a static image, a preset name, or
+ * { preset, intensity, direction }. It only applies when the background is a still - footage is left alone.
+ */
+
+export const STILL_MOTION_DIRECTIONS = {
+  kenburns: ['in', 'out', 'left', 'right', 'up', 'down'],
+  pan: ['left', 'right', 'up', 'down'],
+  parallax: ['left', 'right'],
+  rotate: ['left', 'right'],
+  pulse: []
+};
+export const STILL_MOTION_PRESETS = Object.keys(STILL_MOTION_DIRECTIONS);
+
+export const DEFAULT_STILL_MOTION = { preset: 'kenburns', intensity: 1, direction: null };
+
+const DEFAULT_DIRECTIONS = { kenburns: 'in', pan: 'right', parallax: 'right', rotate: 'right', pulse: null };
+const INTENSITY_RANGE = { min: 0.25, max: 3 };
+const FRAME_RATE = 30;
+const ZOOMPAN_OVERSAMPLE = 2; // zoompan crops whole input pixels - a larger input keeps slow moves from stepping
+const DEFAULT_BPM = 120;
+
+/**
+ * Check the job's `stillMotion` option
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateStillMotion(option) {
+  if (option === null || option === undefined || typeof option === 'boolean') return null;
+  const motion = typeof option === 'string' ? { preset: option } : option;
+  if (typeof motion !== 'object' || Array.isArray(motion)) {
+    return 'stillMotion must be true, false, a preset name or { preset, intensity, direction }';
+  }
+  const { preset, intensity, direction } = motion;
+  if (!STILL_MOTION_PRESETS.includes(preset)) {
+    return `stillMotion preset must be one of: ${STILL_MOTION_PRESETS.join(', ')}`;
+  }
+  if (intensity !== undefined && (typeof intensity !== 'number' || intensity < INTENSITY_RANGE.min || intensity > INTENSITY_RANGE.max)) {
+    return `stillMotion intensity must be between ${INTENSITY_RANGE.min} and ${INTENSITY_RANGE.max}`;
+  }
+  if (direction !== undefined && direction !== null && !STILL_MOTION_DIRECTIONS[preset].includes(direction)) {
+    return STILL_MOTION_DIRECTIONS[preset].length > 0
+      ? `stillMotion direction for ${preset} must be one of: ${STILL_MOTION_DIRECTIONS[preset].join(', ')}`
+      : `stillMotion preset ${preset} has no direction`;
+  }
+  return null;
+}
+
+/**
+ * Normalise the job's `stillMotion` option
+ * @returns {{preset: string, intensity: number, direction: string|null}|null} null for a static image
+ */
+export function resolveStillMotion(option = null) {
+  if (option === false) return null;
+  if (option === null || option === undefined || option === true) {
+    return { ...DEFAULT_STILL_MOTION, direction: DEFAULT_DIRECTIONS[DEFAULT_STILL_MOTION.preset] };
+  }
+  const motion = typeof option === 'string' ? { preset: option } : option;
+  return {
+    preset: motion.preset,
+    intensity: typeof motion.intensity === 'number' ? motion.intensity : DEFAULT_STILL_MOTION.intensity,
+    direction: motion.direction || DEFAULT_DIRECTIONS[motion.preset]
+  };
+}
+
+const even = value => Math.max(2, Math.round(value / 2) * 2);
+const round = value => Math.round(value * 10000) / 10000;
+
+/**
+ * Scale and crop a still to cover width x height
+ */
+function cover(width, height) {
+  return `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1`;
+}
+
+/**
+ * zoompan stage over an oversampled copy of the still
+ * @param {Object} expressions - { z, x, y } zoompan expressions (on = output frame)
+ */
+function zoompan(width, height, { z, x, y }) {
+  return `${cover(width * ZOOMPAN_OVERSAMPLE, height * ZOOMPAN_OVERSAMPLE)},` +
+    `zoompan=z='${z}':x='${x}':y='${y}':d=1:s=${width}x${height}:fps=${FRAME_RATE}`;
+}
+
+/**
+ * Position along the free axis of a zoomed frame: 0..1 over the clip, reversed, or centred
+ */
+function travel(direction, forwards, backwards, progress) {
+  if (direction === forwards) return progress;
+  if (direction === backwards) return `(1-${progress})`;
+  return '0.5';
+}
+
+/**
+ * Filter chains that turn the still input into a moving canvas-sized stream
+ * @param {Object} motion - resolveStillMotion() result
+ * @param {Object} options - { width, height, duration, beatGrid, inputLabel, foregroundLabel (parallax front layer
+ *   input, optional), outputLabel }
+ * @returns {string[]} Filter chains for the filter complex, the last one ending in outputLabel
+ */
+export function buildStillMotionFilters(motion, { width, height, duration, beatGrid = null, inputLabel, foregroundLabel = null, outputLabel }) {
+  const frames = Math.max(1, Math.round(duration * FRAME_RATE));
+  const progress = `on/${frames}`;
+  const { intensity, direction } = motion;
+
+  switch (motion.preset) {
+    case 'kenburns': {
+      const zoom = round(0.15 * intensity);
+      const z = direction === 'out' ? `${1 + zoom}-${zoom}*${progress}` : `1+${zoom}*${progress}`;
+      return [`${inputLabel}${zoompan(width, height, {
+        z,
+        x: `(iw-iw/zoom)*${travel(direction, 'right', 'left', progress)}`,
+        y: `(ih-ih/zoom)*${travel(direction, 'down', 'up', progress)}`
+      })}${outputLabel}`];
+    }
+
+    case 'pan': {
+      const horizontal = direction === 'left' || direction === 'right';
+      return [`${inputLabel}${zoompan(width, height, {
+        z: `${1 + round(0.2 * intensity)}`,
+        x: `(iw-iw/zoom)*${horizontal ? travel(direction, 'right', 'left', progress) : '0.5'}`,
+        y: `(ih-ih/zoom)*${horizontal ? '0.5' : travel(direction, 'down', 'up', progress)}`
+      })}${outputLabel}`];
+    }
+
+    case 'rotate': {
+      // Degrees per second, a full turn every two minutes at intensity 1; a square as wide as the canvas
+      // diagonal covers it at every angle
+      const speed = round((3 * intensity * Math.PI) / 180) * (direction === 'left' ? -1 : 1);
+      const side = even(Math.ceil(Math.hypot(width, height)));
+      return [`${inputLabel}${cover(side, side)},rotate=a='${speed}*t':ow=${width}:oh=${height}:c=black${outputLabel}`];
+    }
+
+    case 'pulse': {
+      // Zoom kicks that decay within a quarter beat, phased to the first beat of the clip
+      const period = 60 / (beatGrid && beatGrid.bpm ? beatGrid.bpm : DEFAULT_BPM);
+      const offset = beatGrid && beatGrid.beats && beatGrid.beats.length > 0 ? beatGrid.beats[0] % period : 0;
+      const sinceBeat = `mod(on/${FRAME_RATE}+${round(period - offset)}\\,${round(period)})`;
+      return [`${inputLabel}${zoompan(width, height, {
+        z: `1.02+${round(0.05 * intensity)}*exp(-${sinceBeat}/${round(period / 4)})`,
+        x: 'iw/2-iw/zoom/2',
+        y: 'ih/2-ih/zoom/2'
+      })}${outputLabel}`];
+    }
+
+    case 'parallax': {
+      // The back layer travels 2x `shift` across the canvas, the front 3x the other way round in frame space
+      const shift = round(0.06 * intensity);
+      const backWidth = even(width * (1 + 2 * shift));
+      const backHeight = even(height * (1 + 2 * shift));
+      const time = `t/${duration}`;
+      const backX = `(iw-${width})*${direction === 'left' ? `(1-${time})` : time}`;
+      const frontOffset = `${round(3 * shift * width)}*${direction === 'left' ? `(${time}-0.5)` : `(0.5-${time})`}`;
+      const base = outputLabel.slice(0, -1);
+      const filters = [];
+
+      let backInput = inputLabel;
+      let frontInput = foregroundLabel;
+      if (!foregroundLabel) {
+        backInput = `${base}_back_src]`;
+        frontInput = `${base}_front_src]`;
+        filters.push(`${inputLabel}split${backInput}${frontInput}`);
+      }
+      filters.push(`${backInput}${cover(backWidth, backHeight)},gblur=sigma=${foregroundLabel ? 6 : 18},eq=brightness=-0.08,` +
+        `crop=${width}:${height}:x='${backX}':y='(ih-${height})/2'${base}_back]`);
+      filters.push(`${frontInput}scale=-2:${even(height * 0.62)},format=rgba${base}_front]`);
+      filters.push(`${base}_back]${base}_front]overlay=x='(W-w)/2+${frontOffset}':y='(H-h)/2',format=yuv420p${outputLabel}`);
+      return filters;
+    }
+
+    default:
+      throw new Error(`Unsupported still motion preset: ${motion.preset}`);
+  }
+}
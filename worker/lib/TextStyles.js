@@ -0,0 +1,270 @@
+/**
+ * Text Styles
+ * Styled, animated text layers for VideoCompositor - font, colour, stroke, shadow, background box and alignment,
+ * plus animation presets with per-line timing (lower thirds, kinetic type)
+ *
+ * Styled layers draw one drawtext per line (or per typed prefix for the typewriter), so every line can have its
+ * own size, start and end. Styles merge in order: template layer `style`, the artist's `textStyle` (artist data),
+ * then the job's `textStyle` - so a job or an artist can rebrand the stock templates.
+ *
+ * Animations:
+ *   none          - lines appear as they start
+ *   fade          - the whole block fades in
+ *   fade-per-line - each line fades in `lineDelay` seconds after the previous one
+ *   slide-in      - lines slide in from the left and fade in, staggered by `lineDelay`
+ *   scale-pop     - lines pop in from 60% size with a small overshoot, staggered by `lineDelay`
+ *   typewriter    - lines are typed out in turn at `typeSpeed` characters per second
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const FONTS_DIR = path.join(__dirname, '..', '..', 'public', 'fonts');
+const FONT_EXTENSIONS = ['.ttf', '.otf'];
+
+export const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+export const TEXT_ANIMATIONS = ['none', 'fade', 'fade-per-line', 'slide-in', 'scale-pop', 'typewriter'];
+
+export const DEFAULT_TEXT_STYLE = {
+  font: null, // File name in public/fonts without extension (e.g. "mathias-bold"), null for FFmpeg's default
+  color: '0xFFFFFF',
+  stroke: { width: null, color: '0x000000' }, // null width scales with the font size
+  shadow: null, // { x, y, color }
+  box: null, // { color, padding }
+  align: 'left',
+  lineSpacing: 0.4, // Gap between lines as a fraction of the line's font size
+  animation: 'fade',
+  animationDuration: 1, // Seconds for fade / slide / pop
+  lineDelay: 0.5, // Seconds between lines for the staggered animations
+  typeSpeed: 20 // Characters per second for the typewriter
+};
+
+const STAGGERED_ANIMATIONS = ['fade-per-line', 'slide-in', 'scale-pop'];
+const MAX_TYPEWRITER_STEPS = 30; // Per line - long lines are typed a few characters at a time
+const COLOR_PATTERN = /^(?:(?:#|0x)[0-9a-fA-F]{6}|[a-zA-Z]+)(?:@(?:0?\.\d+|[01](?:\.0+)?))?$/;
+const FONT_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const isColor = value => typeof value === 'string' && COLOR_PATTERN.test(value);
+const isNumberIn = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+/**
+ * Fonts available to text styles (file names in public/fonts without extension)
+ */
+export function listFonts() {
+  if (!fs.existsSync(FONTS_DIR)) return [];
+  return fs.readdirSync(FONTS_DIR)
+    .filter(file => FONT_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .map(file => path.basename(file, path.extname(file)))
+    .sort();
+}
+
+/**
+ * Font file for a style's font name
+ * @returns {string|null} Absolute path, or null when the font isn't in public/fonts
+ */
+export function resolveFontPath(font) {
+  if (!font || !FONT_NAME_PATTERN.test(font)) return null;
+  for (const extension of FONT_EXTENSIONS) {
+    const fontPath = path.join(FONTS_DIR, `${font}${extension}`);
+    if (fs.existsSync(fontPath)) return fontPath;
+  }
+  return null;
+}
+
+/**
+ * Check a text style (any subset of DEFAULT_TEXT_STYLE)
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateTextStyle(style) {
+  if (style === null || style === undefined) return null;
+  if (typeof style !== 'object' || Array.isArray(style)) {
+    return 'textStyle must be an object';
+  }
+  const { font, color, stroke, shadow, box, align, lineSpacing, animation, animationDuration, lineDelay, typeSpeed } = style;
+  if (font !== undefined && font !== null && (typeof font !== 'string' || !FONT_NAME_PATTERN.test(font))) {
+    return 'textStyle.font must be a font file name from public/fonts (without extension)';
+  }
+  if (color !== undefined && !isColor(color)) {
+    return 'textStyle.color must be "#RRGGBB", "0xRRGGBB" or a colour name, optionally with "@alpha"';
+  }
+  if (stroke !== undefined && stroke !== null && stroke !== false) {
+    if (typeof stroke !== 'object') return 'textStyle.stroke must be false or { width, color }';
+    if (stroke.width !== undefined && stroke.width !== null && !isNumberIn(stroke.width, 0, 20)) return 'textStyle.stroke.width must be between 0 and 20';
+    if (stroke.color !== undefined && !isColor(stroke.color)) return 'textStyle.stroke.color must be a colour';
+  }
+  if (shadow !== undefined && shadow !== null && shadow !== false) {
+    if (typeof shadow !== 'object') return 'textStyle.shadow must be false or { x, y, color }';
+    if ((shadow.x !== undefined && !isNumberIn(shadow.x, -50, 50)) || (shadow.y !== undefined && !isNumberIn(shadow.y, -50, 50))) {
+      return 'textStyle.shadow offsets must be between -50 and 50';
+    }
+    if (shadow.color !== undefined && !isColor(shadow.color)) return 'textStyle.shadow.color must be a colour';
+  }
+  if (box !== undefined && box !== null && box !== false) {
+    if (typeof box !== 'object') return 'textStyle.box must be false or { color, padding }';
+    if (box.color !== undefined && !isColor(box.color)) return 'textStyle.box.color must be a colour';
+    if (box.padding !== undefined && !isNumberIn(box.padding, 0, 100)) return 'textStyle.box.padding must be between 0 and 100';
+  }
+  if (align !== undefined && !TEXT_ALIGNMENTS.includes(align)) {
+    return `textStyle.align must be one of: ${TEXT_ALIGNMENTS.join(', ')}`;
+  }
+  if (lineSpacing !== undefined && !isNumberIn(lineSpacing, 0, 3)) return 'textStyle.lineSpacing must be between 0 and 3';
+  if (animation !== undefined && !TEXT_ANIMATIONS.includes(animation)) {
+    return `textStyle.animation must be one of: ${TEXT_ANIMATIONS.join(', ')}`;
+  }
+  if (animationDuration !== undefined && !isNumberIn(animationDuration, 0.1, 10)) return 'textStyle.animationDuration must be between 0.1 and 10 seconds';
+  if (lineDelay !== undefined && !isNumberIn(lineDelay, 0, 10)) return 'textStyle.lineDelay must be between 0 and 10 seconds';
+  if (typeSpeed !== undefined && !isNumberIn(typeSpeed, 1, 200)) return 'textStyle.typeSpeed must be between 1 and 200 characters per second';
+  return null;
+}
+
+/**
+ * Merge styles over the defaults (later styles win; stroke / shadow / box merge field by field, false turns them off)
+ */
+export function resolveTextStyle(...styles) {
+  const resolved = { ...DEFAULT_TEXT_STYLE };
+  for (const style of styles) {
+    if (!style) continue;
+    for (const [key, value] of Object.entries(style)) {
+      if (value === undefined) continue;
+      if (['stroke', 'shadow', 'box'].includes(key)) {
+        resolved[key] = value && typeof value === 'object' ? { ...(resolved[key] || {}), ...value } : null;
+      } else {
+        resolved[key] = value;
+      }
+    }
+  }
+  const toFFmpegColor = color => (typeof color === 'string' ? color.replace(/^#/, '0x') : color);
+  resolved.color = toFFmpegColor(resolved.color);
+  if (resolved.stroke) {
+    resolved.stroke = { width: null, ...resolved.stroke, color: toFFmpegColor(resolved.stroke.color || '0x000000') };
+  }
+  if (resolved.shadow) {
+    resolved.shadow = { x: 2, y: 2, ...resolved.shadow, color: toFFmpegColor(resolved.shadow.color || '0x000000@0.6') };
+  }
+  if (resolved.box) {
+    resolved.box = { padding: 8, ...resolved.box, color: toFFmpegColor(resolved.box.color || '0x000000@0.5') };
+  }
+  return resolved;
+}
+
+/**
+ * Lay out and time the lines of a styled text layer
+ * @param {Object[]} lines - [{ text, startTime, endTime, scale }] (times in seconds or null for the layer's)
+ * @param {Object} style - resolveTextStyle() result
+ * @param {Object} layout - { fontSize, startTime, endTime } for the layer
+ * @returns {Object[]} Drawn lines: { text, fontSize, offsetY, startTime, endTime, steps } where steps are the
+ *   typewriter's [{ text, startTime, endTime }] (a single step for other animations)
+ */
+export function planTextLines(lines, style, { fontSize, startTime, endTime }) {
+  const planned = [];
+  let offsetY = 0;
+  let typingAt = startTime;
+
+  lines.forEach((line, index) => {
+    const lineFontSize = Math.max(1, Math.round(fontSize * (line.scale || 1)));
+    const text = (line.text || '').replace(/\r/g, '').trim();
+    const lineOffset = offsetY;
+    offsetY += Math.round(lineFontSize * (1 + style.lineSpacing));
+    if (!text) return;
+
+    let lineStart = line.startTime !== null && line.startTime !== undefined ? line.startTime : startTime;
+    const lineEnd = line.endTime !== null && line.endTime !== undefined ? line.endTime : endTime;
+    if (line.startTime === null || line.startTime === undefined) {
+      if (STAGGERED_ANIMATIONS.includes(style.animation)) lineStart = startTime + index * style.lineDelay;
+      if (style.animation === 'typewriter') lineStart = Math.max(typingAt, startTime);
+    }
+    if (lineStart >= lineEnd) return;
+
+    const steps = [];
+    if (style.animation === 'typewriter') {
+      const stepCount = Math.min(text.length, MAX_TYPEWRITER_STEPS);
+      const charsPerStep = Math.ceil(text.length / stepCount);
+      const stepTotal = Math.ceil(text.length / charsPerStep);
+      const stepDuration = charsPerStep / style.typeSpeed;
+      for (let step = 1; step <= stepTotal; step++) {
+        const stepStart = lineStart + (step - 1) * stepDuration;
+        if (stepStart >= lineEnd) break;
+        steps.push({
+          text: text.slice(0, step * charsPerStep),
+          startTime: round(stepStart),
+          endTime: round(step === stepTotal ? lineEnd : Math.min(lineEnd, stepStart + stepDuration))
+        });
+      }
+      typingAt = lineStart + stepTotal * stepDuration + style.lineDelay;
+    } else {
+      steps.push({ text, startTime: round(lineStart), endTime: round(lineEnd) });
+    }
+
+    planned.push({ text, fontSize: lineFontSize, offsetY: lineOffset, startTime: round(lineStart), endTime: round(lineEnd), steps });
+  });
+
+  return planned;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Escape a file path for a drawtext option inside filter_complex
+ */
+export function escapeFilterPath(filePath) {
+  return path.resolve(filePath)
+    .replace(/\\/g, '/')
+    .replace(/:/g, '\\:')
+    .replace(/([ '()[\]])/g, '\\$1');
+}
+
+/**
+ * drawtext options for one line step
+ * @param {Object} options - { textFile, fontPath, style, line, step, x, y, width, opacity, animateFrom }
+ *   x / y / width: the layer box in pixels; animateFrom: the line's animation start (seconds)
+ * @returns {string} drawtext=... filter
+ */
+export function buildStyledDrawtext({ textFile, fontPath, style, line, step, x, y, width, opacity, animateFrom }) {
+  const progress = `min(1\\,max(0\\,(t-${animateFrom})/${style.animationDuration}))`;
+  const fontSize = style.animation === 'scale-pop'
+    ? `'${line.fontSize}*(0.6+0.4*${progress}+0.3*sin(PI*${progress}))'`
+    : line.fontSize;
+
+  let xExpression = style.align === 'center' ? `${x}+(${width}-text_w)/2` : style.align === 'right' ? `${x}+${width}-text_w` : `${x}`;
+  if (style.animation === 'slide-in') {
+    xExpression = `${xExpression}-${Math.round(line.fontSize * 2)}*pow(1-${progress}\\,2)`;
+  }
+
+  let alpha = `${opacity}`;
+  if (style.animation === 'scale-pop') {
+    alpha = `${opacity}*min(1\\,3*${progress})`;
+  } else if (['fade', 'fade-per-line', 'slide-in'].includes(style.animation)) {
+    alpha = `${opacity}*${progress}`;
+  }
+
+  const params = [
+    `textfile='${textFile}'`,
+    ...(fontPath ? [`fontfile=${escapeFilterPath(fontPath)}`] : []),
+    `fontsize=${fontSize}`,
+    `fontcolor=${style.color}`
+  ];
+  if (style.stroke) {
+    const strokeWidth = style.stroke.width !== null && style.stroke.width !== undefined
+      ? style.stroke.width
+      : Math.max(1, Math.round(line.fontSize / 20));
+    if (strokeWidth > 0) params.push(`borderw=${strokeWidth}`, `bordercolor=${style.stroke.color}`);
+  }
+  if (style.shadow) {
+    params.push(`shadowx=${style.shadow.x}`, `shadowy=${style.shadow.y}`, `shadowcolor=${style.shadow.color}`);
+  }
+  if (style.box) {
+    params.push('box=1', `boxcolor=${style.box.color}`, `boxborderw=${style.box.padding}`);
+  }
+  params.push(
+    `x='${xExpression}'`,
+    `y=${y + line.offsetY}`,
+    `alpha='${alpha}'`,
+    `enable='gte(t\\,${step.startTime})*lt(t\\,${step.endTime})'`
+  );
+  return `drawtext=${params.join(':')}`;
+}
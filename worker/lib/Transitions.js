@@ -0,0 +1,189 @@
+/**
+ * Transitions
+ * Registry of segment transitions used by VideoSegmentCompositor.concatenateSegmentsWithTransitions
+ *
+ * Each transition builds the filter_complex step that joins the running output with the next segment:
+ *   - cut:    plain concat
+ *   - xfade:  one of ffmpeg's xfade modes (fades, wipes, slides, pixelize, radial...)
+ *   - custom: filters of our own (flash-frame, whip-blur)
+ * `overlap` transitions play both segments at once, so the outgoing segment is extracted `duration` seconds longer.
+ *
+ * Jobs pick a style (`"transitions": "dissolve"`) or a weighted mix
+ * (`"transitions": { "styles": { "cut": 3, "fade": 2, "whip": 1 }, "duration": 0.6, "beatAligned": true }`).
+ */
+
+/**
+ * @typedef {Object} TransitionDefinition
+ * @property {string} label - Display name
+ * @property {string} kind - 'cut' | 'xfade' | 'custom'
+ * @property {boolean} overlap - Whether both segments play during the transition
+ * @property {number[]} duration - [min, max] default duration in seconds (a random value in between is used)
+ * @property {string} [xfade] - ffmpeg xfade transition name (kind 'xfade', and the base of custom overlaps)
+ */
+
+const XFADE_DURATION = [0.5, 1.0];
+const WIPE_DURATION = [0.3, 0.6];
+
+/** @type {Object<string, TransitionDefinition>} */
+export const TRANSITIONS = {
+  cut: { label: 'Hard cut', kind: 'cut', overlap: false, duration: [0, 0] },
+  fade: { label: 'Crossfade', kind: 'xfade', xfade: 'fade', overlap: true, duration: XFADE_DURATION },
+  dissolve: { label: 'Dissolve', kind: 'xfade', xfade: 'dissolve', overlap: true, duration: XFADE_DURATION },
+  fadeblack: { label: 'Dip to black', kind: 'xfade', xfade: 'fadeblack', overlap: true, duration: XFADE_DURATION },
+  fadewhite: { label: 'Dip to white', kind: 'xfade', xfade: 'fadewhite', overlap: true, duration: XFADE_DURATION },
+  wipeleft: { label: 'Wipe left', kind: 'xfade', xfade: 'wipeleft', overlap: true, duration: WIPE_DURATION },
+  wiperight: { label: 'Wipe right', kind: 'xfade', xfade: 'wiperight', overlap: true, duration: WIPE_DURATION },
+  wipeup: { label: 'Wipe up', kind: 'xfade', xfade: 'wipeup', overlap: true, duration: WIPE_DURATION },
+  wipedown: { label: 'Wipe down', kind: 'xfade', xfade: 'wipedown', overlap: true, duration: WIPE_DURATION },
+  slideleft: { label: 'Slide left', kind: 'xfade', xfade: 'slideleft', overlap: true, duration: WIPE_DURATION },
+  slideright: { label: 'Slide right', kind: 'xfade', xfade: 'slideright', overlap: true, duration: WIPE_DURATION },
+  slideup: { label: 'Slide up', kind: 'xfade', xfade: 'slideup', overlap: true, duration: WIPE_DURATION },
+  slidedown: { label: 'Slide down', kind: 'xfade', xfade: 'slidedown', overlap: true, duration: WIPE_DURATION },
+  smoothleft: { label: 'Smooth left', kind: 'xfade', xfade: 'smoothleft', overlap: true, duration: WIPE_DURATION },
+  smoothright: { label: 'Smooth right', kind: 'xfade', xfade: 'smoothright', overlap: true, duration: WIPE_DURATION },
+  circleopen: { label: 'Circle open', kind: 'xfade', xfade: 'circleopen', overlap: true, duration: WIPE_DURATION },
+  circleclose: { label: 'Circle close', kind: 'xfade', xfade: 'circleclose', overlap: true, duration: WIPE_DURATION },
+  radial: { label: 'Radial', kind: 'xfade', xfade: 'radial', overlap: true, duration: WIPE_DURATION },
+  pixelize: { label: 'Pixelize', kind: 'xfade', xfade: 'pixelize', overlap: true, duration: [0.4, 0.8] },
+  hblur: { label: 'Horizontal blur', kind: 'xfade', xfade: 'hblur', overlap: true, duration: WIPE_DURATION },
+  // Cut with the incoming segment flashing up from white
+  flash: { label: 'Flash frame', kind: 'custom', overlap: false, duration: [0.1, 0.2] },
+  // Fast slide with a horizontal motion blur on both sides of the cut
+  whip: { label: 'Whip blur', kind: 'custom', xfade: 'slideleft', overlap: true, duration: [0.25, 0.4] }
+};
+
+export const MAX_TRANSITION_DURATION = 2;
+
+// Matches the original behaviour: half quick-cuts, half quick-fades
+export const DEFAULT_TRANSITION_STYLES = { cut: 1, fade: 1 };
+
+export function isValidTransition(type) {
+  return Object.prototype.hasOwnProperty.call(TRANSITIONS, type);
+}
+
+/**
+ * Seconds the outgoing segment must run past its cut point for this transition
+ */
+export function getTransitionOverlap(transition) {
+  if (!transition || !isValidTransition(transition.type)) return 0;
+  return TRANSITIONS[transition.type].overlap ? transition.duration : 0;
+}
+
+/**
+ * Normalize the job's `transitions` option into { styles: { name: weight }, duration, beatAligned }
+ * @param {string|Object|null} option - Style name, { styles, duration, beatAligned } or null for the default mix
+ */
+export function resolveTransitionOptions(option = null) {
+  if (!option) {
+    return { styles: DEFAULT_TRANSITION_STYLES, duration: null, beatAligned: true };
+  }
+  if (typeof option === 'string') {
+    return { styles: { [option]: 1 }, duration: null, beatAligned: true };
+  }
+  return {
+    styles: option.styles || DEFAULT_TRANSITION_STYLES,
+    duration: typeof option.duration === 'number' ? option.duration : null,
+    beatAligned: option.beatAligned !== false
+  };
+}
+
+/**
+ * Check the job's `transitions` option
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateTransitionOptions(option) {
+  if (option === null || option === undefined) return null;
+  const supported = Object.keys(TRANSITIONS).join(', ');
+  if (typeof option === 'string') {
+    return isValidTransition(option) ? null : `Unknown transition "${option}". Supported: ${supported}`;
+  }
+  if (typeof option !== 'object' || Array.isArray(option)) {
+    return 'transitions must be a transition name or { styles, duration, beatAligned }';
+  }
+  if (option.styles !== undefined) {
+    if (typeof option.styles !== 'object' || option.styles === null || Array.isArray(option.styles)) {
+      return 'transitions.styles must map transition names to weights, e.g. { "cut": 3, "fade": 1 }';
+    }
+    const entries = Object.entries(option.styles);
+    for (const [name, weight] of entries) {
+      if (!isValidTransition(name)) {
+        return `Unknown transition "${name}". Supported: ${supported}`;
+      }
+      if (typeof weight !== 'number' || weight < 0) {
+        return `transitions.styles.${name} must be a weight >= 0`;
+      }
+    }
+    if (!entries.some(([, weight]) => weight > 0)) {
+      return 'transitions.styles needs at least one weight above 0';
+    }
+  }
+  if (option.duration !== undefined && (typeof option.duration !== 'number' || option.duration < 0 || option.duration > MAX_TRANSITION_DURATION)) {
+    return `transitions.duration must be between 0 and ${MAX_TRANSITION_DURATION} seconds`;
+  }
+  if (option.beatAligned !== undefined && typeof option.beatAligned !== 'boolean') {
+    return 'transitions.beatAligned must be a boolean';
+  }
+  return null;
+}
+
+/**
+ * Pick the transition for one segment boundary
+ * @param {Object} options - Output of resolveTransitionOptions
+ * @param {Object} random - Random stream ({ next() }), e.g. randomStream('transitions')
+ * @returns {{type: string, duration: number, beatAligned: boolean}}
+ */
+export function pickTransition(options, random) {
+  const entries = Object.entries(options.styles).filter(([name, weight]) => weight > 0 && isValidTransition(name));
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = random.next() * total;
+  let type = entries[entries.length - 1][0];
+  for (const [name, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) {
+      type = name;
+      break;
+    }
+  }
+
+  const definition = TRANSITIONS[type];
+  const [min, max] = definition.duration;
+  let duration = options.duration !== null ? options.duration : min + random.next() * (max - min);
+  if (definition.kind === 'cut') duration = 0;
+  return { type, duration, beatAligned: options.beatAligned };
+}
+
+/**
+ * filter_complex steps joining [prev] and [next] into [out] with a transition
+ * Both inputs must already be normalized (fps=30, setpts=PTS-STARTPTS)
+ * @param {Object} transition - { type, duration }
+ * @param {Object} labels - { prev, next, out } stream labels (without brackets)
+ * @param {number} offset - Time in the running output where the transition starts (overlap transitions)
+ * @returns {string[]} Filter chain parts
+ */
+export function buildTransitionFilter(transition, { prev, next, out }, offset) {
+  const definition = TRANSITIONS[transition.type] || TRANSITIONS.cut;
+  const duration = transition.duration.toFixed(3);
+  const start = offset.toFixed(3);
+
+  switch (transition.type) {
+    case 'flash':
+      return [
+        `[${next}]fade=t=in:st=0:d=${duration}:color=white[${next}_flash]`,
+        `[${prev}][${next}_flash]concat=n=2:v=1:a=0[${out}]`
+      ];
+
+    case 'whip':
+      // gblur with sigmaV=0 only blurs horizontally, like a fast pan
+      return [
+        `[${prev}]gblur=sigma=40:sigmaV=0:enable='gte(t,${start})'[${prev}_whip]`,
+        `[${next}]gblur=sigma=40:sigmaV=0:enable='lt(t,${duration})'[${next}_whip]`,
+        `[${prev}_whip][${next}_whip]xfade=transition=${definition.xfade}:duration=${duration}:offset=${start}[${out}]`
+      ];
+
+    default:
+      if (definition.kind === 'xfade') {
+        return [`[${prev}][${next}]xfade=transition=${definition.xfade}:duration=${duration}:offset=${start}[${out}]`];
+      }
+      return [`[${prev}][${next}]concat=n=2:v=1:a=0[${out}]`];
+  }
+}
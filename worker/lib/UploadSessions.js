@@ -0,0 +1,180 @@
+/**
+ * Upload Sessions
+ * Resumable footage uploads from the dashboard, so a dropped connection halfway through a large phone clip costs one
+ * chunk instead of the whole upload
+ *
+ * The API opens a Google Cloud Storage resumable upload session for a staging object; the browser PUTs the file to
+ * it in UPLOAD_CHUNK_SIZE chunks and, after a failed chunk or a page reload, asks how much Storage has committed and
+ * carries on from there. Completing the session checks the staged object against the size and the per-chunk SHA-256
+ * hashes the browser computed, then optimizes it into the chosen folder and indexes it (see api/upload-video.js).
+ *
+ * Sessions are Firestore `uploadSessions` documents: 'uploading' → 'processing' → 'complete', or 'failed' when the
+ * staged object doesn't match the file, or 'cancelled'. A session left 'processing' past the function's time limit
+ * was killed with it, so it can be completed again or cancelled. Staged objects sit at the bucket root, outside every
+ * folder, so folder discovery and the footage index never see them.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import axios from 'axios';
+import { VIDEO_EXTENSIONS, validateAssetTags } from './AssetIndex.js';
+
+export const UPLOAD_SESSION_COLLECTION = 'uploadSessions';
+export const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024; // Storage needs every chunk but the last to be a multiple of 256 KiB
+export const MAX_UPLOAD_SIZE = 500 * 1024 * 1024; // Same limit as the dashboard
+export const UPLOAD_SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Storage expires resumable session URIs after a week
+// upload-video.js maxDuration in vercel.json: a session 'processing' for longer was killed with its function
+export const UPLOAD_PROCESSING_TIMEOUT_MS = 300 * 1000;
+
+const STAGING_PREFIX = 'upload-staging-';
+const ORIENTATIONS = ['auto', 'square', 'portrait', 'landscape'];
+const NON_FOOTAGE_FOLDERS = ['logos', 'paper_backgrounds', 'mixes'];
+const FOLDER_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}(\/[A-Za-z0-9][A-Za-z0-9_-]{0,63})?$/;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Check the body that opens an upload session
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateUploadSessionRequest({ fileName, size, contentType = null, folder, orientation = 'auto', tags = null } = {}) {
+  if (typeof fileName !== 'string' || !fileName.trim() || fileName.length > 255) {
+    return 'fileName is required';
+  }
+  if (!VIDEO_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) {
+    return `fileName must be a video (${VIDEO_EXTENSIONS.join(', ')})`;
+  }
+  if (!Number.isInteger(size) || size <= 0 || size > MAX_UPLOAD_SIZE) {
+    return `size must be the file size in bytes, at most ${MAX_UPLOAD_SIZE / (1024 * 1024)}MB`;
+  }
+  if (contentType !== null && (typeof contentType !== 'string' || !/^(video\/[\w.+-]+|application\/octet-stream)$/.test(contentType))) {
+    return 'contentType must be a video MIME type';
+  }
+  if (typeof folder !== 'string' || !FOLDER_PATTERN.test(folder)) {
+    return 'folder must be a folder name of letters, numbers, hyphens or underscores (e.g. "skyline")';
+  }
+  if (NON_FOOTAGE_FOLDERS.includes(folder.toLowerCase())) {
+    return `${folder} is not a footage folder`;
+  }
+  if (!ORIENTATIONS.includes(orientation)) {
+    return `orientation must be one of ${ORIENTATIONS.join(', ')}`;
+  }
+  return validateAssetTags(tags);
+}
+
+/**
+ * Whether a session is stuck in 'processing' - its function timed out or was killed, so nothing will finish it
+ */
+export function isProcessingStale(session, now = Date.now()) {
+  if (!session || session.status !== 'processing') return false;
+  const startedAt = Date.parse(session.processingStartedAt || session.updatedAt || '');
+  return !Number.isFinite(startedAt) || now - startedAt > UPLOAD_PROCESSING_TIMEOUT_MS;
+}
+
+/**
+ * Storage folder the optimized clip is written to (chicago-skyline-videos lives under assets/)
+ */
+export function getUploadFolderPath(folder) {
+  return folder === 'chicago-skyline-videos' ? `assets/${folder}` : folder;
+}
+
+/**
+ * Storage object the browser uploads to, at the bucket root
+ */
+export function getStagingPath(sessionId, fileName) {
+  return `${STAGING_PREFIX}${sessionId}${path.extname(fileName).toLowerCase()}`;
+}
+
+/**
+ * Number of chunks a file of this size is uploaded and hashed in
+ */
+export function getChunkCount(size, chunkSize = UPLOAD_CHUNK_SIZE) {
+  return Math.ceil(size / chunkSize);
+}
+
+/**
+ * Check the chunk hashes sent to complete a session
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateChunkHashes(chunkHashes, size, chunkSize = UPLOAD_CHUNK_SIZE) {
+  const expected = getChunkCount(size, chunkSize);
+  if (!Array.isArray(chunkHashes) || chunkHashes.length !== expected) {
+    return `chunkHashes must list the SHA-256 of each of the ${expected} chunks`;
+  }
+  if (!chunkHashes.every(hash => typeof hash === 'string' && SHA256_PATTERN.test(hash))) {
+    return 'chunkHashes must be lower-case hex SHA-256 digests';
+  }
+  return null;
+}
+
+/**
+ * SHA-256 of each chunkSize slice of a file, as hex
+ */
+export async function hashFileChunks(filePath, chunkSize = UPLOAD_CHUNK_SIZE) {
+  const handle = await fs.open(filePath, 'r');
+  const buffer = Buffer.alloc(chunkSize);
+  const hashes = [];
+  try {
+    let position = 0;
+    for (;;) {
+      // Fill the buffer: a read can return less than asked for before the end of the file
+      let filled = 0;
+      while (filled < chunkSize) {
+        const { bytesRead } = await fs.read(handle, buffer, filled, chunkSize - filled, position + filled);
+        if (bytesRead === 0) break;
+        filled += bytesRead;
+      }
+      if (filled === 0) break;
+      hashes.push(crypto.createHash('sha256').update(buffer.subarray(0, filled)).digest('hex'));
+      position += filled;
+      if (filled < chunkSize) break;
+    }
+  } finally {
+    await fs.close(handle);
+  }
+  return hashes;
+}
+
+/**
+ * First chunk whose staged bytes don't match the browser's hash
+ * @returns {string|null} Description of the mismatch, or null when every chunk matches
+ */
+export function findChunkMismatch(expectedHashes, actualHashes) {
+  if (expectedHashes.length !== actualHashes.length) {
+    return `the staged upload has ${actualHashes.length} chunks, expected ${expectedHashes.length}`;
+  }
+  const index = expectedHashes.findIndex((hash, chunk) => hash !== actualHashes[chunk]);
+  return index === -1 ? null : `chunk ${index + 1} of ${expectedHashes.length} does not match the file`;
+}
+
+/**
+ * Bytes Storage has committed, from the Range header of a 308 response ("bytes=0-1048575")
+ */
+export function parseCommittedBytes(rangeHeader) {
+  const match = typeof rangeHeader === 'string' ? rangeHeader.match(/bytes=0-(\d+)/) : null;
+  return match ? parseInt(match[1], 10) + 1 : 0;
+}
+
+/**
+ * Ask Storage how much of a resumable upload it has
+ * @returns {Promise<number|null>} Committed bytes (size once the upload is finished), null when the session has
+ *   expired or was cancelled
+ */
+export async function queryUploadedBytes(uploadUrl, size) {
+  const response = await axios.put(uploadUrl, null, {
+    headers: { 'Content-Range': `bytes */${size}` },
+    validateStatus: () => true,
+    timeout: 15000
+  });
+  if (response.status === 200 || response.status === 201) return size;
+  if (response.status === 308) return parseCommittedBytes(response.headers.range);
+  if (response.status === 404 || response.status === 410 || response.status === 499) return null;
+  throw new Error(`Storage answered ${response.status} for the upload session`);
+}
+
+/**
+ * Cancel a resumable upload with Storage (a session that's already gone is fine)
+ */
+export async function cancelResumableUpload(uploadUrl) {
+  await axios.delete(uploadUrl, { validateStatus: () => true, timeout: 15000 });
+}
@@ -3,6 +3,14 @@ import ffmpegStatic from 'ffmpeg-static';
 import fs from 'fs-extra';
 import path from 'path';
 import { spawn, execSync } from 'child_process';
+import { trackChildProcess } from './JobCancellation.js';
+import { reportFFmpegTime, parseFFmpegProgressTime, getFFmpegOutputDuration } from './ProgressReporter.js';
+import { buildReactiveCommands, createZoomBinding, createOpacityBinding, createFilterBinding } from './AudioReactive.js';
+import { parseEqParams, EQ_NEUTRAL } from './VideoFilters.js';
+import { resolveVisualizer, getVisualizerSize, buildVisualizerFilters, buildPolarMaps } from './Visualizers.js';
+import { resolveFontPath, planTextLines, buildStyledDrawtext } from './TextStyles.js';
+import { buildStillMotionFilters } from './StillMotion.js';
+import { buildTintFilter } from './ColorPalette.js';
 
 // Configure FFmpeg path
 // In GitHub Actions, prefer system FFmpeg (has drawtext filter)
@@ -45,8 +53,8 @@ if (process.env.GITHUB_ACTIONS === 'true') {
  */
 export class LayerConfig {
   constructor(type, source, position, size, opacity, zIndex, scale = 1, fontPath = null, startTime = null, duration = null) {
-    this.type = type; // 'background' | 'image' | 'text' | 'video'
-    this.source = source; // file path or text content
+    this.type = type; // 'background' | 'image' | 'text' | 'video' | 'visualizer'
+    this.source = source; // file path or text content (null for visualizers, which draw the composition audio)
     this.position = position; // { x: number, y: number }
     this.size = size; // { width: number, height: number }
     this.opacity = opacity; // 0.0 to 1.0
@@ -56,6 +64,10 @@ export class LayerConfig {
     this.startTime = startTime; // start time in seconds (optional, for timed overlays)
     this.duration = duration; // duration in seconds (optional, for timed overlays)
     this.blendMode = null; // blend mode: 'overlay', 'multiply', 'screen', etc. (optional)
+    this.visualizer = null; // visualizer layers: { style, color, bars, innerRadius } (see Visualizers.js)
+    this.textStyle = null; // styled text layers: resolveTextStyle() result (see TextStyles.js), null for the classic drawtext
+    this.textLines = null; // styled text layers: [{ text, startTime, endTime, scale }] per line (optional, defaults to source lines)
+    this.tint = null; // video / image layers: 0xRRGGBB colour the layer is pulled towards (artwork or footage palette, see ColorPalette.js)
   }
 }
 
@@ -72,6 +84,11 @@ export class CompositionConfig {
     this.width = width || 720; // canvas width
     this.height = height || 720; // canvas height
     this.videoFilter = videoFilter; // Optional FFmpeg video filter string
+    this.videoFade = { fromEnd: 8, duration: 3 }; // Video fade to black window (seconds before end, length)
+    this.audioFade = { fromEnd: 3, duration: 3 }; // Audio fade out window (seconds before end, length)
+    this.reactive = null; // Audio-reactive visuals: { envelopes, zoom, filter } (see AudioReactive.js), layers carry their own `react`
+    this.monochrome = true; // Default look without a videoFilter: black and white (false keeps the colours, e.g. artwork)
+    this.stillMotion = null; // Motion for still backgrounds: resolveStillMotion() result + { beatGrid, foreground } (see StillMotion.js)
   }
 }
 
@@ -117,6 +134,16 @@ export class VideoCompositor {
       if (!hasAudioStream) {
         console.warn(`[VideoCompositor] ⚠️  Audio file has no audio stream: ${config.audio}`);
         console.warn(`[VideoCompositor] Video will be created without audio`);
+        if (config.layers.some(layer => layer.type === 'visualizer')) {
+          console.warn('[VideoCompositor] ⚠️  Skipping visualizer layers - nothing to visualize');
+          config.layers = config.layers.filter(layer => layer.type !== 'visualizer');
+        }
+      }
+
+      // A missing parallax front layer falls back to the still itself
+      if (config.stillMotion && config.stillMotion.foreground && !await fs.pathExists(config.stillMotion.foreground)) {
+        console.warn(`[VideoCompositor] Parallax foreground not found: ${config.stillMotion.foreground}, using the background still`);
+        config.stillMotion = { ...config.stillMotion, foreground: null };
       }
 
       // Build filter complex (async because it writes text files)
@@ -195,6 +222,33 @@ export class VideoCompositor {
     // Check if base is a video file (not an image)
     const isVideoFile = config.baseVideo.match(/\.(mp4|mov|avi|mkv|webm)$/i);
 
+    // Still backgrounds get their motion first; a parallax foreground is an extra input after the image layers
+    const stillInputs = [];
+    let baseInput = '[0:v]';
+    if (config.stillMotion && !isVideoFile) {
+      let foregroundLabel = null;
+      if (config.stillMotion.foreground) {
+        foregroundLabel = `[${2 + config.layers.filter(layer => layer.type === 'video' || layer.type === 'image').length}:v]`;
+        stillInputs.push(config.stillMotion.foreground);
+      }
+      filters.push(...buildStillMotionFilters(config.stillMotion, {
+        width: canvasWidth,
+        height: canvasHeight,
+        duration: config.duration,
+        beatGrid: config.stillMotion.beatGrid,
+        inputLabel: '[0:v]',
+        foregroundLabel,
+        outputLabel: '[still_motion]'
+      }));
+      baseInput = '[still_motion]';
+      console.log(`[VideoCompositor] 🎞️ Still background motion: ${config.stillMotion.preset}${config.stillMotion.direction ? ` (${config.stillMotion.direction})` : ''}${foregroundLabel ? ' with foreground layer' : ''}`);
+    }
+
+    // Audio-reactive renders name the filters that follow the mix and drive them from a sendcmd file
+    const reactive = config.reactive && config.reactive.envelopes ? config.reactive : null;
+    const reactiveBindings = [];
+    let reactiveIndex = 0;
+
     // Scale base image/video to canvas size
     // For video backgrounds, the loop will be handled by -stream_loop in the input
     // Apply video filter if provided, otherwise apply default black and white
@@ -203,12 +257,16 @@ export class VideoCompositor {
     if (config.videoFilter) {
       // Apply custom video filter
       // Custom filters already include scale/pad operations, so apply directly to input
-      baseFilter = `[0:v]${config.videoFilter}[base_scaled]`;
+      baseFilter = `${baseInput}${config.videoFilter}[base_scaled]`;
       console.log(`[VideoCompositor] Applying custom video filter: ${config.videoFilter.substring(0, 100)}...`);
     } else {
-      // Default: scale to canvas and apply black and white
-      baseFilter = `[0:v]scale=${canvasWidth}:${canvasHeight}:force_original_aspect_ratio=increase,crop=${canvasWidth}:${canvasHeight},hue=s=0[base_scaled]`;
-      console.log(`[VideoCompositor] Applying default black and white filter`);
+      // Default: scale to canvas and apply black and white (unless the colours are the point, e.g. artwork)
+      baseFilter = `${baseInput}scale=${canvasWidth}:${canvasHeight}:force_original_aspect_ratio=increase,crop=${canvasWidth}:${canvasHeight}${config.monochrome !== false ? ',hue=s=0' : ''}[base_scaled]`;
+      console.log(`[VideoCompositor] Applying default ${config.monochrome !== false ? 'black and white filter' : 'scale (colour kept)'}`);
+    }
+
+    if (reactive) {
+      baseFilter = this.applyReactiveBase(baseFilter, reactive, canvasWidth, canvasHeight, reactiveBindings);
     }
     
     filters.push(baseFilter);
@@ -219,11 +277,12 @@ export class VideoCompositor {
     const imageLayers = config.layers.filter(layer => layer.type === 'image');
     const videoLayers = config.layers.filter(layer => layer.type === 'video');
     const textLayers = config.layers.filter(layer => layer.type === 'text');
+    const visualizerLayers = config.layers.filter(layer => layer.type === 'visualizer');
 
     // IMPORTANT: Separate layers into "before fade" and "after fade" groups
     // Layers with addAfterFade=true should be processed AFTER the fade filter
-    const layersBeforeFade = [...imageLayers, ...videoLayers, ...textLayers].filter(layer => !layer.addAfterFade);
-    const layersAfterFade = [...imageLayers, ...videoLayers, ...textLayers].filter(layer => layer.addAfterFade === true);
+    const layersBeforeFade = [...imageLayers, ...videoLayers, ...textLayers, ...visualizerLayers].filter(layer => !layer.addAfterFade);
+    const layersAfterFade = [...imageLayers, ...videoLayers, ...textLayers, ...visualizerLayers].filter(layer => layer.addAfterFade === true);
     
     // Sort each group by z-index
     const allLayersBeforeFade = layersBeforeFade.sort((a, b) => a.zIndex - b.zIndex);
@@ -233,6 +292,7 @@ export class VideoCompositor {
     let imageLayerIndex = 0; // Track image layer index for input numbering
     let videoLayerIndex = 0; // Track video layer index for input numbering
     let textLayerIndex = 0; // Track text layer index for label numbering
+    let visualizerLayerIndex = 0; // Track visualizer layer index for audio split / label numbering
     
     // Track created labels as we build the filter complex
     const createdTextLabels = [];
@@ -241,9 +301,32 @@ export class VideoCompositor {
     // Track text files created for cleanup
     const textFilesToCleanup = [];
 
+    // Visualizers each draw their own copy of the audio; circular ones add remap inputs after the image layers
+    // (and the still background's foreground)
+    const visualizerInputs = [];
+    if (visualizerLayers.length > 0) {
+      filters.push(`[1:a]asplit=${visualizerLayers.length}${visualizerLayers.map((layer, index) => `[viz_audio${index}]`).join('')}`);
+    }
+    const addVisualizer = async (layer, outputLabel) => {
+      const result = await this.buildVisualizerLayer(layer, visualizerLayerIndex, currentInput, outputLabel, config, {
+        firstInputIndex: 2 + videoLayers.length + imageLayers.length + stillInputs.length,
+        visualizerInputs,
+        textFilesToCleanup
+      });
+      filters.push(...result);
+      currentInput = outputLabel;
+      visualizerLayerIndex++;
+    };
+
     // Process layers that should appear BEFORE fade
     for (const layer of allLayersBeforeFade) {
-      if (layer.type === 'text') {
+      if (layer.type === 'text' && layer.textStyle) {
+        const outputLabel = `[text_layer${textLayerIndex}]`;
+        filters.push(await this.buildStyledTextLayer(layer, textLayerIndex, currentInput, outputLabel, config, textFilesToCleanup));
+        currentInput = outputLabel;
+        createdTextLabels.push(outputLabel); // Track text label for final output mapping
+        textLayerIndex++;
+      } else if (layer.type === 'text') {
         // Process text layer
         const outputLabel = `[text_layer${textLayerIndex}]`;
 
@@ -345,10 +428,12 @@ export class VideoCompositor {
         // Apply blend mode if specified
         const opacity = layer.opacity || 1.0;
         let overlayFilter;
+        const reactiveName = this.reactiveLayerName(reactive, layer, 'opacity', `v${reactiveIndex}`);
+        if (reactiveName) reactiveIndex++;
         
         if (layer.blendMode === 'overlay') {
           // For overlay blend mode, we'll scale and position in the blend step
-          const scaleFilter = `[${inputIndex}:v]scale=${finalWidth}:${finalHeight}:force_original_aspect_ratio=increase,crop=${finalWidth}:${finalHeight},fps=30[scaled_video${videoLayerIndex}]`;
+          const scaleFilter = `[${inputIndex}:v]scale=${finalWidth}:${finalHeight}:force_original_aspect_ratio=increase,crop=${finalWidth}:${finalHeight},fps=30${this.tintStage(layer)}[scaled_video${videoLayerIndex}]`;
           filters.push(scaleFilter);
           // Overlay blend mode: use blend filter with overlay mode
           // First, prepare the video with opacity if needed
@@ -378,24 +463,24 @@ export class VideoCompositor {
             filters.push(`${videoScaled}trim=start=${layer.startTime}:end=${endTime},setpts=PTS-STARTPTS${trimmedVideo}`);
             
             // Blend the trimmed video with current input
-            filters.push(`${currentInput}${trimmedVideo}blend=all_mode=overlay:all_opacity=${opacity}${blendOutput}`);
+            filters.push(`${currentInput}${trimmedVideo}${this.reactiveBlend(reactiveName, opacity, layer, reactiveBindings)}${blendOutput}`);
             currentInput = blendOutput;
             outputLabel = blendOutput;
             overlayFilter = null;
           } else {
             // No timing - blend directly
-            filters.push(`${currentInput}${videoScaled}blend=all_mode=overlay:all_opacity=${opacity}${blendOutput}`);
+            filters.push(`${currentInput}${videoScaled}${this.reactiveBlend(reactiveName, opacity, layer, reactiveBindings)}${blendOutput}`);
             currentInput = blendOutput;
             outputLabel = blendOutput;
             overlayFilter = null;
           }
         } else {
           // No blend mode - simple overlay
-          const scaleFilter = `[${inputIndex}:v]scale=${finalWidth}:${finalHeight}:force_original_aspect_ratio=increase,crop=${finalWidth}:${finalHeight},fps=30[scaled_video${videoLayerIndex}]`;
+          const scaleFilter = `[${inputIndex}:v]scale=${finalWidth}:${finalHeight}:force_original_aspect_ratio=increase,crop=${finalWidth}:${finalHeight},fps=30${this.tintStage(layer)}[scaled_video${videoLayerIndex}]`;
           filters.push(scaleFilter);
           
-            if (opacity < 1.0) {
-              filters.push(`[scaled_video${videoLayerIndex}]format=rgba,geq=r='r(X,Y)':g='g(X,Y)':b='b(X,Y)':a='alpha(X,Y)*${opacity}'[scaled_video${videoLayerIndex}_alpha]`);
+            if (opacity < 1.0 || reactiveName) {
+              filters.push(`[scaled_video${videoLayerIndex}]${this.reactiveAlpha(reactiveName, opacity, layer, reactiveBindings)}[scaled_video${videoLayerIndex}_alpha]`);
               if (layer.startTime !== null && layer.startTime !== undefined) {
                 const endTime = layer.startTime + (layer.duration || config.duration);
                 const roundedEndTime = Math.round(endTime * 100) / 100;
@@ -419,6 +504,8 @@ export class VideoCompositor {
         }
         // If blend mode was used and no overlay filter, currentInput was already updated above
         videoLayerIndex++;
+        } else if (layer.type === 'visualizer') {
+          await addVisualizer(layer, `[viz_layer${visualizerLayerIndex}]`);
         } else {
           // Process image layer
           // Input index: images come after videos, so index = 2 + videoLayers.length + imageLayerIndex
@@ -429,8 +516,11 @@ export class VideoCompositor {
         const finalWidth = Math.round(layer.size.width * (layer.scale || 1));
         const finalHeight = Math.round(layer.size.height * (layer.scale || 1));
 
-        // Scale filter - maintain aspect ratio for images
-        const scaleFilter = `[${inputIndex}:v]scale=${finalWidth}:${finalHeight}:force_original_aspect_ratio=decrease[scaled${imageLayerIndex}]`;
+        // Scale filter - maintain aspect ratio for images (audio-reactive scale zooms into a padded box)
+        const reactiveName = this.reactiveLayerName(reactive, layer, 'scale', `i${reactiveIndex}`);
+        if (reactiveName) reactiveIndex++;
+        const { chain: reactiveChain, position } = this.reactiveScale(reactiveName, layer, finalWidth, finalHeight, reactiveBindings);
+        const scaleFilter = `[${inputIndex}:v]scale=${finalWidth}:${finalHeight}:force_original_aspect_ratio=decrease${this.tintStage(layer)}${reactiveChain}[scaled${imageLayerIndex}]`;
         filters.push(scaleFilter);
 
         // Overlay filter with opacity and optional timing
@@ -445,18 +535,18 @@ export class VideoCompositor {
           if (layer.startTime !== null && layer.startTime !== undefined) {
             const endTime = layer.startTime + (layer.duration || config.duration);
             const roundedEndTime = Math.round(endTime * 100) / 100;
-            overlayFilter = `${currentInput}[scaled${imageLayerIndex}_alpha]overlay=${layer.position.x}:${layer.position.y}:enable='gte(t\\,${layer.startTime})*lte(t\\,${roundedEndTime})'${outputLabel}`;
+            overlayFilter = `${currentInput}[scaled${imageLayerIndex}_alpha]overlay=${position.x}:${position.y}:enable='gte(t\\,${layer.startTime})*lte(t\\,${roundedEndTime})'${outputLabel}`;
           } else {
-            overlayFilter = `${currentInput}[scaled${imageLayerIndex}_alpha]overlay=${layer.position.x}:${layer.position.y}${outputLabel}`;
+            overlayFilter = `${currentInput}[scaled${imageLayerIndex}_alpha]overlay=${position.x}:${position.y}${outputLabel}`;
           }
         } else {
           // Full opacity - simple overlay
           if (layer.startTime !== null && layer.startTime !== undefined) {
             const endTime = layer.startTime + (layer.duration || config.duration);
             const roundedEndTime = Math.round(endTime * 100) / 100;
-            overlayFilter = `${currentInput}[scaled${imageLayerIndex}]overlay=${layer.position.x}:${layer.position.y}:enable='gte(t\\,${layer.startTime})*lte(t\\,${roundedEndTime})'${outputLabel}`;
+            overlayFilter = `${currentInput}[scaled${imageLayerIndex}]overlay=${position.x}:${position.y}:enable='gte(t\\,${layer.startTime})*lte(t\\,${roundedEndTime})'${outputLabel}`;
           } else {
-            overlayFilter = `${currentInput}[scaled${imageLayerIndex}]overlay=${layer.position.x}:${layer.position.y}${outputLabel}`;
+            overlayFilter = `${currentInput}[scaled${imageLayerIndex}]overlay=${position.x}:${position.y}${outputLabel}`;
           }
         }
         filters.push(overlayFilter);
@@ -520,10 +610,11 @@ export class VideoCompositor {
     });
     */
 
-    // Apply video fade to black (22-25 seconds: fade out over 3 seconds, starting 8 seconds before end)
+    // Apply video fade to black (default 22-25 seconds: fade out over 3 seconds, starting 8 seconds before end)
     // For 30 second video: start at 22s, fade duration 3s (ends at 25s)
-    const videoFadeStart = config.duration - 8; // 22 seconds for 30s video
-    const videoFadeDuration = 3; // 3 second fade
+    const videoFade = config.videoFade || { fromEnd: 8, duration: 3 };
+    const videoFadeStart = config.duration - videoFade.fromEnd; // 22 seconds for 30s video
+    const videoFadeDuration = videoFade.duration; // 3 second fade
     let finalVideoLabel = currentInput; // Track final video label after fade
     const hasTextBeforeFade = allLayersBeforeFade.some(layer => layer.type === 'text');
     if (videoFadeStart > 0 && videoFadeDuration > 0) {
@@ -544,7 +635,12 @@ export class VideoCompositor {
     if (allLayersAfterFade.length > 0) {
       console.log(`[VideoCompositor] Processing ${allLayersAfterFade.length} layer(s) after fade (won't fade out)`);
       for (const layer of allLayersAfterFade) {
-        if (layer.type === 'text') {
+        if (layer.type === 'text' && layer.textStyle) {
+          const outputLabel = `[text_layer_after${textLayerIndex}]`;
+          filters.push(await this.buildStyledTextLayer(layer, textLayerIndex, currentInput, outputLabel, config, textFilesToCleanup));
+          currentInput = outputLabel;
+          textLayerIndex++;
+        } else if (layer.type === 'text') {
           // Process text layer (same as before, but on faded video)
           const outputLabel = `[text_layer_after${textLayerIndex}]`;
           const fontSize = layer.fontSize || Math.round(layer.size.height * 0.7);
@@ -621,12 +717,14 @@ export class VideoCompositor {
           // Scale video to canvas size
           const finalWidth = Math.round(layer.size.width * (layer.scale || 1));
           const finalHeight = Math.round(layer.size.height * (layer.scale || 1));
-          const scaleFilter = `[${inputIndex}:v]scale=${finalWidth}:${finalHeight}:force_original_aspect_ratio=increase,crop=${finalWidth}:${finalHeight},fps=30[scaled_video_after${videoLayerIndex}]`;
+          const scaleFilter = `[${inputIndex}:v]scale=${finalWidth}:${finalHeight}:force_original_aspect_ratio=increase,crop=${finalWidth}:${finalHeight},fps=30${this.tintStage(layer)}[scaled_video_after${videoLayerIndex}]`;
           filters.push(scaleFilter);
           
           // Apply blend mode if specified
           const opacity = layer.opacity || 1.0;
           let overlayFilter;
+          const reactiveName = this.reactiveLayerName(reactive, layer, 'opacity', `v${reactiveIndex}`);
+          if (reactiveName) reactiveIndex++;
           
           if (layer.blendMode === 'overlay') {
             let videoInput = `[scaled_video_after${videoLayerIndex}]`;
@@ -644,15 +742,15 @@ export class VideoCompositor {
             // Blend the scaled video with the current input using overlay blend mode
             const blendOutput = `[video_blend_after${videoLayerIndex}]`;
             // Blend filter requires both inputs to be same size - currentInput is already canvas size
-            filters.push(`${currentInput}${videoScaled}blend=all_mode=overlay:all_opacity=${opacity}${blendOutput}`);
+            filters.push(`${currentInput}${videoScaled}${this.reactiveBlend(reactiveName, opacity, layer, reactiveBindings)}${blendOutput}`);
             
             // The blend output becomes the new current input
             overlayFilter = null;
             currentInput = blendOutput;
             outputLabel = blendOutput;
           } else {
-            if (opacity < 1.0) {
-              filters.push(`[scaled_video_after${videoLayerIndex}]format=rgba,geq=r='r(X,Y)':g='g(X,Y)':b='b(X,Y)':a='alpha(X,Y)*${opacity}'[scaled_video_after${videoLayerIndex}_alpha]`);
+            if (opacity < 1.0 || reactiveName) {
+              filters.push(`[scaled_video_after${videoLayerIndex}]${this.reactiveAlpha(reactiveName, opacity, layer, reactiveBindings)}[scaled_video_after${videoLayerIndex}_alpha]`);
               if (layer.startTime !== null && layer.startTime !== undefined) {
                 const endTime = layer.startTime + (layer.duration || config.duration);
                 const roundedEndTime = Math.round(endTime * 100) / 100;
@@ -676,6 +774,8 @@ export class VideoCompositor {
           }
           // If blend mode was used, currentInput was already updated above
           videoLayerIndex++;
+        } else if (layer.type === 'visualizer') {
+          await addVisualizer(layer, `[viz_layer_after${visualizerLayerIndex}]`);
         } else {
           // Process image layer (same as before, but on faded video)
           // Input index: images come after videos, so index = 2 + videoLayers.length + imageLayerIndex
@@ -683,7 +783,10 @@ export class VideoCompositor {
           const outputLabel = `[layer_after${imageLayerIndex}]`;
           const finalWidth = Math.round(layer.size.width * (layer.scale || 1));
           const finalHeight = Math.round(layer.size.height * (layer.scale || 1));
-          const scaleFilter = `[${inputIndex}:v]scale=${finalWidth}:${finalHeight}:force_original_aspect_ratio=decrease[scaled_after${imageLayerIndex}]`;
+          const reactiveName = this.reactiveLayerName(reactive, layer, 'scale', `i${reactiveIndex}`);
+          if (reactiveName) reactiveIndex++;
+          const { chain: reactiveChain, position } = this.reactiveScale(reactiveName, layer, finalWidth, finalHeight, reactiveBindings);
+          const scaleFilter = `[${inputIndex}:v]scale=${finalWidth}:${finalHeight}:force_original_aspect_ratio=decrease${this.tintStage(layer)}${reactiveChain}[scaled_after${imageLayerIndex}]`;
           filters.push(scaleFilter);
           
           const opacity = layer.opacity || 1.0;
@@ -693,17 +796,17 @@ export class VideoCompositor {
             if (layer.startTime !== null && layer.startTime !== undefined) {
               const endTime = layer.startTime + (layer.duration || config.duration);
               const roundedEndTime = Math.round(endTime * 100) / 100;
-              overlayFilter = `${currentInput}[scaled_after${imageLayerIndex}_alpha]overlay=${layer.position.x}:${layer.position.y}:enable='gte(t\\,${layer.startTime})*lte(t\\,${roundedEndTime})'${outputLabel}`;
+              overlayFilter = `${currentInput}[scaled_after${imageLayerIndex}_alpha]overlay=${position.x}:${position.y}:enable='gte(t\\,${layer.startTime})*lte(t\\,${roundedEndTime})'${outputLabel}`;
             } else {
-              overlayFilter = `${currentInput}[scaled_after${imageLayerIndex}_alpha]overlay=${layer.position.x}:${layer.position.y}${outputLabel}`;
+              overlayFilter = `${currentInput}[scaled_after${imageLayerIndex}_alpha]overlay=${position.x}:${position.y}${outputLabel}`;
             }
           } else {
             if (layer.startTime !== null && layer.startTime !== undefined) {
               const endTime = layer.startTime + (layer.duration || config.duration);
               const roundedEndTime = Math.round(endTime * 100) / 100;
-              overlayFilter = `${currentInput}[scaled_after${imageLayerIndex}]overlay=${layer.position.x}:${layer.position.y}:enable='gte(t\\,${layer.startTime})*lte(t\\,${roundedEndTime})'${outputLabel}`;
+              overlayFilter = `${currentInput}[scaled_after${imageLayerIndex}]overlay=${position.x}:${position.y}:enable='gte(t\\,${layer.startTime})*lte(t\\,${roundedEndTime})'${outputLabel}`;
             } else {
-              overlayFilter = `${currentInput}[scaled_after${imageLayerIndex}]overlay=${layer.position.x}:${layer.position.y}${outputLabel}`;
+              overlayFilter = `${currentInput}[scaled_after${imageLayerIndex}]overlay=${position.x}:${position.y}${outputLabel}`;
             }
           }
           filters.push(overlayFilter);
@@ -714,6 +817,17 @@ export class VideoCompositor {
       finalVideoLabel = currentInput; // Update final label to include after-fade layers
     }
 
+    // sendcmd on the base chain updates every reacting filter in the graph, frame by frame
+    if (reactiveBindings.length > 0) {
+      const commandDir = path.join(process.cwd(), 'temp-uploads');
+      await fs.ensureDir(commandDir);
+      const commandFilePath = path.join(commandDir, `reactive_${Date.now()}.cmd`);
+      await fs.writeFile(commandFilePath, buildReactiveCommands(reactive.envelopes, reactiveBindings, config.duration), 'utf8');
+      textFilesToCleanup.push(commandFilePath);
+      filters[0] = filters[0].replace('[0:v]', `[0:v]sendcmd=f='${commandFilePath}',`);
+      console.log(`[VideoCompositor] 🔊 Audio-reactive: ${reactiveBindings.map(binding => `${binding.target} <- ${binding.reaction.source}`).join(', ')}`);
+    }
+
     const filterComplex = filters.join(';');
     
     // Store final video label for output mapping
@@ -733,8 +847,8 @@ export class VideoCompositor {
       if (layer.type === 'text') {
         const textIdx = allLayersBeforeFade.slice(0, idx).filter(l => l.type === 'text').length;
         createdTextLabels.push(`[text_layer${textIdx}]`);
-      } else {
-        const imgIdx = allLayersBeforeFade.slice(0, idx).filter(l => l.type !== 'text' && l.type !== 'background').length;
+      } else if (layer.type !== 'visualizer') {
+        const imgIdx = allLayersBeforeFade.slice(0, idx).filter(l => l.type !== 'text' && l.type !== 'background' && l.type !== 'visualizer').length;
         createdImageLabels.push(`[layer${imgIdx}]`);
       }
     });
@@ -744,8 +858,8 @@ export class VideoCompositor {
       if (layer.type === 'text') {
         const textIdx = allLayersAfterFade.slice(0, idx).filter(l => l.type === 'text').length;
         createdTextLabels.push(`[text_layer_after${textIdx}]`);
-      } else {
-        const imgIdx = allLayersAfterFade.slice(0, idx).filter(l => l.type !== 'text' && l.type !== 'background').length;
+      } else if (layer.type !== 'visualizer') {
+        const imgIdx = allLayersAfterFade.slice(0, idx).filter(l => l.type !== 'text' && l.type !== 'background' && l.type !== 'visualizer').length;
         createdImageLabels.push(`[layer_after${imgIdx}]`);
       }
     });
@@ -765,10 +879,205 @@ export class VideoCompositor {
     config._finalVideoLabel = finalVideoLabel; // Store final video label (faded_video if fade applied)
     config._hasTextBeforeFade = hasTextBeforeFade; // Track if text was processed before fade
     config._textFilesToCleanup = textFilesToCleanup; // Store text files for cleanup
+    config._stillInputs = stillInputs; // parallax foreground of a still background (input after the image layers)
+    config._visualizerInputs = visualizerInputs; // remap maps for circular visualizers (inputs after the still's foreground)
     
     return filterComplex;
   }
 
+  /**
+   * Add the audio-reactive stages to the base chain: eq intensity and a centre zoom that is scaled back to the canvas
+   * @returns {string} Base filter with the reacting stages before its [base_scaled] output
+   */
+  applyReactiveBase(baseFilter, reactive, canvasWidth, canvasHeight, bindings) {
+    let chain = baseFilter.slice(0, -'[base_scaled]'.length);
+
+    if (reactive.filter) {
+      // Drive the filter's own eq when it has one, otherwise add a neutral eq that pulses from nothing
+      const eq = parseEqParams(chain);
+      chain = eq ? chain.replace(eq.stage, `eq@react_filter=${eq.stage.slice(3)}`) : `${chain},eq@react_filter`;
+      bindings.push(createFilterBinding('eq@react_filter', eq ? eq.params : null, EQ_NEUTRAL, reactive.filter));
+    }
+
+    if (reactive.zoom) {
+      chain += `,crop@react_zoom=w=iw:h=ih,scale=${canvasWidth}:${canvasHeight}`;
+      bindings.push(createZoomBinding('crop@react_zoom', canvasWidth, canvasHeight, reactive.zoom));
+    }
+
+    return `${chain}[base_scaled]`;
+  }
+
+  /**
+   * Colour tint stage for a video or image layer (empty without one)
+   */
+  tintStage(layer) {
+    return layer.tint ? `,${buildTintFilter(layer.tint)}` : '';
+  }
+
+  /**
+   * Filter instance name for a layer that reacts to the audio with this param, or null
+   */
+  reactiveLayerName(reactive, layer, param, suffix) {
+    return reactive && layer.react && layer.react.param === param ? `react_${suffix}` : null;
+  }
+
+  /**
+   * Overlay blend step, named and driven by the envelope when the layer reacts
+   */
+  reactiveBlend(reactiveName, opacity, layer, bindings) {
+    if (!reactiveName) {
+      return `blend=all_mode=overlay:all_opacity=${opacity}`;
+    }
+    bindings.push(createOpacityBinding(`blend@${reactiveName}`, 'all_opacity', opacity, layer.react));
+    return `blend@${reactiveName}=all_mode=overlay:all_opacity=${opacity}`;
+  }
+
+  /**
+   * Alpha step for an overlaid layer: static geq opacity, or a colorchannelmixer driven by the envelope
+   */
+  reactiveAlpha(reactiveName, opacity, layer, bindings) {
+    if (!reactiveName) {
+      return `format=rgba,geq=r='r(X,Y)':g='g(X,Y)':b='b(X,Y)':a='alpha(X,Y)*${opacity}'`;
+    }
+    bindings.push(createOpacityBinding(`colorchannelmixer@${reactiveName}`, 'aa', opacity, layer.react));
+    return `format=rgba,colorchannelmixer@${reactiveName}=aa=${opacity}`;
+  }
+
+  /**
+   * Audio-reactive image scale: pad the image into a box `amount` larger and zoom into it with a named crop,
+   * so the image grows around the centre of its box without changing the overlay size
+   * @returns {{chain: string, position: Object}} Steps to append after the scale, and the overlay position of the box
+   */
+  reactiveScale(reactiveName, layer, finalWidth, finalHeight, bindings) {
+    if (!reactiveName) {
+      return { chain: '', position: layer.position };
+    }
+    const even = value => Math.max(2, Math.round(value / 2) * 2);
+    const boxWidth = even(finalWidth * (1 + layer.react.amount));
+    const boxHeight = even(finalHeight * (1 + layer.react.amount));
+    const padX = Math.round((boxWidth - finalWidth) / 2);
+    const padY = Math.round((boxHeight - finalHeight) / 2);
+    bindings.push(createZoomBinding(`crop@${reactiveName}`, boxWidth, boxHeight, layer.react));
+    return {
+      chain: `,format=rgba,pad=${boxWidth}:${boxHeight}:${padX}:${padY}:color=black@0,crop@${reactiveName}=w=iw:h=ih,scale=${boxWidth}:${boxHeight}`,
+      position: { x: layer.position.x - padX, y: layer.position.y - padY }
+    };
+  }
+
+  /**
+   * drawtext chain for a styled text layer: one drawtext per line (per typed prefix for the typewriter),
+   * each with its own text file, size, timing and animation
+   * @returns {Promise<string>} Filter chain from currentInput to outputLabel
+   */
+  async buildStyledTextLayer(layer, index, currentInput, outputLabel, config, textFilesToCleanup) {
+    const style = layer.textStyle;
+    const fontSize = layer.fontSize || Math.round(layer.size.height * 0.7);
+    const startTime = layer.startTime !== null && layer.startTime !== undefined ? layer.startTime : 0;
+    const endTime = layer.startTime !== null && layer.startTime !== undefined
+      ? layer.startTime + (layer.duration || config.duration)
+      : config.duration;
+    const lines = layer.textLines || String(layer.source).split('\n').map(text => ({ text }));
+    const planned = planTextLines(lines, style, { fontSize, startTime, endTime });
+
+    let fontPath = resolveFontPath(style.font);
+    if (style.font && !fontPath) {
+      console.warn(`[VideoCompositor] ⚠️ Font "${style.font}" not found in public/fonts, using the default font`);
+    }
+    if (!fontPath && layer.fontPath && fs.existsSync(layer.fontPath)) {
+      fontPath = layer.fontPath;
+    }
+
+    const textFileDir = path.join(process.cwd(), 'temp-uploads');
+    await fs.ensureDir(textFileDir);
+    const drawtexts = [];
+    for (const [lineIndex, line] of planned.entries()) {
+      for (const [stepIndex, step] of line.steps.entries()) {
+        const textFile = path.join(textFileDir, `text_styled_${Date.now()}_${index}_${lineIndex}_${stepIndex}.txt`);
+        await fs.writeFile(textFile, step.text, 'utf8');
+        textFilesToCleanup.push(textFile);
+        drawtexts.push(buildStyledDrawtext({
+          textFile,
+          fontPath,
+          style,
+          line,
+          step,
+          x: layer.position.x,
+          y: layer.position.y,
+          width: layer.size.width,
+          opacity: layer.opacity || 1.0,
+          animateFrom: style.animation === 'fade' ? startTime : line.startTime
+        }));
+      }
+    }
+
+    console.log(`[VideoCompositor] ✍️ Styled text layer ${index}: ${planned.length} line(s), ${style.animation} animation, ${style.align} aligned${fontPath ? `, font ${path.basename(fontPath)}` : ''}`);
+    // Nothing to draw (all lines empty or outside the video) still has to produce the label
+    return `${currentInput}${drawtexts.length > 0 ? drawtexts.join(',') : 'null'}${outputLabel}`;
+  }
+
+  /**
+   * Filters for one visualizer layer: draw its audio copy, then overlay it at its position (or blend it over the
+   * canvas with a black background, which screen / addition / lighten leave untouched)
+   * @param {Object} inputs - { firstInputIndex, visualizerInputs, textFilesToCleanup } - remap maps are written to
+   *   temp-uploads and appended to visualizerInputs, which buildFFmpegCommand adds as inputs from firstInputIndex
+   * @returns {Promise<string[]>} Filter chains ending in outputLabel
+   */
+  async buildVisualizerLayer(layer, index, currentInput, outputLabel, config, inputs) {
+    const visualizer = resolveVisualizer(layer.visualizer || {});
+    const size = getVisualizerSize(visualizer, Math.round(layer.size.width * (layer.scale || 1)), Math.round(layer.size.height * (layer.scale || 1)));
+    const drawnLabel = `[viz${index}]`;
+
+    let mapInputs = null;
+    if (visualizer.style === 'circle') {
+      const mapDir = path.join(process.cwd(), 'temp-uploads');
+      await fs.ensureDir(mapDir);
+      const { xmap, ymap } = buildPolarMaps(visualizer, size.width);
+      mapInputs = {};
+      for (const [axis, data] of [['x', xmap], ['y', ymap]]) {
+        const mapPath = path.join(mapDir, `visualizer_${Date.now()}_${index}_${axis}map.pgm`);
+        await fs.writeFile(mapPath, data);
+        inputs.textFilesToCleanup.push(mapPath);
+        mapInputs[axis] = inputs.firstInputIndex + inputs.visualizerInputs.length;
+        inputs.visualizerInputs.push(mapPath);
+      }
+    }
+
+    const filters = buildVisualizerFilters(visualizer, {
+      width: size.width,
+      height: size.height,
+      audioLabel: `[viz_audio${index}]`,
+      outputLabel: drawnLabel,
+      mapInputs
+    });
+
+    const opacity = layer.opacity || 1.0;
+    let enable = '';
+    if (layer.startTime !== null && layer.startTime !== undefined) {
+      const endTime = layer.startTime + (layer.duration || config.duration);
+      const roundedEndTime = Math.round(endTime * 100) / 100;
+      enable = `:enable='gte(t\\,${layer.startTime})*lte(t\\,${roundedEndTime})'`;
+    }
+
+    if (layer.blendMode) {
+      // Blend needs a full-canvas input: pad the drawing with black (its transparent pixels are black already)
+      const x = Math.max(0, Math.min(layer.position.x, config.width - size.width));
+      const y = Math.max(0, Math.min(layer.position.y, config.height - size.height));
+      const paddedLabel = `[viz${index}_canvas]`;
+      filters.push(`${drawnLabel}pad=${config.width}:${config.height}:${x}:${y}:color=black,format=gbrp${paddedLabel}`);
+      filters.push(`${currentInput}${paddedLabel}blend=all_mode=${layer.blendMode}:all_opacity=${opacity}${enable}${outputLabel}`);
+    } else {
+      let overlayInput = drawnLabel;
+      if (opacity < 1.0) {
+        overlayInput = `[viz${index}_alpha]`;
+        filters.push(`${drawnLabel}colorchannelmixer=aa=${opacity}${overlayInput}`);
+      }
+      filters.push(`${currentInput}${overlayInput}overlay=${layer.position.x}:${layer.position.y}${enable}${outputLabel}`);
+    }
+
+    console.log(`[VideoCompositor] 〰️ Visualizer layer ${index}: ${visualizer.style} ${size.width}x${size.height} at ${layer.position.x},${layer.position.y}${layer.blendMode ? ` (${layer.blendMode} blend)` : ''}`);
+    return filters;
+  }
+
   /**
    * Build FFmpeg command array (async due to potential filter file write)
    */
@@ -817,6 +1126,18 @@ export class VideoCompositor {
       command.push('-i', layer.source);
     });
 
+    // Add the still background's parallax foreground, then circular visualizer remap maps (looped like image layers)
+    (config._stillInputs || []).forEach(imagePath => {
+      command.push('-loop', '1');
+      command.push('-framerate', '30');
+      command.push('-i', imagePath);
+    });
+    (config._visualizerInputs || []).forEach(mapPath => {
+      command.push('-loop', '1');
+      command.push('-framerate', '30');
+      command.push('-i', mapPath);
+    });
+
     // Filter complex - write to file to avoid command-line truncation issues
     // Always use file method for filters with text (drawtext) or if longer than 2000 chars
     if (filterComplex) {
@@ -952,8 +1273,9 @@ export class VideoCompositor {
 
     // Audio codec and fade out (only if audio stream exists)
     if (hasAudioStream) {
-      const audioFadeStart = config.duration - 3; // 27 seconds for 30s video
-      const audioFadeDuration = 3; // 3 second fade
+      const audioFade = config.audioFade || { fromEnd: 3, duration: 3 };
+      const audioFadeStart = config.duration - audioFade.fromEnd; // 27 seconds for 30s video
+      const audioFadeDuration = audioFade.duration; // 3 second fade
       
       if (audioFadeStart > 0 && audioFadeDuration > 0) {
         // Apply audio fade out filter
@@ -1059,7 +1381,8 @@ export class VideoCompositor {
         console.log(`[VideoCompositor] Filter complex start: ${args[filterComplexIndex + 1].substring(0, 100)}...`);
       }
 
-      const ffmpegProcess = spawn(ffmpegPath, args, { stdio: 'pipe' });
+      const ffmpegProcess = trackChildProcess(spawn(ffmpegPath, args, { stdio: 'pipe' }));
+      const expectedDuration = getFFmpegOutputDuration(args);
 
       let stdout = '';
       let stderr = '';
@@ -1074,6 +1397,7 @@ export class VideoCompositor {
         // FFmpeg outputs progress to stderr
         if (output.includes('time=')) {
           process.stdout.write('.');
+          reportFFmpegTime(parseFFmpegProgressTime(output), expectedDuration);
         } else if (output.includes('error') || output.includes('Error') || output.includes('Invalid')) {
           // Log errors immediately
           console.error(`\n[VideoCompositor] FFmpeg Error: ${output.substring(0, 200)}`);
@@ -1,10 +1,42 @@
 /**
  * Video Filter Presets
  * Adapted for square format (720x720) from original vertical (1080:1920) presets
+ * Presets are written at the 720x720 reference size and resized to the output canvas by getFilter()
  * Supports intensity scaling (0.0 = no filter, 1.0 = full intensity)
  * Current default intensity: 0.4 (40%)
+ *
+ * Presets with `suits` describe the footage they flatter (mean luminance, luminance spread, saturation and warmth,
+ * as measured by ColorPalette analyze()) - videoFilter 'auto' picks the closest one with matchVideoFilter().
+ * Purely stylistic looks (posterized, pixelated) have no profile and are only used when asked for by name.
  */
 
+const REFERENCE_SIZE = 720;
+
+export const AUTO_FILTER_KEY = 'auto';
+
+// How much each footage figure counts when matching - colour cast and saturation clash first
+const MATCH_WEIGHTS = { brightness: 1, contrast: 1.5, saturation: 1.5, warmth: 2 };
+const AUTO_INTENSITY = { base: 0.4, min: 0.2, max: 0.7 };
+
+/**
+ * Resize the scale/pad stages of a 720x720 preset to another canvas size
+ * The pixelate stage (scale=240:240 ... flags=neighbor) keeps its 1/3 ratio
+ * @param {string} filterString - Preset filter string written for 720x720
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {string} - Filter string for width x height
+ */
+export function resizeFilter(filterString, width = REFERENCE_SIZE, height = REFERENCE_SIZE) {
+  if (width === REFERENCE_SIZE && height === REFERENCE_SIZE) {
+    return filterString;
+  }
+  const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+  return filterString
+    .replace(/pad=720:720:\(720-iw\)\/2:\(720-ih\)\/2/g, `pad=${width}:${height}:(${width}-iw)/2:(${height}-ih)/2`)
+    .replace(/scale=240:240/g, `scale=${even(width / 3)}:${even(height / 3)}`)
+    .replace(/scale=720:720/g, `scale=${width}:${height}`);
+}
+
 /**
  * Apply intensity scaling to filter parameters
  * @param {string} filterString - Original filter string
@@ -88,40 +120,70 @@ function applyFilterIntensity(filterString, intensity = 0.4) {
   return baseScale ? `${baseScale},${scaledFilter}` : scaledFilter;
 }
 
+/**
+ * eq values that leave the picture unchanged
+ */
+export const EQ_NEUTRAL = { contrast: 1.0, brightness: 0.0, saturation: 1.0 };
+
+/**
+ * Read contrast / brightness / saturation from the first eq stage of a filter string
+ * Used by audio-reactive renders to swing the preset's own eq around its intensity
+ * @param {string} filterString - Filter string (e.g. from getFilter)
+ * @returns {{stage: string, params: Object}|null} - The eq stage as written and its values (neutral when omitted), or null without an eq stage
+ */
+export function parseEqParams(filterString) {
+  const match = /(?:^|,)(eq=[^,]*)/.exec(filterString || '');
+  if (!match) return null;
+  const params = { ...EQ_NEUTRAL };
+  for (const option of match[1].slice(3).split(':')) {
+    const [key, value] = option.split('=');
+    if (key in params && !Number.isNaN(parseFloat(value))) {
+      params[key] = parseFloat(value);
+    }
+  }
+  return { stage: match[1], params };
+}
+
 export const VIDEO_FILTERS = {
   'look_gritty_neon_club': {
     name: 'Gritty Neon Club',
     description: 'Punchy contrast, slight neon saturation, dirty grain',
+    suits: { brightness: 0.3, contrast: 0.2, saturation: 0.4, warmth: 0 },
     baseFilter: 'scale=720:720:force_original_aspect_ratio=decrease,pad=720:720:(720-iw)/2:(720-ih)/2:black,eq=contrast=1.2:brightness=-0.03:saturation=1.15,curves=all=\'0/0 0.25/0.2 0.5/0.5 0.75/0.8 1/1\',noise=alls=8:allf=t+u,vignette=0.35',
     getFilter: (intensity = 0.4) => applyFilterIntensity('scale=720:720:force_original_aspect_ratio=decrease,pad=720:720:(720-iw)/2:(720-ih)/2:black,eq=contrast=1.2:brightness=-0.03:saturation=1.15,curves=all=\'0/0 0.25/0.2 0.5/0.5 0.75/0.8 1/1\',noise=alls=8:allf=t+u,vignette=0.35', intensity)
   },
   'look_faded_90s_tape': {
     name: 'Faded 90s Tape',
     description: 'Washed, low-contrast tape feel with motion smear',
+    suits: { brightness: 0.55, contrast: 0.12, saturation: 0.3, warmth: 0.05 },
     baseFilter: 'scale=720:720:force_original_aspect_ratio=decrease,pad=720:720:(720-iw)/2:(720-ih)/2:black,eq=contrast=0.95:brightness=0.02:saturation=1.05,curves=all=\'0/0.1 0.25/0.3 0.5/0.5 0.75/0.7 1/0.9\',noise=alls=12:allf=t+u,tmix=frames=3:weights=\'1 2 1\'',
     getFilter: (intensity = 0.4) => applyFilterIntensity('scale=720:720:force_original_aspect_ratio=decrease,pad=720:720:(720-iw)/2:(720-ih)/2:black,eq=contrast=0.95:brightness=0.02:saturation=1.05,curves=all=\'0/0.1 0.25/0.3 0.5/0.5 0.75/0.7 1/0.9\',noise=alls=12:allf=t+u,tmix=frames=3:weights=\'1 2 1\'', intensity)
   },
   'look_hard_bw_street_doc': {
     name: 'Hard B&W Street Doc',
     description: 'Aggro black & white, doc-style club footage',
+    suits: { brightness: 0.4, contrast: 0.22, saturation: 0.08, warmth: 0 },
     baseFilter: 'scale=720:720:force_original_aspect_ratio=decrease,pad=720:720:(720-iw)/2:(720-ih)/2:black,format=gray,eq=contrast=1.45:brightness=-0.02,unsharp=7:7:0.9:7:7:0.0,vignette=0.4',
     getFilter: (intensity = 0.4) => applyFilterIntensity('scale=720:720:force_original_aspect_ratio=decrease,pad=720:720:(720-iw)/2:(720-ih)/2:black,format=gray,eq=contrast=1.45:brightness=-0.02,unsharp=7:7:0.9:7:7:0.0,vignette=0.4', intensity)
   },
   'look_camcorder_ghost': {
     name: 'Camcorder Ghost',
     description: 'Cheap DV / camcorder vibe, great for crowd shots',
+    suits: { brightness: 0.5, contrast: 0.18, saturation: 0.5, warmth: 0 },
     baseFilter: 'scale=720:720:force_original_aspect_ratio=decrease,pad=720:720:(720-iw)/2:(720-ih)/2:black,eq=contrast=1.05:saturation=0.85,noise=alls=10:allf=t+u,tblend=all_mode=lighten',
     getFilter: (intensity = 0.4) => applyFilterIntensity('scale=720:720:force_original_aspect_ratio=decrease,pad=720:720:(720-iw)/2:(720-ih)/2:black,eq=contrast=1.05:saturation=0.85,noise=alls=10:allf=t+u,tblend=all_mode=lighten', intensity)
   },
   'look_club_cinematic_dirty': {
     name: 'Club Cinematic Dirty',
     description: 'Cinematic contrast but still grimy',
+    suits: { brightness: 0.4, contrast: 0.15, saturation: 0.3, warmth: 0 },
     baseFilter: 'scale=720:720:force_original_aspect_ratio=decrease,pad=720:720:(720-iw)/2:(720-ih)/2:black,eq=contrast=1.18:brightness=-0.025:saturation=1.1,curves=all=\'0/0 0.25/0.2 0.5/0.5 0.75/0.8 1/1\',noise=alls=6:allf=t+u,vignette=0.32',
     getFilter: (intensity = 0.4) => applyFilterIntensity('scale=720:720:force_original_aspect_ratio=decrease,pad=720:720:(720-iw)/2:(720-ih)/2:black,eq=contrast=1.18:brightness=-0.025:saturation=1.1,curves=all=\'0/0 0.25/0.2 0.5/0.5 0.75/0.8 1/1\',noise=alls=6:allf=t+u,vignette=0.32', intensity)
   },
   'look_neon_nightclub': {
     name: 'Neon Nightclub',
     description: 'Crushed blacks, neon mids, for laser / LED-heavy shots',
+    suits: { brightness: 0.18, contrast: 0.22, saturation: 0.55, warmth: -0.05 },
     baseFilter: 'scale=720:720:force_original_aspect_ratio=decrease,pad=720:720:(720-iw)/2:(720-ih)/2:black,eq=brightness=-0.04:contrast=1.25:saturation=1.25,curves=g=\'0/0 0.2/0.1 0.6/0.8 1/1\',noise=alls=14:allf=t+u,vignette=0.6',
     getFilter: (intensity = 0.4) => applyFilterIntensity('scale=720:720:force_original_aspect_ratio=decrease,pad=720:720:(720-iw)/2:(720-ih)/2:black,eq=brightness=-0.04:contrast=1.25:saturation=1.25,curves=g=\'0/0 0.2/0.1 0.6/0.8 1/1\',noise=alls=14:allf=t+u,vignette=0.6', intensity)
   },
@@ -140,15 +202,16 @@ export const VIDEO_FILTERS = {
   'look_sodium_streetlight': {
     name: 'Sodium Streetlight',
     description: 'Warm orange club/street lighting, gritty and moody',
+    suits: { brightness: 0.35, contrast: 0.2, saturation: 0.35, warmth: 0.15 },
     baseFilter: 'scale=720:720:force_original_aspect_ratio=decrease,pad=720:720:(720-iw)/2:(720-ih)/2:black,eq=saturation=1.1:contrast=1.08,curves=r=\'0/0 0.3/0.35 1/1\':b=\'0/0 0.5/0.4 1/0.9\',noise=alls=10:allf=t+u,vignette=0.5',
     getFilter: (intensity = 0.4) => applyFilterIntensity('scale=720:720:force_original_aspect_ratio=decrease,pad=720:720:(720-iw)/2:(720-ih)/2:black,eq=saturation=1.1:contrast=1.08,curves=r=\'0/0 0.3/0.35 1/1\':b=\'0/0 0.5/0.4 1/0.9\',noise=alls=10:allf=t+u,vignette=0.5', intensity)
   }
 };
 
 /**
- * Get filter by key with optional intensity
+ * Get filter by key with optional intensity and output size (default: 720x720)
  */
-export function getFilter(key, intensity = 0.4) {
+export function getFilter(key, intensity = 0.4, width = REFERENCE_SIZE, height = REFERENCE_SIZE) {
   const filterDef = VIDEO_FILTERS[key];
   if (!filterDef) return null;
   
@@ -156,14 +219,48 @@ export function getFilter(key, intensity = 0.4) {
     return {
       name: filterDef.name,
       description: filterDef.description,
-      filter: filterDef.getFilter(intensity)
+      filter: resizeFilter(filterDef.getFilter(intensity), width, height)
     };
   }
   
   return {
     name: filterDef.name,
     description: filterDef.description,
-    filter: filterDef.baseFilter || filterDef.filter || ''
+    filter: resizeFilter(filterDef.baseFilter || filterDef.filter || '', width, height)
+  };
+}
+
+/**
+ * Pick the preset that suits analysed footage, and an intensity for it
+ * Flat footage gets a stronger look, dark or contrasty footage a lighter one so it isn't crushed
+ * @param {Object} analysis - ColorPalette analyze() result ({ luminance: { mean, contrast }, saturation, warmth })
+ * @param {Object} options - { intensity } to keep a fixed intensity instead
+ * @returns {{key: string, name: string, intensity: number, distance: number}|null} null without an analysis
+ */
+export function matchVideoFilter(analysis, { intensity = null } = {}) {
+  if (!analysis || !analysis.luminance) return null;
+  const footage = {
+    brightness: analysis.luminance.mean,
+    contrast: analysis.luminance.contrast,
+    saturation: analysis.saturation,
+    warmth: analysis.warmth
+  };
+
+  let best = null;
+  for (const [key, filterDef] of Object.entries(VIDEO_FILTERS)) {
+    if (!filterDef.suits) continue;
+    const distance = Math.sqrt(Object.entries(MATCH_WEIGHTS)
+      .reduce((total, [figure, weight]) => total + weight * (footage[figure] - filterDef.suits[figure]) ** 2, 0));
+    if (!best || distance < best.distance) {
+      best = { key, name: filterDef.name, distance: Math.round(distance * 1000) / 1000 };
+    }
+  }
+
+  const automatic = AUTO_INTENSITY.base + (0.2 - footage.contrast) - Math.max(0, 0.2 - footage.brightness);
+  const clamped = Math.min(AUTO_INTENSITY.max, Math.max(AUTO_INTENSITY.min, automatic));
+  return {
+    ...best,
+    intensity: typeof intensity === 'number' ? intensity : Math.round(clamped * 20) / 20
   };
 }
 
@@ -6,11 +6,85 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { getStorage } from '../firebase-admin.js';
+import { AssetIndex, getAssetGroupKey, getAssetFolder, normalizeFolderName } from './AssetIndex.js';
+import { getAssetCache } from './AssetCache.js';
 
 export class VideoLoader {
     constructor() {
-        this.cacheDir = path.join(process.cwd(), 'outputs', 'video-cache');
-        fs.ensureDirSync(this.cacheDir);
+        this.assetCache = getAssetCache(); // Downloaded clips, shared with the other loaders
+        this.assetIndex = new AssetIndex();
+    }
+
+    /**
+     * Video file references from the footage index (assets collection), grouped like a bucket listing
+     * Each reference carries its index record as `asset` (duration, resolution, brightness, motion, tags)
+     * @param {Object} bucket - Storage bucket
+     * @param {string[]} selectedFolders - Folder names to include (empty = all folders)
+     * @returns {Promise<Object|null>} { groupKey: File[] }, or null when the index hasn't been built or can't be read
+     */
+    async loadIndexedVideoReferences(bucket, selectedFolders = []) {
+        try {
+            if (!(await this.assetIndex.isSynced())) {
+                console.log(`[VideoLoader] Footage index not built yet - listing the bucket (run node worker/index-assets.js to build it)`);
+                return null;
+            }
+            const assets = await this.assetIndex.list({ folders: selectedFolders });
+            const groupedFiles = {};
+            for (const asset of assets) {
+                const groupKey = getAssetGroupKey(asset.folder);
+                const file = bucket.file(asset.storagePath);
+                file.asset = asset;
+                (groupedFiles[groupKey] = groupedFiles[groupKey] || []).push(file);
+            }
+            console.log(`[VideoLoader] 🗂️ Footage index: ${assets.length} clips in ${Object.keys(groupedFiles).length} folders`);
+            return groupedFiles;
+        } catch (error) {
+            console.warn(`[VideoLoader] ⚠️ Footage index unavailable, listing the bucket: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Add named clips (a job's must-include footage) to grouped file references, wherever they live in the bucket
+     * Clips already in the groups are left alone; clips that don't exist are skipped with a warning
+     * @param {Object} groupedFiles - { groupKey: File[] } from loadTrackVideoReferences (updated in place)
+     * @param {string[]} storagePaths - Storage paths of the clips
+     * @returns {Promise<Object>} groupedFiles
+     */
+    async addClipReferences(groupedFiles, storagePaths = []) {
+        const present = new Set(Object.values(groupedFiles).flat().map(file => file.name));
+        const bucket = getStorage().bucket();
+        for (const storagePath of storagePaths) {
+            if (present.has(storagePath)) continue;
+            const file = bucket.file(storagePath);
+            const [exists] = await file.exists();
+            if (!exists) {
+                console.warn(`[VideoLoader] ⚠️ Must-include clip not found: ${storagePath}`);
+                continue;
+            }
+            file.asset = await this.assetIndex.get(storagePath).catch(() => null);
+            const groupKey = getAssetGroupKey(getAssetFolder(storagePath));
+            (groupedFiles[groupKey] = groupedFiles[groupKey] || []).push(file);
+            console.log(`[VideoLoader] ➕ Added must-include clip ${storagePath} to ${groupKey}`);
+        }
+        return groupedFiles;
+    }
+
+    /**
+     * Download (or reuse cached copies of) a folder's video files
+     * @returns {Promise<string[]>} Local paths of the videos that could be cached
+     */
+    async cacheVideoFiles(files, folderName) {
+        const folderVideos = [];
+        for (const file of files) {
+            // Download from Firebase using Admin SDK (works with private files)
+            try {
+                folderVideos.push(await this.assetCache.getStorageFile(file));
+            } catch (error) {
+                console.warn(`[VideoLoader] ⚠️ Failed to download ${path.basename(file.name)} from ${folderName}:`, error.message);
+            }
+        }
+        return folderVideos;
     }
 
     /**
@@ -93,30 +167,7 @@ export class VideoLoader {
             ];
 
             for (const folder of folders) {
-                for (const file of folder.files) {
-                    const fileName = path.basename(file.name);
-                    const cacheKey = `${folder.name}_${fileName.replace(/[^a-zA-Z0-9]/g, '_')}`;
-                    const cachedPath = path.join(this.cacheDir, cacheKey);
-
-                    // Check cache first
-                    if (await fs.pathExists(cachedPath)) {
-                        folder.videos.push(cachedPath);
-                        continue;
-                    }
-
-                    // Download from Firebase using Admin SDK
-                    try {
-                        const fileRef = bucket.file(file.name);
-                        console.log(`[VideoLoader] 📥 Downloading ${folder.name} video: ${fileName}`);
-                        
-                        await fileRef.download({ destination: cachedPath });
-                        
-                        folder.videos.push(cachedPath);
-                        console.log(`[VideoLoader] ✅ Cached ${folder.name}: ${fileName}`);
-                    } catch (error) {
-                        console.warn(`[VideoLoader] ⚠️ Failed to download ${fileName}:`, error.message);
-                    }
-                }
+                folder.videos.push(...await this.cacheVideoFiles(folder.files, folder.name));
             }
 
             const totalVideos = equipmentVideos.length + decksVideos.length + skylineVideos.length + chicagoVideos.length + neighborhoodVideos.length;
@@ -150,6 +201,7 @@ export class VideoLoader {
     /**
      * Load video file references (metadata only, no download)
      * Returns grouped structure with file references that can be downloaded on-demand
+     * Served from the footage index (assets collection) once it has been built, otherwise by listing the bucket
      * @param {boolean} returnGrouped - Whether to return grouped structure or flat array
      * @param {string[]} selectedFolders - Optional array of folder names to filter by (empty = all folders)
      */
@@ -205,9 +257,14 @@ export class VideoLoader {
                 return Array.from(folderSet);
             }
             
+            // Footage index first - the bucket is only listed until the index has been built
+            const indexedFiles = await this.loadIndexedVideoReferences(bucket, selectedFolders);
+
             // Discover all folders dynamically
-            const discoveredFolders = await discoverFolders();
-            console.log(`[VideoLoader] 🔍 Discovered ${discoveredFolders.length} folders: [${discoveredFolders.join(', ')}]`);
+            const discoveredFolders = indexedFiles ? [] : await discoverFolders();
+            if (!indexedFiles) {
+                console.log(`[VideoLoader] 🔍 Discovered ${discoveredFolders.length} folders: [${discoveredFolders.join(', ')}]`);
+            }
             console.log(`[VideoLoader] 📋 Selected folders (raw): [${selectedFolders.join(', ')}]`);
             console.log(`[VideoLoader] 📋 Selected folders (normalized): [${normalizedSelectedFolders.join(', ')}]`);
             
@@ -243,7 +300,7 @@ export class VideoLoader {
             };
             
             // Initialize grouped structure dynamically (will add folders as we discover them)
-            const groupedFiles = {};
+            const groupedFiles = indexedFiles || {};
             
             // Process each discovered folder
             for (const folderName of discoveredFolders) {
@@ -330,26 +387,13 @@ export class VideoLoader {
     /**
      * Download a single video file from Firebase Storage
      * @param {File} fileRef - Firebase Storage file reference
-     * @param {string} folderName - Folder name for cache key
-     * @returns {Promise<string>} Path to cached video file
+     * @param {string} folderName - Folder the clip was picked from (for logs)
+     * @returns {Promise<string>} Path to the clip in the shared asset cache
      */
     async downloadVideoFile(fileRef, folderName) {
         try {
-            const fileName = path.basename(fileRef.name);
-            const cacheKey = `${folderName}_${fileName.replace(/[^a-zA-Z0-9]/g, '_')}`;
-            const cachedPath = path.join(this.cacheDir, cacheKey);
-
-            // Check cache first
-            if (await fs.pathExists(cachedPath)) {
-                return cachedPath;
-            }
-
-            // Download from Firebase using Admin SDK
-            console.log(`[VideoLoader] 📥 Downloading ${folderName} video: ${fileName}`);
-            await fileRef.download({ destination: cachedPath });
-            console.log(`[VideoLoader] ✅ Cached ${folderName}: ${fileName}`);
-            
-            return cachedPath;
+            // Download from Firebase using Admin SDK, unless the shared cache has it
+            return await this.assetCache.getStorageFile(fileRef);
         } catch (error) {
             console.error(`[VideoLoader] ❌ Failed to download ${fileRef.name}:`, error.message);
             throw error;
@@ -361,6 +405,7 @@ export class VideoLoader {
      * Returns grouped structure: { skyline: [...], chicago: [...], artist: [...], etc. }
      * Also maintains backward compatibility by returning flat array if needed
      * Downloads and caches videos locally for FFmpeg to use
+     * Clips come from the footage index (assets collection) once it has been built, otherwise from a bucket listing
      */
     async loadAllSkylineVideos(returnGrouped = true, selectedFolders = []) {
         try {
@@ -414,9 +459,14 @@ export class VideoLoader {
                 return Array.from(folderSet);
             }
             
+            // Footage index first - the bucket is only listed until the index has been built
+            const indexedFiles = await this.loadIndexedVideoReferences(bucket, selectedFolders);
+
             // Discover all folders dynamically
-            const discoveredFolders = await discoverFolders();
-            console.log(`[VideoLoader] 🔍 Discovered ${discoveredFolders.length} folders: [${discoveredFolders.join(', ')}]`);
+            const discoveredFolders = indexedFiles ? [] : await discoverFolders();
+            if (!indexedFiles) {
+                console.log(`[VideoLoader] 🔍 Discovered ${discoveredFolders.length} folders: [${discoveredFolders.join(', ')}]`);
+            }
             console.log(`[VideoLoader] 📋 Selected folders (raw): [${selectedFolders.join(', ')}]`);
             console.log(`[VideoLoader] 📋 Selected folders (normalized): [${normalizedSelectedFolders.join(', ')}]`);
             
@@ -453,6 +503,11 @@ export class VideoLoader {
             
             // Initialize grouped structure dynamically (will add folders as we discover them)
             const groupedVideos = {};
+            if (indexedFiles) {
+                for (const [groupKey, files] of Object.entries(indexedFiles)) {
+                    groupedVideos[groupKey] = await this.cacheVideoFiles(files, normalizeFolderName(files[0].asset.folder));
+                }
+            }
 
             // Process each discovered folder
             for (const folderName of discoveredFolders) {
@@ -493,33 +548,7 @@ export class VideoLoader {
                 }
                 
                 // Download and cache videos from this folder
-                const folderVideos = [];
-                for (const file of filtered) {
-                    const fileName = path.basename(file.name);
-                    const safeFolderName = normalizedFolderName.replace(/[^a-zA-Z0-9]/g, '_');
-                    const cacheKey = `${safeFolderName}_${fileName.replace(/[^a-zA-Z0-9]/g, '_')}`;
-                    const cachedPath = path.join(this.cacheDir, cacheKey);
-
-                    // Check cache first
-                    if (await fs.pathExists(cachedPath)) {
-                        folderVideos.push(cachedPath);
-                        continue;
-                    }
-
-                    // Download from Firebase using Admin SDK (works with private files)
-                    try {
-                        const fileRef = bucket.file(file.name);
-                        console.log(`[VideoLoader] 📥 Downloading video from ${folderName}: ${fileName}`);
-                        
-                        // Use Admin SDK download method (works with private files)
-                        await fileRef.download({ destination: cachedPath });
-                        
-                        folderVideos.push(cachedPath);
-                        console.log(`[VideoLoader] ✅ Cached ${folderName}: ${fileName}`);
-                    } catch (error) {
-                        console.warn(`[VideoLoader] ⚠️ Failed to download ${fileName}:`, error.message);
-                    }
-                }
+                const folderVideos = await this.cacheVideoFiles(filtered, normalizedFolderName);
                 
                 // Add to grouped structure using normalized folder name as key
                 // Map chicago-skyline-videos to 'chicago' for backward compatibility
@@ -587,27 +616,7 @@ export class VideoLoader {
         try {
             const storage = getStorage();
             const bucket = storage.bucket();
-            const fileName = path.basename(storagePath);
-            const cacheKey = `firebase_${fileName.replace(/[^a-zA-Z0-9]/g, '_')}`;
-            const cachedPath = path.join(this.cacheDir, cacheKey);
-
-            // Check cache first
-            if (await fs.pathExists(cachedPath)) {
-                console.log(`[VideoLoader] ✅ Using cached video: ${fileName}`);
-                return cachedPath;
-            }
-
-            // Download from Firebase using Admin SDK (works with private files)
-            const fileRef = bucket.file(storagePath);
-            console.log(`[VideoLoader] 📥 Downloading video from Firebase: ${fileName}`);
-
-            // Use Admin SDK download method (works with private files)
-            await fileRef.download({ destination: cachedPath });
-            
-            console.log(`[VideoLoader] ✅ Downloaded and cached: ${fileName}`);
-
-            return cachedPath;
-
+            return await this.assetCache.getStorageFile(bucket.file(storagePath));
         } catch (error) {
             console.error(`[VideoLoader] ❌ Error loading video from Firebase:`, error.message);
             return null;
@@ -684,12 +693,11 @@ export class VideoLoader {
     }
 
     /**
-     * Clear video cache
+     * Clear the shared asset cache (footage, logos, overlays and images)
      */
     async clearCache() {
         try {
-            await fs.emptyDir(this.cacheDir);
-            console.log(`[VideoLoader] 🧹 Cache cleared`);
+            await this.assetCache.clear();
         } catch (error) {
             console.error(`[VideoLoader] ❌ Error clearing cache:`, error.message);
         }
@@ -7,6 +7,23 @@ import ffmpegStatic from 'ffmpeg-static';
 import fs from 'fs-extra';
 import path from 'path';
 import { spawn, execSync } from 'child_process';
+import { BeatDetector } from './BeatDetector.js';
+import { trackChildProcess, throwIfJobCancelled } from './JobCancellation.js';
+import { reportSpan, reportFFmpegTime, parseFFmpegProgressTime, getFFmpegOutputDuration } from './ProgressReporter.js';
+import { randomStream } from './SeededRandom.js';
+import { resolveTransitionOptions, pickTransition, getTransitionOverlap, buildTransitionFilter } from './Transitions.js';
+import { buildStillMotionFilters } from './StillMotion.js';
+import { pickWindowStart } from './SceneDetection.js';
+import { resolveFootageSelection, filterFootage, getClipKey, pickWeightedClip } from './FootageQuery.js';
+
+const MIN_SLIDE_DURATION = 5; // Artwork slides last at least this long, fewer images get longer slides
+// Artwork slides take turns with these moves unless the job picks one (stillMotion)
+const ARTWORK_MOTION_CYCLE = [
+  { preset: 'kenburns', intensity: 1, direction: 'in' },
+  { preset: 'pan', intensity: 1, direction: 'right' },
+  { preset: 'kenburns', intensity: 1, direction: 'out' },
+  { preset: 'pan', intensity: 1, direction: 'left' }
+];
 
 // Configure FFmpeg path
 let ffmpegPath = 'ffmpeg';
@@ -19,6 +36,7 @@ if (process.env.GITHUB_ACTIONS !== 'true' && ffmpegStatic) {
 export class VideoSegmentCompositor {
   constructor() {
     this.tempDir = path.join(process.cwd(), 'temp-uploads');
+    this.beatDetector = new BeatDetector();
     fs.ensureDirSync(this.tempDir);
   }
 
@@ -102,11 +120,13 @@ export class VideoSegmentCompositor {
    * Extract a 5-second segment from a video, optionally aligned to a beat
    * @param {string} videoPath - Path to source video
    * @param {number} segmentDuration - Duration of segment in seconds (default: 5)
-   * @param {number} targetTime - Optional target start time (for beat alignment)
+   * @param {number} targetTime - Optional start time (aligned to the nearest beat when beatPositions are given)
    * @param {number[]} beatPositions - Optional array of beat positions for alignment
+   * @param {Object} outputSize - { width, height } of the extracted segment (default: 720x720)
    * @returns {Promise<string>} Path to extracted segment
    */
-  async extractRandomSegment(videoPath, segmentDuration = 5, targetTime = null, beatPositions = []) {
+  async extractRandomSegment(videoPath, segmentDuration = 5, targetTime = null, beatPositions = [], outputSize = { width: 720, height: 720 }) {
+    const { width, height } = outputSize;
     try {
       // Verify video file exists and is readable
       if (!await fs.pathExists(videoPath)) {
@@ -147,10 +167,13 @@ export class VideoSegmentCompositor {
         // Ensure we don't exceed video duration
         startTime = Math.min(startTime, videoDuration - segmentDuration);
         startTime = Math.max(0, startTime);
+      } else if (targetTime !== null) {
+        // Fixed start time (re-rendering a planned segment)
+        startTime = Math.max(0, Math.min(targetTime, videoDuration - segmentDuration));
       } else {
         // Random start time (leave room for segment duration)
         const maxStartTime = videoDuration - segmentDuration;
-        startTime = Math.random() * maxStartTime;
+        startTime = randomStream('segments').next() * maxStartTime;
         if (beatPositions.length > 0) {
           console.log(`[VideoSegmentCompositor] ⚠️  No targetTime provided, using random start (not beat-aligned)`);
         }
@@ -188,7 +211,7 @@ export class VideoSegmentCompositor {
           '-i', 'anullsrc=channel_layout=stereo:sample_rate=44100',
           '-ss', startTime.toString(),
           '-t', segmentDuration.toString(),
-          '-filter_complex', '[0:v]scale=720:720:force_original_aspect_ratio=increase,crop=720:720,fps=30,format=yuv420p[v];[1:a]atrim=0:' + segmentDuration.toString() + '[a]',
+          '-filter_complex', `[0:v]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},fps=30,format=yuv420p[v];[1:a]atrim=0:${segmentDuration}[a]`,
           '-map', '[v]',
           '-map', '[a]',
           '-c:v', 'libx264',
@@ -229,111 +252,151 @@ export class VideoSegmentCompositor {
     }
   }
 
+  /**
+   * Pick a random start time that leaves room for the segment within the source video
+   * @param {Object[]|null} windows - Usable windows from the footage index (asset.windows) - the segment is placed
+   *   inside one when the clip has them, anywhere in the clip otherwise
+   * @returns {Promise<number>} Start time in seconds (0 if the video is shorter than the segment)
+   */
+  async pickSegmentStart(videoPath, segmentDuration, windows = null) {
+    const videoDuration = await this.getVideoDuration(videoPath);
+    if (videoDuration <= segmentDuration) {
+      return 0;
+    }
+    const random = randomStream('segments');
+    const windowStart = pickWindowStart(windows, segmentDuration, random);
+    if (windowStart !== null) {
+      return Math.min(windowStart, Math.round((videoDuration - segmentDuration) * 1000) / 1000);
+    }
+    return Math.round(random.next() * (videoDuration - segmentDuration) * 1000) / 1000;
+  }
+
   /**
    * Align a time to the nearest beat position
    * @param {number} time - Time in seconds
    * @param {number[]} beatPositions - Array of beat positions
-   * @param {boolean} strict - If true, always align; if false, allow ±0.2s deviation
+   * @param {boolean} strict - If true, always align; if false, only align when a beat is within tolerance
+   * @param {number} tolerance - Maximum distance in seconds to snap when not strict (default: 0.2)
    * @returns {number} Aligned time
    */
-  alignToBeat(time, beatPositions, strict = true) {
-    if (beatPositions.length === 0) return time;
+  alignToBeat(time, beatPositions, strict = true, tolerance = 0.2) {
+    if (!beatPositions || beatPositions.length === 0) return time;
     
     const nearestBeat = beatPositions.reduce((prev, curr) => 
       Math.abs(curr - time) < Math.abs(prev - time) ? curr : prev
     );
     const deviation = Math.abs(nearestBeat - time);
     
-    if (strict || deviation < 0.2) {
+    if (strict || deviation < tolerance) {
       return nearestBeat;
     }
     return time; // Allow deviation for fades
   }
 
   /**
-   * Detect BPM from audio file using FFmpeg
+   * Detect tempo and real beat/downbeat timestamps from an audio file
+   * Uses onset (spectral flux) analysis via BeatDetector; falls back to a 120 BPM grid if analysis fails
    * @param {string} audioPath - Path to audio file
-   * @returns {Promise<number>} Detected BPM (defaults to 120 if detection fails)
+   * @returns {Promise<{bpm: number, confidence: number, beats: number[], downbeats: number[], source: string}>}
    */
-  async detectBPM(audioPath) {
+  async detectBeats(audioPath) {
     try {
       if (!await fs.pathExists(audioPath)) {
-        console.warn(`[VideoSegmentCompositor] Audio file not found for BPM detection: ${audioPath}`);
-        return 120; // Default BPM
+        console.warn(`[VideoSegmentCompositor] Audio file not found for beat detection: ${audioPath}`);
+        return this.createFallbackBeatGrid();
       }
 
-      // Use FFmpeg's silencedetect to find audio events/peaks
-      // Analyze the gaps between events to estimate BPM
-      const command = [
-        ffmpegPath,
-        '-i', audioPath,
-        '-af', 'silencedetect=noise=-50dB:duration=0.1',
-        '-f', 'null',
-        '-'
-      ];
+      const result = await this.beatDetector.detect(audioPath);
+      if (!result) {
+        console.warn(`[VideoSegmentCompositor] No rhythmic content detected, using default 120 BPM grid`);
+        return this.createFallbackBeatGrid();
+      }
 
-      return new Promise((resolve) => {
-        let stderr = '';
-        const ffmpegProcess = spawn(ffmpegPath, command.slice(1), { stdio: 'pipe' });
+      console.log(`[VideoSegmentCompositor] Detected BPM: ${result.bpm} (confidence: ${(result.confidence * 100).toFixed(0)}%, ${result.beats.length} beats, ${result.downbeats.length} downbeats)`);
+      return { ...result, source: 'onset' };
+    } catch (error) {
+      console.warn(`[VideoSegmentCompositor] Beat detection error: ${error.message}, using default 120 BPM grid`);
+      return this.createFallbackBeatGrid();
+    }
+  }
 
-        ffmpegProcess.stderr.on('data', (data) => {
-          stderr += data.toString();
-        });
+  /**
+   * Synthetic beat grid used only when onset analysis is unavailable (confidence 0)
+   */
+  createFallbackBeatGrid(bpm = 120, duration = 60) {
+    const beatInterval = 60 / bpm;
+    const beats = [];
+    for (let beat = 0; beat <= (duration || 60); beat += beatInterval) {
+      beats.push(Math.round(beat * 1000) / 1000);
+    }
+    return {
+      bpm,
+      confidence: 0,
+      beats,
+      downbeats: beats.filter((_, index) => index % 4 === 0),
+      source: 'fallback'
+    };
+  }
 
-        ffmpegProcess.on('close', (code) => {
-          // Parse silence_detect output to find audio events
-          const silenceMatches = stderr.match(/silence_start: ([\d.]+)/g);
-          const silenceEnds = stderr.match(/silence_end: ([\d.]+)/g);
-          
-          if (silenceMatches && silenceMatches.length > 2) {
-            // Extract timestamps
-            const starts = silenceMatches.map(m => parseFloat(m.match(/[\d.]+/)[0]));
-            const ends = silenceEnds ? silenceEnds.map(m => parseFloat(m.match(/[\d.]+/)[0])) : [];
-            
-            // Calculate intervals between events
-            const intervals = [];
-            for (let i = 1; i < starts.length; i++) {
-              intervals.push(starts[i] - starts[i - 1]);
-            }
-            
-            if (intervals.length > 0) {
-              // Find most common interval (likely beat interval)
-              const avgInterval = intervals.reduce((a, b) => a + b, 0) / intervals.length;
-              const bpm = 60 / avgInterval;
-              
-              // Clamp to reasonable range (60-180 BPM)
-              const clampedBPM = Math.max(60, Math.min(180, Math.round(bpm)));
-              console.log(`[VideoSegmentCompositor] Detected BPM: ${clampedBPM} (from ${intervals.length} intervals)`);
-              resolve(clampedBPM);
-              return;
-            }
-          }
-          
-          // Fallback: Try analyzing audio peaks with astats
-          console.warn(`[VideoSegmentCompositor] Could not detect BPM from silence, using default 120 BPM`);
-          resolve(120);
-        });
+  /**
+   * Detect BPM from audio file (kept for callers that only need the tempo)
+   * @param {string} audioPath - Path to audio file
+   * @returns {Promise<number>} Detected BPM (defaults to 120 if detection fails)
+   */
+  async detectBPM(audioPath) {
+    const beatGrid = await this.detectBeats(audioPath);
+    return beatGrid.bpm;
+  }
 
-        ffmpegProcess.on('error', () => {
-          console.warn(`[VideoSegmentCompositor] FFmpeg error during BPM detection, using default 120 BPM`);
-          resolve(120);
-        });
-      });
-    } catch (error) {
-      console.warn(`[VideoSegmentCompositor] BPM detection error: ${error.message}, using default 120 BPM`);
-      return 120;
+  /**
+   * Plan segment durations so every cut lands on a downbeat (or beat) near the nominal segment length
+   * @param {number} targetDuration - Total video duration in seconds
+   * @param {number} segmentDuration - Nominal segment duration in seconds
+   * @param {Object|null} beatGrid - Result of detectBeats (null = evenly spaced cuts)
+   * @returns {number[]} Segment durations (sum equals targetDuration)
+   */
+  planSegmentDurations(targetDuration, segmentDuration = 5, beatGrid = null) {
+    const minSegment = segmentDuration * 0.5; // Never produce segments shorter than half the nominal length
+    const cutPoints = [];
+    let previousCut = 0;
+
+    for (let target = segmentDuration; target < targetDuration - minSegment + 1e-6; target += segmentDuration) {
+      let cut = target;
+      if (beatGrid && beatGrid.beats.length > 0) {
+        // Prefer a downbeat within 40% of a segment, otherwise the nearest beat within one beat
+        const beatInterval = 60 / beatGrid.bpm;
+        const downbeatCut = this.alignToBeat(target, beatGrid.downbeats, false, segmentDuration * 0.4);
+        cut = downbeatCut !== target ? downbeatCut : this.alignToBeat(target, beatGrid.beats, false, beatInterval);
+      }
+      if (cut - previousCut < minSegment || targetDuration - cut < minSegment) {
+        cut = target;
+      }
+      cutPoints.push(cut);
+      previousCut = cut;
+    }
+
+    const boundaries = [0, ...cutPoints, targetDuration];
+    const durations = [];
+    for (let i = 1; i < boundaries.length; i++) {
+      durations.push(Math.round((boundaries[i] - boundaries[i - 1]) * 1000) / 1000);
     }
+    return durations;
   }
 
   /**
    * Create a 30-second video from multiple 5-second segments with transitions and beat sync
    * @param {string[]|Object} videoPaths - Array of source video paths OR grouped object { skyline: [...], chicago: [...] }
    * @param {number} targetDuration - Target duration in seconds (default: 30)
-   * @param {number} segmentDuration - Duration of each segment in seconds (default: 5)
-   * @param {string} audioPath - Optional path to audio file for BPM detection
-   * @returns {Promise<string>} Path to concatenated video
+   * @param {number} segmentDuration - Nominal duration of each segment in seconds (default: 5); cuts snap to detected downbeats
+   * @param {string} audioPath - Optional path to audio file for beat detection
+   * @param {Object} options - { width, height } output canvas size (default: 720x720),
+   *                           returnPlan: also return the segment plan so other renditions can reuse the same cuts,
+   *                           beatGrid: beats already known for the audio (clip time) - skips detection on audioPath,
+   *                           footage: the job's tag query, weights and must-include / never-use clips (see FootageQuery.js)
+   * @returns {Promise<string|{outputPath: string, plan: Object}>} Path to concatenated video (or { outputPath, plan } with returnPlan)
    */
-  async createVideoFromSegments(videoPaths, targetDuration = 30, segmentDuration = 5, audioPath = null) {
+  async createVideoFromSegments(videoPaths, targetDuration = 30, segmentDuration = 5, audioPath = null, options = {}) {
+    const outputSize = { width: options.width || 720, height: options.height || 720 };
     // Handle grouped structure with any folder combination
     let folderMap = {}; // Dynamic folder map
     let isGrouped = false;
@@ -392,30 +455,51 @@ export class VideoSegmentCompositor {
       throw new Error('Invalid videoPaths format');
     }
 
-    const segmentsNeeded = Math.ceil(targetDuration / segmentDuration);
-    const folderCount = Object.keys(folderMap).length;
-    const distributionType = isTrackMode ? `equal distribution across ${folderCount} folders` : '50/50 distribution';
-    console.log(`[VideoSegmentCompositor] Creating ${targetDuration}s video from ${segmentsNeeded} segments with ${distributionType}`);
+    // Tag query and never-use clips narrow the pool; must-include clips are placed first-come in the loop below
+    const footage = resolveFootageSelection(options.footage);
+    const pendingIncludes = new Set();
+    if (footage) {
+      const filtered = filterFootage(folderMap, footage);
+      folderMap = filtered.folderMap;
+      const remaining = Object.values(folderMap).flat();
+      if (remaining.length === 0) {
+        throw new Error(`No footage left after the job's footage constraints${footage.queryText ? ` (query "${footage.queryText}")` : ''}`);
+      }
+      for (const clip of remaining) {
+        if (footage.include.has(getClipKey(clip))) pendingIncludes.add(getClipKey(clip));
+      }
+      const missing = [...footage.include].filter(key => !pendingIncludes.has(key));
+      console.log(`[VideoSegmentCompositor] 🏷️ Footage constraints: ${remaining.length} clips left (${filtered.removed} filtered out), ${pendingIncludes.size} must-include`);
+      if (missing.length > 0) {
+        console.warn(`[VideoSegmentCompositor] ⚠️  Must-include clips not available: ${missing.join(', ')}`);
+      }
+    }
 
-    // Detect BPM if audio path provided
-    let bpm = 120;
+    // Detect real beats if audio path provided, then plan cuts on downbeats
+    let beatGrid = null;
     let beatPositions = [];
-    let beatInterval = 0.5; // Default: 120 BPM = 0.5s per beat
-    
-    if (audioPath) {
-      console.log(`[VideoSegmentCompositor] Detecting BPM from audio: ${audioPath}`);
-      bpm = await this.detectBPM(audioPath);
-      beatInterval = 60 / bpm;
-      
-      // Generate beat positions for the entire duration
-      for (let beat = 0; beat <= targetDuration; beat += beatInterval) {
-        beatPositions.push(beat);
-      }
-      console.log(`[VideoSegmentCompositor] BPM: ${bpm}, Beat interval: ${beatInterval.toFixed(3)}s, ${beatPositions.length} beats`);
+    if (options.beatGrid) {
+      beatGrid = { ...options.beatGrid, source: 'mix-analysis' };
+      beatPositions = beatGrid.beats.filter(beat => beat <= targetDuration);
+    } else if (audioPath) {
+      console.log(`[VideoSegmentCompositor] Detecting beats from audio: ${audioPath}`);
+      beatGrid = await this.detectBeats(audioPath);
+      beatPositions = beatGrid.beats.filter(beat => beat <= targetDuration);
+    }
+
+    const segmentDurations = this.planSegmentDurations(targetDuration, segmentDuration, beatGrid);
+    const segmentsNeeded = segmentDurations.length;
+    const folderCount = Object.keys(folderMap).length;
+    const distributionType = isTrackMode ? `equal distribution across ${folderCount} folders` : '50/50 distribution';
+    console.log(`[VideoSegmentCompositor] Creating ${targetDuration}s ${outputSize.width}x${outputSize.height} video from ${segmentsNeeded} segments with ${distributionType}`);
+    if (beatGrid) {
+      console.log(`[VideoSegmentCompositor] 🎵 ${beatGrid.bpm} BPM (${beatGrid.source}), segment durations: ${segmentDurations.map(d => d.toFixed(2)).join(', ')}s`);
     }
 
     // Extract random segments with equal distribution
     const segmentPaths = [];
+    const plannedSegments = []; // Source video + start time per segment (lets other renditions reuse the same cuts)
+    const transitionOptions = resolveTransitionOptions(options.transitions);
     const transitionTypes = []; // Store transition type for each segment boundary
     const usedAllVideos = new Set(); // Global tracking across all folders
     
@@ -450,6 +534,15 @@ export class VideoSegmentCompositor {
 
       for (let i = 0; i < segmentsNeeded; i++) {
       let selectedVideo = null;
+
+      // Pick the transition for this segment boundary from the job's style or weighted mix (default: half cuts, half fades)
+      // A segment followed by an overlapping transition is extracted longer so the transition starts exactly on the cut point
+      if (i < segmentsNeeded - 1) { // No transition after last segment
+        transitionTypes.push(pickTransition(transitionOptions, randomStream('transitions')));
+      }
+      const extractDuration = segmentDurations[i] + getTransitionOverlap(transitionTypes[i]);
+      // Segments share the stage evenly, with one extra share for the final concatenation
+      reportSpan(i / (segmentsNeeded + 1), (i + 1) / (segmentsNeeded + 1), `Segment ${i + 1}/${segmentsNeeded}`);
       let sourceFolder = '';
       let selectedFileRef = null; // For Firebase file references
 
@@ -492,8 +585,18 @@ export class VideoSegmentCompositor {
         }
       }
       
-      // Randomly select from available videos
-      const selected = availableVideos[Math.floor(Math.random() * availableVideos.length)];
+      // Must-include clips get spread over the remaining segments (all of them used by the end when there's room),
+      // the rest is a random pick - weighted when the job sets footage weights
+      const includeCandidates = availableVideos.filter(item => pendingIncludes.has(getClipKey(item.video)));
+      let selected;
+      if (includeCandidates.length > 0 && randomStream('segments').next() * (segmentsNeeded - i) < includeCandidates.length) {
+        selected = randomStream('segments').pick(includeCandidates);
+      } else if (footage) {
+        selected = pickWeightedClip(availableVideos, footage, randomStream('segments'));
+      } else {
+        selected = randomStream('segments').pick(availableVideos);
+      }
+      pendingIncludes.delete(getClipKey(selected.video));
       sourceFolder = selected.folder;
       const selectedItem = selected.video;
       
@@ -530,22 +633,9 @@ export class VideoSegmentCompositor {
           throw new Error(`Video file does not exist: ${selectedVideo}`);
         }
         
-        // Calculate target time for beat alignment
-        const segmentStartTime = i * segmentDuration;
-        const targetTime = beatPositions.length > 0 ? segmentStartTime : null;
-        
-        console.log(`[VideoSegmentCompositor] Extracting segment ${i + 1}/${segmentsNeeded} from ${path.basename(selectedVideo)}...`);
-        const segmentPath = await this.extractRandomSegment(selectedVideo, segmentDuration, targetTime, beatPositions);
-        
-        // Determine transition type for this segment boundary (random: quick-cut or quick-fade)
-        if (i < segmentsNeeded - 1) { // No transition after last segment
-          const useFade = Math.random() < 0.5; // 50% chance of fade
-          const fadeDuration = useFade ? 0.5 + Math.random() * 0.5 : 0; // 0.5-1.0s for fades
-          transitionTypes.push({
-            type: useFade ? 'fade' : 'cut',
-            duration: fadeDuration
-          });
-        }
+        console.log(`[VideoSegmentCompositor] Extracting segment ${i + 1}/${segmentsNeeded} (${extractDuration.toFixed(2)}s) from ${path.basename(selectedVideo)}...`);
+        const startTime = await this.pickSegmentStart(selectedVideo, extractDuration, hasFileReferences ? selectedFileRef.asset?.windows : null);
+        const segmentPath = await this.extractRandomSegment(selectedVideo, extractDuration, startTime, [], outputSize);
         
         if (!segmentPath || !await fs.pathExists(segmentPath)) {
           throw new Error(`Extracted segment file not found: ${segmentPath}`);
@@ -561,6 +651,13 @@ export class VideoSegmentCompositor {
         }
         
         segmentPaths.push(segmentPath);
+        plannedSegments.push({
+          videoPath: selectedVideo,
+          source: hasFileReferences ? selectedFileRef.name : selectedVideo, // Storage path (for the EDL)
+          sourceFolder,
+          startTime,
+          duration: segmentDurations[i]
+        });
         console.log(`[VideoSegmentCompositor] ✅ Segment ${i + 1}/${segmentsNeeded} extracted from ${sourceFolder} folder (${(segmentStats.size / 1024).toFixed(1)}KB)`);
       } catch (error) {
         const videoName = hasFileReferences ? (selectedFileRef?.name || 'unknown') : path.basename(selectedVideo || 'unknown');
@@ -589,7 +686,7 @@ export class VideoSegmentCompositor {
         
         if (unusedVideos.length > 0) {
           // Randomly select from unused videos
-          const fallback = unusedVideos[Math.floor(Math.random() * unusedVideos.length)];
+          const fallback = randomStream('segments').pick(unusedVideos);
           fallbackFolder = fallback.folder;
           
           if (hasFileReferences) {
@@ -608,7 +705,7 @@ export class VideoSegmentCompositor {
           attempts++;
           
           // Select a random unused video
-          const fallbackIndex = Math.floor(Math.random() * unusedVideos.length);
+          const fallbackIndex = randomStream('segments').int(unusedVideos.length);
           const fallback = unusedVideos[fallbackIndex];
           fallbackFolder = fallback.folder;
           
@@ -631,7 +728,8 @@ export class VideoSegmentCompositor {
               usedAllVideos.add(fallbackKey);
             }
             
-            const segmentPath = await this.extractRandomSegment(fallbackVideo, segmentDuration);
+            const fallbackStart = await this.pickSegmentStart(fallbackVideo, extractDuration, hasFileReferences ? fallbackFileRef.asset?.windows : null);
+            const segmentPath = await this.extractRandomSegment(fallbackVideo, extractDuration, fallbackStart, [], outputSize);
             
             // Validate segment
             const segmentStats = await fs.stat(segmentPath);
@@ -645,6 +743,13 @@ export class VideoSegmentCompositor {
             
             // Success! Add segment
             segmentPaths.push(segmentPath);
+            plannedSegments.push({
+              videoPath: fallbackVideo,
+              source: hasFileReferences ? fallbackFileRef.name : fallbackVideo,
+              sourceFolder: fallbackFolder,
+              startTime: fallbackStart,
+              duration: segmentDurations[i]
+            });
             const folderName = fallbackFolder || 'unknown';
             console.log(`[VideoSegmentCompositor] ✅ Fallback segment ${i + 1}/${segmentsNeeded} extracted from ${folderName} folder (${(segmentStats.size / 1024).toFixed(1)}KB) - attempt ${attempts}`);
             fallbackSuccess = true;
@@ -672,11 +777,198 @@ export class VideoSegmentCompositor {
 
     console.log(`[VideoSegmentCompositor] Concatenating ${segmentPaths.length} segments with transitions...`);
     console.log(`[VideoSegmentCompositor] Transitions: ${transitionTypes.map(t => t.type).join(', ')}`);
-    await this.concatenateSegmentsWithTransitions(segmentPaths, outputPath, targetDuration, transitionTypes, beatPositions);
+    reportSpan(segmentsNeeded / (segmentsNeeded + 1), 1, 'Joining segments');
+    await this.concatenateSegmentsWithTransitions(segmentPaths, outputPath, targetDuration, transitionTypes, beatPositions, segmentDurations, outputSize);
+
+    await this.cleanupSegments(segmentPaths, outputPath);
+
+    if (options.returnPlan) {
+      return {
+        outputPath,
+        plan: {
+          targetDuration,
+          segments: plannedSegments,
+          transitions: transitionTypes,
+          beatPositions,
+          bpm: beatGrid ? beatGrid.bpm : null
+        }
+      };
+    }
+    return outputPath;
+  }
+
+  /**
+   * Re-render a segment plan from createVideoFromSegments at another size and/or shorter duration
+   * Uses the same source videos, start times and transitions, so every rendition shares the same cuts
+   * @param {Object} plan - Plan returned by createVideoFromSegments with returnPlan
+   * @param {Object} options - { width, height, duration } (duration defaults to the plan's target duration)
+   * @returns {Promise<string>} Path to concatenated video
+   */
+  async renderSegmentPlan(plan, options = {}) {
+    const outputSize = { width: options.width || 720, height: options.height || 720 };
+    const targetDuration = Math.min(options.duration || plan.targetDuration, plan.targetDuration);
+
+    // Take the segments that fall inside the requested duration, trimming the last one to fit
+    const segments = [];
+    const transitions = [];
+    let elapsed = 0;
+    for (let i = 0; i < plan.segments.length && elapsed < targetDuration - 0.01; i++) {
+      const duration = Math.min(plan.segments[i].duration, targetDuration - elapsed);
+      segments.push({ ...plan.segments[i], duration });
+      elapsed += duration;
+      if (plan.transitions[i]) {
+        transitions.push(plan.transitions[i]);
+      }
+    }
+    // No transition after the last segment
+    transitions.length = segments.length - 1;
+
+    console.log(`[VideoSegmentCompositor] Re-rendering segment plan: ${segments.length}/${plan.segments.length} segments, ${targetDuration}s at ${outputSize.width}x${outputSize.height}`);
+
+    const segmentPaths = [];
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      const extractDuration = segment.duration + getTransitionOverlap(transitions[i]);
+      segmentPaths.push(await this.extractRandomSegment(segment.videoPath, extractDuration, segment.startTime, [], outputSize));
+    }
+
+    const outputPath = path.join(this.tempDir, `concatenated_${Date.now()}.mp4`);
+    const beatPositions = (plan.beatPositions || []).filter(beat => beat <= targetDuration);
+    await this.concatenateSegmentsWithTransitions(segmentPaths, outputPath, targetDuration, transitions, beatPositions, segments.map(s => s.duration), outputSize);
+
+    await this.cleanupSegments(segmentPaths, outputPath);
+    return outputPath;
+  }
+
+  /**
+   * Plan an artwork slideshow: one slide per image (cycling when there are more slides than images), cut on the beat
+   * like footage segments. The opening slide puts the mix cover in front of the artist photo (parallax) when both exist.
+   * @param {Object[]} artwork - ImageLoader.loadArtwork() result ({ path, type })
+   * @param {number} targetDuration - Slideshow length (seconds)
+   * @param {Object} options - { beatGrid, transitions (job option, default crossfades), stillMotion (resolved option,
+   *   null for the built-in cycle) }
+   * @returns {Object} Plan for renderArtworkSlideshow: { targetDuration, slides: [{ imagePath, foregroundPath, duration,
+   *   motion }], transitions }
+   */
+  planArtworkSlideshow(artwork, targetDuration, options = {}) {
+    if (artwork.length === 0) {
+      throw new Error('Artwork slideshow needs at least one image');
+    }
+    const slideDuration = Math.max(MIN_SLIDE_DURATION, targetDuration / artwork.length);
+    const durations = this.planSegmentDurations(targetDuration, Math.min(slideDuration, targetDuration), options.beatGrid || null);
+
+    const artistImage = artwork.find(image => image.type === 'artist');
+    const coverImage = artwork.find(image => image.type === 'mix');
+    const layered = artistImage && coverImage && (!options.stillMotion || options.stillMotion.preset === 'parallax');
+
+    // After a layered opener the other images come first, then the cover and the photo on their own
+    const queue = layered ? [...artwork.filter(image => image !== artistImage && image !== coverImage), coverImage, artistImage] : artwork;
+    const slides = durations.map((duration, index) => {
+      if (index === 0 && layered) {
+        const motion = options.stillMotion || { preset: 'parallax', intensity: 1, direction: 'right' };
+        return { imagePath: artistImage.path, foregroundPath: coverImage.path, duration, motion };
+      }
+      return {
+        imagePath: queue[(layered ? index - 1 : index) % queue.length].path,
+        foregroundPath: null,
+        duration,
+        motion: options.stillMotion || ARTWORK_MOTION_CYCLE[index % ARTWORK_MOTION_CYCLE.length]
+      };
+    });
 
-    // Cleanup segment files
+    const transitionOptions = resolveTransitionOptions(options.transitions || 'fade');
+    const random = randomStream('transitions');
+    const transitions = slides.slice(1).map(() => pickTransition(transitionOptions, random));
+
+    console.log(`[VideoSegmentCompositor] 🖼️ Artwork slideshow: ${slides.length} slide(s) from ${artwork.length} image(s) - ${slides.map(slide => `${slide.duration}s ${slide.motion.preset}`).join(', ')}`);
+    return { targetDuration, slides, transitions };
+  }
+
+  /**
+   * Render an artwork slideshow plan in one FFmpeg run: each still gets its motion, slides are joined with the
+   * planned transitions
+   * @param {Object} plan - planArtworkSlideshow() result
+   * @param {Object} options - { width, height, duration } (duration defaults to the plan's, longer is capped)
+   * @returns {Promise<string>} Path to the slideshow video
+   */
+  async renderArtworkSlideshow(plan, options = {}) {
+    const outputSize = { width: options.width || 720, height: options.height || 720 };
+    const targetDuration = Math.min(options.duration || plan.targetDuration, plan.targetDuration);
+
+    // Slides inside the requested duration, the last one trimmed to fit (same as renderSegmentPlan)
+    const slides = [];
+    let elapsed = 0;
+    for (let i = 0; i < plan.slides.length && elapsed < targetDuration - 0.01; i++) {
+      const duration = Math.min(plan.slides[i].duration, targetDuration - elapsed);
+      slides.push({ ...plan.slides[i], duration });
+      elapsed += duration;
+    }
+    const transitions = plan.transitions.slice(0, slides.length - 1);
+
+    const inputs = [];
+    const filterParts = [];
+    let inputCount = 0;
+    const addInput = (imagePath, length) => {
+      inputs.push('-loop', '1', '-framerate', '30', '-t', length.toFixed(3), '-i', imagePath);
+      return `[${inputCount++}:v]`;
+    };
+    slides.forEach((slide, i) => {
+      // Each slide runs past its cut point for an overlapping transition
+      const length = Math.round((slide.duration + getTransitionOverlap(transitions[i])) * 1000) / 1000;
+      const inputLabel = addInput(slide.imagePath, length);
+      const foregroundLabel = slide.foregroundPath ? addInput(slide.foregroundPath, length) : null;
+      filterParts.push(...buildStillMotionFilters(slide.motion, {
+        width: outputSize.width,
+        height: outputSize.height,
+        duration: length,
+        inputLabel,
+        foregroundLabel,
+        outputLabel: `[slide${i}_motion]`
+      }));
+      filterParts.push(`[slide${i}_motion]fps=30,format=yuv420p,setpts=PTS-STARTPTS[slide${i}]`);
+    });
+
+    // Chain slides with transitions - overlapping ones start on the cut point
+    let currentLabel = 'slide0';
+    let slideStart = 0;
+    for (let i = 1; i < slides.length; i++) {
+      const transition = transitions[i - 1];
+      const cutPoint = slideStart + slides[i - 1].duration;
+      const nextLabel = `slide${i}_joined`;
+      // xfade needs the running output back on a 1/30 timebase
+      filterParts.push(`[${currentLabel}]fps=30,setpts=PTS-STARTPTS[slide${i}_prev]`);
+      filterParts.push(...buildTransitionFilter(transition, { prev: `slide${i}_prev`, next: `slide${i}`, out: nextLabel }, cutPoint));
+      currentLabel = nextLabel;
+      slideStart = cutPoint;
+    }
+
+    const outputPath = path.join(this.tempDir, `artwork_${Date.now()}.mp4`);
+    console.log(`[VideoSegmentCompositor] Rendering artwork slideshow: ${slides.length} slide(s), ${targetDuration}s at ${outputSize.width}x${outputSize.height}`);
+    const command = [
+      ffmpegPath,
+      ...inputs,
+      '-filter_complex', filterParts.join(';'),
+      '-map', `[${currentLabel}]`,
+      '-c:v', 'libx264',
+      '-preset', 'fast',
+      '-crf', '23',
+      '-pix_fmt', 'yuv420p',
+      '-t', targetDuration.toString(),
+      '-y',
+      outputPath
+    ];
+    // Slow moves over stills compress far better than footage - only reject (near) empty output
+    await this.executeFFmpeg(command, outputPath, 64 * 1024);
+    return outputPath;
+  }
+
+  /**
+   * Remove extracted segment files (never the concatenated output)
+   * Source videos shorter than a segment are used as-is by extractRandomSegment, so only segment_* files are removed
+   */
+  async cleanupSegments(segmentPaths, outputPath) {
     for (const segmentPath of segmentPaths) {
-      if (segmentPath !== outputPath) {
+      if (segmentPath !== outputPath && path.basename(segmentPath).startsWith('segment_')) {
         try {
           await fs.remove(segmentPath);
         } catch (error) {
@@ -684,14 +976,15 @@ export class VideoSegmentCompositor {
         }
       }
     }
-
-    return outputPath;
   }
 
   /**
    * Concatenate video segments with transitions (quick-cuts and quick-fades)
+   * @param {number[]} segmentDurations - Visible duration of each segment (default: 5s each).
+   *                                      A segment followed by a fade carries that fade's length as extra tail.
+   * @param {Object} outputSize - { width, height } output canvas size (default: 720x720)
    */
-  async concatenateSegmentsWithTransitions(segmentPaths, outputPath, targetDuration, transitionTypes, beatPositions = []) {
+  async concatenateSegmentsWithTransitions(segmentPaths, outputPath, targetDuration, transitionTypes, beatPositions = [], segmentDurations = [], outputSize = { width: 720, height: 720 }) {
     // Verify all segments exist and are valid
     for (const segPath of segmentPaths) {
       if (!await fs.pathExists(segPath)) {
@@ -706,13 +999,16 @@ export class VideoSegmentCompositor {
     // Verify segments are valid before concatenation
     console.log(`[VideoSegmentCompositor] Verifying ${segmentPaths.length} segments before concatenation...`);
     const validSegments = [];
-    for (const segPath of segmentPaths) {
+    const validDurations = [];
+    for (let i = 0; i < segmentPaths.length; i++) {
+      const segPath = segmentPaths[i];
       const stats = await fs.stat(segPath);
       if (stats.size < 1000) { // Less than 1KB is likely corrupted
         console.warn(`[VideoSegmentCompositor] ⚠️  Skipping segment ${path.basename(segPath)}: too small (${stats.size} bytes)`);
         continue;
       }
       validSegments.push(segPath);
+      validDurations.push(segmentDurations[i] || 5);
     }
     
     if (validSegments.length === 0) {
@@ -720,7 +1016,7 @@ export class VideoSegmentCompositor {
       console.error(`[VideoSegmentCompositor] ❌ ${errorMsg}`);
       console.error(`[VideoSegmentCompositor] 💡 This usually means:`);
       console.error(`[VideoSegmentCompositor]    1. Videos in selected folders are corrupted or too short`);
-      console.error(`[VideoSegmentCompositor]    2. Videos are shorter than ${segmentDuration}s and can't extract segments`);
+      console.error(`[VideoSegmentCompositor]    2. Videos are shorter than the segment duration and can't extract segments`);
       console.error(`[VideoSegmentCompositor]    3. FFmpeg extraction is failing for all videos`);
       throw new Error(errorMsg);
     }
@@ -731,7 +1027,7 @@ export class VideoSegmentCompositor {
       console.warn(`[VideoSegmentCompositor] ⚠️  Video will be shorter than target duration (${targetDuration}s)`);
       
       // Calculate actual duration we'll get
-      const actualDuration = validSegments.length * segmentDuration;
+      const actualDuration = validDurations.reduce((sum, d) => sum + d, 0);
       if (actualDuration < targetDuration * 0.5) {
         console.error(`[VideoSegmentCompositor] ❌ Too few valid segments (${validSegments.length}) for target duration (${targetDuration}s)`);
         console.error(`[VideoSegmentCompositor] ❌ Actual duration would be only ${actualDuration}s (${((actualDuration / targetDuration) * 100).toFixed(0)}% of target)`);
@@ -739,11 +1035,15 @@ export class VideoSegmentCompositor {
       }
     }
 
-    // Check if we have any fades - if all are cuts, use simpler concat demuxer
-    const hasFades = transitionTypes.some(t => t.type === 'fade');
+    // If all transitions are cuts, use the simpler concat demuxer
+    const needsFilterGraph = transitionTypes.some(t => t && t.type !== 'cut');
+
+    // 2MB minimum for a 30s video, scaled down for shorter cuts (e.g. 15s teasers)
+    const minOutputBytes = Math.round(2 * 1024 * 1024 * Math.min(1, targetDuration / 30));
+    const minOutputMB = (minOutputBytes / 1024 / 1024).toFixed(2);
     
     try {
-      if (!hasFades) {
+      if (!needsFilterGraph) {
       // All quick-cuts: use simple concat demuxer (faster and simpler)
       console.log(`[VideoSegmentCompositor] All transitions are quick-cuts, using concat demuxer...`);
       const concatListPath = path.join(this.tempDir, `concat_list_${Date.now()}.txt`);
@@ -767,7 +1067,7 @@ export class VideoSegmentCompositor {
         outputPath
       ];
       
-      await this.executeFFmpeg(command, outputPath, 2 * 1024 * 1024); // Minimum 2MB for 30s video (reduced for better reliability)
+      await this.executeFFmpeg(command, outputPath, minOutputBytes);
       
       // Cleanup
       try {
@@ -776,18 +1076,17 @@ export class VideoSegmentCompositor {
         // Ignore
       }
     } else {
-      // Mix of cuts and fades: use filter_complex with xfade
-      console.log(`[VideoSegmentCompositor] Building filter_complex with fades and cuts...`);
+      // Mix of transitions: use filter_complex (xfade and custom transitions from the registry)
+      console.log(`[VideoSegmentCompositor] Building filter_complex with transitions: ${[...new Set(transitionTypes.map(t => t.type))].join(', ')}...`);
       
       const numSegments = validSegments.length;
       const filterParts = [];
       let currentOutputLabel = '';
-      let currentTime = 0;
-      const segmentDuration = 5;
+      let segmentStart = 0; // Where the current segment starts in the running output
 
       // Scale and normalize all segments first (with consistent frame rate and timebase for xfade)
       for (let i = 0; i < numSegments; i++) {
-        filterParts.push(`[${i}:v]scale=720:720:force_original_aspect_ratio=increase,crop=720:720,fps=30,format=yuv420p[v${i}]`);
+        filterParts.push(`[${i}:v]scale=${outputSize.width}:${outputSize.height}:force_original_aspect_ratio=increase,crop=${outputSize.width}:${outputSize.height},fps=30,format=yuv420p[v${i}]`);
       }
 
       // Chain segments with transitions
@@ -798,48 +1097,30 @@ export class VideoSegmentCompositor {
           currentOutputLabel = `v${i}_start`;
         } else {
           const transition = transitionTypes[i - 1] || { type: 'cut', duration: 0 };
-          
-          if (transition.type === 'fade') {
-            // Quick-fade: crossfade transition
-            // Normalize timebase first to avoid xfade errors
-            const fadeDuration = transition.duration;
-            const offset = Math.max(0, currentTime + segmentDuration - fadeDuration);
-            
-            // Align fade start to beat if possible (flexible sync)
-            let fadeOffset = offset;
-            if (beatPositions.length > 0) {
-              const originalOffset = fadeOffset;
-              fadeOffset = this.alignToBeat(offset, beatPositions, false);
-              fadeOffset = Math.max(0, fadeOffset);
-              const beatOffset = Math.abs(fadeOffset - originalOffset);
-              if (beatOffset > 0.01) {
-                console.log(`[VideoSegmentCompositor] 🎵 Transition beat alignment: ${originalOffset.toFixed(3)}s → ${fadeOffset.toFixed(3)}s (offset: ${beatOffset.toFixed(3)}s)`);
-              }
+          const overlap = getTransitionOverlap(transition);
+          // Normalize timebase and framerate on both sides (xfade requires 1/30 timebase at 30fps)
+          const normalizedCurrent = `v${i}_prev`;
+          const normalizedNext = `v${i}_next`;
+          filterParts.push(`[${currentOutputLabel}]fps=30,setpts=PTS-STARTPTS[${normalizedCurrent}]`);
+          filterParts.push(`[v${i}]fps=30,setpts=PTS-STARTPTS[${normalizedNext}]`);
+
+          // Overlapping transitions start on the cut point - the previous segment runs `overlap` seconds past it
+          const cutPoint = segmentStart + validDurations[i - 1];
+          let offset = cutPoint;
+          if (overlap > 0 && transition.beatAligned !== false && beatPositions.length > 0) {
+            // Only move earlier: the previous segment has no footage past cutPoint + overlap
+            offset = Math.max(0, Math.min(cutPoint, this.alignToBeat(cutPoint, beatPositions, false)));
+            const beatOffset = Math.abs(offset - cutPoint);
+            if (beatOffset > 0.01) {
+              console.log(`[VideoSegmentCompositor] 🎵 Transition beat alignment: ${cutPoint.toFixed(3)}s → ${offset.toFixed(3)}s (offset: ${beatOffset.toFixed(3)}s)`);
             }
-            
-            // Normalize timebase and framerate for xfade compatibility
-            // xfade requires consistent timebase (1/30) and framerate (30fps)
-            const normalizedCurrent = `v${i}_norm_prev`;
-            const normalizedNext = `v${i}_norm_next`;
-            filterParts.push(`[${currentOutputLabel}]fps=30,setpts=PTS-STARTPTS[${normalizedCurrent}]`);
-            filterParts.push(`[v${i}]fps=30,setpts=PTS-STARTPTS[${normalizedNext}]`);
-            
-            const nextLabel = `v${i}_out`;
-            filterParts.push(`[${normalizedCurrent}][${normalizedNext}]xfade=transition=fade:duration=${fadeDuration.toFixed(3)}:offset=${fadeOffset.toFixed(3)}[${nextLabel}]`);
-            currentOutputLabel = nextLabel;
-            currentTime += segmentDuration - fadeDuration;
-          } else {
-            // Quick-cut: use concat filter (normalize timebase and framerate first)
-            const normalizedCurrent = `v${i}_cut_prev`;
-            const normalizedNext = `v${i}_cut_next`;
-            filterParts.push(`[${currentOutputLabel}]fps=30,setpts=PTS-STARTPTS[${normalizedCurrent}]`);
-            filterParts.push(`[v${i}]fps=30,setpts=PTS-STARTPTS[${normalizedNext}]`);
-            
-            const nextLabel = `v${i}_out`;
-            filterParts.push(`[${normalizedCurrent}][${normalizedNext}]concat=n=2:v=1:a=0[${nextLabel}]`);
-            currentOutputLabel = nextLabel;
-            currentTime += segmentDuration;
           }
+
+          const nextLabel = `v${i}_out`;
+          filterParts.push(...buildTransitionFilter(transition, { prev: normalizedCurrent, next: normalizedNext, out: nextLabel }, offset));
+          currentOutputLabel = nextLabel;
+          // With an overlap the next segment starts where the transition starts; otherwise it is appended
+          segmentStart = overlap > 0 ? offset : cutPoint;
         }
       }
 
@@ -862,7 +1143,7 @@ export class VideoSegmentCompositor {
         outputPath
       ];
       
-      await this.executeFFmpeg(command, outputPath, 2 * 1024 * 1024); // Minimum 2MB for 30s video (reduced for better reliability)
+      await this.executeFFmpeg(command, outputPath, minOutputBytes);
     }
 
     // Verify output (executeFFmpeg already validated size, but double-check)
@@ -870,9 +1151,8 @@ export class VideoSegmentCompositor {
       throw new Error('Concatenated video was not created');
     }
     const outputStats = await fs.stat(outputPath);
-    const minSize = 2 * 1024 * 1024; // 2MB minimum for 30s video (reduced from 5MB for better reliability)
-    if (outputStats.size < minSize) {
-      throw new Error(`Concatenated video too small: ${(outputStats.size / 1024 / 1024).toFixed(2)}MB (minimum: 2MB)`);
+    if (outputStats.size < minOutputBytes) {
+      throw new Error(`Concatenated video too small: ${(outputStats.size / 1024 / 1024).toFixed(2)}MB (minimum: ${minOutputMB}MB)`);
     }
 
     console.log(`[VideoSegmentCompositor] ✅ Concatenated video with transitions created: ${path.basename(outputPath)} (${(outputStats.size / 1024 / 1024).toFixed(2)}MB)`);
@@ -881,7 +1161,7 @@ export class VideoSegmentCompositor {
       console.error(`[VideoSegmentCompositor] Error details:`, error.stack);
       // If any concatenation fails (filter_complex, xfade, or other), try simple concat as fallback
       // This handles cases where complex transitions fail due to codec/format issues
-      if (hasFades || error.message.includes('FFmpeg failed')) {
+      if (needsFilterGraph || error.message.includes('FFmpeg failed')) {
         console.warn(`[VideoSegmentCompositor] ⚠️  Complex concatenation failed, trying simple concat fallback...`);
         try {
           // Fallback to simple concat demuxer
@@ -906,7 +1186,7 @@ export class VideoSegmentCompositor {
             outputPath
           ];
           
-          await this.executeFFmpeg(fallbackCommand, outputPath, 2 * 1024 * 1024); // Minimum 2MB for 30s video (reduced for better reliability)
+          await this.executeFFmpeg(fallbackCommand, outputPath, minOutputBytes);
           
           // Cleanup
           await fs.remove(concatListPath).catch(() => {});
@@ -914,12 +1194,11 @@ export class VideoSegmentCompositor {
           // Verify fallback output (executeFFmpeg already validated size, but double-check)
           if (await fs.pathExists(outputPath)) {
             const fallbackStats = await fs.stat(outputPath);
-            const minSize = 2 * 1024 * 1024; // 2MB minimum for 30s video (reduced from 5MB for better reliability)
-            if (fallbackStats.size >= minSize) {
+            if (fallbackStats.size >= minOutputBytes) {
               console.log(`[VideoSegmentCompositor] ✅ Fallback concatenation successful: ${path.basename(outputPath)} (${(fallbackStats.size / 1024 / 1024).toFixed(2)}MB)`);
               return; // Success with fallback
             } else {
-              throw new Error(`Fallback concatenation produced file too small: ${(fallbackStats.size / 1024 / 1024).toFixed(2)}MB (minimum: 5MB)`);
+              throw new Error(`Fallback concatenation produced file too small: ${(fallbackStats.size / 1024 / 1024).toFixed(2)}MB (minimum: ${minOutputMB}MB)`);
             }
           } else {
             throw new Error('Fallback concatenation did not produce output file');
@@ -962,9 +1241,17 @@ export class VideoSegmentCompositor {
         }
       }
 
+      try {
+        throwIfJobCancelled('ffmpeg');
+      } catch (cancelError) {
+        reject(cancelError);
+        return;
+      }
+
       console.log(`[VideoSegmentCompositor] Executing: ${ffmpegPath} ${args.slice(0, 5).join(' ')}...`);
 
-      const ffmpegProcess = spawn(ffmpegPath, args, { stdio: 'pipe' });
+      const ffmpegProcess = trackChildProcess(spawn(ffmpegPath, args, { stdio: 'pipe' }));
+      const expectedDuration = getFFmpegOutputDuration(args);
 
       let stderr = '';
 
@@ -973,6 +1260,7 @@ export class VideoSegmentCompositor {
         stderr += output;
         if (output.includes('time=')) {
           process.stdout.write('.');
+          reportFFmpegTime(parseFFmpegProgressTime(output), expectedDuration);
         }
       });
 
@@ -0,0 +1,153 @@
+/**
+ * Audio Visualizers
+ * Filter chains for visualizer layers - the clip's own audio drawn as a waveform, spectrum bars or a circular
+ * spectrum, like the usual DJ-mix visualizers
+ *
+ *   waveform: showwaves (centred, filled line)
+ *   bars:     showfreqs with one log-spaced column per bar, scaled up without smoothing so bars stay crisp
+ *   circle:   the same bar strip bent into a ring with remap - the x/y lookup maps are 16-bit PGM images
+ *             written once per render (buildPolarMaps), so the bend costs a table lookup per pixel
+ *
+ * Every chain ends in rgba with a transparent background, so a layer can be overlaid at its position or blended
+ * ('screen', 'addition', 'lighten' - black is neutral in all three) over the canvas.
+ */
+
+export const VISUALIZER_STYLES = ['waveform', 'bars', 'circle'];
+export const VISUALIZER_BLEND_MODES = ['screen', 'addition', 'lighten'];
+
+export const DEFAULT_VISUALIZER = { style: 'bars', color: '0xFFFFFF', bars: 64, innerRadius: 0.5 };
+
+const BAR_RANGE = { min: 8, max: 256 };
+const INNER_RADIUS_RANGE = { min: 0, max: 0.9 };
+const COLOR_PATTERN = /^(?:(?:#|0x)[0-9a-fA-F]{6}|[a-zA-Z]+)$/;
+const MAP_OUT_OF_RANGE = 65535; // remap leaves pixels mapped outside the strip transparent
+const FRAME_RATE = 30;
+
+/**
+ * Check a visualizer definition ({ style, color, bars, innerRadius })
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateVisualizer(visualizer) {
+  if (!visualizer || typeof visualizer !== 'object' || Array.isArray(visualizer)) {
+    return 'visualizer must be an object with a style';
+  }
+  const { style, color, bars, innerRadius } = visualizer;
+  if (!VISUALIZER_STYLES.includes(style)) {
+    return `visualizer style must be one of: ${VISUALIZER_STYLES.join(', ')}`;
+  }
+  if (color !== undefined && (typeof color !== 'string' || !COLOR_PATTERN.test(color))) {
+    return 'visualizer color must be "#RRGGBB", "0xRRGGBB" or a colour name';
+  }
+  if (bars !== undefined && (!Number.isInteger(bars) || bars < BAR_RANGE.min || bars > BAR_RANGE.max)) {
+    return `visualizer bars must be a whole number between ${BAR_RANGE.min} and ${BAR_RANGE.max}`;
+  }
+  if (innerRadius !== undefined && (typeof innerRadius !== 'number' || innerRadius < INNER_RADIUS_RANGE.min || innerRadius > INNER_RADIUS_RANGE.max)) {
+    return `visualizer innerRadius must be between ${INNER_RADIUS_RANGE.min} and ${INNER_RADIUS_RANGE.max}`;
+  }
+  return null;
+}
+
+/**
+ * Fill in defaults and convert the colour to FFmpeg's 0xRRGGBB form
+ */
+export function resolveVisualizer(visualizer = {}) {
+  const resolved = { ...DEFAULT_VISUALIZER };
+  Object.entries(visualizer).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) resolved[key] = value;
+  });
+  resolved.color = resolved.color.replace(/^#/, '0x');
+  return resolved;
+}
+
+const even = value => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * Visualizer frame size for a layer - circles are square, fitted inside the layer box
+ * @returns {{width: number, height: number}}
+ */
+export function getVisualizerSize(visualizer, width, height) {
+  if (visualizer.style === 'circle') {
+    const side = even(Math.min(width, height));
+    return { width: side, height: side };
+  }
+  return { width: even(width), height: even(height) };
+}
+
+/**
+ * Ring geometry of a circular visualizer
+ */
+function getRing(visualizer, side) {
+  const outer = side / 2;
+  const inner = outer * visualizer.innerRadius;
+  return { outer, inner, thickness: Math.max(2, Math.round(outer - inner)) };
+}
+
+/**
+ * Filter chains that turn an audio label into an rgba visualizer label
+ * @param {Object} visualizer - resolveVisualizer() result
+ * @param {Object} options - { width, height, audioLabel, outputLabel, mapInputs: { x, y } (input indexes, circle only) }
+ * @returns {string[]} Filter chains for the filter complex
+ */
+export function buildVisualizerFilters(visualizer, { width, height, audioLabel, outputLabel, mapInputs = null }) {
+  const size = getVisualizerSize(visualizer, width, height);
+  const mono = 'aformat=channel_layouts=mono';
+  const spectrum = (columns, rows) =>
+    `showfreqs=s=${columns}x${rows}:rate=${FRAME_RATE}:mode=bar:ascale=sqrt:fscale=log:win_size=2048:averaging=2:colors=${visualizer.color}`;
+
+  switch (visualizer.style) {
+    case 'waveform':
+      return [`${audioLabel}${mono},showwaves=s=${size.width}x${size.height}:rate=${FRAME_RATE}:mode=cline:scale=sqrt:draw=full:colors=${visualizer.color},format=rgba${outputLabel}`];
+
+    case 'bars':
+      return [`${audioLabel}${mono},${spectrum(visualizer.bars, size.height)},scale=${size.width}:${size.height}:flags=neighbor,format=rgba${outputLabel}`];
+
+    case 'circle': {
+      if (!mapInputs) {
+        throw new Error('Circular visualizer needs its remap inputs');
+      }
+      const ring = getRing(visualizer, size.width);
+      const stripLabel = `${outputLabel.slice(0, -1)}_strip]`;
+      return [
+        `${audioLabel}${mono},${spectrum(visualizer.bars, ring.thickness)},format=rgba${stripLabel}`,
+        `${stripLabel}[${mapInputs.x}:v][${mapInputs.y}:v]remap,format=rgba${outputLabel}`
+      ];
+    }
+
+    default:
+      throw new Error(`Unsupported visualizer style: ${visualizer.style}`);
+  }
+}
+
+/**
+ * remap lookup maps bending the bar strip into a ring: bars run clockwise from the top to the bottom and
+ * mirror back up the other side (low frequencies at the top), growing outwards from the inner radius
+ * @returns {{xmap: Buffer, ymap: Buffer}} 16-bit binary PGM images of side x side pixels
+ */
+export function buildPolarMaps(visualizer, side) {
+  const ring = getRing(visualizer, side);
+  const header = Buffer.from(`P5\n${side} ${side}\n65535\n`, 'ascii');
+  const xmap = Buffer.alloc(header.length + side * side * 2);
+  const ymap = Buffer.alloc(xmap.length);
+  header.copy(xmap);
+  header.copy(ymap);
+
+  for (let row = 0; row < side; row++) {
+    for (let column = 0; column < side; column++) {
+      const dx = column + 0.5 - ring.outer;
+      const dy = row + 0.5 - ring.outer;
+      const radius = Math.hypot(dx, dy);
+      let x = MAP_OUT_OF_RANGE;
+      let y = MAP_OUT_OF_RANGE;
+      if (radius >= ring.inner && radius < ring.outer) {
+        const angle = Math.abs(Math.atan2(dx, -dy)) / Math.PI; // 0 at the top, 1 at the bottom, either side
+        x = Math.min(visualizer.bars - 1, Math.floor(angle * visualizer.bars));
+        y = Math.max(0, ring.thickness - 1 - Math.floor((radius - ring.inner) * ring.thickness / (ring.outer - ring.inner)));
+      }
+      const offset = header.length + (row * side + column) * 2;
+      xmap.writeUInt16BE(x, offset);
+      ymap.writeUInt16BE(y, offset);
+    }
+  }
+
+  return { xmap, ymap };
+}
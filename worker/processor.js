@@ -12,7 +12,14 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { getFirestore, getStorage, admin } from './firebase-admin.js';
 import { ArweaveVideoGenerator } from './lib/ArweaveVideoGenerator.js';
-import { getFilter } from './lib/VideoFilters.js';
+import { getFilter, AUTO_FILTER_KEY } from './lib/VideoFilters.js';
+import { resolveOutputSize } from './lib/OutputFormats.js';
+import { JobQueue, InvalidJobError } from './lib/JobQueue.js';
+import { CancellationToken, runWithCancellation, throwIfJobCancelled } from './lib/JobCancellation.js';
+import { SeededRandom, runWithRandom, getSeededRandom, generateSeed } from './lib/SeededRandom.js';
+import { ProgressReporter, runWithProgress, getProgressReporter, reportStage, reportSpan } from './lib/ProgressReporter.js';
+import { AssetIndex } from './lib/AssetIndex.js';
+import { getAssetCache, formatBytes } from './lib/AssetCache.js';
 import fs from 'fs-extra';
 
 dotenv.config();
@@ -24,15 +31,163 @@ const __dirname = path.dirname(__filename);
 const videoGenerator = new ArweaveVideoGenerator();
 
 // Polling configuration
-const MAX_CONCURRENT_JOBS = 1; // Process one at a time for MVP
+// Jobs are claimed with a Firestore lease, so several workers (and several jobs per worker) can run side by side
+const MAX_CONCURRENT_JOBS = Math.max(1, parseInt(process.env.WORKER_CONCURRENCY, 10) || 1);
+const POLL_INTERVAL_MS = 3000;
+
+let jobQueue = null;
+const activeJobs = new Map(); // documentId -> processing promise
+const assetIndex = new AssetIndex();
+let indexingAssets = null; // Promise while pending footage is being measured
+
+function getJobQueue() {
+  if (!jobQueue) {
+    jobQueue = new JobQueue(getFirestore(), {
+      maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || undefined
+    });
+  }
+  return jobQueue;
+}
+
+/**
+ * Resolve the job's video filter for one canvas size (filters embed scale/pad sizes)
+ * 'auto' resolves to null here - the generator picks the preset once the footage is cut (see resolveAutoLook)
+ */
+function resolveVideoFilter(jobData, outputSize) {
+  if (!jobData.videoFilter || jobData.videoFilter === AUTO_FILTER_KEY) {
+    return null;
+  }
+  const filterIntensity = jobData.filterIntensity !== undefined ? parseFloat(jobData.filterIntensity) : 0.4;
+  const filterDef = getFilter(jobData.videoFilter, filterIntensity, outputSize.width, outputSize.height);
+  if (!filterDef) {
+    console.warn(`[Processor] Unknown filter key: ${jobData.videoFilter}, using default`);
+    return null;
+  }
+  console.log(`[Processor] Using video filter: ${filterDef.name} (intensity: ${(filterIntensity * 100).toFixed(0)}%, ${outputSize.width}x${outputSize.height})`);
+  return filterDef.filter;
+}
 
-let isProcessing = false;
-let currentJobId = null;
+/**
+ * Auto look options for videoFilter 'auto' (null otherwise) - a job's filterIntensity fixes the intensity
+ */
+function resolveAutoLook(jobData) {
+  if (jobData.videoFilter !== AUTO_FILTER_KEY) {
+    return null;
+  }
+  const intensity = jobData.filterIntensity !== undefined && jobData.filterIntensity !== null ? parseFloat(jobData.filterIntensity) : null;
+  return { intensity };
+}
 
 /**
- * Process a single video job
+ * Output canvas size for a job - an unsupported format can never render, so it dead-letters the job without retries
  */
-async function processVideoJob(jobId, jobData, documentId = null) {
+function resolveJobOutputSize(options) {
+  try {
+    return resolveOutputSize(options);
+  } catch (error) {
+    throw new InvalidJobError(error.message);
+  }
+}
+
+/**
+ * Build rendition specs from jobData.deliverables (null when the job renders a single video)
+ */
+function resolveDeliverables(jobData) {
+  if (!Array.isArray(jobData.deliverables) || jobData.deliverables.length === 0) {
+    return null;
+  }
+  return jobData.deliverables.map(deliverable => {
+    if (!deliverable || typeof deliverable !== 'object') {
+      throw new InvalidJobError('Each deliverable must be an object');
+    }
+    const size = resolveJobOutputSize({
+      aspectRatio: deliverable.aspectRatio || jobData.aspectRatio,
+      resolution: deliverable.resolution || jobData.resolution
+    });
+    return {
+      name: deliverable.name,
+      width: size.width,
+      height: size.height,
+      aspectRatio: size.aspectRatio,
+      resolution: size.resolution,
+      duration: deliverable.duration || jobData.duration,
+      videoFilter: resolveVideoFilter(jobData, size)
+    };
+  });
+}
+
+/**
+ * Upload a rendered video to Firebase Storage (videos/<fileName>), make it public and return a signed URL
+ */
+async function uploadVideoFile(bucket, videoFilePath, fileName, videoResult) {
+  const storagePath = `videos/${fileName}`;
+
+  console.log(`📤 Uploading to Firebase Storage: ${storagePath}`);
+  console.log(`📦 Bucket name: ${bucket.name}`);
+
+  await bucket.upload(videoFilePath, {
+    destination: storagePath,
+    metadata: {
+      contentType: 'video/mp4',
+      metadata: {
+        artist: videoResult.artist,
+        mixTitle: videoResult.mixTitle,
+        duration: videoResult.duration.toString(),
+        generatedAt: new Date().toISOString()
+      }
+    }
+  });
+  console.log(`✅ File uploaded to Storage successfully`);
+
+  // Get file reference and generate signed URL (works with CORS, no Google Cloud setup needed)
+  const file = bucket.file(storagePath);
+  console.log(`🔓 Making file public: ${storagePath}`);
+  await file.makePublic(); // Make file publicly accessible
+  console.log(`✅ File is now public`);
+
+  // Generate signed URL (valid for 1 year) - this works with CORS without any Google Cloud configuration
+  // Signed URLs bypass CORS issues and work the same way as before
+  const [signedUrl] = await file.getSignedUrl({
+    action: 'read',
+    expires: Date.now() + 365 * 24 * 60 * 60 * 1000 // 1 year
+  });
+  console.log(`✅ Video uploaded with signed URL: ${signedUrl.substring(0, 100)}...`);
+
+  return { storagePath, videoUrl: signedUrl };
+}
+
+/**
+ * Upload a rendition's caption sidecars (WebVTT and SRT) next to its video (videos/<name>.vtt / .srt)
+ * @returns {Promise<Object>} { cueCount, vttUrl, srtUrl, vttStoragePath, srtStoragePath }
+ */
+async function uploadCaptionFiles(bucket, captions) {
+  const uploaded = { cueCount: captions.cueCount };
+  for (const [format, localPath, contentType] of [['vtt', captions.vttPath, 'text/vtt'], ['srt', captions.srtPath, 'application/x-subrip']]) {
+    const storagePath = `videos/${path.basename(localPath)}`;
+    await bucket.upload(localPath, {
+      destination: storagePath,
+      metadata: { contentType: `${contentType}; charset=utf-8` }
+    });
+    const file = bucket.file(storagePath);
+    await file.makePublic();
+    const [signedUrl] = await file.getSignedUrl({
+      action: 'read',
+      expires: Date.now() + 365 * 24 * 60 * 60 * 1000 // 1 year, same as the video
+    });
+    uploaded[`${format}Url`] = signedUrl;
+    uploaded[`${format}StoragePath`] = storagePath;
+  }
+  console.log(`✅ Caption sidecars uploaded (${captions.cueCount} cues): ${uploaded.vttStoragePath}, ${uploaded.srtStoragePath}`);
+  return uploaded;
+}
+
+/**
+ * Process a single video job (already claimed by the job queue)
+ * Throws on failure so the queue can retry or dead-letter the job
+ * @param {Object} outcome - outcome.completed is set once the job document says 'completed'; errors after that
+ *   (videos collection, verification, cleanup) must not send the finished job back to the queue
+ */
+async function processVideoJob(jobId, jobData, documentId = null, outcome = {}) {
   // CRITICAL: Always use documentId (from Firestore snapshot) for updates
   // The documentId is the actual Firestore document ID, which may differ from jobId
   if (!documentId) {
@@ -43,49 +198,55 @@ async function processVideoJob(jobId, jobData, documentId = null) {
   console.log(`\n🎬 Processing video job:`);
   console.log(`   JobId: ${jobId}`);
   console.log(`   Document ID (for Firestore): ${docId}`);
-  console.log(`   Artist: ${jobData.artist}, Duration: ${jobData.duration}s`);
+  console.log(`   Artist: ${jobData.artist}, Duration: ${jobData.duration}s, Attempt: ${jobData.attempts || 1}`);
 
   const db = getFirestore();
   const storage = getStorage();
   const bucket = storage.bucket();
 
   try {
-    // Update status to processing
-    console.log(`📝 Updating status to 'processing' for document: ${docId}`);
-    await db.collection('videoJobs').doc(docId).update({
-      status: 'processing',
-      startedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
-    console.log(`✅ Status updated to 'processing'`);
-
     // Generate video
+    // Resolve output canvas size from job aspect ratio / resolution (default: 1:1 at 720p = 720x720)
+    const outputSize = resolveJobOutputSize({ aspectRatio: jobData.aspectRatio, resolution: jobData.resolution });
+    console.log(`[Processor] Output format: ${outputSize.aspectRatio} ${outputSize.resolution} (${outputSize.width}x${outputSize.height})`);
+
     // Get video filter from job data
-    let videoFilter = null;
-    if (jobData.videoFilter) {
-      const filterIntensity = jobData.filterIntensity !== undefined ? parseFloat(jobData.filterIntensity) : 0.4;
-      const filterDef = getFilter(jobData.videoFilter, filterIntensity);
-      if (filterDef) {
-        videoFilter = filterDef.filter;
-        console.log(`[Processor] Using video filter: ${filterDef.name} (intensity: ${(filterIntensity * 100).toFixed(0)}%)`);
-      } else {
-        console.warn(`[Processor] Unknown filter key: ${jobData.videoFilter}, using default`);
-      }
+    const videoFilter = resolveVideoFilter(jobData, outputSize);
+
+    // Optional extra deliverables (e.g. square post + 9:16 story + 15s teaser) rendered from the same cuts
+    const deliverables = resolveDeliverables(jobData);
+    if (deliverables) {
+      console.log(`[Processor] Deliverables: ${deliverables.map(d => `${d.name} ${d.aspectRatio} ${d.duration}s`).join(', ')}`);
     }
     
     const videoResult = await videoGenerator.generateVideoWithAudio({
       duration: jobData.duration,
       artist: jobData.artist === 'random' ? null : jobData.artist,
-      width: 720,
-      height: 720,
+      width: outputSize.width,
+      height: outputSize.height,
+      aspectRatio: outputSize.aspectRatio,
       fadeIn: 2,
       fadeOut: 2,
       videoFilter: videoFilter,
+      autoLook: resolveAutoLook(jobData), // videoFilter 'auto': preset and intensity picked from the footage's colours
       useTrax: jobData.useTrax === true, // Pass useTrax flag to video generator
       selectedFolders: jobData.selectedFolders || [], // Pass selected folders array
       enableOverlay: jobData.enableOverlay !== undefined ? jobData.enableOverlay : true, // Pass overlay toggle (default: true)
       overlayEffect: jobData.overlayEffect || null, // Pass specific overlay effect or null for random
       topLogo: jobData.topLogo || null, // Pass top logo filename or null for random
-      endLogo: jobData.endLogo || null // Pass end logo filename or null for random
+      endLogo: jobData.endLogo || null, // Pass end logo filename or null for random
+      template: jobData.template || (jobData.edl && jobData.edl.template) || undefined, // Pass composition template name (default: mix_archive)
+      deliverables, // Pass rendition specs or null for a single video
+      transitions: jobData.transitions || null, // Transition style or weighted mix, null for half cuts / half fades
+      footage: jobData.footage || null, // Tag query, weights and must-include / never-use clips, null for any clip
+      excerpt: jobData.excerpt || null, // Mix excerpt: 'peak' (default), 'intro', 'random' or { start }
+      audioReactive: jobData.audioReactive || null, // Audio-reactive effects (zoom, filter, overlay, logo), null for static visuals
+      mastering: jobData.mastering !== undefined ? jobData.mastering : null, // Loudness target / EQ, false to skip, null for -14 LUFS
+      textStyle: jobData.textStyle || null, // Text style over the template's and the artist's branding
+      captions: jobData.captions !== false, // Tracklist "Now playing" lower-thirds and sidecars unless turned off
+      visualSource: jobData.visualSource || 'footage', // 'artwork' builds the video from the artist photo and mix covers
+      stillMotion: jobData.stillMotion !== undefined ? jobData.stillMotion : null, // Motion for still backgrounds, false for static
+      edl: jobData.edl || null // Edit decision list to render verbatim, or null for a new edit
     });
 
     if (!videoResult.success) {
@@ -96,52 +257,55 @@ async function processVideoJob(jobId, jobData, documentId = null) {
     console.log(`📁 Video file path: ${videoResult.videoPath}`);
     console.log(`📊 Video result keys:`, Object.keys(videoResult));
 
-    // Verify video file exists
-    const videoFilePath = videoResult.videoPath;
-    if (!videoFilePath) {
-      throw new Error('Video file path is missing from videoResult');
-    }
-    
-    const fileExists = await fs.pathExists(videoFilePath);
-    if (!fileExists) {
-      throw new Error(`Video file does not exist at path: ${videoFilePath}`);
-    }
-    console.log(`✅ Video file exists: ${videoFilePath}`);
+    // Verify and upload every rendition (a single-video job has one)
+    const renditionResults = videoResult.renditions || [{ name: 'main', videoPath: videoResult.videoPath, fileName: videoResult.fileName, fileSize: videoResult.fileSize }];
+    const renditions = [];
+    reportStage('upload');
+    for (const [index, rendition] of renditionResults.entries()) {
+      reportSpan(index / renditionResults.length, (index + 1) / renditionResults.length, renditionResults.length > 1 ? rendition.name : null);
+      // Verify video file exists
+      const videoFilePath = rendition.videoPath;
+      if (!videoFilePath) {
+        throw new Error(`Video file path is missing for rendition "${rendition.name}"`);
+      }
 
-    // Upload to Firebase Storage
-    const storagePath = `videos/${videoResult.fileName}`;
-    
-    console.log(`📤 Uploading to Firebase Storage: ${storagePath}`);
-    console.log(`📦 Bucket name: ${bucket.name}`);
-    
-    await bucket.upload(videoFilePath, {
-      destination: storagePath,
-      metadata: {
-        contentType: 'video/mp4',
-        metadata: {
-          artist: videoResult.artist,
-          mixTitle: videoResult.mixTitle,
-          duration: videoResult.duration.toString(),
-          generatedAt: new Date().toISOString()
+      const fileExists = await fs.pathExists(videoFilePath);
+      if (!fileExists) {
+        throw new Error(`Video file does not exist at path: ${videoFilePath}`);
+      }
+      console.log(`✅ Video file exists: ${videoFilePath}`);
+
+      throwIfJobCancelled('upload');
+      const upload = await uploadVideoFile(bucket, videoFilePath, rendition.fileName, videoResult);
+      // Caption sidecars are extras - a failed upload doesn't fail the video
+      let captions = null;
+      if (rendition.captions) {
+        try {
+          captions = await uploadCaptionFiles(bucket, rendition.captions);
+        } catch (captionError) {
+          console.warn(`⚠️ Failed to upload caption sidecars: ${captionError.message}`);
         }
       }
-    });
-    console.log(`✅ File uploaded to Storage successfully`);
-
-    // Get file reference and generate signed URL (works with CORS, no Google Cloud setup needed)
-    const file = bucket.file(storagePath);
-    console.log(`🔓 Making file public: ${storagePath}`);
-    await file.makePublic(); // Make file publicly accessible
-    console.log(`✅ File is now public`);
-    
-    // Generate signed URL (valid for 1 year) - this works with CORS without any Google Cloud configuration
-    // Signed URLs bypass CORS issues and work the same way as before
-    const [signedUrl] = await file.getSignedUrl({
-      action: 'read',
-      expires: Date.now() + 365 * 24 * 60 * 60 * 1000 // 1 year
-    });
-    const videoUrl = signedUrl;
-    console.log(`✅ Video uploaded with signed URL: ${videoUrl.substring(0, 100)}...`);
+      renditions.push({
+        name: rendition.name,
+        aspectRatio: rendition.aspectRatio || outputSize.aspectRatio,
+        resolution: rendition.resolution || outputSize.resolution,
+        width: rendition.width || outputSize.width,
+        height: rendition.height || outputSize.height,
+        duration: rendition.duration || videoResult.duration,
+        videoUrl: upload.videoUrl,
+        fileName: rendition.fileName,
+        fileSize: rendition.fileSize,
+        storagePath: upload.storagePath,
+        captions, // { cueCount, vttUrl, srtUrl, vttStoragePath, srtStoragePath } or null
+        localPath: videoFilePath,
+        localCaptionPaths: rendition.captions ? [rendition.captions.vttPath, rendition.captions.srtPath] : []
+      });
+    }
+    // The first rendition is the primary video (videoUrl on the job and videos docs)
+    const primaryRendition = renditions[0];
+    const videoUrl = primaryRendition.videoUrl;
+    const renditionRecords = renditions.map(({ localPath, localCaptionPaths, ...record }) => record);
 
     // Update job status to completed
     // IMPORTANT: status must be at root level, not in metadata
@@ -153,12 +317,34 @@ async function processVideoJob(jobId, jobData, documentId = null) {
         completedAt: admin.firestore.FieldValue.serverTimestamp(),
         videoUrl: videoUrl,
         metadata: {
-          fileName: videoResult.fileName,
-          fileSize: videoResult.fileSize,
-          mixTitle: videoResult.mixTitle
+          fileName: primaryRendition.fileName,
+          fileSize: primaryRendition.fileSize,
+          mixTitle: videoResult.mixTitle,
+          width: primaryRendition.width,
+          height: primaryRendition.height,
+          aspectRatio: primaryRendition.aspectRatio,
+          loudness: videoResult.loudness || null, // { target, truePeakLimit, eq, input, output } in LUFS / dBTP / LU
+          captions: primaryRendition.captions, // Tracklist caption sidecars { cueCount, vttUrl, srtUrl, ... } or null
+          palette: videoResult.palette || null, // Artwork / footage colours { colors, dominant, accent, light, dark } (artwork mode or auto look)
+          look: videoResult.look || null // Auto-picked filter { key, name, intensity, distance, luminance } (videoFilter 'auto')
           // Don't include status in metadata - it's at root level now
         }
       };
+      if (deliverables) {
+        updateData.renditions = renditionRecords;
+      }
+      // Wait for throttled progress writes so they can't land after the final progress
+      const progressReporter = getProgressReporter();
+      if (progressReporter) {
+        await progressReporter.drain();
+        updateData.progress = progressReporter.getCompletedSnapshot();
+      }
+      // Seed + resolved choices (mix, cuts, logo, overlays) so the edit can be rendered again
+      const seededRandom = getSeededRandom();
+      if (seededRandom) {
+        updateData.seed = seededRandom.seed;
+        updateData.renderChoices = seededRandom.choices;
+      }
       
       // First, try to remove old metadata.status if it exists
       try {
@@ -180,12 +366,13 @@ async function processVideoJob(jobId, jobData, documentId = null) {
       console.log(`📝 Updating Firestore document ${docId} with:`, {
         status: 'completed',
         videoUrl: videoUrl,
-        fileName: videoResult.fileName
+        fileName: primaryRendition.fileName
       });
       console.log(`📝 Full update data:`, JSON.stringify(updateData, null, 2));
       
       // Perform the update
       await db.collection('videoJobs').doc(docId).update(updateData);
+      outcome.completed = true;
       console.log(`✅ Update call completed`);
       
       // Wait a moment for Firestore to propagate
@@ -228,17 +415,31 @@ async function processVideoJob(jobId, jobData, documentId = null) {
 
     // Also create/update video document in videos collection
     console.log(`📝 Creating/updating document in 'videos' collection: ${jobId}`);
-    await db.collection('videos').doc(jobId).set({
+    const videoDocData = {
       videoId: jobId,
       jobId: jobId,
       artist: videoResult.artist,
       mixTitle: videoResult.mixTitle,
       duration: videoResult.duration,
-      fileSize: videoResult.fileSize,
+      fileSize: primaryRendition.fileSize,
+      width: primaryRendition.width,
+      height: primaryRendition.height,
+      aspectRatio: primaryRendition.aspectRatio,
       videoUrl: videoUrl,
+      captions: primaryRendition.captions, // Caption sidecars, null when the mix has no tracklist
       status: 'completed',
       createdAt: admin.firestore.FieldValue.serverTimestamp()
-    }, { merge: true });
+    };
+    if (deliverables) {
+      videoDocData.renditions = renditionRecords;
+    }
+    if (getSeededRandom()) {
+      videoDocData.seed = getSeededRandom().seed;
+    }
+    if (videoResult.edl) {
+      videoDocData.edl = videoResult.edl; // Full edit, can be submitted again as `edl` on a new job
+    }
+    await db.collection('videos').doc(jobId).set(videoDocData, { merge: true });
     console.log(`✅ Document created/updated in 'videos' collection`);
     
     // Verify videos collection document
@@ -250,12 +451,17 @@ async function processVideoJob(jobId, jobData, documentId = null) {
       console.error(`❌ WARNING: Document not found in 'videos' collection after creation!`);
     }
 
-    // Cleanup local video file
-    try {
-      await fs.remove(videoFilePath);
-      console.log(`🧹 Cleaned up local file: ${videoResult.fileName}`);
-    } catch (cleanupError) {
-      console.warn(`⚠️ Failed to cleanup local file: ${cleanupError.message}`);
+    // Cleanup local video files
+    for (const rendition of renditions) {
+      try {
+        await fs.remove(rendition.localPath);
+        for (const captionPath of rendition.localCaptionPaths) {
+          await fs.remove(captionPath);
+        }
+        console.log(`🧹 Cleaned up local file: ${rendition.fileName}`);
+      } catch (cleanupError) {
+        console.warn(`⚠️ Failed to cleanup local file: ${cleanupError.message}`);
+      }
     }
 
     console.log(`✅ Job ${jobId} completed successfully`);
@@ -263,103 +469,175 @@ async function processVideoJob(jobId, jobData, documentId = null) {
   } catch (error) {
     console.error(`❌ Error processing job ${jobId}:`, error.message);
     console.error(error.stack);
+    throw error;
+  }
+}
 
-    // Update job status to failed
-    // IMPORTANT: status must be at root level, not in metadata
+/**
+ * Run a claimed job with a lease heartbeat, then release it or record the failed attempt
+ * Cancellation requested through the API kills the job's ffmpeg processes and stops it at the next stage
+ */
+async function runClaimedJob(documentId, jobData) {
+  const queue = getJobQueue();
+  const jobId = jobData.jobId || documentId; // Use jobId from data, fallback to documentId
+  const cancellation = new CancellationToken();
+  let leaseLost = false;
+  // Another worker re-claimed the job after our lease expired: stop rendering, the attempt is theirs now
+  const stopHeartbeat = queue.startHeartbeat(documentId, (owner) => {
+    leaseLost = true;
+    cancellation.cancel(`Lease lost to ${owner || 'nobody'}`);
+  });
+  // Stage, percent and ETA written (throttled) to videoJobs/{id}.progress for the dashboard
+  const progress = new ProgressReporter(snapshot => getFirestore().collection('videoJobs').doc(documentId).update({ progress: snapshot }));
+  // Every render is seeded; jobs without a seed get one, saved up front so retries repeat the same edit
+  const hasSeed = jobData.seed !== undefined && jobData.seed !== null;
+  const random = new SeededRandom(hasSeed ? jobData.seed : generateSeed());
+  if (!hasSeed) {
+    await getFirestore().collection('videoJobs').doc(documentId).update({ seed: random.seed })
+      .catch(error => console.warn(`⚠️ Could not save seed for job ${jobId}: ${error.message}`));
+  }
+  console.log(`🎲 Render seed for job ${jobId}: ${random.seed}`);
+  const stopWatching = queue.watchCancellation(documentId, (reason) => {
+    if (!cancellation.cancelled) {
+      console.log(`🛑 Cancellation requested for job ${jobId}: ${reason}`);
+      cancellation.cancel(reason);
+    }
+  });
+
+  const outcome = { completed: false };
+
+  try {
+    // Pass documentId to ensure we update the correct document
+    await runWithCancellation(cancellation, () => runWithProgress(progress, () =>
+      runWithRandom(random, () => processVideoJob(jobId, jobData, documentId, outcome))
+    ));
+    await queue.release(documentId);
+  } catch (error) {
+    await progress.drain();
+    if (outcome.completed) {
+      // The video is published - a retry would render and upload it again, so only the lease is released
+      console.error(`⚠️ Job ${jobId} completed, but a later step failed: ${error.message}`);
+      await queue.release(documentId)
+        .catch(releaseError => console.error(`❌ Failed to release job ${jobId}: ${releaseError.message}`));
+      return;
+    }
+    if (leaseLost) {
+      console.warn(`⚠️ Job ${jobId} stopped after losing its lease - its status belongs to the new owner`);
+      await cleanupCancelledJob(jobId);
+      return;
+    }
     try {
-      const docId = documentId || jobId;
-      console.log(`📝 Updating status to 'failed' for document: ${docId}`);
-      await db.collection('videoJobs').doc(docId).update({
-        status: 'failed',
-        completedAt: admin.firestore.FieldValue.serverTimestamp(),
-        error: error.message,
-        'metadata.status': admin.firestore.FieldValue.delete() // Remove old nested status
-      });
-      console.log(`✅ Status updated to 'failed'`);
+      // Any failure after a cancellation request is the cancellation (killed ffmpeg, aborted stage)
+      const status = cancellation.cancelled
+        ? await queue.markCancelled(documentId)
+        : await queue.fail(documentId, error, jobData.attempts || 1);
+      if (status) {
+        console.log(`✅ Job ${jobId} status updated to '${status}'`);
+      }
     } catch (updateError) {
       console.error(`❌ Failed to update job status: ${updateError.message}`);
       console.error('Update error details:', updateError);
     }
+    if (cancellation.cancelled) {
+      await cleanupCancelledJob(jobId);
+    }
+  } finally {
+    stopWatching();
+    stopHeartbeat();
+    await logAssetCacheStats();
   }
 }
 
 /**
- * Poll Firestore for pending jobs
+ * Log the shared asset cache's hit rate and size after a job
  */
-async function pollForPendingJobs() {
-  if (isProcessing) {
-    return; // Skip if already processing
+async function logAssetCacheStats() {
+  try {
+    const stats = await getAssetCache().getStats();
+    const hitRate = stats.hitRate !== null ? ` (${Math.round(stats.hitRate * 100)}% hit rate)` : '';
+    console.log(`📦 Asset cache: ${stats.hits} hits / ${stats.misses} misses${hitRate}, ` +
+      `${stats.entries} entries, ${formatBytes(stats.bytes)} / ${formatBytes(stats.maxBytes)}` +
+      (stats.evictions > 0 ? `, ${stats.evictions} evicted (${formatBytes(stats.evictedBytes)})` : ''));
+  } catch (error) {
+    console.warn(`⚠️ Could not read asset cache stats: ${error.message}`);
   }
+}
 
-  try {
-    const db = getFirestore();
+/**
+ * Remove temp files left behind by a cancelled job (segments, audio, partial renders)
+ * temp-uploads is shared, so this only runs when no other job is active in this worker
+ */
+async function cleanupCancelledJob(jobId) {
+  if (activeJobs.size > 1) {
+    console.log(`🧹 Skipping temp cleanup for cancelled job ${jobId} - other jobs are still running`);
+    return;
+  }
+  await videoGenerator.cleanup();
+  console.log(`🧹 Cleaned up temp files for cancelled job ${jobId}`);
+}
 
-    // Query for pending jobs
-    let pendingJobsSnapshot;
-    try {
-      // Try with where clause first (status at root level)
-      pendingJobsSnapshot = await db.collection('videoJobs')
-        .where('status', '==', 'pending')
-        .orderBy('createdAt', 'asc')
-        .limit(MAX_CONCURRENT_JOBS)
-        .get();
-      
-      console.log(`[Processor] Found ${pendingJobsSnapshot.size} pending job(s) via query`);
-    } catch (queryError) {
-      // If query fails (missing index or status in metadata), get all and filter
-      console.warn('[Processor] Status query failed, fetching all and filtering:', queryError.message);
-      const allJobsSnapshot = await db.collection('videoJobs')
-        .limit(20)
-        .get();
-      
-      console.log(`[Processor] Fetched ${allJobsSnapshot.size} total jobs, filtering for pending...`);
-      
-      // Filter for pending jobs (check both root and metadata)
-      const pendingDocs = allJobsSnapshot.docs.filter(doc => {
-        const data = doc.data();
-        const status = data.status || data.metadata?.status;
-        const isPending = status === 'pending';
-        if (isPending) {
-          console.log(`[Processor] Found pending job: ${doc.id}, status location: ${data.status ? 'root' : 'metadata'}`);
-        }
-        return isPending;
+/**
+ * Measure footage registered on upload while the worker has nothing else to do
+ * Never throws - a clip that can't be measured is marked failed by the index
+ */
+function indexPendingAssets() {
+  if (!indexingAssets) {
+    indexingAssets = assetIndex.indexPending()
+      .then(count => {
+        if (count > 0) console.log(`[Processor] Indexed ${count} uploaded clip(s)`);
+      })
+      .catch(error => console.error('❌ Error indexing uploaded clips:', error.message))
+      .finally(() => {
+        indexingAssets = null;
       });
-      
-      console.log(`[Processor] Filtered to ${pendingDocs.length} pending job(s)`);
-      
-      // Create a fake snapshot-like object
-      pendingJobsSnapshot = {
-        empty: pendingDocs.length === 0,
-        docs: pendingDocs.slice(0, MAX_CONCURRENT_JOBS)
-      };
-    }
-
-    if (pendingJobsSnapshot.empty) {
-      return; // No pending jobs
-    }
+  }
+  return indexingAssets;
+}
 
-    // Process the first pending job
-    const jobDoc = pendingJobsSnapshot.docs[0];
-    const documentId = jobDoc.id; // Firestore document ID
-    const jobData = jobDoc.data();
-    const jobId = jobData.jobId || documentId; // Use jobId from data, fallback to documentId
+/**
+ * Poll Firestore for claimable jobs and start as many as there are free slots
+ * @returns {Promise<Promise[]>} - Promises for the jobs started by this poll
+ */
+async function pollForPendingJobs() {
+  const freeSlots = MAX_CONCURRENT_JOBS - activeJobs.size;
+  if (freeSlots <= 0) {
+    return []; // Skip if all slots are busy
+  }
 
-    console.log(`[Processor] Processing job - Document ID: ${documentId}, JobId from data: ${jobData.jobId || 'none'}, Using jobId: ${jobId}`);
+  const started = [];
+  try {
+    const queue = getJobQueue();
+    const candidates = await queue.findClaimable(freeSlots);
+    if (candidates.length > 0) {
+      console.log(`[Processor] Found ${candidates.length} claimable job(s)`);
+    }
 
-    isProcessing = true;
-    currentJobId = jobId;
+    for (const candidate of candidates) {
+      if (activeJobs.size >= MAX_CONCURRENT_JOBS) break;
+      if (activeJobs.has(candidate.id)) continue;
 
-    // Pass documentId to ensure we update the correct document
-    await processVideoJob(jobId, jobData, documentId);
+      // Another worker may claim the same job first - the transaction makes sure only one wins
+      const jobData = await queue.claim(candidate.id);
+      if (!jobData) {
+        console.log(`[Processor] Job ${candidate.id} was not claimable (taken by another worker or dead-lettered)`);
+        continue;
+      }
 
-    isProcessing = false;
-    currentJobId = null;
+      console.log(`[Processor] Claimed job - Document ID: ${candidate.id}, JobId from data: ${jobData.jobId || 'none'}, attempt ${jobData.attempts}`);
+      const run = runClaimedJob(candidate.id, jobData).finally(() => {
+        activeJobs.delete(candidate.id);
+      });
+      activeJobs.set(candidate.id, run);
+      started.push(run);
+    }
 
+    if (candidates.length === 0 && activeJobs.size === 0) {
+      indexPendingAssets();
+    }
   } catch (error) {
     console.error('❌ Error polling for jobs:', error.message);
-    isProcessing = false;
-    currentJobId = null;
   }
+  return started;
 }
 
 /**
@@ -375,7 +653,9 @@ async function startWorker() {
     console.log(`⚙️ Max concurrent jobs: ${MAX_CONCURRENT_JOBS}`);
     
     try {
-      await pollForPendingJobs();
+      const started = await pollForPendingJobs();
+      await Promise.all(started);
+      await indexPendingAssets();
       console.log('✅ Job processing complete');
       process.exit(0);
     } catch (error) {
@@ -385,14 +665,14 @@ async function startWorker() {
   } else {
     // Continuous polling mode (for local dev or other platforms)
     console.log('🔄 Starting continuous polling for video jobs...');
-    console.log(`⚙️ Polling interval: 3000 seconds`);
+    console.log(`⚙️ Polling interval: ${POLL_INTERVAL_MS / 1000} seconds`);
     console.log(`⚙️ Max concurrent jobs: ${MAX_CONCURRENT_JOBS}`);
     
     // Initial poll
     pollForPendingJobs();
     
     // Start polling interval
-    setInterval(pollForPendingJobs, 3000);
+    setInterval(pollForPendingJobs, POLL_INTERVAL_MS);
   }
 }
 
@@ -10,6 +10,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs-extra';
 import { ArweaveVideoGenerator } from './lib/ArweaveVideoGenerator.js';
+import { AssetCache } from './lib/AssetCache.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -70,16 +71,14 @@ if (videoGenerator.dalleGenerator) {
     fs.ensureDirSync(testDalleDir);
 }
 
-// Also update image loader cache directory
+// Also point the image / video loaders and template assets at a test cache
+const testAssetCache = new AssetCache({ dir: testCacheDir });
+videoGenerator.assetCache = testAssetCache;
 if (videoGenerator.imageLoader) {
-    videoGenerator.imageLoader.cacheDir = testCacheDir;
-    fs.ensureDirSync(testCacheDir);
+    videoGenerator.imageLoader.assetCache = testAssetCache;
 }
-
-// Also update video loader cache directory
 if (videoGenerator.videoLoader) {
-    videoGenerator.videoLoader.cacheDir = path.join(testOutputDir, 'video-cache');
-    fs.ensureDirSync(videoGenerator.videoLoader.cacheDir);
+    videoGenerator.videoLoader.assetCache = testAssetCache;
 }
 
 console.log('📁 Output directories:');
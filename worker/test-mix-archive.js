@@ -16,6 +16,7 @@ import fs from 'fs-extra';
 import { ArweaveVideoGenerator } from './lib/ArweaveVideoGenerator.js';
 import { VideoCompositor, LayerConfig, CompositionConfig } from './lib/VideoCompositor.js';
 import { VideoLoader } from './lib/VideoLoader.js';
+import { AssetCache } from './lib/AssetCache.js';
 import { VideoSegmentCompositor } from './lib/VideoSegmentCompositor.js';
 import { ArweaveAudioClient } from './lib/ArweaveAudioClient.js';
 import axios from 'axios';
@@ -107,7 +108,7 @@ async function generateMixArchiveVideo() {
         // Step 2: Create 30-second video from skyline segments
         console.log('[MixArchive] Step 2: Creating video from skyline segments...');
         const videoLoader = new VideoLoader();
-        videoLoader.cacheDir = testCacheDir;
+        videoLoader.assetCache = new AssetCache({ dir: testCacheDir });
         
         // Use flat array for test (backward compatibility)
         const skylineVideos = await videoLoader.loadAllSkylineVideos(false);